@@ -277,7 +277,8 @@ const thread_status = {
     LUA_ERRSYNTAX: 3,
     LUA_ERRMEM:    4,
     LUA_ERRGCMM:   5,
-    LUA_ERRERR:    6
+    LUA_ERRERR:    6,
+    LUA_ERRLIMIT:  7  /* fengari extension: see 'lua_setlimits' */
 };
 
 const constant_types = {
@@ -361,6 +362,21 @@ class lua_Debug {
     }
 }
 
+/*
+** garbage-collection options
+*/
+const LUA_GCSTOP       = 0;
+const LUA_GCRESTART    = 1;
+const LUA_GCCOLLECT    = 2;
+const LUA_GCCOUNT      = 3;
+const LUA_GCCOUNTB     = 4;
+const LUA_GCSTEP       = 5;
+const LUA_GCSETPAUSE   = 6;
+const LUA_GCSETSTEPMUL = 7;
+const LUA_GCISRUNNING  = 9;
+const LUA_GCGEN        = 10;
+const LUA_GCINC        = 11;
+
 /*
 ** Event codes
 */
@@ -379,6 +395,17 @@ const LUA_MASKRET   = (1 << LUA_HOOKRET);
 const LUA_MASKLINE  = (1 << LUA_HOOKLINE);
 const LUA_MASKCOUNT = (1 << LUA_HOOKCOUNT);
 
+module.exports.LUA_GCCOLLECT           = LUA_GCCOLLECT;
+module.exports.LUA_GCCOUNT             = LUA_GCCOUNT;
+module.exports.LUA_GCCOUNTB            = LUA_GCCOUNTB;
+module.exports.LUA_GCGEN               = LUA_GCGEN;
+module.exports.LUA_GCINC               = LUA_GCINC;
+module.exports.LUA_GCISRUNNING         = LUA_GCISRUNNING;
+module.exports.LUA_GCRESTART           = LUA_GCRESTART;
+module.exports.LUA_GCSETPAUSE          = LUA_GCSETPAUSE;
+module.exports.LUA_GCSETSTEPMUL        = LUA_GCSETSTEPMUL;
+module.exports.LUA_GCSTEP              = LUA_GCSTEP;
+module.exports.LUA_GCSTOP              = LUA_GCSTOP;
 module.exports.LUA_HOOKCALL            = LUA_HOOKCALL;
 module.exports.LUA_HOOKCOUNT           = LUA_HOOKCOUNT;
 module.exports.LUA_HOOKLINE            = LUA_HOOKLINE;
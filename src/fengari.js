@@ -30,8 +30,10 @@ const luaconf = require('./luaconf.js');
 const lua     = require('./lua.js');
 const lauxlib = require('./lauxlib.js');
 const lualib  = require('./lualib.js');
+const lvfs    = require('./lvfs.js');
 
 module.exports.luaconf = luaconf;
 module.exports.lua     = lua;
 module.exports.lauxlib = lauxlib;
 module.exports.lualib  = lualib;
+module.exports.lvfs    = lvfs;
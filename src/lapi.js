@@ -1,6 +1,19 @@
 "use strict";
 
+/* global BigInt */
+
 const {
+    LUA_GCCOLLECT,
+    LUA_GCCOUNT,
+    LUA_GCCOUNTB,
+    LUA_GCGEN,
+    LUA_GCINC,
+    LUA_GCISRUNNING,
+    LUA_GCRESTART,
+    LUA_GCSETPAUSE,
+    LUA_GCSETSTEPMUL,
+    LUA_GCSTEP,
+    LUA_GCSTOP,
     LUA_MULTRET,
     LUA_OPBNOT,
     LUA_OPEQ,
@@ -21,14 +34,15 @@ const {
         LUA_TLNGSTR,
         LUA_TNIL,
         LUA_TNONE,
-        LUA_TNUMFLT,
-        LUA_TNUMINT,
         LUA_TSHRSTR,
         LUA_TTABLE,
         LUA_TTHREAD,
         LUA_TUSERDATA
     },
-    thread_status: { LUA_OK },
+    thread_status: {
+        LUA_ERRSYNTAX,
+        LUA_OK
+    },
     from_userstring,
     to_luastring,
 } = require('./defs.js');
@@ -37,6 +51,8 @@ const ldebug    = require('./ldebug.js');
 const ldo       = require('./ldo.js');
 const { luaU_dump } = require('./ldump.js');
 const lfunc     = require('./lfunc.js');
+const lgc       = require('./lgc.js');
+const ljit      = require('./ljit.js');
 const lobject   = require('./lobject.js');
 const lstate    = require('./lstate.js');
 const {
@@ -45,7 +61,10 @@ const {
     luaS_newliteral
 } = require('./lstring.js');
 const ltm       = require('./ltm.js');
-const { LUAI_MAXSTACK } = require('./luaconf.js');
+const {
+    LUAI_MAXSTACK,
+    lua_int64
+} = require('./luaconf.js');
 const lvm       = require('./lvm.js');
 const ltable    = require('./ltable.js');
 const { ZIO } = require('./lzio.js');
@@ -69,6 +88,24 @@ const fengari_argcheckinteger = function(n) {
     fengari_argcheck(typeof n === "number" && (n|0) === n);
 };
 
+/*
+** check that 'n' is an integer of the state and return it in its
+** canonical representation (see 'lua_int64'). With 64-bit integers, 'n'
+** may be a safe integer or a BigInt, which wraps around.
+*/
+const fengari_argcheckluainteger = function(L, n) {
+    if (!L.l_G.int64) {
+        fengari_argcheckinteger(n);
+        return n;
+    }
+    if (typeof n === "number") {
+        fengari_argcheck(Number.isSafeInteger(n));
+        return n;
+    }
+    fengari_argcheck(Object(n) instanceof BigInt);
+    return lua_int64(n);
+};
+
 const isvalid = function(o) {
     return o !== lobject.luaO_nilobject;
 };
@@ -78,6 +115,13 @@ const lua_version = function(L) {
     else return L.l_G.version;
 };
 
+/*
+** whether the integers of the state have 64 bits (see 'lua_newstate')
+*/
+const lua_hasint64 = function(L) {
+    return L.l_G.int64;
+};
+
 const lua_atpanic = function(L, panicf) {
     let old = L.l_G.panic;
     L.l_G.panic = panicf;
@@ -90,6 +134,20 @@ const lua_atnativeerror = function(L, errorf) {
     return old;
 };
 
+/*
+** set the warning function of the state (Lua 5.4): 'warnf(ud, msg,
+** tocont)' gets each piece of a warning, with 'tocont' true when the
+** message continues in the next call
+*/
+const lua_setwarnf = function(L, warnf, ud) {
+    L.l_G.ud_warn = ud;
+    L.l_G.warnf = warnf;
+};
+
+const lua_warning = function(L, msg, tocont) {
+    lstate.luaE_warning(L, msg, tocont);
+};
+
 // Return value for idx on stack
 const index2addr = function(L, idx) {
     let ci = L.ci;
@@ -159,9 +217,8 @@ const lua_xmove = function(from, to, n) {
     api_check(from, to.ci.top - to.top >= n, "stack overflow");
     from.top -= n;
     for (let i = 0; i < n; i++) {
-        to.stack[to.top] = new lobject.TValue();
         lobject.setobj2s(to, to.top, from.stack[from.top + i]);
-        delete from.stack[from.top + i];
+        from.stack[from.top + i].setnilvalue();
         to.top++;
     }
 };
@@ -254,19 +311,19 @@ const lua_replace = function(L, idx) {
 */
 
 const lua_pushnil = function(L) {
-    L.stack[L.top] = new TValue(LUA_TNIL, null);
+    L.stack[L.top].setnilvalue();
     api_incr_top(L);
 };
 
 const lua_pushnumber = function(L, n) {
     fengari_argcheck(typeof n === "number");
-    L.stack[L.top] = new TValue(LUA_TNUMFLT, n);
+    L.stack[L.top].setfltvalue(n);
     api_incr_top(L);
 };
 
 const lua_pushinteger = function(L, n) {
-    fengari_argcheckinteger(n);
-    L.stack[L.top] = new TValue(LUA_TNUMINT, n);
+    n = fengari_argcheckluainteger(L, n);
+    L.stack[L.top].setivalue(n);
     api_incr_top(L);
 };
 
@@ -288,7 +345,7 @@ const lua_pushlstring = function(L, s, len) {
 
 const lua_pushstring = function (L, s) {
     if (s === undefined || s === null) {
-        L.stack[L.top] = new TValue(LUA_TNIL, null);
+        L.stack[L.top].setnilvalue();
         L.top++;
     } else {
         let ts = luaS_new(L, from_userstring(s));
@@ -312,7 +369,7 @@ const lua_pushfstring = function (L, fmt, ...argp) {
 /* Similar to lua_pushstring, but takes a JS string */
 const lua_pushliteral = function (L, s) {
     if (s === undefined || s === null) {
-        L.stack[L.top] = new TValue(LUA_TNIL, null);
+        L.stack[L.top].setnilvalue();
         L.top++;
     } else {
         fengari_argcheck(typeof s === "string");
@@ -329,7 +386,7 @@ const lua_pushcclosure = function(L, fn, n) {
     fengari_argcheck(typeof fn === "function");
     fengari_argcheckinteger(n);
     if (n === 0)
-        L.stack[L.top] = new TValue(LUA_TLCF, fn);
+        L.stack[L.top].setfvalue(fn);
     else {
         api_checknelems(L, n);
         api_check(L, n <= lfunc.MAXUPVAL, "upvalue index too large");
@@ -337,7 +394,7 @@ const lua_pushcclosure = function(L, fn, n) {
         for (let i=0; i<n; i++)
             cl.upvalue[i].setfrom(L.stack[L.top - n + i]);
         for (let i=1; i<n; i++)
-            delete L.stack[--L.top];
+            L.stack[--L.top].setnilvalue();
         if (n>0)
             --L.top;
         L.stack[L.top].setclCvalue(cl);
@@ -354,17 +411,17 @@ const lua_pushcfunction = function(L, fn) {
 const lua_pushjsfunction = lua_pushcfunction;
 
 const lua_pushboolean = function(L, b) {
-    L.stack[L.top] = new TValue(LUA_TBOOLEAN, !!b);
+    L.stack[L.top].setbvalue(!!b);
     api_incr_top(L);
 };
 
 const lua_pushlightuserdata = function(L, p) {
-    L.stack[L.top] = new TValue(LUA_TLIGHTUSERDATA, p);
+    L.stack[L.top].setpvalue(p);
     api_incr_top(L);
 };
 
 const lua_pushthread = function(L) {
-    L.stack[L.top] = new TValue(LUA_TTHREAD, L);
+    L.stack[L.top].setthvalue(L);
     api_incr_top(L);
     return L.l_G.mainthread === L;
 };
@@ -387,8 +444,8 @@ const auxsetstr = function(L, t, k) {
     api_check(L, L.top <= L.ci.top, "stack overflow");
     lvm.settable(L, t, L.stack[L.top - 1], L.stack[L.top - 2]);
     /* pop value and key */
-    delete L.stack[--L.top];
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
+    L.stack[--L.top].setnilvalue();
 };
 
 const lua_setglobal = function(L, name) {
@@ -407,9 +464,15 @@ const lua_setmetatable = function(L, objindex) {
     }
 
     switch (obj.ttnov()) {
-        case LUA_TUSERDATA:
         case LUA_TTABLE: {
             obj.value.metatable = mt;
+            ltable.luaH_setmode(L, obj.value, mt ? ltm.fasttm(L, mt, ltm.TMS.TM_MODE) : null);
+            lgc.luaC_checkfinalizer(L, obj.value, mt);
+            break;
+        }
+        case LUA_TUSERDATA: {
+            obj.value.metatable = mt;
+            lgc.luaC_checkfinalizer(L, obj.value, mt);
             break;
         }
         default: {
@@ -418,7 +481,7 @@ const lua_setmetatable = function(L, objindex) {
         }
     }
 
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
     return true;
 };
 
@@ -426,8 +489,8 @@ const lua_settable = function(L, idx) {
     api_checknelems(L, 2);
     let t = index2addr(L, idx);
     lvm.settable(L, t, L.stack[L.top - 2], L.stack[L.top - 1]);
-    delete L.stack[--L.top];
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
+    L.stack[--L.top].setnilvalue();
 };
 
 const lua_setfield = function(L, idx, k) {
@@ -435,15 +498,15 @@ const lua_setfield = function(L, idx, k) {
 };
 
 const lua_seti = function(L, idx, n) {
-    fengari_argcheckinteger(n);
+    n = fengari_argcheckluainteger(L, n);
     api_checknelems(L, 1);
     let t = index2addr(L, idx);
-    L.stack[L.top] = new TValue(LUA_TNUMINT, n);
+    L.stack[L.top].setivalue(n);
     api_incr_top(L);
     lvm.settable(L, t, L.stack[L.top - 1], L.stack[L.top - 2]);
     /* pop value and key */
-    delete L.stack[--L.top];
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
+    L.stack[--L.top].setnilvalue();
 };
 
 const lua_rawset = function(L, idx) {
@@ -454,17 +517,17 @@ const lua_rawset = function(L, idx) {
     let v = L.stack[L.top - 1];
     ltable.luaH_setfrom(L, o.value, k, v);
     ltable.invalidateTMcache(o.value);
-    delete L.stack[--L.top];
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
+    L.stack[--L.top].setnilvalue();
 };
 
 const lua_rawseti = function(L, idx, n) {
-    fengari_argcheckinteger(n);
+    n = fengari_argcheckluainteger(L, n);
     api_checknelems(L, 1);
     let o = index2addr(L, idx);
     api_check(L, o.ttistable(), "table expected");
-    ltable.luaH_setint(o.value, n, L.stack[L.top - 1]);
-    delete L.stack[--L.top];
+    ltable.luaH_setint(L, o.value, n, L.stack[L.top - 1]);
+    L.stack[--L.top].setnilvalue();
 };
 
 const lua_rawsetp = function(L, idx, p) {
@@ -474,7 +537,7 @@ const lua_rawsetp = function(L, idx, p) {
     let k = new TValue(LUA_TLIGHTUSERDATA, p);
     let v = L.stack[L.top - 1];
     ltable.luaH_setfrom(L, o.value, k, v);
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
 };
 
 /*
@@ -491,7 +554,7 @@ const auxgetstr = function(L, t, k) {
 
 const lua_rawgeti = function(L, idx, n) {
     let t = index2addr(L, idx);
-    fengari_argcheckinteger(n);
+    n = fengari_argcheckluainteger(L, n);
     api_check(L, t.ttistable(), "table expected");
     lobject.pushobj2s(L, ltable.luaH_getint(t.value, n));
     api_check(L, L.top <= L.ci.top, "stack overflow");
@@ -516,9 +579,12 @@ const lua_rawget = function(L, idx) {
 
 // narray and nrec are mostly useless for this implementation
 const lua_createtable = function(L, narray, nrec) {
-    let t = new lobject.TValue(LUA_TTABLE, ltable.luaH_new(L));
-    L.stack[L.top] = t;
+    let t = ltable.luaH_new(L);
+    L.stack[L.top].sethvalue(t);
     api_incr_top(L);
+    if (narray > 0 || nrec > 0)
+        ltable.luaH_presize(L, t, narray, nrec);
+    lgc.luaC_checkGC(L);
 };
 
 const luaS_newudata = function(L, size) {
@@ -527,8 +593,9 @@ const luaS_newudata = function(L, size) {
 
 const lua_newuserdata = function(L, size) {
     let u = luaS_newudata(L, size);
-    L.stack[L.top] = new lobject.TValue(LUA_TUSERDATA, u);
+    L.stack[L.top].setuvalue(u);
     api_incr_top(L);
+    lgc.luaC_checkGC(L);
     return u.data;
 };
 
@@ -577,7 +644,7 @@ const lua_setupvalue = function(L, funcindex, n) {
         let name = aux.name;
         let val = aux.val;
         val.setfrom(L.stack[L.top-1]);
-        delete L.stack[--L.top];
+        L.stack[--L.top].setnilvalue();
         return name;
     }
     return null;
@@ -607,7 +674,7 @@ const lua_getmetatable = function(L, objindex) {
     }
 
     if (mt !== null && mt !== undefined) {
-        L.stack[L.top] = new TValue(LUA_TTABLE, mt);
+        L.stack[L.top].sethvalue(mt);
         api_incr_top(L);
         res = true;
     }
@@ -619,7 +686,7 @@ const lua_getuservalue = function(L, idx) {
     let o = index2addr(L, idx);
     api_check(L, o.ttisfulluserdata(), "full userdata expected");
     let uv = o.value.uservalue;
-    L.stack[L.top] = new TValue(uv.type, uv.value);
+    lobject.setobj2s(L, L.top, uv);
     api_incr_top(L);
     return L.stack[L.top - 1].ttnov();
 };
@@ -636,8 +703,8 @@ const lua_getfield = function(L, idx, k) {
 
 const lua_geti = function(L, idx, n) {
     let t = index2addr(L, idx);
-    fengari_argcheckinteger(n);
-    L.stack[L.top] = new TValue(LUA_TNUMINT, n);
+    n = fengari_argcheckluainteger(L, n);
+    L.stack[L.top].setivalue(n);
     api_incr_top(L);
     lvm.luaV_gettable(L, t, L.stack[L.top - 1], L.top - 1);
     return L.stack[L.top - 1].ttnov();
@@ -714,7 +781,7 @@ const lua_tointeger = function(L, idx) {
 };
 
 const lua_tointegerx = function(L, idx) {
-    return lvm.tointeger(index2addr(L, idx));
+    return lvm.tointeger(index2addr(L, idx), L.l_G.int64);
 };
 
 const lua_tonumber = function(L, idx) {
@@ -776,7 +843,9 @@ const lua_isproxy = function(p, L) {
 const create_proxy = function(G, type, value) {
     let proxy = function(L) {
         api_check(L, L instanceof lstate.lua_State && G === L.l_G, "must be from same global state");
-        L.stack[L.top] = new TValue(type, value);
+        let o = L.stack[L.top];
+        o.type = type;
+        o.value = value;
         api_incr_top(L);
     };
     seen.set(proxy, G);
@@ -810,9 +879,9 @@ const lua_compare = function(L, index1, index2, op) {
 
 const lua_stringtonumber = function(L, s) {
     let tv = new TValue();
-    let sz = lobject.luaO_str2num(s, tv);
+    let sz = lobject.luaO_str2num(s, tv, L.l_G.int64);
     if (sz !== 0) {
-        L.stack[L.top] = tv;
+        lobject.setobj2s(L, L.top, tv);
         api_incr_top(L);
     }
     return sz;
@@ -903,7 +972,7 @@ const lua_arith = function(L, op) {
     }
     /* first operand at top - 2, second at top - 1; result go to top - 2 */
     lobject.luaO_arith(L, op, L.stack[L.top - 2], L.stack[L.top - 1], L.stack[L.top - 2]);
-    delete L.stack[--L.top];  /* remove second operand */
+    L.stack[--L.top].setnilvalue();  /* remove second operand */
 };
 
 /*
@@ -929,14 +998,55 @@ const lua_load = function(L, reader, data, chunkname, mode) {
     return status;
 };
 
-const lua_dump = function(L, writer, data, strip) {
+const lua_dump = function(L, writer, data, strip, wide) {
     api_checknelems(L, 1);
     let o = L.stack[L.top -1];
     if (o.ttisLclosure())
-        return luaU_dump(L, o.value.p, writer, data, strip);
+        return luaU_dump(L, o.value.p, writer, data, strip, wide);
     return 1;
 };
 
+/*
+** Compile the Lua function on the top of the stack into a JavaScript
+** module (see 'luaJ_dumpmodule'). Returns an object with the text of the
+** module ('code') and of its source map ('map'), or null if the value is
+** not a Lua function.
+*/
+const lua_dumpjs = function(L, file, source) {
+    api_checknelems(L, 1);
+    let o = L.stack[L.top -1];
+    if (!o.ttisLclosure())
+        return null;
+    let bytecode = "";
+    luaU_dump(L, o.value.p, function(L, b, size) {
+        for (let i = 0; i < size; i++)
+            bytecode += String.fromCharCode(b[i]);
+        return 0;
+    }, null, false);
+    return ljit.luaJ_dumpmodule(L, o.value.p, bytecode, file, source);
+};
+
+/*
+** Load a module written by 'lua_dumpjs' as a Lua function whose code
+** runs compiled
+*/
+const lua_loadjs = function(L, module, chunkname) {
+    let b = new Uint8Array(module.bytecode.length);
+    for (let i = 0; i < b.length; i++)
+        b[i] = module.bytecode.charCodeAt(i);
+    let status = lua_load(L, function() {
+        let r = b;
+        b = null;
+        return r;
+    }, null, chunkname, "b");
+    if (status === LUA_OK && !ljit.luaJ_loadmodule(L, L.stack[L.top - 1].value.p, module)) {
+        lua_pop(L, 1);
+        lua_pushliteral(L, "compiled module does not match the state");
+        status = LUA_ERRSYNTAX;
+    }
+    return status;
+};
+
 const lua_status = function(L) {
     return L.status;
 };
@@ -946,7 +1056,7 @@ const lua_setuservalue = function(L, idx) {
     let o = index2addr(L, idx);
     api_check(L, o.ttisfulluserdata(), "full userdata expected");
     o.value.uservalue.setfrom(L.stack[L.top - 1]);
-    delete L.stack[--L.top];
+    L.stack[--L.top].setnilvalue();
 };
 
 const checkresults = function(L,na,nr) {
@@ -1033,14 +1143,12 @@ const lua_error = function(L) {
 const lua_next = function(L, idx) {
     let t = index2addr(L, idx);
     api_check(L, t.ttistable(), "table expected");
-    L.stack[L.top] = new TValue();
     let more = ltable.luaH_next(L, t.value, L.top - 1);
     if (more) {
         api_incr_top(L);
         return 1;
     } else {
-        delete L.stack[L.top];
-        delete L.stack[--L.top];
+        L.stack[--L.top].setnilvalue();
         return 0;
     }
 };
@@ -1053,13 +1161,14 @@ const lua_concat = function(L, n) {
         lobject.pushsvalue2s(L, luaS_bless(L, to_luastring("", true)));
         api_check(L, L.top <= L.ci.top, "stack overflow");
     }
+    lgc.luaC_checkGC(L);
 };
 
 const lua_len = function(L, idx) {
     let t = index2addr(L, idx);
     let tv = new TValue();
     lvm.luaV_objlen(L, tv, t);
-    L.stack[L.top] = tv;
+    lobject.setobj2s(L, L.top, tv);
     api_incr_top(L);
 };
 
@@ -1101,8 +1210,94 @@ const lua_upvaluejoin = function(L, fidx1, n1, fidx2, n2) {
     ref1.f.upvals[ref1.i] = up2;
 };
 
+/*
+** Garbage-collection function
+** (the 5.4 options LUA_GCGEN and LUA_GCINC take extra arguments)
+*/
+const lua_gc = function(L, what, data, data2, data3) {
+    let res = 0;
+    let g = L.l_G;
+    switch (what) {
+        case LUA_GCSTOP: {
+            g.gcrunning = false;
+            break;
+        }
+        case LUA_GCRESTART: {
+            lstate.luaE_setdebt(g, 0);
+            g.gcrunning = true;
+            break;
+        }
+        case LUA_GCCOLLECT: {
+            lgc.luaC_fullgc(L, 0);
+            break;
+        }
+        case LUA_GCCOUNT: {
+            /* GC values are expressed in Kbytes: #bytes/2^10 */
+            res = Math.floor((g.totalbytes + g.GCdebt) / 1024);
+            break;
+        }
+        case LUA_GCCOUNTB: {
+            res = (g.totalbytes + g.GCdebt) % 1024;
+            break;
+        }
+        case LUA_GCSTEP: {
+            let debt = 1;  /* =1 to signal that it did an actual step */
+            let oldrunning = g.gcrunning;
+            g.gcrunning = true;  /* allow GC to run */
+            if (data === 0) {
+                lstate.luaE_setdebt(g, 0);  /* do a basic step */
+                lgc.luaC_step(L);
+            } else {  /* add 'data' to total debt */
+                debt = data * 1024 + g.GCdebt;
+                lstate.luaE_setdebt(g, debt);
+                lgc.luaC_checkGC(L);
+            }
+            g.gcrunning = oldrunning;  /* restore previous state */
+            if (debt > 0)  /* did a step? (a step is a whole cycle) */
+                res = 1;  /* signal it */
+            break;
+        }
+        case LUA_GCSETPAUSE: {
+            res = g.gcpause;
+            g.gcpause = data;
+            break;
+        }
+        case LUA_GCSETSTEPMUL: {
+            res = g.gcstepmul;
+            if (data < 40) data = 40;  /* avoid ridiculous low values (and 0) */
+            g.gcstepmul = data;
+            break;
+        }
+        case LUA_GCISRUNNING: {
+            res = g.gcrunning ? 1 : 0;
+            break;
+        }
+        case LUA_GCGEN: {
+            let minormul = data|0;
+            let majormul = data2|0;
+            res = g.gckind === lgc.KGC_GEN ? LUA_GCGEN : LUA_GCINC;
+            if (minormul !== 0) g.genminormul = minormul;
+            if (majormul !== 0) g.genmajormul = majormul;
+            lgc.luaC_changemode(L, lgc.KGC_GEN);
+            break;
+        }
+        case LUA_GCINC: {
+            let pause = data|0;
+            let stepmul = data2|0;
+            let stepsize = data3|0;
+            res = g.gckind === lgc.KGC_GEN ? LUA_GCGEN : LUA_GCINC;
+            if (pause !== 0) g.gcpause = pause;
+            if (stepmul !== 0) g.gcstepmul = stepmul;
+            if (stepsize !== 0) g.gcstepsize = stepsize;
+            lgc.luaC_changemode(L, lgc.KGC_INC);
+            break;
+        }
+        default: res = -1;  /* invalid option */
+    }
+    return res;
+};
+
 // This functions are only there for compatibility purposes
-const lua_gc = function () {};
 
 const lua_getallocf = function () {
     console.warn("lua_getallocf is not available");
@@ -1133,6 +1328,7 @@ module.exports.lua_concat            = lua_concat;
 module.exports.lua_copy              = lua_copy;
 module.exports.lua_createtable       = lua_createtable;
 module.exports.lua_dump              = lua_dump;
+module.exports.lua_dumpjs            = lua_dumpjs;
 module.exports.lua_error             = lua_error;
 module.exports.lua_gc                = lua_gc;
 module.exports.lua_getallocf         = lua_getallocf;
@@ -1145,6 +1341,7 @@ module.exports.lua_gettable          = lua_gettable;
 module.exports.lua_gettop            = lua_gettop;
 module.exports.lua_getupvalue        = lua_getupvalue;
 module.exports.lua_getuservalue      = lua_getuservalue;
+module.exports.lua_hasint64          = lua_hasint64;
 module.exports.lua_insert            = lua_insert;
 module.exports.lua_isboolean         = lua_isboolean;
 module.exports.lua_iscfunction       = lua_iscfunction;
@@ -1162,6 +1359,7 @@ module.exports.lua_isthread          = lua_isthread;
 module.exports.lua_isuserdata        = lua_isuserdata;
 module.exports.lua_len               = lua_len;
 module.exports.lua_load              = lua_load;
+module.exports.lua_loadjs            = lua_loadjs;
 module.exports.lua_newtable          = lua_newtable;
 module.exports.lua_newuserdata       = lua_newuserdata;
 module.exports.lua_next              = lua_next;
@@ -1206,6 +1404,7 @@ module.exports.lua_settable          = lua_settable;
 module.exports.lua_settop            = lua_settop;
 module.exports.lua_setupvalue        = lua_setupvalue;
 module.exports.lua_setuservalue      = lua_setuservalue;
+module.exports.lua_setwarnf          = lua_setwarnf;
 module.exports.lua_status            = lua_status;
 module.exports.lua_stringtonumber    = lua_stringtonumber;
 module.exports.lua_toboolean         = lua_toboolean;
@@ -1227,4 +1426,5 @@ module.exports.lua_typename          = lua_typename;
 module.exports.lua_upvalueid         = lua_upvalueid;
 module.exports.lua_upvaluejoin       = lua_upvaluejoin;
 module.exports.lua_version           = lua_version;
+module.exports.lua_warning           = lua_warning;
 module.exports.lua_xmove             = lua_xmove;
@@ -6,6 +6,7 @@ const {
 const {
     LUA_ERRERR,
     LUA_MULTRET,
+    LUA_OK,
     LUA_REGISTRYINDEX,
     LUA_SIGNATURE,
     LUA_TBOOLEAN,
@@ -16,6 +17,7 @@ const {
     LUA_TSTRING,
     LUA_TTABLE,
     LUA_VERSION_NUM,
+    LUA_YIELD,
     lua_Debug,
     lua_absindex,
     lua_atpanic,
@@ -40,6 +42,8 @@ const {
     lua_load,
     lua_newstate,
     lua_newtable,
+    lua_newthread,
+    lua_newuserdata,
     lua_next,
     lua_pcall,
     lua_pop,
@@ -48,9 +52,11 @@ const {
     lua_pushcfunction,
     lua_pushfstring,
     lua_pushinteger,
+    lua_pushlightuserdata,
     lua_pushliteral,
     lua_pushlstring,
     lua_pushnil,
+    lua_pushnumber,
     lua_pushstring,
     lua_pushvalue,
     lua_pushvfstring,
@@ -60,10 +66,14 @@ const {
     lua_rawlen,
     lua_rawseti,
     lua_remove,
+    lua_resume,
+    lua_resumeerror,
     lua_setfield,
     lua_setglobal,
     lua_setmetatable,
     lua_settop,
+    lua_setwarnf,
+    lua_status,
     lua_toboolean,
     lua_tointeger,
     lua_tointegerx,
@@ -76,14 +86,19 @@ const {
     lua_touserdata,
     lua_type,
     lua_typename,
-    lua_version
+    lua_version,
+    lua_xmove
 } = require('./lua.js');
 const {
     from_userstring,
     luastring_eq,
-    to_luastring,
-    to_uristring
+    to_jsstring,
+    to_luastring
 } = require("./fengaricore.js");
+const {
+    NodeFile,
+    default_vfs
+} = require("./lvfs.js");
 
 /* extra error code for 'luaL_loadfilex' */
 const LUA_ERRFILE = LUA_ERRERR+1;
@@ -96,6 +111,9 @@ const LUA_PRELOAD_TABLE = to_luastring("_PRELOAD");
 
 const LUA_FILEHANDLE = to_luastring("FILE*");
 
+/* key, in the registry, for the virtual file system of a state */
+const LUA_VFS_KEY = to_luastring("_VFS");
+
 const LUAL_NUMSIZES  = 4*16 + 8;
 
 const __name = to_luastring("__name");
@@ -385,9 +403,12 @@ const tag_error = function(L, arg, tag) {
     typeerror(L, arg, lua_typename(L, tag));
 };
 
-const luaL_newstate = function() {
-    let L = lua_newstate();
-    if (L) lua_atpanic(L, panic);
+const luaL_newstate = function(options) {
+    let L = lua_newstate(options);
+    if (L) {
+        lua_atpanic(L, panic);
+        lua_setwarnf(L, warnfoff, L);  /* default is warnings off */
+    }
     return L;
 };
 
@@ -459,6 +480,10 @@ const luaL_prepbuffsize = function(B, sz) {
     let newend = B.n + sz;
     if (B.b.length < newend) {
         let newsize = Math.max(B.b.length * 2, newend);  /* double buffer size */
+        /* count the new buffer as a userdata (which holds the buffer in
+           the reference implementation); this also checks memory limits */
+        lua_newuserdata(B.L, newsize);
+        lua_pop(B.L, 1);
         let newbuff = new Uint8Array(newsize);  /* create larger buffer */
         newbuff.set(B.b);  /* copy original content */
         B.b = newbuff;
@@ -775,7 +800,48 @@ const errfile = function(L, what, fnameindex, error) {
     return LUA_ERRFILE;
 };
 
-let getc;
+class LoadF {
+    constructor() {
+        this.n = NaN;  /* number of pre-read characters */
+        this.f = null;  /* file being read */
+        this.buff = new Uint8Array(1024);  /* area for reading file */
+        this.pos = 0;  /* current position in file */
+        this.err = void 0;
+    }
+}
+
+const getF = function(L, ud) {
+    let lf = ud;
+    let bytes = 0;
+    if (lf.n > 0) {  /* are there pre-read characters to be read? */
+        bytes = lf.n; /* return them (chars already in buffer) */
+        lf.n = 0;  /* no more pre-read characters */
+    } else {  /* read a block from file */
+        try {
+            bytes = lf.f.read(lf.buff, 0, lf.buff.length, lf.pos); /* read block */
+        } catch(e) {
+            lf.err = e;
+            bytes = 0;
+        }
+        lf.pos += bytes;
+    }
+    if (bytes > 0)
+        return lf.buff.subarray(0, bytes);
+    else return null;
+};
+
+const getc = function(lf) {
+    let b = new Uint8Array(1);
+    let bytes;
+    try {
+        bytes = lf.f.read(b, 0, 1, lf.pos);
+    } catch(e) {
+        lf.err = e;
+        return null;
+    }
+    lf.pos += bytes;
+    return bytes > 0 ? b[0] : null;
+};
 
 const utf8_bom = [0XEF, 0XBB, 0XBF];  /* UTF-8 BOM mark */
 const skipBOM = function(lf) {
@@ -818,192 +884,318 @@ const skipcomment = function(lf) {
     }
 };
 
-let luaL_loadfilex;
-
-if (typeof process === "undefined") {
-    class LoadF {
-        constructor() {
-            this.n = NaN;  /* number of pre-read characters */
-            this.f = null;  /* file being read */
-            this.buff = new Uint8Array(1024);  /* area for reading file */
-            this.pos = 0;  /* current position in file */
-            this.err = void 0;
+const luaL_loadfilex = function(L, filename, mode) {
+    let lf = new LoadF();
+    let fnameindex = lua_gettop(L) + 1;  /* index of filename on the stack */
+    if (filename === null) {
+        if (NodeFile === void 0)
+            throw new Error("Can't read stdin in the browser");
+        lua_pushliteral(L, "=stdin");
+        lf.f = new NodeFile(process.stdin.fd);
+    } else {
+        lua_pushfstring(L, to_luastring("@%s"), filename);
+        try {
+            lf.f = luaL_getvfs(L).open(filename, "r");
+        } catch (e) {
+            return errfile(L, "open", fnameindex, e);
         }
     }
+    let com = skipcomment(lf);
+    /* check for signature first, as we don't want to add line number corrections in binary case */
+    if (com.c === LUA_SIGNATURE[0] && filename) {  /* binary file? */
+        /* no need to re-open */
+    } else if (com.skipped) { /* read initial portion */
+        lf.buff[lf.n++] = 10 /* '\n'.charCodeAt(0) */;  /* add line to correct line numbers */
+    }
+    if (com.c !== null)
+        lf.buff[lf.n++] = com.c; /* 'c' is the first character of the stream */
+    let status = lua_load(L, getF, lf, lua_tostring(L, -1), mode);
+    let readstatus = lf.err;
+    if (filename) try { lf.f.close(); } catch(e) {}  /* close file (even in case of errors) */
+    if (readstatus) {
+        lua_settop(L, fnameindex);  /* ignore results from 'lua_load' */
+        return errfile(L, "read", fnameindex, readstatus);
+    }
+    lua_remove(L, fnameindex);
+    return status;
+};
 
-    const getF = function(L, ud) {
-        let lf = ud;
-
-        if (lf.f !== null && lf.n > 0) {  /* are there pre-read characters to be read? */
-            let bytes = lf.n; /* return them (chars already in buffer) */
-            lf.n = 0;  /* no more pre-read characters */
-            lf.f = lf.f.subarray(lf.pos);  /* we won't use lf.buff anymore */
-            return lf.buff.subarray(0, bytes);
-        }
-
-        let f = lf.f;
-        lf.f = null;
-        return f;
-    };
+const luaL_loadfile = function(L, filename) {
+    return luaL_loadfilex(L, filename, null);
+};
 
-    getc = function(lf) {
-        return lf.pos < lf.f.length ? lf.f[lf.pos++] : null;
-    };
+const luaL_dofile = function(L, filename) {
+    return (luaL_loadfile(L, filename) || lua_pcall(L, 0, LUA_MULTRET, 0));
+};
 
-    luaL_loadfilex = function(L, filename, mode) {
-        let lf = new LoadF();
-        let fnameindex = lua_gettop(L) + 1;  /* index of filename on the stack */
-        if (filename === null) {
-            throw new Error("Can't read stdin in the browser");
-        } else {
-            lua_pushfstring(L, to_luastring("@%s"), filename);
-            let path = to_uristring(filename);
-            let xhr = new XMLHttpRequest();
-            xhr.open("GET", path, false);
-            /*
-            Synchronous xhr in main thread always returns a js string.
-            Some browsers make console noise if you even attempt to set responseType
-            */
-            if (typeof window === "undefined") {
-                xhr.responseType = "arraybuffer";
-            }
-            xhr.send();
-            if (xhr.status >= 200 && xhr.status <= 299) {
-                if (typeof xhr.response === "string") {
-                    lf.f = to_luastring(xhr.response);
-                } else {
-                    lf.f = new Uint8Array(xhr.response);
-                }
-            } else {
-                lf.err = xhr.status;
-                return errfile(L, "open", fnameindex, { message: `${xhr.status}: ${xhr.statusText}` });
+/*
+** Default output sinks. In the browser, output is collected until the end
+** of a line and then passed to 'console.log' (or 'console.error'); the
+** 'flush' method of the sink passes an unfinished line.
+*/
+let default_stdout, default_stderr, default_warn;
+if (typeof process === "undefined") {
+    const console_sink = function(log) {
+        let buff = [];
+        let sink = function(s) {
+            for (let i = 0; i < s.length; i++) {
+                if (s[i] === 10 /* '\n'.charCodeAt(0) */) {
+                    log(to_jsstring(Uint8Array.from(buff), void 0, void 0, true));
+                    buff = [];
+                } else
+                    buff.push(s[i]);
             }
-        }
-        let com = skipcomment(lf);
-        /* check for signature first, as we don't want to add line number corrections in binary case */
-        if (com.c === LUA_SIGNATURE[0] && filename) {  /* binary file? */
-            /* no need to re-open */
-        } else if (com.skipped) { /* read initial portion */
-            lf.buff[lf.n++] = 10 /* '\n'.charCodeAt(0) */;  /* add line to correct line numbers */
-        }
-        if (com.c !== null)
-            lf.buff[lf.n++] = com.c; /* 'c' is the first character of the stream */
-        let status = lua_load(L, getF, lf, lua_tostring(L, -1), mode);
-        let readstatus = lf.err;
-        if (readstatus) {
-            lua_settop(L, fnameindex);  /* ignore results from 'lua_load' */
-            return errfile(L, "read", fnameindex, readstatus);
-        }
-        lua_remove(L, fnameindex);
-        return status;
+        };
+        sink.flush = function() {
+            if (buff.length > 0)
+                sink(to_luastring("\n", true));
+        };
+        return sink;
     };
+    default_stdout = console_sink((s) => console.log(s));
+    default_stderr = console_sink((s) => console.error(s));
+    default_warn = console_sink((s) => console.warn(s));
 } else {
-    const fs = require('fs');
-
-    class LoadF {
-        constructor() {
-            this.n = NaN;  /* number of pre-read characters */
-            this.f = null;  /* file being read */
-            this.buff = Buffer.alloc(1024);  /* area for reading file */
-            this.pos = 0;  /* current position in file */
-            this.err = void 0;
-        }
-    }
-
-    const getF = function(L, ud) {
-        let lf = ud;
-        let bytes = 0;
-        if (lf.n > 0) {  /* are there pre-read characters to be read? */
-            bytes = lf.n; /* return them (chars already in buffer) */
-            lf.n = 0;  /* no more pre-read characters */
-        } else {  /* read a block from file */
-            try {
-                bytes = fs.readSync(lf.f, lf.buff, 0, lf.buff.length, lf.pos); /* read block */
-            } catch(e) {
-                lf.err = e;
-                bytes = 0;
-            }
-            lf.pos += bytes;
-        }
-        if (bytes > 0)
-            return lf.buff.subarray(0, bytes);
-        else return null;
+    default_stdout = function(s) {
+        process.stdout.write(Buffer.from(s));
     };
-
-    getc = function(lf) {
-        let b = Buffer.alloc(1);
-        let bytes;
-        try {
-            bytes = fs.readSync(lf.f, b, 0, 1, lf.pos);
-        } catch(e) {
-            lf.err = e;
-            return null;
-        }
-        lf.pos += bytes;
-        return bytes > 0 ? b.readUInt8() : null;
-    };
-
-    luaL_loadfilex = function(L, filename, mode) {
-        let lf = new LoadF();
-        let fnameindex = lua_gettop(L) + 1;  /* index of filename on the stack */
-        if (filename === null) {
-            lua_pushliteral(L, "=stdin");
-            lf.f = process.stdin.fd;
-        } else {
-            lua_pushfstring(L, to_luastring("@%s"), filename);
-            try {
-                lf.f = fs.openSync(filename, "r");
-            } catch (e) {
-                return errfile(L, "open", fnameindex, e);
-            }
-        }
-        let com = skipcomment(lf);
-        /* check for signature first, as we don't want to add line number corrections in binary case */
-        if (com.c === LUA_SIGNATURE[0] && filename) {  /* binary file? */
-            /* no need to re-open */
-        } else if (com.skipped) { /* read initial portion */
-            lf.buff[lf.n++] = 10 /* '\n'.charCodeAt(0) */;  /* add line to correct line numbers */
-        }
-        if (com.c !== null)
-            lf.buff[lf.n++] = com.c; /* 'c' is the first character of the stream */
-        let status = lua_load(L, getF, lf, lua_tostring(L, -1), mode);
-        let readstatus = lf.err;
-        if (filename) try { fs.closeSync(lf.f); } catch(e) {}  /* close file (even in case of errors) */
-        if (readstatus) {
-            lua_settop(L, fnameindex);  /* ignore results from 'lua_load' */
-            return errfile(L, "read", fnameindex, readstatus);
-        }
-        lua_remove(L, fnameindex);
-        return status;
+    default_stderr = function(s) {
+        process.stderr.write(Buffer.from(s));
     };
+    default_warn = default_stderr;
 }
 
-const luaL_loadfile = function(L, filename) {
-    return luaL_loadfilex(L, filename, null);
+/* key, in the registry, for the output sinks of a state */
+const LUA_OUTPUT_KEY = to_luastring("_OUTPUT");
+
+/* flush the sinks that have a 'flush' method when the state is closed */
+const output_gc = function(L) {
+    let o = lua_touserdata(L, 1);
+    let sinks = [o.stdout, o.stderr];
+    if (o.stderr === default_stderr)  /* warnings may go to their own sink */
+        sinks.push(default_warn);
+    for (let i = 0; i < sinks.length; i++) {
+        if (typeof sinks[i].flush === "function")
+            sinks[i].flush();
+    }
+    return 0;
 };
 
-const luaL_dofile = function(L, filename) {
-    return (luaL_loadfile(L, filename) || lua_pcall(L, 0, LUA_MULTRET, 0));
+/*
+** Returns the output sinks used by 'L': an object whose fields 'stdout'
+** and 'stderr' are functions receiving the bytes (a Uint8Array) to
+** write. 'print', 'io.write' and error reports go through them.
+*/
+const luaL_getoutput = function(L) {
+    lua_getfield(L, LUA_REGISTRYINDEX, LUA_OUTPUT_KEY);
+    let o = lua_touserdata(L, -1);
+    lua_pop(L, 1);
+    if (o === null) {  /* first use? */
+        o = lua_newuserdata(L, 0);  /* a userdata, to be finalized by 'lua_close' */
+        o.stdout = default_stdout;
+        o.stderr = default_stderr;
+        lua_createtable(L, 0, 1);
+        lua_pushcfunction(L, output_gc);
+        lua_setfield(L, -2, to_luastring("__gc", true));
+        lua_setmetatable(L, -2);
+        lua_setfield(L, LUA_REGISTRYINDEX, LUA_OUTPUT_KEY);
+    }
+    return o;
 };
 
+/* sets the output sinks used by 'L'; 'null' restores a default sink */
+const luaL_setoutput = function(L, stdout, stderr) {
+    let o = luaL_getoutput(L);
+    o.stdout = stdout !== null ? stdout : default_stdout;
+    o.stderr = stderr !== null ? stderr : default_stderr;
+};
+
+/*
+** As in the reference implementation, this gets no state: it writes to
+** the default 'stderr' sink, not to the one of a state.
+*/
 const lua_writestringerror = function() {
-    for (let i=0; i<arguments.length; i++) {
-        let a = arguments[i];
-        if (typeof process === "undefined") {
-            /* split along new lines for separate console.error invocations */
-            do {
-                /* regexp uses [\d\D] to work around matching new lines
-                   the 's' flag is non-standard */
-                let r = /([^\n]*)\n?([\d\D]*)/.exec(a);
-                console.error(r[1]);
-                a = r[2];
-            } while (a !== "");
-        } else {
-            process.stderr.write(a);
-        }
+    for (let i=0; i<arguments.length; i++)
+        default_stderr(to_luastring(arguments[i]));
+};
+
+/*
+** {======================================================
+** Warning functions (Lua 5.4): warnings go to the 'stderr' sink of the
+** state (to 'console.warn' in the browser, unless redirected)
+** warnfoff: warning system is off
+** warnfon: ready to start a new message
+** warnfcont: previous message is to be continued
+** =======================================================
+*/
+
+const writewarning = function(L, s) {
+    let stderr = luaL_getoutput(L).stderr;
+    (stderr === default_stderr ? default_warn : stderr)(s);
+};
+
+/*
+** Check whether message is a control message. If so, execute the
+** control or ignore it if unknown.
+*/
+const checkcontrol = function(L, message, tocont) {
+    if (tocont || message[0] !== 64 /* '@'.charCodeAt(0) */)
+        return false;  /* not a control message */
+    else {
+        if (luastring_eq(message, to_luastring("@off", true)))
+            lua_setwarnf(L, warnfoff, L);
+        else if (luastring_eq(message, to_luastring("@on", true)))
+            lua_setwarnf(L, warnfon, L);
+        return true;  /* it was a control message */
+    }
+};
+
+const warnfoff = function(L, message, tocont) {
+    checkcontrol(L, message, tocont);
+};
+
+/*
+** Writes the message and handle 'tocont', finishing the message
+** if needed and setting the next warn function.
+*/
+const warnfcont = function(L, message, tocont) {
+    writewarning(L, message);  /* write message */
+    if (tocont)  /* not the last part? */
+        lua_setwarnf(L, warnfcont, L);  /* to be continued */
+    else {  /* last part */
+        writewarning(L, to_luastring("\n", true));  /* finish message with end-of-line */
+        lua_setwarnf(L, warnfon, L);  /* next call is a new message */
     }
 };
 
+const warnfon = function(L, message, tocont) {
+    if (checkcontrol(L, message, tocont))  /* control message? */
+        return;  /* nothing else to be done */
+    writewarning(L, to_luastring("Lua warning: ", true));  /* start a new warning */
+    warnfcont(L, message, tocont);  /* finish processing */
+};
+
+/* }====================================================== */
+
+/*
+** Returns the virtual file system used by 'L' (see lvfs.js); states
+** without one use the host file system (node's 'fs' module or XHR).
+*/
+const luaL_getvfs = function(L) {
+    lua_getfield(L, LUA_REGISTRYINDEX, LUA_VFS_KEY);
+    let vfs = lua_touserdata(L, -1);
+    lua_pop(L, 1);
+    return vfs !== null ? vfs : default_vfs;
+};
+
+/* sets the virtual file system used by 'L'; 'null' restores the default */
+const luaL_setvfs = function(L, vfs) {
+    if (vfs === null)
+        lua_pushnil(L);
+    else
+        lua_pushlightuserdata(L, vfs);
+    lua_setfield(L, LUA_REGISTRYINDEX, LUA_VFS_KEY);
+};
+
+/*
+** Pushes a JS value: strings are converted to Lua strings and objects
+** are pushed as light userdata.
+*/
+const pushjsvalue = function(L, v) {
+    switch (typeof v) {
+        case "undefined":
+            lua_pushnil(L);
+            break;
+        case "boolean":
+            lua_pushboolean(L, v);
+            break;
+        case "number":
+            if ((v|0) === v)
+                lua_pushinteger(L, v);
+            else
+                lua_pushnumber(L, v);
+            break;
+        case "string":
+            lua_pushstring(L, to_luastring(v));
+            break;
+        default:
+            if (v === null)
+                lua_pushnil(L);
+            else
+                lua_pushlightuserdata(L, v);
+    }
+};
+
+/* returns the value at 'idx' if it is a thenable (e.g. a Promise), or null */
+const tothenable = function(L, idx) {
+    if (lua_type(L, idx) !== LUA_TLIGHTUSERDATA)
+        return null;
+    let p = lua_touserdata(L, idx);
+    return (p !== null && typeof p.then === "function") ? p : null;
+};
+
+/*
+** Calls the function below 'nargs' arguments at the top of the stack,
+** as 'lua_pcall' does, but in a new coroutine that may wait for JS
+** promises: when the coroutine yields a thenable (as a light userdata),
+** it is resumed when the thenable settles, with its value, or raising
+** the reason of its rejection as an error where it yielded. Other yields
+** let other JS tasks run: the coroutine is then resumed with no values.
+** Returns a Promise of the status of the call; when it settles, the
+** results (adjusted to 'nresults') or the error object are pushed onto
+** the stack. The error object of a JS exception that is not a Lua error
+** is nil.
+*/
+const luaL_pcallasync = function(L, nargs, nresults) {
+    let co = lua_newthread(L);
+    lua_insert(L, -(nargs + 2));  /* put it below the function and its arguments */
+    lua_xmove(L, co, nargs + 1);  /* move function and arguments to the coroutine */
+    let ref = luaL_ref(L, LUA_REGISTRYINDEX);  /* anchor the coroutine */
+    return new Promise(function(resolve, reject) {
+        const finish = function(status) {
+            if (status === LUA_OK) {
+                if (nresults !== LUA_MULTRET)
+                    lua_settop(co, nresults);
+                let n = lua_gettop(co);
+                lua_checkstack(L, n);
+                lua_xmove(co, L, n);  /* move results */
+            } else if (lua_status(co) !== status)  /* JS error? */
+                lua_pushnil(L);  /* 'lua_resume' pushed no error object */
+            else
+                lua_xmove(co, L, 1);  /* move error message */
+            luaL_unref(L, LUA_REGISTRYINDEX, ref);
+            resolve(status);
+        };
+        const step = function(resumef) {
+            try {
+                let status = resumef();
+                if (status !== LUA_YIELD)
+                    return finish(status);
+                let p = lua_gettop(co) === 1 ? tothenable(co, 1) : null;
+                lua_settop(co, 0);  /* discard yielded values */
+                if (p !== null) {
+                    Promise.resolve(p).then(function(v) {
+                        step(function() {
+                            pushjsvalue(co, v);
+                            return lua_resume(co, null, 1);
+                        });
+                    }, function(e) {
+                        step(function() {
+                            pushjsvalue(co, e);
+                            return lua_resumeerror(co, null);
+                        });
+                    });
+                } else
+                    setTimeout(() => step(() => lua_resume(co, null, 0)), 0);
+            } catch (e) {  /* settle the promise whatever happens */
+                luaL_unref(L, LUA_REGISTRYINDEX, ref);
+                reject(e);
+            }
+        };
+        step(() => lua_resume(co, null, nargs));
+    });
+};
+
 const luaL_checkversion_ = function(L, ver, sz) {
     let v = lua_version(L);
     if (sz != LUAL_NUMSIZES)  /* check numeric types */
@@ -1054,7 +1246,9 @@ module.exports.luaL_execresult      = luaL_execresult;
 module.exports.luaL_fileresult      = luaL_fileresult;
 module.exports.luaL_getmetafield    = luaL_getmetafield;
 module.exports.luaL_getmetatable    = luaL_getmetatable;
+module.exports.luaL_getoutput       = luaL_getoutput;
 module.exports.luaL_getsubtable     = luaL_getsubtable;
+module.exports.luaL_getvfs          = luaL_getvfs;
 module.exports.luaL_gsub            = luaL_gsub;
 module.exports.luaL_len             = luaL_len;
 module.exports.luaL_loadbuffer      = luaL_loadbuffer;
@@ -1071,6 +1265,7 @@ module.exports.luaL_optinteger      = luaL_optinteger;
 module.exports.luaL_optlstring      = luaL_optlstring;
 module.exports.luaL_optnumber       = luaL_optnumber;
 module.exports.luaL_optstring       = luaL_optstring;
+module.exports.luaL_pcallasync      = luaL_pcallasync;
 module.exports.luaL_prepbuffer      = luaL_prepbuffer;
 module.exports.luaL_prepbuffsize    = luaL_prepbuffsize;
 module.exports.luaL_pushresult      = luaL_pushresult;
@@ -1079,6 +1274,8 @@ module.exports.luaL_ref             = luaL_ref;
 module.exports.luaL_requiref        = luaL_requiref;
 module.exports.luaL_setfuncs        = luaL_setfuncs;
 module.exports.luaL_setmetatable    = luaL_setmetatable;
+module.exports.luaL_setoutput       = luaL_setoutput;
+module.exports.luaL_setvfs          = luaL_setvfs;
 module.exports.luaL_testudata       = luaL_testudata;
 module.exports.luaL_tolstring       = luaL_tolstring;
 module.exports.luaL_traceback       = luaL_traceback;
@@ -1,6 +1,19 @@
 "use strict";
 
+/* global BigInt */
+
 const {
+    LUA_GCCOLLECT,
+    LUA_GCCOUNT,
+    LUA_GCCOUNTB,
+    LUA_GCGEN,
+    LUA_GCINC,
+    LUA_GCISRUNNING,
+    LUA_GCRESTART,
+    LUA_GCSETPAUSE,
+    LUA_GCSETSTEPMUL,
+    LUA_GCSTEP,
+    LUA_GCSTOP,
     LUA_MULTRET,
     LUA_OK,
     LUA_TFUNCTION,
@@ -15,10 +28,12 @@ const {
     lua_callk,
     lua_concat,
     lua_error,
+    lua_gc,
     lua_getglobal,
     lua_geti,
     lua_getmetatable,
     lua_gettop,
+    lua_hasint64,
     lua_insert,
     lua_isnil,
     lua_isnone,
@@ -33,6 +48,7 @@ const {
     lua_pushinteger,
     lua_pushliteral,
     lua_pushnil,
+    lua_pushnumber,
     lua_pushstring,
     lua_pushvalue,
     lua_rawequal,
@@ -51,7 +67,8 @@ const {
     lua_tolstring,
     lua_tostring,
     lua_type,
-    lua_typename
+    lua_typename,
+    lua_warning
 } = require('./lua.js');
 const {
     luaL_argcheck,
@@ -59,9 +76,11 @@ const {
     luaL_checkinteger,
     luaL_checkoption,
     luaL_checkstack,
+    luaL_checkstring,
     luaL_checktype,
     luaL_error,
     luaL_getmetafield,
+    luaL_getoutput,
     luaL_loadbufferx,
     luaL_loadfile,
     luaL_loadfilex,
@@ -76,48 +95,14 @@ const {
     to_luastring
 } = require("./fengaricore.js");
 
-let lua_writestring;
-let lua_writeline;
-if (typeof process === "undefined") {
-    if (typeof TextDecoder === "function") { /* Older browsers don't have TextDecoder */
-        let buff = "";
-        let decoder = new TextDecoder("utf-8");
-        lua_writestring = function(s) {
-            buff += decoder.decode(s, {stream: true});
-        };
-        let empty = new Uint8Array(0);
-        lua_writeline = function() {
-            buff += decoder.decode(empty);
-            console.log(buff);
-            buff = "";
-        };
-    } else {
-        let buff = [];
-        lua_writestring = function(s) {
-            try {
-                /* If the string is valid utf8, then we can use to_jsstring */
-                s = to_jsstring(s);
-            } catch(e) {
-                /* otherwise push copy of raw array */
-                let copy = new Uint8Array(s.length);
-                copy.set(s);
-                s = copy;
-            }
-            buff.push(s);
-        };
-        lua_writeline = function() {
-            console.log.apply(console.log, buff);
-            buff = [];
-        };
-    }
-} else {
-    lua_writestring = function(s) {
-        process.stdout.write(Buffer.from(s));
-    };
-    lua_writeline = function() {
-        process.stdout.write("\n");
-    };
-}
+const lua_writestring = function(L, s) {
+    luaL_getoutput(L).stdout(s);
+};
+
+const lua_writeline = function(L) {
+    lua_writestring(L, to_luastring("\n"));
+};
+
 const luaB_print = function(L) {
     let n = lua_gettop(L); /* number of arguments */
     lua_getglobal(L, to_luastring("tostring", true));
@@ -128,11 +113,22 @@ const luaB_print = function(L) {
         let s = lua_tolstring(L, -1);
         if (s === null)
             return luaL_error(L, to_luastring("'tostring' must return a string to 'print'"));
-        if (i > 1) lua_writestring(to_luastring("\t"));
-        lua_writestring(s);
+        if (i > 1) lua_writestring(L, to_luastring("\t"));
+        lua_writestring(L, s);
         lua_pop(L, 1);
     }
-    lua_writeline();
+    lua_writeline(L);
+    return 0;
+};
+
+const luaB_warn = function(L) {
+    let n = lua_gettop(L);  /* number of arguments */
+    luaL_checkstring(L, 1);  /* at least one argument */
+    for (let i = 2; i <= n; i++)
+        luaL_checkstring(L, i);  /* make sure all arguments are strings */
+    for (let i = 1; i < n; i++)  /* compose warning */
+        lua_warning(L, lua_tostring(L, i), 1);
+    lua_warning(L, lua_tostring(L, n), 0);  /* close warning */
     return 0;
 };
 
@@ -198,12 +194,51 @@ const luaB_rawset = function(L) {
 const opts = [
     "stop", "restart", "collect",
     "count", "step", "setpause", "setstepmul",
-    "isrunning"
+    "isrunning", "generational", "incremental"
 ].map((e) => to_luastring(e));
+const optsnum = [
+    LUA_GCSTOP, LUA_GCRESTART, LUA_GCCOLLECT,
+    LUA_GCCOUNT, LUA_GCSTEP, LUA_GCSETPAUSE, LUA_GCSETSTEPMUL,
+    LUA_GCISRUNNING, LUA_GCGEN, LUA_GCINC
+];
+
+const pushmode = function(L, oldmode) {
+    lua_pushliteral(L, (oldmode === LUA_GCINC) ? "incremental" : "generational");
+    return 1;
+};
+
 const luaB_collectgarbage = function(L) {
-    luaL_checkoption(L, 1, "collect", opts);
-    luaL_optinteger(L, 2, 0);
-    luaL_error(L, to_luastring("lua_gc not implemented"));
+    let o = optsnum[luaL_checkoption(L, 1, "collect", opts)];
+    switch (o) {
+        case LUA_GCGEN: {
+            let minormul = luaL_optinteger(L, 2, 0);
+            let majormul = luaL_optinteger(L, 3, 0);
+            return pushmode(L, lua_gc(L, o, minormul, majormul));
+        }
+        case LUA_GCINC: {
+            let pause = luaL_optinteger(L, 2, 0);
+            let stepmul = luaL_optinteger(L, 3, 0);
+            let stepsize = luaL_optinteger(L, 4, 0);
+            return pushmode(L, lua_gc(L, o, pause, stepmul, stepsize));
+        }
+    }
+    let ex = luaL_optinteger(L, 2, 0);
+    let res = lua_gc(L, o, ex);
+    switch (o) {
+        case LUA_GCCOUNT: {
+            let b = lua_gc(L, LUA_GCCOUNTB, 0);
+            lua_pushnumber(L, res + (b/1024));
+            return 1;
+        }
+        case LUA_GCSTEP: case LUA_GCISRUNNING: {
+            lua_pushboolean(L, res);
+            return 1;
+        }
+        default: {
+            lua_pushinteger(L, res);
+            return 1;
+        }
+    }
 };
 
 const luaB_type = function(L) {
@@ -266,7 +301,7 @@ const luaB_ipairs = function(L) {
     return 3;
 };
 
-const b_str2int = function(s, base) {
+const b_str2int = function(s, base, int64) {
     try {
         s = to_jsstring(s);
     } catch (e) {
@@ -274,6 +309,15 @@ const b_str2int = function(s, base) {
     }
     let r = /^[\t\v\f \n\r]*([+-]?)0*([0-9A-Za-z]+)[\t\v\f \n\r]*$/.exec(s);
     if (!r) return null;
+    if (int64) {  /* accumulate in a BigInt, which 'lua_pushinteger' wraps around */
+        let v = BigInt(0);
+        for (let c of r[2]) {
+            let d = parseInt(c, base);
+            if (isNaN(d)) return null;
+            v = v * BigInt(base) + BigInt(d);
+        }
+        return r[1] === "-" ? -v : v;
+    }
     let v = parseInt(r[1]+r[2], base);
     if (isNaN(v)) return null;
     return v|0;
@@ -295,7 +339,7 @@ const luaB_tonumber = function(L) {
         luaL_checktype(L, 1, LUA_TSTRING);  /* no numbers as strings */
         let s = lua_tostring(L, 1);
         luaL_argcheck(L, 2 <= base && base <= 36, 2, "base out of range");
-        let n = b_str2int(s, base);
+        let n = b_str2int(s, base, lua_hasint64(L));
         if (n !== null) {
             lua_pushinteger(L, n);
             return 1;
@@ -335,7 +379,7 @@ const luaB_select = function(L) {
         lua_pushinteger(L, n - 1);
         return 1;
     } else {
-        let i = luaL_checkinteger(L, 1);
+        let i = Number(luaL_checkinteger(L, 1));  /* a 64-bit integer may be a BigInt */
         if (i < 0) i = n + i;
         else if (i > n) i = n;
         luaL_argcheck(L, 1 <= i, 1, "index out of range");
@@ -483,6 +527,7 @@ const base_funcs = {
     "tonumber":       luaB_tonumber,
     "tostring":       luaB_tostring,
     "type":           luaB_type,
+    "warn":           luaB_warn,
     "xpcall":         luaB_xpcall
 };
 
@@ -16,7 +16,6 @@ const {
     constant_types: {
         LUA_TBOOLEAN,
         LUA_TLIGHTUSERDATA,
-        LUA_TLNGSTR,
         LUA_TNIL,
         LUA_TNUMFLT,
         LUA_TNUMINT,
@@ -104,6 +103,62 @@ const tonumeral = function(e, make_tvalue) {
     }
 };
 
+/*
+** If expression is a constant (nil, a boolean, a number, a string or a
+** compile-time constant) without jumps, returns its value in a TValue.
+** Otherwise, returns false.
+*/
+const luaK_exp2const = function(fs, e) {
+    let ek = lparser.expkind;
+    if (hasjumps(e))
+        return false;  /* not a constant */
+    switch (e.k) {
+        case ek.VFALSE:
+            return new TValue(LUA_TBOOLEAN, false);
+        case ek.VTRUE:
+            return new TValue(LUA_TBOOLEAN, true);
+        case ek.VNIL:
+            return new TValue(LUA_TNIL, null);
+        case ek.VK: {  /* only strings are in 'k' while parsing an expression */
+            let k = fs.f.k[e.u.info];
+            return k.ttisstring() ? k : false;
+        }
+        case ek.VCONST:
+            return fs.ls.dyd.ctc.arr[e.u.info].k;
+        default:
+            return tonumeral(e, true);
+    }
+};
+
+/*
+** Turn a compile-time constant into the expression of its value, as
+** if it had been written as a literal.
+*/
+const const2exp = function(fs, e) {
+    let ek = lparser.expkind;
+    let v = fs.ls.dyd.ctc.arr[e.u.info].k;
+    switch (v.type) {
+        case LUA_TNUMINT:
+            e.k = ek.VKINT;
+            e.u.ival = v.value;
+            break;
+        case LUA_TNUMFLT:
+            e.k = ek.VKFLT;
+            e.u.nval = v.value;
+            break;
+        case LUA_TBOOLEAN:
+            e.k = v.value ? ek.VTRUE : ek.VFALSE;
+            break;
+        case LUA_TNIL:
+            e.k = ek.VNIL;
+            break;
+        default:  /* a string */
+            e.k = ek.VK;
+            e.u.info = luaK_stringK(fs, v.tsvalue());
+            break;
+    }
+};
+
 /*
 ** Create a OP_LOADNIL instruction, but try to optimize: if the previous
 ** instruction is also OP_LOADNIL and ranges are compatible, adjust
@@ -115,15 +170,15 @@ const luaK_nil = function(fs, from, n) {
     let l = from + n - 1;  /* last register to set nil */
     if (fs.pc > fs.lasttarget) {  /* no jumps to current position? */
         previous = fs.f.code[fs.pc-1];
-        if (previous.opcode === OpCodesI.OP_LOADNIL) {  /* previous is LOADNIL? */
-            let pfrom = previous.A;  /* get previous range */
-            let pl = pfrom + previous.B;
+        if (lopcodes.GET_OPCODE(previous) === OpCodesI.OP_LOADNIL) {  /* previous is LOADNIL? */
+            let pfrom = lopcodes.GETARG_A(previous);  /* get previous range */
+            let pl = pfrom + lopcodes.GETARG_B(previous);
             if ((pfrom <= from && from <= pl + 1) ||
                     (from <= pfrom && pfrom <= l + 1)) {  /* can connect both? */
                 if (pfrom < from) from = pfrom;  /* from = min(from, pfrom) */
                 if (pl > l) l = pl;  /* l = max(l, pl) */
-                lopcodes.SETARG_A(previous, from);
-                lopcodes.SETARG_B(previous, l - from);
+                previous = lopcodes.SETARG_A(previous, from);
+                fs.f.code[fs.pc-1] = lopcodes.SETARG_B(previous, l - from);
                 return;
             }
         }  /* else go through */
@@ -135,12 +190,17 @@ const getinstruction = function(fs, e) {
     return fs.f.code[e.u.info];
 };
 
+/* replace the instruction of expression 'e' */
+const setinstruction = function(fs, e, i) {
+    fs.f.code[e.u.info] = i;
+};
+
 /*
 ** Gets the destination address of a jump instruction. Used to traverse
 ** a list of jumps.
 */
 const getjump = function(fs, pc) {
-    let offset = fs.f.code[pc].sBx;
+    let offset = lopcodes.GETARG_sBx(fs.f.code[pc]);
     if (offset === NO_JUMP)  /* point to itself represents end of list */
         return NO_JUMP;  /* end of list */
     else
@@ -157,7 +217,7 @@ const fixjump = function(fs, pc, dest) {
     lua_assert(dest !== NO_JUMP);
     if (Math.abs(offset) > lopcodes.MAXARG_sBx)
         llex.luaX_syntaxerror(fs.ls, to_luastring("control structure too long", true));
-    lopcodes.SETARG_sBx(jmp, offset);
+    fs.f.code[pc] = lopcodes.SETARG_sBx(jmp, offset);
 };
 
 /*
@@ -229,7 +289,7 @@ const luaK_getlabel = function(fs) {
 ** unconditional.
 */
 const getjumpcontroloffset = function(fs, pc) {
-    if (pc >= 1 && lopcodes.testTMode(fs.f.code[pc - 1].opcode))
+    if (pc >= 1 && lopcodes.testTMode(lopcodes.GET_OPCODE(fs.f.code[pc - 1])))
         return pc - 1;
     else
         return pc;
@@ -248,14 +308,14 @@ const getjumpcontrol = function(fs, pc) {
 const patchtestreg = function(fs, node, reg) {
     let pc = getjumpcontroloffset(fs, node);
     let i = fs.f.code[pc];
-    if (i.opcode !== OpCodesI.OP_TESTSET)
+    if (lopcodes.GET_OPCODE(i) !== OpCodesI.OP_TESTSET)
         return false;  /* cannot patch other instructions */
-    if (reg !== lopcodes.NO_REG && reg !== i.B)
-        lopcodes.SETARG_A(i, reg);
+    if (reg !== lopcodes.NO_REG && reg !== lopcodes.GETARG_B(i))
+        fs.f.code[pc] = lopcodes.SETARG_A(i, reg);
     else {
         /* no register to put value or register already has the value;
            change instruction to simple test */
-        fs.f.code[pc] = lopcodes.CREATE_ABC(OpCodesI.OP_TEST, i.B, 0, i.C);
+        fs.f.code[pc] = lopcodes.CREATE_ABC(OpCodesI.OP_TEST, lopcodes.GETARG_B(i), 0, lopcodes.GETARG_C(i));
     }
     return true;
 };
@@ -326,8 +386,9 @@ const luaK_patchclose = function(fs, list, level) {
     level++;  /* argument is +1 to reserve 0 as non-op */
     for (; list !== NO_JUMP; list = getjump(fs, list)) {
         let ins = fs.f.code[list];
-        lua_assert(ins.opcode === OpCodesI.OP_JMP && (ins.A === 0 || ins.A >= level));
-        lopcodes.SETARG_A(ins, level);
+        lua_assert(lopcodes.GET_OPCODE(ins) === OpCodesI.OP_JMP &&
+            (lopcodes.GETARG_A(ins) === 0 || lopcodes.GETARG_A(ins) >= level));
+        fs.f.code[list] = lopcodes.SETARG_A(ins, level);
     }
 };
 
@@ -339,6 +400,11 @@ const luaK_code = function(fs, i) {
     let f = fs.f;
     dischargejpc(fs);  /* 'pc' will change */
     /* put new instruction in code array */
+    if (fs.pc >= f.code.length) {  /* grow it (see 'close_func') */
+        let code = new Int32Array(Math.max(2 * f.code.length, 4));
+        code.set(f.code);
+        f.code = code;
+    }
     f.code[fs.pc] = i;
     f.lineinfo[fs.pc] = fs.ls.lastline;
     return fs.pc++;
@@ -459,8 +525,9 @@ const freeexps = function(fs, e1, e2) {
 ** keys), the caller must provide a useful 'key' for indexing the cache.
 */
 const addk = function(fs, key, v) {
+    let L = fs.ls.L;
     let f = fs.f;
-    let idx = ltable.luaH_get(fs.L, fs.ls.h, key);  /* index scanner table */
+    let idx = ltable.luaH_get(L, fs.ls.h, key);  /* index scanner table */
     if (idx.ttisinteger()) {  /* is there an index there? */
         let k = idx.value;
         /* correct value? (warning: must distinguish floats from integers!) */
@@ -469,7 +536,7 @@ const addk = function(fs, key, v) {
     }
     /* constant not found; create a new entry */
     let k = fs.nk;
-    ltable.luaH_setfrom(fs.L, fs.ls.h, key, new lobject.TValue(LUA_TNUMINT, k));
+    ltable.luaH_setfrom(L, fs.ls.h, key, new lobject.TValue(LUA_TNUMINT, k));
     f.k[k] = v;
     fs.nk++;
     return k;
@@ -479,7 +546,7 @@ const addk = function(fs, key, v) {
 ** Add a string to list of constants and return its index.
 */
 const luaK_stringK = function(fs, s) {
-    let o = new TValue(LUA_TLNGSTR, s);
+    let o = new TValue(s.tt, s);
     return addk(fs, o, o);  /* use string itself as key */
 };
 
@@ -531,12 +598,12 @@ const nilK = function(fs) {
 const luaK_setreturns = function(fs, e, nresults) {
     let ek = lparser.expkind;
     if (e.k === ek.VCALL) {  /* expression is an open function call? */
-        lopcodes.SETARG_C(getinstruction(fs, e), nresults + 1);
+        setinstruction(fs, e, lopcodes.SETARG_C(getinstruction(fs, e), nresults + 1));
     }
     else if (e.k === ek.VVARARG) {
         let pc = getinstruction(fs, e);
-        lopcodes.SETARG_B(pc, nresults + 1);
-        lopcodes.SETARG_A(pc, fs.freereg);
+        pc = lopcodes.SETARG_B(pc, nresults + 1);
+        setinstruction(fs, e, lopcodes.SETARG_A(pc, fs.freereg));
         luaK_reserveregs(fs, 1);
     }
     else lua_assert(nresults === LUA_MULTRET);
@@ -560,11 +627,11 @@ const luaK_setoneret = function(fs, e) {
     let ek = lparser.expkind;
     if (e.k === ek.VCALL) {  /* expression is an open function call? */
         /* already returns 1 value */
-        lua_assert(getinstruction(fs, e).C === 2);
+        lua_assert(lopcodes.GETARG_C(getinstruction(fs, e)) === 2);
         e.k = ek.VNONRELOC;  /* result has fixed position */
-        e.u.info = getinstruction(fs, e).A;
+        e.u.info = lopcodes.GETARG_A(getinstruction(fs, e));
     } else if (e.k === ek.VVARARG) {
-        lopcodes.SETARG_B(getinstruction(fs, e), 2);
+        setinstruction(fs, e, lopcodes.SETARG_B(getinstruction(fs, e), 2));
         e.k = ek.VRELOCABLE;  /* can relocate its simple result */
     }
 };
@@ -576,6 +643,10 @@ const luaK_dischargevars = function(fs, e) {
     let ek = lparser.expkind;
 
     switch (e.k) {
+        case ek.VCONST: {
+            const2exp(fs, e);
+            break;
+        }
         case ek.VLOCAL: {  /* already in a register */
             e.k =  ek.VNONRELOC;  /* becomes a non-relocatable value */
             break;
@@ -642,7 +713,7 @@ const discharge2reg = function(fs, e, reg) {
         }
         case ek.VRELOCABLE: {
             let pc = getinstruction(fs, e);
-            lopcodes.SETARG_A(pc, reg);  /* instruction will put result in 'reg' */
+            setinstruction(fs, e, lopcodes.SETARG_A(pc, reg));  /* instruction will put result in 'reg' */
             break;
         }
         case ek.VNONRELOC: {
@@ -676,7 +747,7 @@ const discharge2anyreg = function(fs, e) {
 const need_value = function(fs, list) {
     for (; list !== NO_JUMP; list = getjump(fs, list)) {
         let i = getjumpcontrol(fs, list);
-        if (i.opcode !== OpCodesI.OP_TESTSET) return true;
+        if (lopcodes.GET_OPCODE(i) !== OpCodesI.OP_TESTSET) return true;
     }
     return false;  /* not found */
 };
@@ -837,9 +908,11 @@ const luaK_self = function(fs, e, key) {
 ** Negate condition 'e' (where 'e' is a comparison).
 */
 const negatecondition = function(fs, e) {
-    let pc = getjumpcontrol(fs, e.u.info);
-    lua_assert(lopcodes.testTMode(pc.opcode) && pc.opcode !== OpCodesI.OP_TESTSET && pc.opcode !== OpCodesI.OP_TEST);
-    lopcodes.SETARG_A(pc, !(pc.A));
+    let pc = getjumpcontroloffset(fs, e.u.info);
+    let i = fs.f.code[pc];
+    lua_assert(lopcodes.testTMode(lopcodes.GET_OPCODE(i)) && lopcodes.GET_OPCODE(i) !== OpCodesI.OP_TESTSET &&
+        lopcodes.GET_OPCODE(i) !== OpCodesI.OP_TEST);
+    fs.f.code[pc] = lopcodes.SETARG_A(i, lopcodes.GETARG_A(i) ? 0 : 1);
 };
 
 /*
@@ -851,9 +924,9 @@ const negatecondition = function(fs, e) {
 const jumponcond = function(fs, e, cond) {
     if (e.k === lparser.expkind.VRELOCABLE) {
         let ie = getinstruction(fs, e);
-        if (ie.opcode === OpCodesI.OP_NOT) {
+        if (lopcodes.GET_OPCODE(ie) === OpCodesI.OP_NOT) {
             fs.pc--;  /* remove previous OP_NOT */
-            return condjump(fs, OpCodesI.OP_TEST, ie.B, 0, !cond);
+            return condjump(fs, OpCodesI.OP_TEST, lopcodes.GETARG_B(ie), 0, !cond);
         }
         /* else go through */
     }
@@ -967,11 +1040,11 @@ const luaK_indexed = function(fs, t, k) {
 ** Bitwise operations need operands convertible to integers; division
 ** operations cannot have 0 as divisor.
 */
-const validop = function(op, v1, v2) {
+const validop = function(L, op, v1, v2) {
     switch (op) {
         case LUA_OPBAND: case LUA_OPBOR: case LUA_OPBXOR:
         case LUA_OPSHL: case LUA_OPSHR: case LUA_OPBNOT: {  /* conversion errors */
-            return (lvm.tointeger(v1) !== false && lvm.tointeger(v2) !== false);
+            return (lvm.tointeger(v1, L.l_G.int64) !== false && lvm.tointeger(v2, L.l_G.int64) !== false);
         }
         case LUA_OPDIV: case LUA_OPIDIV: case LUA_OPMOD:  /* division by 0 */
             return (v2.value !== 0);
@@ -983,13 +1056,13 @@ const validop = function(op, v1, v2) {
 ** Try to "constant-fold" an operation; return 1 iff successful.
 ** (In this case, 'e1' has the final result.)
 */
-const constfolding = function(op, e1, e2) {
+const constfolding = function(fs, op, e1, e2) {
     let ek = lparser.expkind;
     let v1, v2;
-    if (!(v1 = tonumeral(e1, true)) || !(v2 = tonumeral(e2, true)) || !validop(op, v1, v2))
+    if (!(v1 = tonumeral(e1, true)) || !(v2 = tonumeral(e2, true)) || !validop(fs.ls.L, op, v1, v2))
         return 0;  /* non-numeric operands or not safe to fold */
     let res = new TValue(); /* FIXME */
-    lobject.luaO_arith(null, op, v1, v2, res);  /* does operation */
+    lobject.luaO_arith(fs.ls.L, op, v1, v2, res);  /* does operation */
     if (res.ttisinteger()) {
         e1.k = ek.VKINT;
         e1.u.ival = res.value;
@@ -1082,9 +1155,10 @@ const luaK_prefix = function(fs, op, e, line) {
     ef.u.ival = ef.u.nval = ef.u.info = 0;
     ef.t = NO_JUMP;
     ef.f = NO_JUMP;
+    luaK_dischargevars(fs, e);  /* a compile-time constant may be folded */
     switch (op) {
         case UnOpr.OPR_MINUS: case UnOpr.OPR_BNOT:  /* use 'ef' as fake 2nd operand */
-            if (constfolding(op + LUA_OPUNM, e, ef))
+            if (constfolding(fs, op + LUA_OPUNM, e, ef))
                 break;
             /* FALLTHROUGH */
         case UnOpr.OPR_LEN:
@@ -1099,6 +1173,7 @@ const luaK_prefix = function(fs, op, e, line) {
 ** 2nd operand.
 */
 const luaK_infix = function(fs, op, v) {
+    luaK_dischargevars(fs, v);  /* a compile-time constant may be folded */
     switch (op) {
         case BinOpr.OPR_AND: {
             luaK_goiftrue(fs, v);  /* go ahead only if 'v' is true */
@@ -1137,6 +1212,7 @@ const luaK_infix = function(fs, op, v) {
 */
 const luaK_posfix = function(fs, op, e1, e2, line) {
     let ek = lparser.expkind;
+    luaK_dischargevars(fs, e2);  /* a compile-time constant may be folded */
     switch (op) {
         case BinOpr.OPR_AND: {
             lua_assert(e1.t === NO_JUMP);  /* list closed by 'luK_infix' */
@@ -1155,10 +1231,10 @@ const luaK_posfix = function(fs, op, e1, e2, line) {
         case BinOpr.OPR_CONCAT: {
             luaK_exp2val(fs, e2);
             let ins = getinstruction(fs, e2);
-            if (e2.k === ek.VRELOCABLE && ins.opcode === OpCodesI.OP_CONCAT) {
-                lua_assert(e1.u.info === ins.B - 1);
+            if (e2.k === ek.VRELOCABLE && lopcodes.GET_OPCODE(ins) === OpCodesI.OP_CONCAT) {
+                lua_assert(e1.u.info === lopcodes.GETARG_B(ins) - 1);
                 freeexp(fs, e1);
-                lopcodes.SETARG_B(ins, e1.u.info);
+                setinstruction(fs, e2, lopcodes.SETARG_B(ins, e1.u.info));
                 e1.k = ek.VRELOCABLE; e1.u.info = e2.u.info;
             }
             else {
@@ -1171,7 +1247,7 @@ const luaK_posfix = function(fs, op, e1, e2, line) {
         case BinOpr.OPR_IDIV: case BinOpr.OPR_MOD: case BinOpr.OPR_POW:
         case BinOpr.OPR_BAND: case BinOpr.OPR_BOR: case BinOpr.OPR_BXOR:
         case BinOpr.OPR_SHL: case BinOpr.OPR_SHR: {
-            if (!constfolding(op + LUA_OPADD, e1, e2))
+            if (!constfolding(fs, op + LUA_OPADD, e1, e2))
                 codebinexpval(fs, op + OpCodesI.OP_ADD, e1, e2, line);
             break;
         }
@@ -1228,6 +1304,7 @@ module.exports.luaK_codek         = luaK_codek;
 module.exports.luaK_concat        = luaK_concat;
 module.exports.luaK_dischargevars = luaK_dischargevars;
 module.exports.luaK_exp2RK        = luaK_exp2RK;
+module.exports.luaK_exp2const     = luaK_exp2const;
 module.exports.luaK_exp2anyreg    = luaK_exp2anyreg;
 module.exports.luaK_exp2anyregup  = luaK_exp2anyregup;
 module.exports.luaK_exp2nextreg   = luaK_exp2nextreg;
@@ -1257,3 +1334,4 @@ module.exports.luaK_setoneret     = luaK_setoneret;
 module.exports.luaK_setreturns    = luaK_setreturns;
 module.exports.luaK_storevar      = luaK_storevar;
 module.exports.luaK_stringK       = luaK_stringK;
+module.exports.setinstruction     = setinstruction;
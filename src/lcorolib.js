@@ -20,6 +20,7 @@ const {
     lua_pushliteral,
     lua_pushthread,
     lua_pushvalue,
+    lua_resetthread,
     lua_resume,
     lua_status,
     lua_tothread,
@@ -31,6 +32,7 @@ const {
 const {
     luaL_argcheck,
     luaL_checktype,
+    luaL_error,
     luaL_newlib,
     luaL_where
 } = require('./lauxlib.js');
@@ -118,33 +120,64 @@ const luaB_yield = function(L) {
     return lua_yield(L, lua_gettop(L));
 };
 
-const luaB_costatus = function(L) {
-    let co = getco(L);
-    if (L === co) lua_pushliteral(L, "running");
+const COS_RUN   = 0;
+const COS_DEAD  = 1;
+const COS_YIELD = 2;
+const COS_NORM  = 3;
+
+const statname = ["running", "dead", "suspended", "normal"];
+
+const auxstatus = function(L, co) {
+    if (L === co) return COS_RUN;
     else {
         switch (lua_status(co)) {
             case LUA_YIELD:
-                lua_pushliteral(L, "suspended");
-                break;
+                return COS_YIELD;
             case LUA_OK: {
                 let ar = new lua_Debug();
                 if (lua_getstack(co, 0, ar) > 0)  /* does it have frames? */
-                    lua_pushliteral(L, "normal");  /* it is running */
+                    return COS_NORM;  /* it is running */
                 else if (lua_gettop(co) === 0)
-                    lua_pushliteral(L, "dead");
+                    return COS_DEAD;
                 else
-                    lua_pushliteral(L, "suspended");  /* initial state */
-                break;
+                    return COS_YIELD;  /* initial state */
             }
             default:  /* some error occurred */
-                lua_pushliteral(L, "dead");
-                break;
+                return COS_DEAD;
         }
     }
+};
 
+const luaB_costatus = function(L) {
+    let co = getco(L);
+    lua_pushliteral(L, statname[auxstatus(L, co)]);
     return 1;
 };
 
+/*
+** kill a suspended or dead coroutine (Lua 5.4): close its pending
+** to-be-closed variables and release its stack
+*/
+const luaB_close = function(L) {
+    let co = getco(L);
+    let status = auxstatus(L, co);
+    switch (status) {
+        case COS_DEAD: case COS_YIELD: {
+            status = lua_resetthread(co);
+            if (status === LUA_OK) {
+                lua_pushboolean(L, 1);
+                return 1;
+            } else {
+                lua_pushboolean(L, 0);
+                lua_xmove(co, L, 1);  /* move error message */
+                return 2;
+            }
+        }
+        default:  /* normal or running coroutine */
+            return luaL_error(L, "cannot close a %s coroutine", statname[status]);
+    }
+};
+
 const luaB_yieldable = function(L) {
     lua_pushboolean(L, lua_isyieldable(L));
     return 1;
@@ -156,6 +189,7 @@ const luaB_corunning = function(L) {
 };
 
 const co_funcs = {
+    "close":       luaB_close,
     "create":      luaB_cocreate,
     "isyieldable": luaB_yieldable,
     "resume":      luaB_coresume,
@@ -48,7 +48,6 @@ const {
     lua_settop,
     lua_setupvalue,
     lua_setuservalue,
-    lua_tojsstring,
     lua_toproxy,
     lua_tostring,
     lua_tothread,
@@ -66,12 +65,13 @@ const {
     luaL_checkstring,
     luaL_checktype,
     luaL_error,
+    luaL_getoutput,
     luaL_loadbuffer,
     luaL_newlib,
     luaL_optinteger,
     luaL_optstring,
-    luaL_traceback,
-    lua_writestringerror
+    luaL_tolstring,
+    luaL_traceback
 } = require('./lauxlib.js');
 const lualib = require('./lualib.js');
 const {
@@ -500,7 +500,9 @@ if (getinput) {
             let buffer = to_luastring(input);
             if (luaL_loadbuffer(L, buffer, buffer.length, to_luastring("=(debug command)", true))
                 || lua_pcall(L, 0, 0, 0)) {
-                lua_writestringerror(lua_tojsstring(L, -1), "\n");
+                let stderr = luaL_getoutput(L).stderr;
+                stderr(luaL_tolstring(L, -1));
+                stderr(to_luastring("\n"));
             }
             lua_settop(L, 0);  /* remove eventual returns */
         }
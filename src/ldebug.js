@@ -6,11 +6,10 @@ const {
     LUA_MASKCOUNT,
     LUA_MASKLINE,
     constant_types: {
-        LUA_TBOOLEAN,
-        LUA_TNIL,
-        LUA_TTABLE
+        LUA_TBOOLEAN
     },
     thread_status: {
+        LUA_ERRLIMIT,
         LUA_ERRRUN,
         LUA_YIELD
     },
@@ -175,7 +174,7 @@ const lua_setlocal = function(L, ar, n) {
     if (local) {
         name = local.name;
         lobject.setobjs2s(L, local.pos, L.top - 1);
-        delete L.stack[--L.top];  /* pop value */
+        L.stack[--L.top].setnilvalue();  /* pop value */
     } else {
         name = null;
     }
@@ -202,16 +201,16 @@ const funcinfo = function(ar, cl) {
 
 const collectvalidlines = function(L, f) {
     if (f === null || f instanceof lobject.CClosure) {
-        L.stack[L.top] = new lobject.TValue(LUA_TNIL, null);
+        L.stack[L.top].setnilvalue();
         lapi.api_incr_top(L);
     } else {
         let lineinfo = f.p.lineinfo;
         let t = ltable.luaH_new(L);
-        L.stack[L.top] = new lobject.TValue(LUA_TTABLE, t);
+        L.stack[L.top].sethvalue(t);
         lapi.api_incr_top(L);
         let v = new lobject.TValue(LUA_TBOOLEAN, true);
         for (let i = 0; i < lineinfo.length; i++)
-            ltable.luaH_setint(t, lineinfo[i], v);
+            ltable.luaH_setint(L, t, lineinfo[i], v);
     }
 };
 
@@ -350,10 +349,10 @@ const findsetreg = function(p, lastpc, reg) {
     let OCi = lopcodes.OpCodesI;
     for (let pc = 0; pc < lastpc; pc++) {
         let i = p.code[pc];
-        let a = i.A;
-        switch (i.opcode) {
+        let a = lopcodes.GETARG_A(i);
+        switch (lopcodes.GET_OPCODE(i)) {
             case OCi.OP_LOADNIL: {
-                let b = i.B;
+                let b = lopcodes.GETARG_B(i);
                 if (a <= reg && reg <= a + b)  /* set registers from 'a' to 'a+b' */
                     setreg = filterpc(pc, jmptarget);
                 break;
@@ -370,7 +369,7 @@ const findsetreg = function(p, lastpc, reg) {
                 break;
             }
             case OCi.OP_JMP: {
-                let b = i.sBx;
+                let b = lopcodes.GETARG_sBx(i);
                 let dest = pc + 1 + b;
                 /* jump is forward and do not skip 'lastpc'? */
                 if (pc < dest && dest <= lastpc) {
@@ -380,7 +379,7 @@ const findsetreg = function(p, lastpc, reg) {
                 break;
             }
             default:
-                if (lopcodes.testAMode(i.opcode) && reg === a)
+                if (lopcodes.testAMode(lopcodes.GET_OPCODE(i)) && reg === a)
                     setreg = filterpc(pc, jmptarget);
                 break;
         }
@@ -406,30 +405,30 @@ const getobjname = function(p, lastpc, reg) {
     let OCi = lopcodes.OpCodesI;
     if (pc !== -1) {  /* could find instruction? */
         let i = p.code[pc];
-        switch (i.opcode) {
+        switch (lopcodes.GET_OPCODE(i)) {
             case OCi.OP_MOVE: {
-                let b = i.B;  /* move from 'b' to 'a' */
-                if (b < i.A)
+                let b = lopcodes.GETARG_B(i);  /* move from 'b' to 'a' */
+                if (b < lopcodes.GETARG_A(i))
                     return getobjname(p, pc, b);  /* get name for 'b' */
                 break;
             }
             case OCi.OP_GETTABUP:
             case OCi.OP_GETTABLE: {
-                let k = i.C;  /* key index */
-                let t = i.B;  /* table index */
-                let vn = i.opcode === OCi.OP_GETTABLE ? lfunc.luaF_getlocalname(p, t + 1, pc) : upvalname(p, t);
+                let k = lopcodes.GETARG_C(i);  /* key index */
+                let t = lopcodes.GETARG_B(i);  /* table index */
+                let vn = lopcodes.GET_OPCODE(i) === OCi.OP_GETTABLE ? lfunc.luaF_getlocalname(p, t + 1, pc) : upvalname(p, t);
                 r.name = kname(p, pc, k).name;
                 r.funcname = (vn && luastring_eq(vn, llex.LUA_ENV)) ? to_luastring("global", true) : to_luastring("field", true);
                 return r;
             }
             case OCi.OP_GETUPVAL: {
-                r.name = upvalname(p, i.B);
+                r.name = upvalname(p, lopcodes.GETARG_B(i));
                 r.funcname = to_luastring("upvalue", true);
                 return r;
             }
             case OCi.OP_LOADK:
             case OCi.OP_LOADKX: {
-                let b = i.opcode === OCi.OP_LOADK ? i.Bx : p.code[pc + 1].Ax;
+                let b = lopcodes.GET_OPCODE(i) === OCi.OP_LOADK ? lopcodes.GETARG_Bx(i) : lopcodes.GETARG_Ax(p.code[pc + 1]);
                 if (p.k[b].ttisstring()) {
                     r.name = p.k[b].svalue();
                     r.funcname = to_luastring("constant", true);
@@ -438,7 +437,7 @@ const getobjname = function(p, lastpc, reg) {
                 break;
             }
             case OCi.OP_SELF: {
-                let k = i.C;
+                let k = lopcodes.GETARG_C(i);
                 r.name = kname(p, pc, k).name;
                 r.funcname = to_luastring("method", true);
                 return r;
@@ -474,10 +473,10 @@ const funcnamefromcode = function(L, ci) {
         return r;
     }
 
-    switch (i.opcode) {
+    switch (lopcodes.GET_OPCODE(i)) {
         case OCi.OP_CALL:
         case OCi.OP_TAILCALL:
-            return getobjname(p, pc, i.A);  /* get function name */
+            return getobjname(p, pc, lopcodes.GETARG_A(i));  /* get function name */
         case OCi.OP_TFORCALL:
             r.name = to_luastring("for iterator", true);
             r.funcname = to_luastring("for iterator", true);
@@ -608,6 +607,18 @@ const luaG_runerror = function(L, fmt, ...argp) {
     luaG_errormsg(L);
 };
 
+/*
+** Error when a limit set by 'lua_setlimits' is exceeded. The message
+** handler is not called, as it could only exceed the limit again.
+*/
+const luaG_limiterror = function(L, msg) {
+    let ci = L.ci;
+    msg = lobject.luaO_pushfstring(L, to_luastring("%s limit exceeded", true), to_luastring(msg, true));
+    if (ci.callstatus & lstate.CIST_LUA)  /* if Lua function, add source:line information */
+        luaG_addinfo(L, msg, ci.func.value.p.source, currentline(ci));
+    ldo.luaD_throw(L, LUA_ERRLIMIT);
+};
+
 const luaG_errormsg = function(L) {
     if (L.errfunc !== 0) {  /* is there an error handling function? */
         let errfunc = L.errfunc;
@@ -623,7 +634,7 @@ const luaG_errormsg = function(L) {
 ** Error when both values are convertible to numbers, but not to integers
 */
 const luaG_tointerror = function(L, p1, p2) {
-    let temp = lvm.tointeger(p1);
+    let temp = lvm.tointeger(p1, L.l_G.int64);
     if (temp === false)
         p2 = p1;
     luaG_runerror(L, to_luastring("number%s has no integer representation", true), varinfo(L, p2));
@@ -667,6 +678,7 @@ const luaG_traceexec = function(L) {
 module.exports.luaG_addinfo     = luaG_addinfo;
 module.exports.luaG_concaterror = luaG_concaterror;
 module.exports.luaG_errormsg    = luaG_errormsg;
+module.exports.luaG_limiterror  = luaG_limiterror;
 module.exports.luaG_opinterror  = luaG_opinterror;
 module.exports.luaG_ordererror  = luaG_ordererror;
 module.exports.luaG_runerror    = luaG_runerror;
@@ -19,6 +19,7 @@ const {
     thread_status: {
         LUA_ERRMEM,
         LUA_ERRERR,
+        LUA_ERRLIMIT,
         LUA_ERRRUN,
         LUA_ERRSYNTAX,
         LUA_OK,
@@ -37,6 +38,7 @@ const {
     LUAI_MAXCCALLS
 } = require('./llimits.js');
 const lobject  = require('./lobject.js');
+const lmem     = require('./lmem.js');
 const lopcodes = require('./lopcodes.js');
 const lparser  = require('./lparser.js');
 const lstate   = require('./lstate.js');
@@ -50,23 +52,23 @@ const { MBuffer } = require('./lzio.js');
 const adjust_top = function(L, newtop) {
     if (L.top < newtop) {
         while (L.top < newtop)
-            L.stack[L.top++] = new lobject.TValue(LUA_TNIL, null);
+            L.stack[L.top++].setnilvalue();
     } else {
         while (L.top > newtop)
-            delete L.stack[--L.top];
+            L.stack[--L.top].setnilvalue();
     }
 };
 
-const seterrorobj = function(L, errcode, oldtop) {
+const luaD_seterrorobj = function(L, errcode, oldtop) {
     let current_top = L.top;
 
     /* extend stack so that L.stack[oldtop] is sure to exist */
     while (L.top < oldtop + 1)
-        L.stack[L.top++] = new lobject.TValue(LUA_TNIL, null);
+        L.stack[L.top++].setnilvalue();
 
     switch (errcode) {
         case LUA_ERRMEM: {
-            lobject.setsvalue2s(L, oldtop, luaS_newliteral(L, "not enough memory"));
+            lobject.setsvalue2s(L, oldtop, L.l_G.memerrmsg);  /* reuse preregistered msg. */
             break;
         }
         case LUA_ERRERR: {
@@ -79,7 +81,7 @@ const seterrorobj = function(L, errcode, oldtop) {
     }
 
     while (L.top > oldtop + 1)
-        delete L.stack[--L.top];
+        L.stack[--L.top].setnilvalue();
 };
 
 const ERRORSTACKSIZE = LUAI_MAXSTACK + 200;
@@ -87,7 +89,11 @@ const ERRORSTACKSIZE = LUAI_MAXSTACK + 200;
 const luaD_reallocstack = function(L, newsize) {
     lua_assert(newsize <= LUAI_MAXSTACK || newsize == ERRORSTACKSIZE);
     lua_assert(L.stack_last == L.stack.length - lstate.EXTRA_STACK);
+    let oldsize = L.stack.length;
+    lmem.luaM_realloc_(L, oldsize * lmem.sizeTValue, newsize * lmem.sizeTValue);
     L.stack.length = newsize;
+    for (let i = oldsize; i < newsize; i++)  /* erase new segment */
+        L.stack[i] = new lobject.TValue(LUA_TNIL, null);
     L.stack_last = newsize - lstate.EXTRA_STACK;
 };
 
@@ -99,6 +105,16 @@ const luaD_growstack = function(L, n) {
         let needed = L.top + n + lstate.EXTRA_STACK;
         let newsize = 2 * size;
         if (newsize > LUAI_MAXSTACK) newsize = LUAI_MAXSTACK;
+        let limits = L.l_G.limits;
+        if (limits !== null && newsize > limits.stacksize) {
+            if (needed > limits.stacksize) {  /* over the limit? */
+                let errsize = L.top + 2 * LUA_MINSTACK + lstate.EXTRA_STACK;
+                if (size < errsize)  /* leave some room to build the error message */
+                    luaD_reallocstack(L, Math.min(errsize, LUAI_MAXSTACK));
+                ldebug.luaG_limiterror(L, "stack size");
+            }
+            newsize = limits.stacksize;
+        }
         if (newsize < needed) newsize = needed;
         if (newsize > LUAI_MAXSTACK) {  /* stack overflow? */
             luaD_reallocstack(L, ERRORSTACKSIZE);
@@ -138,9 +154,112 @@ const luaD_shrinkstack = function(L) {
 
 const luaD_inctop = function(L) {
     luaD_checkstack(L, 1);
-    L.stack[L.top++] = new lobject.TValue(LUA_TNIL, null);
+    L.stack[L.top++].setnilvalue();
+};
+
+/*
+** {======================================================
+** Limits on execution (see 'lua_setlimits')
+** The VM decrements 'g.limitcount' before each instruction and calls
+** 'luaD_checklimits' when it reaches zero, that is, after 'limits.step'
+** instructions.
+** =======================================================
+*/
+
+const LIMITCHECKSTEP = 1000;  /* maximum number of instructions between checks */
+
+const setlimitcount = function(g) {
+    let limits = g.limits;
+    if (limits === null)
+        g.limitcount = Infinity;
+    else {
+        if (limits.instructions === Infinity && limits.deadline === Infinity)
+            limits.step = Infinity;  /* nothing to check */
+        else
+            limits.step = Math.max(1, Math.min(LIMITCHECKSTEP, limits.instructions));
+        g.limitcount = limits.step;
+    }
+};
+
+const luaD_checklimits = function(L) {
+    let g = L.l_G;
+    let limits = g.limits;
+    limits.instructions -= limits.step;  /* count instructions since last check */
+    setlimitcount(g);
+    if (limits.instructions < 0)
+        ldebug.luaG_limiterror(L, "instruction");
+    if (Date.now() > limits.deadline)
+        ldebug.luaG_limiterror(L, "time");
+};
+
+/* check whether a new call would go over the limit on call depth */
+const checkcalldepth = function(L) {
+    let limits = L.l_G.limits;
+    if (limits !== null && L.ci.depth >= limits.calldepth)
+        ldebug.luaG_limiterror(L, "call depth");
+};
+
+/* true if 'status' is an error that cannot be caught (see 'lua_setlimits') */
+const isuncatchable = function(L, status) {
+    let limits = L.l_G.limits;
+    return status === LUA_ERRLIMIT && limits !== null && !limits.catchable;
+};
+
+/*
+** Sets the limits on execution of all threads of a state. 'limits' is
+** an object with any of the fields 'instructions' (number of instructions
+** the VM may still run), 'deadline' (a time, as returned by 'Date.now()'),
+** 'calldepth' (number of nested calls in a thread), 'stacksize' (number of
+** stack slots of a thread), 'catchable' and 'memory' (number of bytes
+** the state may use, as counted by 'lmem'). A null 'limits' removes all
+** limits.
+*/
+const lua_setlimits = function(L, limits) {
+    let g = L.l_G;
+    if (limits === null || limits === undefined)
+        g.limits = null;
+    else {
+        let stacksize = limits.stacksize === undefined ? Infinity : limits.stacksize;
+        if (stacksize >= LUAI_MAXSTACK)
+            stacksize = Infinity;  /* 'luaD_growstack' already enforces it */
+        g.limits = {
+            instructions: limits.instructions === undefined ? Infinity : limits.instructions,
+            deadline: limits.deadline === undefined ? Infinity : limits.deadline,
+            calldepth: limits.calldepth === undefined ? Infinity : limits.calldepth,
+            stacksize: stacksize,
+            catchable: !!limits.catchable,
+            memory: limits.memory === undefined ? Infinity : limits.memory,
+            step: Infinity  /* instructions between checks (see 'setlimitcount') */
+        };
+    }
+    setlimitcount(g);
+};
+
+/*
+** Returns the current limits on execution, with the number of
+** instructions still allowed in field 'instructions'; null if there are
+** no limits.
+*/
+const lua_getlimits = function(L) {
+    let g = L.l_G;
+    let limits = g.limits;
+    if (limits === null)
+        return null;
+    let instructions = limits.instructions;
+    if (limits.step !== Infinity)  /* discount instructions run since last check */
+        instructions -= limits.step - g.limitcount;
+    return {
+        instructions: Math.max(0, instructions),
+        deadline: limits.deadline,
+        calldepth: limits.calldepth,
+        stacksize: limits.stacksize,
+        catchable: limits.catchable,
+        memory: limits.memory
+    };
 };
 
+/* }====================================================== */
+
 /*
 ** Prepares a function call: checks the stack, creates a new CallInfo
 ** entry, fills in the relevant information, calls hook if needed.
@@ -156,6 +275,7 @@ const luaD_precall = function(L, off, nresults) {
         case LUA_TLCF: {
             let f = func.type === LUA_TCCL ? func.value.f : func.value;
 
+            checkcalldepth(L);
             luaD_checkstack(L, LUA_MINSTACK);
             let ci = lstate.luaE_extendCI(L);
             ci.funcOff = off;
@@ -180,12 +300,13 @@ const luaD_precall = function(L, off, nresults) {
             let p = func.value.p;
             let n = L.top - off - 1;
             let fsize = p.maxstacksize;
+            checkcalldepth(L);
             luaD_checkstack(L, fsize);
             if (p.is_vararg) {
                 base = adjust_varargs(L, p, n);
             } else {
                 for (; n < p.numparams; n++)
-                    L.stack[L.top++] = new lobject.TValue(LUA_TNIL, null); // complete missing arguments
+                    L.stack[L.top++].setnilvalue(); // complete missing arguments
                 base = off + 1;
             }
 
@@ -240,8 +361,8 @@ const moveresults = function(L, firstResult, res, nres, wanted) {
         case LUA_MULTRET: {
             for (let i = 0; i < nres; i++)
                 lobject.setobjs2s(L, res + i, firstResult + i);
-            for (let i=L.top; i>=(res + nres); i--)
-                delete L.stack[i];
+            for (let i = res + nres; i < L.top; i++)
+                L.stack[i].setnilvalue();
             L.top = res + nres;
             return false;
         }
@@ -253,19 +374,15 @@ const moveresults = function(L, firstResult, res, nres, wanted) {
             } else {
                 for (i = 0; i < nres; i++)
                     lobject.setobjs2s(L, res + i, firstResult + i);
-                for (; i < wanted; i++) {
-                    if (res+i >= L.top)
-                        L.stack[res + i] = new lobject.TValue(LUA_TNIL, null);
-                    else
-                        L.stack[res + i].setnilvalue();
-                }
+                for (; i < wanted; i++)
+                    L.stack[res + i].setnilvalue();
             }
             break;
         }
     }
     let newtop = res + wanted; /* top points after the last result */
-    for (let i=L.top; i>=newtop; i--)
-        delete L.stack[i];
+    for (let i = newtop; i < L.top; i++)
+        L.stack[i].setnilvalue();
     L.top = newtop;
     return true;
 };
@@ -303,7 +420,7 @@ const callhook = function(L, ci) {
     let hook = LUA_HOOKCALL;
     ci.l_savedpc++;  /* hooks assume 'pc' is already incremented */
     if ((ci.previous.callstatus & lstate.CIST_LUA) &&
-      ci.previous.l_code[ci.previous.l_savedpc - 1].opcode == lopcodes.OpCodesI.OP_TAILCALL) {
+      lopcodes.GET_OPCODE(ci.previous.l_code[ci.previous.l_savedpc - 1]) == lopcodes.OpCodesI.OP_TAILCALL) {
         ci.callstatus |= lstate.CIST_TAIL;
         hook = LUA_HOOKTAILCALL;
     }
@@ -324,7 +441,7 @@ const adjust_varargs = function(L, p, actual) {
     }
 
     for (; i < nfixargs; i++)
-        L.stack[L.top++] = new lobject.TValue(LUA_TNIL, null);
+        L.stack[L.top++].setnilvalue();
 
     return base;
 };
@@ -376,12 +493,12 @@ const luaD_throw = function(L, errcode) {
         let g = L.l_G;
         L.status = errcode;  /* mark it as dead */
         if (g.mainthread.errorJmp) {  /* main thread has a handler? */
-            g.mainthread.stack[g.mainthread.top++] = L.stack[L.top - 1];  /* copy error obj. */
+            lobject.pushobj2s(g.mainthread, L.stack[L.top - 1]);  /* copy error obj. */
             luaD_throw(g.mainthread, errcode);  /* re-throw in main thread */
         } else {  /* no handler at all; abort */
             let panic = g.panic;
             if (panic) {  /* panic function? */
-                seterrorobj(L, errcode, L.top);  /* assume EXTRA_STACK */
+                luaD_seterrorobj(L, errcode, L.top);  /* assume EXTRA_STACK */
                 if (L.ci.top < L.top)
                     L.ci.top = L.top;  /* pushing msg. can break this invariant */
                 panic(L);  /* call panic function (last chance to jump out) */
@@ -507,21 +624,22 @@ const findpcall = function(L) {
 /*
 ** Recovers from an error in a coroutine. Finds a recover point (if
 ** there is one) and completes the execution of the interrupted
-** 'luaD_pcall'. If there is no recover point, returns zero.
+** 'luaD_pcall'. Returns the status of the error (which a closing
+** method may have changed), or zero if there is no recover point.
 */
 const recover = function(L, status) {
     let ci = findpcall(L);
     if (ci === null) return 0;  /* no recovery point */
     /* "finish" luaD_pcall */
     let oldtop = ci.extra;
-    lfunc.luaF_close(L, oldtop);
-    seterrorobj(L, status, oldtop);
     L.ci = ci;
     L.allowhook = ci.callstatus & lstate.CIST_OAH;  /* restore original 'allowhook' */
     L.nny = 0;  /* should be zero to be yieldable */
+    status = luaD_closeprotected(L, oldtop, status);
+    luaD_seterrorobj(L, status, oldtop);
     luaD_shrinkstack(L);
     L.errfunc = ci.c_old_errfunc;
-    return 1;  /* continue running the coroutine */
+    return status;  /* continue running the coroutine */
 };
 
 /*
@@ -537,7 +655,7 @@ const resume_error = function(L, msg, narg) {
     } else {
         /* remove args from the stack */
         for (let i=1; i<narg; i++)
-            delete L.stack[--L.top];
+            L.stack[--L.top].setnilvalue();
         lobject.setsvalue2s(L, L.top-1, ts);  /* push error message */
     }
     return LUA_ERRRUN;
@@ -578,14 +696,43 @@ const resume = function(L, n) {
     }
 };
 
-const lua_resume = function(L, from, nargs) {
-    let oldnny = L.nny;  /* save "number of non-yieldable" calls */
+/*
+** Do the work for 'lua_resumeerror': raise the value at the top of the
+** stack as an error from the point where the coroutine yielded.
+*/
+const resumeerror = function(L) {
+    lua_assert(L.status === LUA_YIELD);
+    L.status = LUA_OK;  /* mark that it is running (again) */
+    let ci = L.ci;
+    ci.funcOff = ci.extra;
+    ci.func = L.stack[ci.funcOff];
+    ldebug.luaG_errormsg(L);
+};
 
+const lua_resume = function(L, from, nargs) {
     if (L.status === LUA_OK) {  /* may be starting a coroutine */
         if (L.ci !== L.base_ci)  /* not in base level? */
             return resume_error(L, "cannot resume non-suspended coroutine", nargs);
     } else if (L.status !== LUA_YIELD)
         return resume_error(L, "cannot resume dead coroutine", nargs);
+    return doresume(L, from, nargs, resume);
+};
+
+/*
+** Resumes a suspended coroutine with an error: the value at the top of
+** its stack is raised where it yielded, as if the yielding function had
+** raised it (fengari extension).
+*/
+const lua_resumeerror = function(L, from) {
+    if (L.status === LUA_OK)
+        return resume_error(L, "cannot resume non-suspended coroutine", 1);
+    else if (L.status !== LUA_YIELD)
+        return resume_error(L, "cannot resume dead coroutine", 1);
+    return doresume(L, from, 1, resumeerror);
+};
+
+const doresume = function(L, from, nargs, f) {
+    let oldnny = L.nny;  /* save "number of non-yieldable" calls */
 
     L.nCcalls = from ? from.nCcalls + 1 : 1;
     if (L.nCcalls >= LUAI_MAXCCALLS)
@@ -595,18 +742,19 @@ const lua_resume = function(L, from, nargs) {
 
     lapi.api_checknelems(L, L.status === LUA_OK ? nargs + 1: nargs);
 
-    let status = luaD_rawrunprotected(L, resume, nargs);
+    let status = luaD_rawrunprotected(L, f, nargs);
     if (status === -1)  /* error calling 'lua_resume'? */
         status = LUA_ERRRUN;
     else {  /* continue running after recoverable errors */
-        while (status > LUA_YIELD && recover(L, status)) {
+        let s;
+        while (status > LUA_YIELD && !isuncatchable(L, status) && (s = recover(L, status)) !== 0) {
             /* unroll continuation */
-            status = luaD_rawrunprotected(L, unroll, status);
+            status = luaD_rawrunprotected(L, unroll, s);
         }
 
         if (status > LUA_YIELD) {  /* unrecoverable error? */
             L.status = status;  /* mark thread as 'dead' */
-            seterrorobj(L, status, L.top);  /* push error message */
+            luaD_seterrorobj(L, status, L.top);  /* push error message */
             L.ci.top = L.top;
         } else
             lua_assert(status === L.status);  /* normal end or yield */
@@ -615,6 +763,10 @@ const lua_resume = function(L, from, nargs) {
     L.nny = oldnny;  /* restore 'nny' */
     L.nCcalls--;
     lua_assert(L.nCcalls === (from ? from.nCcalls : 0));
+    if (from && from.errorJmp && isuncatchable(L, status)) {  /* propagate error to resumer */
+        lobject.pushobj2s(from, L.stack[L.top - 1]);
+        luaD_throw(from, status);
+    }
     return status;
 };
 
@@ -654,6 +806,31 @@ const lua_yield = function(L, n) {
     lua_yieldk(L, n, 0, null);
 };
 
+/*
+** Call the closing methods of the to-be-closed variables at or above
+** 'level' after an error. An error in a closing method becomes the
+** new error, and the remaining variables are still closed. Returns
+** the final status.
+*/
+const luaD_closeprotected = function(L, level, status) {
+    let old_ci = L.ci;
+    let old_allowhooks = L.allowhook;
+    for (;;) {  /* keep closing upvalues until no more errors */
+        let pcl = {level: level, status: status};
+        status = luaD_rawrunprotected(L, closepaux, pcl);
+        if (status === LUA_OK)  /* no more errors? */
+            return pcl.status;
+        else {  /* an error occurred; restore saved state and repeat */
+            L.ci = old_ci;
+            L.allowhook = old_allowhooks;
+        }
+    }
+};
+
+const closepaux = function(L, pcl) {
+    lfunc.luaF_close(L, pcl.level, pcl.status);
+};
+
 const luaD_pcall = function(L, func, u, old_top, ef) {
     let old_ci = L.ci;
     let old_allowhooks = L.allowhook;
@@ -664,16 +841,19 @@ const luaD_pcall = function(L, func, u, old_top, ef) {
     let status = luaD_rawrunprotected(L, func, u);
 
     if (status !== LUA_OK) {
-        lfunc.luaF_close(L, old_top);
-        seterrorobj(L, status, old_top);
         L.ci = old_ci;
         L.allowhook = old_allowhooks;
         L.nny = old_nny;
+        status = luaD_closeprotected(L, old_top, status);
+        luaD_seterrorobj(L, status, old_top);
         luaD_shrinkstack(L);
     }
 
     L.errfunc = old_errfunc;
 
+    if (L.errorJmp && isuncatchable(L, status))  /* not to be caught here? */
+        luaD_throw(L, status);  /* propagate error to outer protected call */
+
     return status;
 };
 
@@ -733,6 +913,8 @@ const luaD_protectedparser = function(L, z, name, mode) {
 module.exports.adjust_top           = adjust_top;
 module.exports.luaD_call            = luaD_call;
 module.exports.luaD_callnoyield     = luaD_callnoyield;
+module.exports.luaD_closeprotected  = luaD_closeprotected;
+module.exports.luaD_checklimits     = luaD_checklimits;
 module.exports.luaD_checkstack      = luaD_checkstack;
 module.exports.luaD_growstack       = luaD_growstack;
 module.exports.luaD_hook            = luaD_hook;
@@ -743,8 +925,12 @@ module.exports.luaD_precall         = luaD_precall;
 module.exports.luaD_protectedparser = luaD_protectedparser;
 module.exports.luaD_rawrunprotected = luaD_rawrunprotected;
 module.exports.luaD_reallocstack    = luaD_reallocstack;
+module.exports.luaD_seterrorobj     = luaD_seterrorobj;
 module.exports.luaD_throw           = luaD_throw;
+module.exports.lua_getlimits        = lua_getlimits;
 module.exports.lua_isyieldable      = lua_isyieldable;
 module.exports.lua_resume           = lua_resume;
+module.exports.lua_resumeerror      = lua_resumeerror;
+module.exports.lua_setlimits        = lua_setlimits;
 module.exports.lua_yield            = lua_yield;
 module.exports.lua_yieldk           = lua_yieldk;
@@ -1,5 +1,7 @@
 "use strict";
 
+/* global BigInt */
+
 const {
     LUA_SIGNATURE,
     LUA_VERSION_MAJOR,
@@ -27,6 +29,7 @@ class DumpState {
         this.write = null;
         this.data = null;
         this.strip = NaN;
+        this.wide = false;
         this.status = NaN;
     }
 }
@@ -48,12 +51,35 @@ const DumpInt = function(x, D) {
     DumpBlock(t, 4, D);
 };
 
-const DumpInteger = function(x, D) {
-    let ab = new ArrayBuffer(4);
+/* dump a 32-bit integer with 8 bytes */
+const DumpInt64 = function(x, D) {
+    let ab = new ArrayBuffer(8);
     let dv = new DataView(ab);
     dv.setInt32(0, x, true);
+    dv.setInt32(4, x < 0 ? -1 : 0, true);
     let t = new Uint8Array(ab);
-    DumpBlock(t, 4, D);
+    DumpBlock(t, 8, D);
+};
+
+const DumpInteger = function(x, D) {
+    if (D.L.l_G.int64) {  /* 64-bit integers? (see 'lua_newstate') */
+        let ab = new ArrayBuffer(8);
+        let dv = new DataView(ab);
+        dv.setBigInt64(0, BigInt(x), true);
+        let t = new Uint8Array(ab);
+        DumpBlock(t, 8, D);
+    }
+    else if (D.wide)
+        DumpInt64(x, D);
+    else
+        DumpInt(x, D);
+};
+
+const DumpSize_t = function(x, D) {
+    if (D.wide)
+        DumpInt64(x, D);
+    else
+        DumpInt(x, D);
 };
 
 const DumpNumber = function(x, D) {
@@ -74,14 +100,14 @@ const DumpString = function(s, D) {
             DumpByte(size, D);
         else {
             DumpByte(0xFF, D);
-            DumpInteger(size, D);
+            DumpSize_t(size, D);
         }
         DumpBlock(str, size - 1, D);  /* no need to save '\0' */
     }
 };
 
 const DumpCode = function(f, D) {
-    let s = f.code.map(e => e.code);
+    let s = f.code;
     DumpInt(s.length, D);
 
     for (let i = 0; i < s.length; i++)
@@ -171,23 +197,26 @@ const DumpHeader = function(D) {
     DumpByte(LUAC_FORMAT, D);
     DumpBlock(LUAC_DATA, LUAC_DATA.length, D);
     DumpByte(4, D); // intSize
-    DumpByte(4, D); // size_tSize
+    DumpByte(D.wide ? 8 : 4, D); // size_tSize
     DumpByte(4, D); // instructionSize
-    DumpByte(4, D); // integerSize
+    DumpByte(D.L.l_G.int64 || D.wide ? 8 : 4, D); // integerSize
     DumpByte(8, D); // numberSize
     DumpInteger(LUAC_INT, D);
     DumpNumber(LUAC_NUM, D);
 };
 
 /*
-** dump Lua function as precompiled chunk
+** dump Lua function as precompiled chunk; if 'wide' is true, use the
+** layout of the reference implementation on 64-bit platforms (8-byte
+** size_t and lua_Integer)
 */
-const luaU_dump = function(L, f, w, data, strip) {
+const luaU_dump = function(L, f, w, data, strip, wide) {
     let D = new DumpState();
     D.L = L;
     D.writer = w;
     D.data = data;
     D.strip = strip;
+    D.wide = !!wide;
     D.status = 0;
     DumpHeader(D);
     DumpByte(f.upvalues.length, D);
@@ -1,14 +1,24 @@
 "use strict";
 
-const { constant_types: { LUA_TNIL } } = require('./defs.js');
+const {
+    constant_types: { LUA_TNIL },
+    thread_status: { LUA_OK },
+    to_luastring
+} = require('./defs.js');
+const { lua_assert } = require('./llimits.js');
+const ldebug  = require('./ldebug.js');
+const ldo     = require('./ldo.js');
+const lmem    = require('./lmem.js');
 const lobject = require('./lobject.js');
+const ltm     = require('./ltm.js');
 
 class Proto {
     constructor(L) {
         this.id = L.l_G.id_counter++;
+        lmem.luaM_newobject(L, lmem.sizeproto);
         this.k = [];              // constants used by the function
         this.p = [];              // functions defined inside the function
-        this.code = [];           // opcodes
+        this.code = new Int32Array(0); // instructions (see lopcodes.js)
         this.cache = null;        // last-created closure with this prototype
         this.lineinfo = [];       // map from opcodes to source lines (debug information)
         this.upvalues = [];       // upvalue information
@@ -19,6 +29,9 @@ class Proto {
         this.linedefined = 0;     // debug information
         this.lastlinedefined = 0; // debug information
         this.source = null;       // used for debug information
+        this.hotness = 0;         // instructions run by the interpreter (see ljit.js)
+        this.jit = null;          // compiled function, or false if it cannot be compiled
+        this.icache = null;       // inline caches of table accesses, by pc (see lvm.js)
     }
 }
 
@@ -27,17 +40,107 @@ const luaF_newLclosure = function(L, n) {
 };
 
 
+/*
+** An open upvalue is the stack slot of its variable itself; the slot is
+** recorded in the list of open upvalues of the thread, so that it is
+** detached from the stack when the variable goes out of scope.
+*/
 const luaF_findupval = function(L, level) {
+    let open = L.openupval;
+    let i = open.length;
+    while (i > 0 && open[i - 1] > level)  /* find its place in the list */
+        i--;
+    if (i === 0 || open[i - 1] !== level)  /* not found? */
+        open.splice(i, 0, level);  /* create a new one */
     return L.stack[level];
 };
 
-const luaF_close = function(L, level) {
-    /* Create new TValues on stack;
-     * any closures will keep referencing old TValues */
-    for (let i=level; i<L.top; i++) {
+/*
+** {==================================================================
+** To-be-closed variables (Lua 5.4)
+** ===================================================================
+*/
+
+/*
+** Call closing method for object 'obj' with error message 'err'. The
+** method cannot yield.
+*/
+const callclosemethod = function(L, obj, err) {
+    ldo.luaD_checkstack(L, 3);
+    let top = L.top;
+    let tm = ltm.luaT_gettmbyobj(L, obj, ltm.TMS.TM_CLOSE);
+    lobject.setobj2s(L, top, tm);  /* will call metamethod... */
+    lobject.setobj2s(L, top + 1, obj);  /* with 'self' as the 1st argument */
+    lobject.setobj2s(L, top + 2, err);  /* and error msg. as 2nd argument */
+    L.top = top + 3;  /* add function and arguments */
+    ldo.luaD_callnoyield(L, top, 0);
+};
+
+/*
+** Check whether object at given level has a close metamethod and raise
+** an error if not.
+*/
+const checkclosemth = function(L, level) {
+    let tm = ltm.luaT_gettmbyobj(L, L.stack[level], ltm.TMS.TM_CLOSE);
+    if (tm.ttisnil()) {  /* no metamethod? */
+        let ci = L.ci;
+        let vname = luaF_getlocalname(ci.func.value.p, level - ci.l_base + 1, ci.l_savedpc - 1);
+        if (vname === null) vname = to_luastring("?", true);
+        ldebug.luaG_runerror(L, to_luastring("variable '%s' got a non-closable value"), vname);
+    }
+};
+
+/*
+** Prepare and call a closing method. If status is OK, code is still
+** inside the original protected call, and so any error will be handled
+** there. Otherwise, a previous error already activated the original
+** protected call, and so the call to the closing method must be
+** protected here. (A status of LUA_OK means a normal exit.)
+*/
+const prepcallclosemth = function(L, level, status) {
+    let uv = L.stack[level];  /* value being closed */
+    let errobj;
+    if (status === LUA_OK)  /* normal exit? */
+        errobj = lobject.luaO_nilobject;  /* error object is nil */
+    else {  /* 'luaD_seterrorobj' will set top to level + 2 */
+        ldo.luaD_seterrorobj(L, status, level + 1);  /* set error object */
+        errobj = L.stack[level + 1];
+    }
+    callclosemethod(L, uv, errobj);
+};
+
+/*
+** Insert a variable in the list of to-be-closed variables.
+*/
+const luaF_newtbcupval = function(L, level) {
+    let tbc = L.tbclist;
+    lua_assert(tbc.length === 0 || level > tbc[tbc.length - 1]);
+    if (L.stack[level].l_isfalse())
+        return;  /* false doesn't need to be closed */
+    checkclosemth(L, level);  /* value must have a close method */
+    tbc.push(level);
+};
+
+/* }================================================================== */
+
+/*
+** close the upvalues at or above 'level': closures keep referencing the
+** old slots, and the stack gets new TValues in their place. Then call
+** the closing methods of the to-be-closed variables at or above 'level',
+** from the last one, with the error object of 'status'
+*/
+const luaF_close = function(L, level, status) {
+    let open = L.openupval;
+    while (open.length > 0 && open[open.length - 1] >= level) {
+        let i = open.pop();
         let old = L.stack[i];
         L.stack[i] = new lobject.TValue(old.type, old.value);
     }
+    let tbc = L.tbclist;
+    while (tbc.length > 0 && tbc[tbc.length - 1] >= level) {
+        let tbclevel = tbc.pop();  /* remove variable from the list */
+        prepcallclosemth(L, tbclevel, status);  /* close variable */
+    }
 };
 
 /*
@@ -70,3 +173,4 @@ module.exports.luaF_close        = luaF_close;
 module.exports.luaF_getlocalname = luaF_getlocalname;
 module.exports.luaF_initupvals   = luaF_initupvals;
 module.exports.luaF_newLclosure  = luaF_newLclosure;
+module.exports.luaF_newtbcupval  = luaF_newtbcupval;
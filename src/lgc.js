@@ -0,0 +1,422 @@
+"use strict";
+
+/* global FinalizationRegistry, WeakRef */
+
+const {
+    constant_types: {
+        LUA_TCCL,
+        LUA_TLCL,
+        LUA_TLNGSTR,
+        LUA_TSHRSTR,
+        LUA_TTABLE,
+        LUA_TTHREAD,
+        LUA_TUSERDATA
+    },
+    thread_status: { LUA_OK },
+    to_luastring
+} = require('./defs.js');
+const ldo     = require('./ldo.js');
+const lfunc   = require('./lfunc.js');
+const lmem    = require('./lmem.js');
+const lobject = require('./lobject.js');
+const lstate  = require('./lstate.js');
+const lstring = require('./lstring.js');
+const ltable  = require('./ltable.js');
+const ltm     = require('./ltm.js');
+
+/* kinds of Garbage Collection */
+const KGC_INC = 0;  /* incremental gc */
+const KGC_GEN = 1;  /* generational gc */
+
+/*
+** 'GCSTEPSIZE' is the debt a state gets when it can't do a step (because
+** the collector is stopped)
+*/
+const GCSTEPSIZE = 100 * 24;  /* 100 * sizeof(TString) */
+
+/*
+** 'pause' is given as a percentage: the threshold for the next cycle is
+** (estimate / PAUSEADJ) * pause
+*/
+const PAUSEADJ = 100;
+
+/*
+** Finalizers.
+** JS gives no chance to run code on an object before it is reclaimed,
+** so each object marked for finalization has a record holding its state
+** (but not the object itself). Once the JS garbage collector reclaims the
+** object, a FinalizationRegistry queues the record in 'g.tobefnz', and
+** at the next safe point ('luaC_checkGC') the finalizer is called with a
+** new object sharing that state: no one can tell it apart from the
+** collected one, which nothing referenced anymore.
+** The record keeps the state alive, so an object whose state refers
+** back to it (e.g. a table containing itself, or a '__gc' closure using
+** it as an upvalue) is never collected.
+*/
+
+const has_finalizationregistry = typeof FinalizationRegistry === "function" && typeof WeakRef === "function";
+
+class FinRecord {
+    constructor(o) {
+        this.type = o instanceof ltable.Table ? LUA_TTABLE : LUA_TUSERDATA;
+        this.id = o.id;
+        this.ref = new WeakRef(o);  /* to finalize it while still alive (see 'luaC_freeallobjects') */
+        savestate(this, o);
+    }
+}
+
+/* copy state of object 'o' into its record 'r' */
+const savestate = function(r, o) {
+    r.metatable = o.metatable;
+    if (r.type === LUA_TTABLE) {
+        r.array = o.array;
+        r.strong = o.strong;
+        r.list = o.list;
+        r.mode = o.mode;
+        r.weak_entries = o.weak_entries;
+        r.ephemerons = o.ephemerons;
+    } else {
+        r.uservalue = o.uservalue;
+        r.len = o.len;
+        r.data = o.data;
+    }
+};
+
+/* create an object with the state in record 'r' */
+const resurrect = function(r) {
+    let o = r.ref.deref();
+    if (o !== void 0)  /* not collected yet? */
+        return new lobject.TValue(r.type, o);
+    if (r.type === LUA_TTABLE) {
+        o = Object.create(ltable.Table.prototype);
+        o.array = r.array;
+        o.hsize = 0;  /* recomputed at next insertion */
+        o.hused = 0;
+        o.strong = r.strong;
+        o.dead_strong = new Map();
+        o.dead_weak = void 0;
+        o.list = r.list;
+        o.flags = 0;
+        o.mode = r.mode;
+        o.weak_entries = r.weak_entries;
+        o.ephemerons = r.ephemerons;
+    } else {
+        o = Object.create(lobject.Udata.prototype);
+        o.uservalue = r.uservalue;
+        o.len = r.len;
+        o.data = r.data;
+    }
+    o.id = r.id;
+    o.metatable = r.metatable;
+    return new lobject.TValue(r.type, o);
+};
+
+const newregistry = function(g) {
+    return new FinalizationRegistry(function(r) {
+        if (g.finobj.delete(r))  /* not finalized yet? */
+            g.tobefnz.push(r);
+    });
+};
+
+/*
+** if object 'o' has a finalizer, mark it for finalization; keep the
+** record of an object already marked up to date.
+*/
+const luaC_checkfinalizer = function(L, o, mt) {
+    let g = L.l_G;
+    let r = g.finrecords.get(o);
+    if (r !== void 0) {  /* obj. is already marked... */
+        savestate(r, o);
+        return;
+    }
+    if (!has_finalizationregistry ||  /* no way to know when 'o' is collected */
+        ltm.fasttm(L, mt, ltm.TMS.TM_GC) === null)  /* or has no finalizer? */
+        return;  /* nothing to be done */
+    if (g.finreg === null) g.finreg = newregistry(g);
+    r = new FinRecord(o);
+    g.finrecords.set(o, r);
+    g.finobj.add(r);
+    g.finreg.register(o, r, r);
+};
+
+const dothecall = function(L, ud) {
+    ldo.luaD_callnoyield(L, L.top - 2, 0);
+};
+
+const GCTM = function(L) {
+    let g = L.l_G;
+    let v = resurrect(g.tobefnz.shift());
+    let tm = ltm.luaT_gettmbyobj(L, v, ltm.TMS.TM_GC);
+    if (tm.ttisfunction()) {  /* is there a finalizer? */
+        let oldah = L.allowhook;
+        let running = g.gcrunning;
+        L.allowhook = 0;  /* stop debug hooks during GC metamethod */
+        g.gcrunning = false;  /* avoid GC steps */
+        let oldtop = L.top;
+        lobject.setobj2s(L, L.top, tm);  /* push finalizer... */
+        lobject.setobj2s(L, L.top + 1, v);  /* ... and its argument */
+        L.top += 2;  /* and (next line) call the finalizer */
+        L.ci.callstatus |= lstate.CIST_FIN;  /* will run a finalizer */
+        let status = ldo.luaD_pcall(L, dothecall, null, oldtop, 0);
+        L.ci.callstatus &= ~lstate.CIST_FIN;  /* not running a finalizer anymore */
+        L.allowhook = oldah;  /* restore hooks */
+        g.gcrunning = running;  /* restore state */
+        if (status !== LUA_OK) {  /* error while running __gc? */
+            lstate.luaE_warnerror(L, to_luastring("__gc metamethod", true));
+            ldo.adjust_top(L, oldtop);  /* remove error object */
+        }
+    }
+};
+
+/*
+** call all pending finalizers
+*/
+const callallpendingfinalizers = function(L) {
+    let g = L.l_G;
+    while (g.tobefnz.length > 0)
+        GCTM(L);
+};
+
+/*
+** Collection cycles.
+** Unreachable objects are reclaimed by the JS garbage collector, so a
+** cycle only traverses the objects reachable from the roots to measure
+** the memory in use; that estimate paces the next cycle, as in the
+** reference implementation. A cycle is done all at once: the incremental
+** and the generational modes only differ by their parameters.
+*/
+
+class GCState {
+    constructor() {
+        this.marked = new Set();  /* objects already reached */
+        this.gray = [];  /* reached objects yet to be traversed */
+        this.bytes = 0;  /* size of traversed objects */
+    }
+}
+
+const markobject = function(st, o) {
+    if (o !== null && o !== void 0 && !st.marked.has(o)) {
+        st.marked.add(o);
+        st.gray.push(o);
+    }
+};
+
+const markvalue = function(st, v) {
+    if (v === void 0) return;
+    switch (v.type) {
+        case LUA_TSHRSTR: case LUA_TLNGSTR: case LUA_TTABLE: case LUA_TLCL:
+        case LUA_TCCL: case LUA_TUSERDATA: case LUA_TTHREAD:
+            markobject(st, v.value);
+    }
+};
+
+/* mark the strong parts of entry 'e' of a table */
+const markentry = function(st, e) {
+    if (!e.wk) {  /* key not weak? */
+        markvalue(st, e.key);
+        if (e.wv === void 0)  /* value not weak? */
+            markvalue(st, e.value);
+    }
+};
+
+const traversetable = function(st, h) {
+    markobject(st, h.metatable);
+    for (let i = 0; i < h.array.length; i++)
+        markvalue(st, h.array[i]);
+    for (let e = h.list.f; e; e = e.n)
+        markentry(st, e);
+    return lmem.sizetable + h.array.length * lmem.sizeTValue + h.hsize * lmem.sizenode;
+};
+
+const traverseproto = function(st, f) {
+    markobject(st, f.source);
+    for (let i = 0; i < f.k.length; i++)  /* mark literals */
+        markvalue(st, f.k[i]);
+    for (let i = 0; i < f.upvalues.length; i++)  /* mark upvalue names */
+        markobject(st, f.upvalues[i].name);
+    for (let i = 0; i < f.p.length; i++)  /* mark nested protos */
+        markobject(st, f.p[i]);
+    for (let i = 0; i < f.locvars.length; i++)  /* mark local-variable names */
+        markobject(st, f.locvars[i].varname);
+    return lmem.sizeproto + 4 * f.code.length + 16 * f.k.length + 8 * f.p.length +
+        4 * f.lineinfo.length + 16 * f.locvars.length + 16 * f.upvalues.length;
+};
+
+const traversethread = function(st, th) {
+    if (th.stack === null)  /* stack not completely built yet? */
+        return lmem.sizethread;
+    for (let i = 0; i < th.top; i++)
+        markvalue(st, th.stack[i]);
+    return lmem.sizethread + th.stack.length * lmem.sizeTValue;
+};
+
+/* traverse a gray object, marking the objects it refers to */
+const propagatemark = function(st, o) {
+    if (o instanceof lstring.TString)
+        return lmem.sizelstring(o.tsslen());
+    else if (o instanceof ltable.Table)
+        return traversetable(st, o);
+    else if (o instanceof lobject.LClosure) {
+        markobject(st, o.p);
+        for (let i = 0; i < o.nupvalues; i++)
+            markvalue(st, o.upvals[i]);
+        return lmem.sizeLclosure(o.nupvalues);
+    } else if (o instanceof lobject.CClosure) {
+        for (let i = 0; i < o.nupvalues; i++)
+            markvalue(st, o.upvalue[i]);
+        return lmem.sizeCclosure(o.nupvalues);
+    } else if (o instanceof lobject.Udata) {
+        markobject(st, o.metatable);
+        markvalue(st, o.uservalue);
+        return lmem.sizeudata(o.len);
+    } else if (o instanceof lstate.lua_State)
+        return traversethread(st, o);
+    else if (o instanceof lfunc.Proto)
+        return traverseproto(st, o);
+    return 0;
+};
+
+/* mark the state kept by a record of an object to be finalized */
+const markrecord = function(st, r) {
+    markobject(st, r.metatable);
+    if (r.type === LUA_TTABLE) {
+        r.array.forEach((v) => markvalue(st, v));
+        r.strong.forEach((e) => markentry(st, e));
+    }
+    else
+        markvalue(st, r.uservalue);
+};
+
+const markroot = function(st, g) {
+    markobject(st, g.mainthread);
+    markvalue(st, g.l_registry);
+    for (let i = 0; i < g.mt.length; i++)
+        markobject(st, g.mt[i]);
+    for (let i = 0; i < g.tmname.length; i++)
+        markobject(st, g.tmname[i]);
+    g.finobj.forEach((r) => markrecord(st, r));
+    g.tobefnz.forEach((r) => markrecord(st, r));
+};
+
+/* traverse all objects reachable from the roots; returns their size */
+const atomic = function(g) {
+    let st = new GCState();
+    markroot(st, g);
+    while (st.gray.length > 0)
+        st.bytes += propagatemark(st, st.gray.pop());
+    lstring.luaS_sweep(g, st.marked);
+    return st.bytes;
+};
+
+/*
+** Set the "time" to wait before starting a new GC cycle; cycle will
+** start when memory use hits threshold of ('estimate' * gcpause /
+** PAUSEADJ).
+*/
+const setpause = function(g) {
+    let estimate = g.GCestimate / PAUSEADJ;  /* adjust 'estimate' */
+    let threshold = estimate * g.gcpause;
+    let debt = (g.totalbytes + g.GCdebt) - threshold;
+    lstate.luaE_setdebt(g, debt);
+};
+
+const has_weakref = typeof WeakRef === "function";
+
+/*
+** drop the inline caches of table accesses (see lvm.js), each of which
+** may keep an unreachable object alive
+*/
+const clearcaches = function(g) {
+    for (let i = 0; i < g.cachedprotos.length; i++) {
+        let p = g.cachedprotos[i];
+        if (has_weakref) p = p.deref();
+        if (p !== void 0) p.icache = null;
+    }
+    g.cachedprotos.length = 0;
+};
+
+/* do a whole cycle: after it only the objects reached are counted */
+const fullcycle = function(g) {
+    g.GCestimate = atomic(g);
+    g.totalbytes = g.GCestimate;  /* everything else is garbage */
+    g.GCdebt = 0;
+    setpause(g);
+};
+
+/*
+** performs a cycle and runs the pending finalizers; called when the
+** state has allocated enough memory since the last cycle ('GCdebt' > 0)
+*/
+const luaC_step = function(L) {
+    let g = L.l_G;
+    if (!g.gcrunning) {  /* not running? */
+        lstate.luaE_setdebt(g, -GCSTEPSIZE * 10);  /* avoid being called too often */
+        return;
+    }
+    fullcycle(g);
+    callallpendingfinalizers(L);
+};
+
+/*
+** Safe point: do a cycle if it is due, and run the finalizers of objects
+** collected since the last safe point.
+*/
+const luaC_checkGC = function(L) {
+    let g = L.l_G;
+    if (g.GCdebt > 0)
+        luaC_step(L);
+    else if (g.tobefnz.length > 0 && g.gcrunning)
+        callallpendingfinalizers(L);
+};
+
+/*
+** Performs a full GC cycle; if 'isemergency', does not call finalizers.
+** Finalizers only run for objects already reclaimed by the JS garbage
+** collector (which can't be forced).
+*/
+const luaC_fullgc = function(L, isemergency) {
+    let g = L.l_G;
+    clearcaches(g);
+    fullcycle(g);
+    if (!isemergency)
+        callallpendingfinalizers(L);
+};
+
+/* change the collector mode; both modes collect the same way */
+const luaC_changemode = function(L, newmode) {
+    L.l_G.gckind = newmode;
+};
+
+/*
+** move all objects marked for finalization to the list of objects to be
+** finalized, in reverse order of marking
+*/
+const separatetobefnz = function(g) {
+    let records = Array.from(g.finobj).reverse();
+    g.finobj.clear();
+    for (let i = 0; i < records.length; i++) {
+        g.finreg.unregister(records[i]);
+        g.tobefnz.push(records[i]);
+    }
+};
+
+/*
+** call the finalizers of all objects, collected or not (used when closing
+** the state)
+*/
+const luaC_freeallobjects = function(L) {
+    let g = L.l_G;
+    callallpendingfinalizers(L);
+    if (g.finreg !== null)
+        separatetobefnz(g);  /* separate all objects with finalizers */
+    callallpendingfinalizers(L);
+};
+
+module.exports.KGC_GEN              = KGC_GEN;
+module.exports.KGC_INC              = KGC_INC;
+module.exports.luaC_changemode      = luaC_changemode;
+module.exports.luaC_checkGC         = luaC_checkGC;
+module.exports.luaC_checkfinalizer  = luaC_checkfinalizer;
+module.exports.luaC_freeallobjects  = luaC_freeallobjects;
+module.exports.luaC_fullgc          = luaC_fullgc;
+module.exports.luaC_step            = luaC_step;
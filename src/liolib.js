@@ -1,44 +1,247 @@
 "use strict";
 
-const fs      = require('fs');
-
 const {
+    LUA_MINSTACK,
     LUA_REGISTRYINDEX,
+    LUA_TNUMBER,
     lua_getfield,
     lua_gettop,
+    lua_isnil,
     lua_isnone,
     lua_isnoneornil,
     lua_newuserdata,
     lua_pop,
+    lua_pushboolean,
+    lua_pushcclosure,
+    lua_pushfstring,
+    lua_pushinteger,
     lua_pushliteral,
     lua_pushnil,
-    lua_pushstring,
     lua_pushvalue,
+    lua_rawlen,
+    lua_replace,
+    lua_rotate,
     lua_setfield,
+    lua_settop,
+    lua_stringtonumber,
+    lua_toboolean,
+    lua_tointeger,
     lua_tostring,
-    lua_touserdata
+    lua_touserdata,
+    lua_type,
+    lua_upvalueindex
 } = require('./lua.js');
 const {
     LUA_FILEHANDLE,
+    luaL_Buffer,
+    luaL_addchar,
+    luaL_addsize,
+    luaL_argcheck,
+    luaL_argerror,
+    luaL_buffinit,
     luaL_checkany,
+    luaL_checkinteger,
     luaL_checklstring,
+    luaL_checkoption,
+    luaL_checkstack,
+    luaL_checkstring,
     luaL_checkudata,
     luaL_error,
     luaL_fileresult,
+    luaL_getoutput,
+    luaL_getvfs,
     luaL_newlib,
     luaL_newmetatable,
+    luaL_optinteger,
+    luaL_optstring,
+    luaL_prepbuffer,
+    luaL_prepbuffsize,
+    luaL_pushresult,
     luaL_setfuncs,
     luaL_setmetatable,
     luaL_testudata
 } = require('./lauxlib.js');
 const lualib = require('./lualib.js');
+const { LUAL_BUFFERSIZE } = require('./luaconf.js');
 const { to_luastring } = require("./fengaricore.js");
+const { NodeFile } = require("./lvfs.js");
 
 const IO_PREFIX = "_IO_";
 const IOPREF_LEN = IO_PREFIX.length;
 const IO_INPUT = to_luastring(IO_PREFIX + "input");
 const IO_OUTPUT = to_luastring(IO_PREFIX + "output");
 
+const EOF = -1;
+
+const isdigit = e => 48 <= e && e <= 57;
+const isspace = e => e === 32 || (e >= 9 && e <= 13);
+const isxdigit = e => (48 <= e && e <= 57) || (65 <= e && e <= 70) || (97 <= e && e <= 102);
+
+/*
+** Buffered stream on top of a file of the state's virtual file system
+** (see lvfs.js); plays the role of C's 'FILE'. Files have no 'lseek', so
+** the file position is tracked here ('pos' is null for streams that
+** cannot seek, e.g. stdin or a pipe).
+*/
+class LFile {
+    constructor(fh, pos, append) {
+        this.fh = fh;
+        this.pos = pos;  /* position of the end of the read buffer */
+        this.append = append;  /* writes always go to the end of the file */
+        this.buff = new Uint8Array(LUAL_BUFFERSIZE);  /* read buffer */
+        this.off = 0;  /* current position in read buffer */
+        this.n = 0;  /* number of bytes in read buffer */
+        this.err = null;  /* error object of the last failed operation */
+    }
+}
+
+/* read directly from the descriptor; returns number of bytes read */
+const l_rawread = function(f, b, n) {
+    for (;;) {
+        try {
+            let nr = f.fh.read(b, 0, n, f.pos);
+            if (f.pos !== null) f.pos += nr;
+            return nr;
+        } catch (e) {
+            if (e.code === 'EAGAIN')  /* non-blocking stdin with no data ready */
+                continue;
+            if (e.code === 'EOF')  /* windows signals end of a pipe this way */
+                return 0;
+            f.err = e;
+            return 0;
+        }
+    }
+};
+
+const l_fill = function(f) {
+    f.off = 0;
+    f.n = l_rawread(f, f.buff, f.buff.length);
+    return f.n;
+};
+
+const l_getc = function(f) {
+    if (f.off >= f.n && l_fill(f) === 0)
+        return EOF;
+    return f.buff[f.off++];
+};
+
+const l_ungetc = function(c, f) {
+    if (c !== EOF) {
+        lualib.lua_assert(f.off > 0);
+        f.off--;
+    }
+};
+
+/* read up to 'n' bytes into 'b'; returns number of bytes read */
+const l_fread = function(b, n, f) {
+    let nr = Math.min(f.n - f.off, n);
+    b.set(f.buff.subarray(f.off, f.off + nr));
+    f.off += nr;
+    while (nr < n) {
+        let r;
+        if (n - nr >= f.buff.length)  /* large read? bypass the buffer */
+            r = l_rawread(f, b.subarray(nr), n - nr);
+        else {
+            r = Math.min(l_fill(f), n - nr);
+            b.set(f.buff.subarray(0, r), nr);
+            f.off = r;
+        }
+        if (r === 0) break;
+        nr += r;
+    }
+    return nr;
+};
+
+/* forget read-ahead; the descriptor position becomes the logical one */
+const l_dropbuffer = function(f) {
+    if (f.pos !== null)
+        f.pos -= f.n - f.off;
+    f.off = f.n = 0;
+};
+
+const l_ftell = function(f) {
+    return f.pos - (f.n - f.off);
+};
+
+const l_fwrite = function(s, f) {
+    l_dropbuffer(f);
+    let pos = f.append ? null : f.pos;
+    let nw = f.fh.write(s, 0, s.length, pos);
+    if (f.pos !== null) {
+        if (f.append)
+            f.pos = f.fh.size();
+        else
+            f.pos += nw;
+    }
+    return nw;
+};
+
+/* an error object in the shape of node's system errors */
+const l_syserror = function(code, errno, message) {
+    let e = new Error(`${code}: ${message}`);
+    e.code = code;
+    e.errno = -errno;
+    return e;
+};
+
+/* write-only stream over one of the state's output sinks (see 'luaL_getoutput') */
+class SinkFile {
+    constructor(output, which) {
+        this.output = output;
+        this.which = which;  /* "stdout" or "stderr" */
+    }
+
+    read() {
+        throw l_syserror('EBADF', 9, "bad file descriptor");
+    }
+
+    write(buff, offset, length) {
+        this.output[this.which](buff.subarray(offset, offset + length));
+        return length;
+    }
+
+    size() {
+        throw l_syserror('ESPIPE', 29, "illegal seek");
+    }
+
+    close() {}
+}
+
+const l_fseek = function(f, offset, whence) {
+    if (f.pos === null)
+        throw l_syserror('ESPIPE', 29, "illegal seek");
+    let base;
+    switch (whence) {
+        case 0: base = 0; break;
+        case 1: base = l_ftell(f); break;
+        default: base = f.fh.size(); break;
+    }
+    if (base + offset < 0)
+        throw l_syserror('EINVAL', 22, "invalid argument");
+    f.off = f.n = 0;
+    f.pos = base + offset;
+};
+
+/*
+** Check whether 'mode' matches '[rwa]%+?b*'.
+*/
+const l_checkmode = function(mode) {
+    let i = 0;
+    if (mode.length === 0 || [114 /* 'r' */, 119 /* 'w' */, 97 /* 'a' */].indexOf(mode[i++]) === -1)
+        return null;
+    let plus = mode[i] === 43 /* '+'.charCodeAt(0) */;
+    if (plus) i++;
+    for (; i < mode.length; i++)  /* check extensions */
+        if (mode[i] !== 98 /* 'b'.charCodeAt(0) */)
+            return null;
+    return String.fromCharCode(mode[0]) + (plus ? "+" : "");  /* mode for the VFS' 'open' */
+};
+
+const l_fopen = function(L, filename, flags) {
+    let fh = luaL_getvfs(L).open(filename, flags);
+    return new LFile(fh, 0, flags[0] === "a");
+};
+
 const tolstream = function(L) {
     return luaL_checkudata(L, 1, LUA_FILEHANDLE);
 };
@@ -64,7 +267,7 @@ const f_tostring = function(L) {
     if (isclosed(p))
         lua_pushliteral(L, "file (closed)");
     else
-        lua_pushstring(L, to_luastring(`file (${p.f.toString()})`));
+        lua_pushfstring(L, to_luastring("file (%p)"), p.f);
     return 1;
 };
 
@@ -98,6 +301,56 @@ const io_close = function(L) {
     return aux_close(L);
 };
 
+const f_gc = function(L) {
+    let p = tolstream(L);
+    if (!isclosed(p) && p.f !== null)
+        aux_close(L);  /* ignore closed and incompletely open files */
+    return 0;
+};
+
+/*
+** function to close regular files
+*/
+const io_fclose = function(L) {
+    let p = tolstream(L);
+    try {
+        p.f.fh.close();
+    } catch (e) {
+        return luaL_fileresult(L, false, null, e);
+    }
+    return luaL_fileresult(L, true, null, null);
+};
+
+const newfile = function(L) {
+    let p = newprefile(L);
+    p.f = null;
+    p.closef = io_fclose;
+    return p;
+};
+
+const opencheckfile = function(L, fname, flags) {
+    let p = newfile(L);
+    try {
+        p.f = l_fopen(L, fname, flags);
+    } catch (e) {
+        luaL_error(L, to_luastring("cannot open file '%s' (%s)"), fname, to_luastring(e.message));
+    }
+};
+
+const io_open = function(L) {
+    let filename = luaL_checkstring(L, 1);
+    let mode = luaL_optstring(L, 2, "r");
+    let p = newfile(L);
+    let flags = l_checkmode(mode);
+    luaL_argcheck(L, flags !== null, 2, "invalid mode");
+    try {
+        p.f = l_fopen(L, filename, flags);
+    } catch (e) {
+        return luaL_fileresult(L, false, filename, e);
+    }
+    return 1;
+};
+
 const getiofile = function(L, findex) {
     lua_getfield(L, LUA_REGISTRYINDEX, findex);
     let p = lua_touserdata(L, -1);
@@ -110,7 +363,7 @@ const g_iofile = function(L, f, mode) {
     if (!lua_isnoneornil(L, 1)) {
         let filename = lua_tostring(L, 1);
         if (filename)
-            luaL_error(L, to_luastring("opening files not yet implemented"));
+            opencheckfile(L, filename, mode);
         else {
             tofile(L);  /* check that it's a valid file handle */
             lua_pushvalue(L, 1);
@@ -130,10 +383,260 @@ const io_output = function(L) {
     return g_iofile(L, IO_OUTPUT, "w");
 };
 
-/* node <= 6 doesn't support passing a Uint8Array to fs.writeSync */
-const prepare_string_for_write = process.versions.node > 6 ?
-    (s) => s : // identity function
-    (s) => Buffer.from(s.buffer, s.byteOffset, s.byteLength);
+/*
+** maximum number of arguments to 'f:lines'/'io.lines' (it + 3 must fit
+** in the limit for upvalues of a closure)
+*/
+const MAXARGLINE = 250;
+
+const aux_lines = function(L, toclose) {
+    let n = lua_gettop(L) - 1;  /* number of arguments to read */
+    luaL_argcheck(L, n <= MAXARGLINE, MAXARGLINE + 2, "too many arguments");
+    lua_pushinteger(L, n);  /* number of arguments to read */
+    lua_pushboolean(L, toclose);  /* close/not close file when finished */
+    lua_rotate(L, 2, 2);  /* move 'n' and 'toclose' to their positions */
+    lua_pushcclosure(L, io_readline, 3 + n);
+};
+
+const f_lines = function(L) {
+    tofile(L);  /* check that it's a valid file handle */
+    aux_lines(L, false);
+    return 1;
+};
+
+const io_lines = function(L) {
+    let toclose;
+    if (lua_isnone(L, 1)) lua_pushnil(L);  /* at least one argument */
+    if (lua_isnil(L, 1)) {  /* no file name? */
+        lua_getfield(L, LUA_REGISTRYINDEX, IO_INPUT);  /* get default input */
+        lua_replace(L, 1);  /* put it at index 1 */
+        tofile(L);  /* check that it's a valid file handle */
+        toclose = false;  /* do not close it after iteration */
+    } else {  /* open a new file */
+        let filename = luaL_checkstring(L, 1);
+        opencheckfile(L, filename, "r");
+        lua_replace(L, 1);  /* put file at index 1 */
+        toclose = true;  /* close it after iteration */
+    }
+    aux_lines(L, toclose);
+    return 1;
+};
+
+/*
+** {======================================================
+** READ
+** =======================================================
+*/
+
+/* maximum length of a numeral */
+const L_MAXLENNUM = 200;
+
+class RN {
+    constructor(f) {
+        this.f = f;
+        this.c = EOF;  /* current character (look ahead) */
+        this.n = 0;  /* number of elements in buffer 'buff' */
+        this.buff = new Uint8Array(L_MAXLENNUM);
+    }
+}
+
+/*
+** Add current char to buffer (if not out of space) and read next one
+*/
+const nextc = function(rn) {
+    if (rn.n >= L_MAXLENNUM) {  /* buffer overflow? */
+        rn.n = 0;  /* invalidate result */
+        return false;  /* fail */
+    } else {
+        rn.buff[rn.n++] = rn.c;  /* save current char */
+        rn.c = l_getc(rn.f);  /* read next one */
+        return true;
+    }
+};
+
+/*
+** Accept current char if it is in 'set' (of size 2)
+*/
+const test2 = function(rn, set) {
+    if (rn.c === set.charCodeAt(0) || rn.c === set.charCodeAt(1))
+        return nextc(rn);
+    else return false;
+};
+
+/*
+** Read a sequence of (hex)digits
+*/
+const readdigits = function(rn, hex) {
+    let count = 0;
+    while ((hex ? isxdigit(rn.c) : isdigit(rn.c)) && nextc(rn))
+        count++;
+    return count;
+};
+
+/*
+** Read a number: first reads a valid prefix of a numeral into a buffer.
+** Then it calls 'lua_stringtonumber' to check whether the format is
+** correct and to convert it to a Lua number
+*/
+const read_number = function(L, f) {
+    let rn = new RN(f);
+    let count = 0;
+    let hex = false;
+    let decp = "..";  /* decimal point is always '.' (see 'lua_getlocaledecpoint') */
+    do { rn.c = l_getc(rn.f); } while (isspace(rn.c));  /* skip spaces */
+    test2(rn, "-+");  /* optional signal */
+    if (test2(rn, "00")) {
+        if (test2(rn, "xX")) hex = true;  /* numeral is hexadecimal */
+        else count = 1;  /* count initial '0' as a valid digit */
+    }
+    count += readdigits(rn, hex);  /* integral part */
+    if (test2(rn, decp))  /* decimal point? */
+        count += readdigits(rn, hex);  /* fractional part */
+    if (count > 0 && test2(rn, (hex ? "pP" : "eE"))) {  /* exponent mark? */
+        test2(rn, "-+");  /* exponent signal */
+        readdigits(rn, false);  /* exponent digits */
+    }
+    l_ungetc(rn.c, rn.f);  /* unread look-ahead char */
+    if (lua_stringtonumber(L, rn.buff.subarray(0, rn.n)))
+        return true;  /* ok */
+    else {  /* invalid format */
+        lua_pushnil(L);  /* "result" to be removed */
+        return false;  /* read fails */
+    }
+};
+
+const test_eof = function(L, f) {
+    let c = l_getc(f);
+    l_ungetc(c, f);  /* no-op when c == EOF */
+    lua_pushliteral(L, "");
+    return c !== EOF;
+};
+
+const read_line = function(L, f, chop) {
+    let b = new luaL_Buffer();
+    let c = 0;
+    luaL_buffinit(L, b);
+    while (c !== EOF && c !== 10 /* '\n'.charCodeAt(0) */) {  /* repeat until end of line */
+        let buff = luaL_prepbuffer(b);  /* preallocate buffer */
+        let i = 0;
+        while (i < LUAL_BUFFERSIZE && (c = l_getc(f)) !== EOF && c !== 10 /* '\n'.charCodeAt(0) */)
+            buff[i++] = c;
+        luaL_addsize(b, i);
+    }
+    if (!chop && c === 10 /* '\n'.charCodeAt(0) */)  /* want a newline and have one? */
+        luaL_addchar(b, c);  /* add ending newline to result */
+    luaL_pushresult(b);  /* close buffer */
+    /* return ok if read something (either a newline or something else) */
+    return c === 10 /* '\n'.charCodeAt(0) */ || lua_rawlen(L, -1) > 0;
+};
+
+const read_all = function(L, f) {
+    let nr;
+    let b = new luaL_Buffer();
+    luaL_buffinit(L, b);
+    do {  /* read file in chunks of LUAL_BUFFERSIZE bytes */
+        let p = luaL_prepbuffer(b);
+        nr = l_fread(p, LUAL_BUFFERSIZE, f);
+        luaL_addsize(b, nr);
+    } while (nr === LUAL_BUFFERSIZE);
+    luaL_pushresult(b);  /* close buffer */
+};
+
+const read_chars = function(L, f, n) {
+    let b = new luaL_Buffer();
+    luaL_buffinit(L, b);
+    let p = luaL_prepbuffsize(b, n);  /* prepare buffer to read whole block */
+    let nr = l_fread(p, n, f);  /* try to read 'n' chars */
+    luaL_addsize(b, nr);
+    luaL_pushresult(b);  /* close buffer */
+    return nr > 0;  /* true iff read something */
+};
+
+const g_read = function(L, f, first) {
+    let nargs = lua_gettop(L) - 1;
+    let success;
+    let n;
+    f.err = null;
+    if (nargs === 0) {  /* no arguments? */
+        success = read_line(L, f, true);
+        n = first + 1;  /* to return 1 result */
+    } else {  /* ensure stack space for all results and for auxlib's buffer */
+        luaL_checkstack(L, nargs + LUA_MINSTACK, "too many arguments");
+        success = true;
+        for (n = first; nargs-- && success; n++) {
+            if (lua_type(L, n) === LUA_TNUMBER) {
+                let l = Number(luaL_checkinteger(L, n));  /* a 64-bit integer may be a BigInt */
+                luaL_argcheck(L, l >= 0, n, "invalid format");
+                success = (l === 0) ? test_eof(L, f) : read_chars(L, f, l);
+            } else {
+                let p = luaL_checkstring(L, n);
+                let i = 0;
+                if (p[i] === 42 /* '*'.charCodeAt(0) */) i++;  /* skip optional '*' (for compatibility) */
+                switch (p[i]) {
+                    case 110 /* 'n'.charCodeAt(0) */:  /* number */
+                        success = read_number(L, f);
+                        break;
+                    case 108 /* 'l'.charCodeAt(0) */:  /* line */
+                        success = read_line(L, f, true);
+                        break;
+                    case 76 /* 'L'.charCodeAt(0) */:  /* line with end-of-line */
+                        success = read_line(L, f, false);
+                        break;
+                    case 97 /* 'a'.charCodeAt(0) */:  /* file */
+                        read_all(L, f);  /* read entire file */
+                        success = true;  /* always success */
+                        break;
+                    default:
+                        return luaL_argerror(L, n, to_luastring("invalid format", true));
+                }
+            }
+        }
+    }
+    if (f.err)
+        return luaL_fileresult(L, false, null, f.err);
+    if (!success) {
+        lua_pop(L, 1);  /* remove last result */
+        lua_pushnil(L);  /* push nil instead */
+    }
+    return n - first;
+};
+
+const io_read = function(L) {
+    return g_read(L, getiofile(L, IO_INPUT), 1);
+};
+
+const f_read = function(L) {
+    return g_read(L, tofile(L), 2);
+};
+
+const io_readline = function(L) {
+    let p = lua_touserdata(L, lua_upvalueindex(1));
+    let n = lua_tointeger(L, lua_upvalueindex(2));
+    if (isclosed(p))  /* file is already closed? */
+        return luaL_error(L, to_luastring("file is already closed"));
+    lua_settop(L, 1);
+    luaL_checkstack(L, n, "too many arguments");
+    for (let i = 1; i <= n; i++)  /* push arguments to 'g_read' */
+        lua_pushvalue(L, lua_upvalueindex(3 + i));
+    n = g_read(L, p.f, 2);  /* 'n' is number of results */
+    lualib.lua_assert(n > 0);  /* should return at least a nil */
+    if (lua_toboolean(L, -n))  /* read at least one value? */
+        return n;  /* return them */
+    else {  /* first result is nil: EOF or error */
+        if (n > 1) {  /* is there error information? */
+            /* 2nd result is error message */
+            return luaL_error(L, to_luastring("%s"), lua_tostring(L, -n + 1));
+        }
+        if (lua_toboolean(L, lua_upvalueindex(3))) {  /* generate error? */
+            lua_settop(L, 0);
+            lua_pushvalue(L, lua_upvalueindex(1));
+            aux_close(L);  /* close it */
+        }
+        return 0;
+    }
+};
+
+/* }====================================================== */
 
 const g_write = function(L, f, arg) {
     let nargs = lua_gettop(L) - arg;
@@ -142,7 +645,7 @@ const g_write = function(L, f, arg) {
     for (; nargs--; arg++) {
         let s = luaL_checklstring(L, arg);
         try {
-            status = status && (fs.writeSync(f.fd, prepare_string_for_write(s), 0, s.length) === s.length);
+            status = status && (l_fwrite(s, f) === s.length);
         } catch (e) {
             status = false;
             err = e;
@@ -162,6 +665,27 @@ const f_write = function(L) {
     return g_write(L, f, 2);
 };
 
+const f_seek = function(L) {
+    let f = tofile(L);
+    let op = luaL_checkoption(L, 2, "cur", ["set", "cur", "end"].map((m) => to_luastring(m)));
+    let offset = Number(luaL_optinteger(L, 3, 0));  /* a 64-bit integer may be a BigInt */
+    try {
+        l_fseek(f, offset, op);
+    } catch (e) {
+        return luaL_fileresult(L, false, null, e);  /* error */
+    }
+    lua_pushinteger(L, l_ftell(f));
+    return 1;
+};
+
+const f_setvbuf = function(L) {
+    /* stub, as node doesn't buffer writes; only validates the arguments */
+    tofile(L);
+    luaL_checkoption(L, 2, null, ["no", "full", "line"].map((m) => to_luastring(m)));
+    luaL_optinteger(L, 3, LUAL_BUFFERSIZE);
+    return luaL_fileresult(L, true, null, null);
+};
+
 const io_flush = function (L) {
     /* stub, as node doesn't have synchronized buffered IO */
     getiofile(L, IO_OUTPUT);
@@ -178,7 +702,10 @@ const iolib = {
     "close": io_close,
     "flush": io_flush,
     "input": io_input,
+    "lines": io_lines,
+    "open": io_open,
     "output": io_output,
+    "read": io_read,
     "type": io_type,
     "write": io_write
 };
@@ -186,7 +713,12 @@ const iolib = {
 const flib = {
     "close": io_close,
     "flush": f_flush,
+    "lines": f_lines,
+    "read": f_read,
+    "seek": f_seek,
+    "setvbuf": f_setvbuf,
     "write": f_write,
+    "__gc": f_gc,
     "__tostring": f_tostring
 };
 
@@ -220,10 +752,11 @@ const createstdfile = function(L, f, k, fname) {
 const luaopen_io = function(L) {
     luaL_newlib(L, iolib);
     createmeta(L);
+    let output = luaL_getoutput(L);
     /* create (and set) default files */
-    createstdfile(L, process.stdin, IO_INPUT, to_luastring("stdin"));
-    createstdfile(L, process.stdout, IO_OUTPUT, to_luastring("stdout"));
-    createstdfile(L, process.stderr, null, to_luastring("stderr"));
+    createstdfile(L, new LFile(new NodeFile(process.stdin.fd), null, false), IO_INPUT, to_luastring("stdin"));
+    createstdfile(L, new LFile(new SinkFile(output, "stdout"), null, false), IO_OUTPUT, to_luastring("stdout"));
+    createstdfile(L, new LFile(new SinkFile(output, "stderr"), null, false), null, to_luastring("stderr"));
     return 1;
 };
 
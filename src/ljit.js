@@ -0,0 +1,542 @@
+"use strict";
+
+const {
+    constant_types: {
+        LUA_TBOOLEAN,
+        LUA_TNIL,
+        LUA_TNUMFLT,
+        LUA_TNUMINT
+    },
+    thread_status: { LUA_OK },
+    to_jsstring,
+    to_luastring
+} = require('./defs.js');
+const {
+    GETARG_A,
+    GETARG_Ax,
+    GETARG_B,
+    GETARG_Bx,
+    GETARG_C,
+    GETARG_sBx,
+    GET_OPCODE,
+    INDEXK,
+    ISK,
+    OpCodes,
+    OpCodesI: {
+        OP_ADD,
+        OP_BAND,
+        OP_BNOT,
+        OP_BOR,
+        OP_BXOR,
+        OP_CALL,
+        OP_CLOSURE,
+        OP_CONCAT,
+        OP_DIV,
+        OP_EQ,
+        OP_EXTRAARG,
+        OP_FORLOOP,
+        OP_FORPREP,
+        OP_GETTABLE,
+        OP_GETTABUP,
+        OP_GETUPVAL,
+        OP_IDIV,
+        OP_JMP,
+        OP_LE,
+        OP_LEN,
+        OP_LOADBOOL,
+        OP_LOADK,
+        OP_LOADKX,
+        OP_LOADNIL,
+        OP_LT,
+        OP_MOD,
+        OP_MOVE,
+        OP_MUL,
+        OP_NEWTABLE,
+        OP_NOT,
+        OP_POW,
+        OP_RETURN,
+        OP_SELF,
+        OP_SETLIST,
+        OP_SETTABLE,
+        OP_SETTABUP,
+        OP_SETUPVAL,
+        OP_SHL,
+        OP_SHR,
+        OP_SUB,
+        OP_TAILCALL,
+        OP_TBC,
+        OP_TEST,
+        OP_TESTSET,
+        OP_TFORCALL,
+        OP_TFORLOOP,
+        OP_UNM,
+        OP_VARARG
+    }
+} = require('./lopcodes.js');
+const ldo     = require('./ldo.js');
+const lfunc   = require('./lfunc.js');
+const lobject = require('./lobject.js');
+const lvm     = require('./lvm.js');
+const { LUA_IDSIZE } = require('./luaconf.js');
+
+/*
+** A state created with the option 'jit' (see 'lua_newstate') translates
+** the bytecode of a prototype into a JavaScript function once the
+** interpreter has run JIT_THRESHOLD of its instructions.
+**
+** A compiled function 'f(L, ci)' runs the Lua function of frame 'ci'
+** from instruction 'ci.l_savedpc' on, and returns to 'luaV_execute'
+** when the frame changes:
+**   JIT_CALL: a Lua function was called ('L.ci' is its new frame);
+**   JIT_RETURN: the function returned (as 'luaD_poscall' returning 0);
+**   JIT_RETFIX: the function returned (as 'luaD_poscall' returning 1);
+**   JIT_INTERP: the interpreter must go on from 'ci.l_savedpc', because
+** a hook was set.
+** As calls to Lua functions go through 'luaV_execute', they do not nest
+** in the JavaScript stack, and a coroutine can yield from anywhere. Like
+** the interpreter, a compiled function keeps 'ci.l_savedpc' up to date
+** before anything that may raise an error, call a metamethod or yield,
+** so that errors get their line information and 'luaV_finishOp' can
+** resume an interrupted instruction (in the interpreter).
+** The instructions that the code runs are counted by basic blocks
+** against the limits of the state (see 'lua_setlimits').
+*/
+
+const JIT_THRESHOLD = 1000;   /* instructions to run before compiling */
+const JIT_MAXCODE   = 10000;  /* larger functions are not compiled */
+
+const JIT_CALL   = 1;
+const JIT_RETURN = 2;
+const JIT_RETFIX = 3;
+const JIT_INTERP = 4;
+
+/* code to test whether TValue 'v' is false (see 'l_isfalse') */
+const isfalse = function(v) {
+    return `(${v}.type === ${LUA_TNIL} || (${v}.type === ${LUA_TBOOLEAN} && ${v}.value === false))`;
+};
+
+/* first instruction of each basic block of 'p' (the targets of jumps) */
+const leaders = function(p) {
+    let code = p.code;
+    let l = new Uint8Array(code.length + 1);
+    l[0] = 1;
+    for (let pc = 0; pc < code.length; pc++) {
+        let i = code[pc];
+        switch (GET_OPCODE(i)) {
+            case OP_JMP: case OP_FORLOOP: case OP_FORPREP: case OP_TFORLOOP:
+                l[pc + 1 + GETARG_sBx(i)] = 1;
+                l[pc + 1] = 1;
+                break;
+            case OP_EQ: case OP_LT: case OP_LE: case OP_TEST: case OP_TESTSET:
+            case OP_LOADKX: case OP_SETLIST:
+                l[pc + 2] = 1;
+                break;
+            case OP_LOADBOOL:
+                if (GETARG_C(i)) l[pc + 2] = 1;
+                break;
+            case OP_CALL: case OP_TAILCALL: case OP_RETURN: case OP_TFORCALL:
+                l[pc + 1] = 1;
+                break;
+        }
+    }
+    return l;
+};
+
+/* generate the JavaScript code of instruction 'pc' of 'p' */
+const geninstruction = function(p, pc, int64) {
+    let code = p.code;
+    let k = p.k;
+    let i = code[pc];
+    let a = GETARG_A(i);
+    let b = GETARG_B(i);
+    let c = GETARG_C(i);
+    let savepc = `ci.l_savedpc = ${pc + 1};`;
+    let ra = `stack[base + ${a}]`;
+    let rk = (x) => ISK(x) ? `k[${INDEXK(x)}]` : `stack[base + ${x}]`;
+    /* test of the type of operand 'x' (known when it is a constant) */
+    let tt = (o, x, t) => ISK(x) ? String(k[INDEXK(x)].type === t) : `${o}.type === ${t}`;
+    let arith = (o1, o2) => `lobject.luaO_arith(L, ${GET_OPCODE(i) - OP_ADD}, ${o1}, ${o2}, ${ra});`;
+    let compare = (test, op) => `
+        let o1 = ${rk(b)}, o2 = ${rk(c)};
+        ${savepc}
+        let res = ((${tt("o1", b, LUA_TNUMINT)} && ${tt("o2", c, LUA_TNUMINT)}) ||
+                   (${tt("o1", b, LUA_TNUMFLT)} && ${tt("o2", c, LUA_TNUMFLT)}))
+            ? (o1.value ${op} o2.value ? 1 : 0) : ${test}(L, o1, o2);
+        if (res !== ${a}) { pc = ${pc + 2}; continue; }`;
+    let jump = (target) => `pc = ${target}; continue;`;
+    /* 't[RK(C)]' into R(A), with an inline cache for constant string keys (see lvm.js) */
+    let gettable = (t) => ISK(c) && k[INDEXK(c)].ttisstring()
+        ? `lvm.getfield(L, ci.func.value.p, ${pc}, ${t}, ${rk(c)}, base + ${a});`
+        : `lvm.luaV_gettable(L, ${t}, ${rk(c)}, base + ${a});`;
+
+    switch (GET_OPCODE(i)) {
+        case OP_MOVE:
+            return `${ra}.setfrom(stack[base + ${b}]);`;
+        case OP_LOADK:
+            return `${ra}.setfrom(k[${GETARG_Bx(i)}]);`;
+        case OP_LOADKX:  /* its OP_EXTRAARG generates no code */
+            return `${ra}.setfrom(k[${GETARG_Ax(code[pc + 1])}]);`;
+        case OP_LOADBOOL:
+            return `${ra}.setbvalue(${b !== 0});` + (c !== 0 ? jump(pc + 2) : "");
+        case OP_LOADNIL:
+            return `for (let j = 0; j <= ${b}; j++) stack[base + ${a} + j].setnilvalue();`;
+        case OP_GETUPVAL:
+            return `${ra}.setfrom(upvals[${b}]);`;
+        case OP_GETTABUP:
+            return `${savepc} ${gettable(`upvals[${b}]`)}`;
+        case OP_GETTABLE:
+            return `${savepc} ${gettable(`stack[base + ${b}]`)}`;
+        case OP_SETTABUP:
+            return `${savepc} lvm.settable(L, upvals[${a}], ${rk(b)}, ${rk(c)});`;
+        case OP_SETUPVAL:
+            return `upvals[${b}].setfrom(${ra});`;
+        case OP_SETTABLE:
+            return `${savepc} lvm.settable(L, ${ra}, ${rk(b)}, ${rk(c)});`;
+        case OP_NEWTABLE:
+            return `${savepc} lvm.newtable(L, base + ${a}, ${b}, ${c});`;
+        case OP_SELF:
+            return `
+                let rb = stack[base + ${b}], rc = ${rk(c)};
+                stack[base + ${a + 1}].setfrom(rb);
+                ${savepc}
+                ${gettable("rb")}`;
+        case OP_ADD: case OP_SUB: case OP_MUL: {
+            let op = {[OP_ADD]: "+", [OP_SUB]: "-", [OP_MUL]: "*"}[GET_OPCODE(i)];
+            let iop;
+            if (int64)
+                iop = `lvm.luaV_${{[OP_ADD]: "add", [OP_SUB]: "sub", [OP_MUL]: "mul"}[GET_OPCODE(i)]}64(o1.value, o2.value)`;
+            else if (GET_OPCODE(i) === OP_MUL)
+                iop = "lvm.luaV_imul(o1.value, o2.value)";
+            else
+                iop = `(o1.value ${op} o2.value)|0`;
+            return `
+                let o1 = ${rk(b)}, o2 = ${rk(c)};
+                if (${tt("o1", b, LUA_TNUMINT)} && ${tt("o2", c, LUA_TNUMINT)})
+                    ${ra}.setivalue(${iop});
+                else if (${tt("o1", b, LUA_TNUMFLT)} && ${tt("o2", c, LUA_TNUMFLT)})
+                    ${ra}.setfltvalue(o1.value ${op} o2.value);
+                else {
+                    ${savepc}
+                    ${arith("o1", "o2")}
+                }`;
+        }
+        case OP_DIV: case OP_POW: {
+            let fop = GET_OPCODE(i) === OP_DIV ? "o1.value / o2.value" : "Math.pow(o1.value, o2.value)";
+            return `
+                let o1 = ${rk(b)}, o2 = ${rk(c)};
+                if (${tt("o1", b, LUA_TNUMFLT)} && ${tt("o2", c, LUA_TNUMFLT)})
+                    ${ra}.setfltvalue(${fop});
+                else {
+                    ${savepc}
+                    ${arith("o1", "o2")}
+                }`;
+        }
+        case OP_MOD: case OP_IDIV: case OP_BAND: case OP_BOR: case OP_BXOR:
+        case OP_SHL: case OP_SHR:
+            return `${savepc} ${arith(rk(b), rk(c))}`;
+        case OP_UNM: case OP_BNOT:
+            return `${savepc} let o = stack[base + ${b}]; ${arith("o", "o")}`;
+        case OP_NOT:
+            return `${ra}.setbvalue(${isfalse(`stack[base + ${b}]`)});`;
+        case OP_LEN:
+            return `${savepc} lvm.luaV_objlen(L, ${ra}, stack[base + ${b}]);`;
+        case OP_CONCAT:
+            return `${savepc} lvm.concat(L, ci, base + ${a}, ${b}, ${c});`;
+        case OP_JMP:
+            return (a !== 0 ? `${savepc} lfunc.luaF_close(L, base + ${a - 1}, ${LUA_OK});` : "") +
+                jump(pc + 1 + GETARG_sBx(i));
+        case OP_EQ:  /* each comparison falls into its OP_JMP */
+            return compare("lvm.luaV_equalobj", "===");
+        case OP_LT:
+            return compare("lvm.luaV_lessthan", "<");
+        case OP_LE:
+            return compare("lvm.luaV_lessequal", "<=");
+        case OP_TEST:
+            return `if (${c ? "" : "!"}${isfalse(ra)}) { pc = ${pc + 2}; continue; }`;
+        case OP_TESTSET:
+            return `
+                let rb = stack[base + ${b}];
+                if (${c ? "" : "!"}${isfalse("rb")}) { pc = ${pc + 2}; continue; }
+                ${ra}.setfrom(rb);`;
+        case OP_CALL:
+            return `
+                ${savepc}
+                ${b !== 0 ? `ldo.adjust_top(L, base + ${a + b});` : ""}
+                if (!ldo.luaD_precall(L, base + ${a}, ${c - 1})) return ${JIT_CALL};
+                ${c - 1 >= 0 ? "ldo.adjust_top(L, ci.top);" : ""}
+                if (L.hookmask) return ${JIT_INTERP};`;
+        case OP_TAILCALL:
+            return `
+                ${savepc}
+                if (!lvm.tailcall(L, ci, base + ${a}, ${b})) return ${JIT_CALL};
+                if (L.hookmask) return ${JIT_INTERP};`;
+        case OP_RETURN:
+            return `
+                ${savepc}
+                ${p.p.length > 0 ? "" : "if (L.tbclist.length > 0)"} lfunc.luaF_close(L, base, ${LUA_OK});
+                return ldo.luaD_poscall(L, ci, base + ${a}, ${b !== 0 ? b - 1 : `L.top - (base + ${a})`})
+                    ? ${JIT_RETFIX} : ${JIT_RETURN};`;
+        case OP_FORLOOP: {
+            let add = int64 ? "lvm.luaV_add64(init.value, step)" : "(init.value + step)|0";
+            return `
+                let init = ${ra};
+                let step = stack[base + ${a + 2}].value;
+                let limit = stack[base + ${a + 1}].value;
+                if (init.type === ${LUA_TNUMINT}) {  /* integer loop? */
+                    let idx = ${add};
+                    if (0 < step ? idx <= limit : limit <= idx) {
+                        init.value = idx;
+                        stack[base + ${a + 3}].setivalue(idx);
+                        ${jump(pc + 1 + GETARG_sBx(i))}
+                    }
+                } else {  /* floating loop */
+                    let idx = init.value + step;
+                    if (0 < step ? idx <= limit : limit <= idx) {
+                        init.value = idx;
+                        stack[base + ${a + 3}].setfltvalue(idx);
+                        ${jump(pc + 1 + GETARG_sBx(i))}
+                    }
+                }`;
+        }
+        case OP_FORPREP:
+            return `${savepc} lvm.forprep(L, base + ${a}); ${jump(pc + 1 + GETARG_sBx(i))}`;
+        case OP_TFORCALL:  /* falls into its OP_TFORLOOP */
+            return `
+                ${savepc}
+                let cb = base + ${a + 3};
+                stack[cb + 2].setfrom(stack[base + ${a + 2}]);
+                stack[cb + 1].setfrom(stack[base + ${a + 1}]);
+                stack[cb].setfrom(${ra});
+                ldo.adjust_top(L, cb + 3);
+                ldo.luaD_call(L, cb, ${c});
+                ldo.adjust_top(L, ci.top);`;
+        case OP_TFORLOOP:
+            return `
+                if (stack[base + ${a + 1}].type !== ${LUA_TNIL}) {  /* continue loop? */
+                    ${ra}.setfrom(stack[base + ${a + 1}]);
+                    ${jump(pc + 1 + GETARG_sBx(i))}
+                }`;
+        case OP_SETLIST:  /* an OP_EXTRAARG with 'c' generates no code */
+            return `${savepc} lvm.setlist(L, ci, base + ${a}, ${b}, ${c !== 0 ? c : GETARG_Ax(code[pc + 1])});`;
+        case OP_CLOSURE:
+            return `${savepc} lvm.closure(L, ci, base + ${a}, protos[${GETARG_Bx(i)}]);`;
+        case OP_VARARG:
+            return `${savepc} lvm.vararg(L, ci, base + ${a}, ${b - 1});`;
+        case OP_TBC:
+            return `${savepc} lfunc.luaF_newtbcupval(L, base + ${a});`;
+        case OP_EXTRAARG:
+            return "";
+        default:
+            throw Error("invalid opcode");
+    }
+};
+
+/* parameters of the functions generated by 'genfunction' */
+const PARAMS = ["k", "protos", "ldo", "lfunc", "lobject", "lvm"];
+
+/*
+** Text 's' made safe to put in a block comment of generated code: names
+** of chunks and variables may come from untrusted bytecode, and must
+** not be able to close the comment.
+*/
+const commentsafe = function(s) {
+    return s.replace(/\*\//g, "*\\/");
+};
+
+/* registers of the active local variables of 'p' at instruction 'pc' */
+const activelocals = function(p, pc) {
+    let names = [];
+    for (let i = 0; i < p.locvars.length && p.locvars[i].startpc <= pc; i++) {
+        if (pc < p.locvars[i].endpc)  /* is variable active? */
+            names.push(`${to_jsstring(p.locvars[i].varname.getstr())} = stack[base + ${names.length}]`);
+    }
+    return names.join(", ");
+};
+
+/*
+** Generate the JavaScript code of prototype 'p', as the body of a
+** function with parameters PARAMS that returns the compiled function.
+** The lines of the code are added to 'out' and the line of the Lua
+** source of each of them to 'lines' (0 when there is none). With
+** 'comments', the code tells the opcode of each instruction and which
+** registers hold the local variables.
+*/
+const genfunction = function(p, int64, out, lines, comments) {
+    let emit = function(code, indent, line) {
+        let l = code.split("\n").filter((s) => s.trim() !== "");
+        let min = Math.min(...l.map((s) => s.search(/\S/)));
+        for (let s of l) {
+            out.push(" ".repeat(indent) + s.slice(min));
+            lines.push(line);
+        }
+    };
+    let code = p.code;
+    let l = leaders(p);
+    let locals = "";
+    emit("return function(L, ci) {", 0, p.linedefined);
+    emit(`
+        let g = L.l_G;
+        let stack = L.stack;
+        let base = ci.l_base;
+        let upvals = ci.func.value.upvals;
+        let pc = ci.l_savedpc;
+        for (;;) {
+            switch (pc) {`, 4, p.linedefined);
+    for (let pc = 0; pc < code.length; pc++) {
+        let line = p.lineinfo.length > 0 ? p.lineinfo[pc] : 0;
+        if (comments && locals !== (locals = activelocals(p, pc)))
+            emit(`/* locals: ${commentsafe(locals)} */`, 12, line);
+        emit(`case ${pc}: {` + (comments ? `  /* ${OpCodes[GET_OPCODE(code[pc])]} */` : ""), 12, line);
+        if (l[pc]) {  /* count the instructions of the block */
+            let n = 1;
+            while (!l[pc + n] && pc + n < code.length) n++;
+            emit(`if ((g.limitcount -= ${n}) <= 0) { ci.l_savedpc = ${pc + 1}; ldo.luaD_checklimits(L); }`, 16, line);
+        }
+        emit(geninstruction(p, pc, int64), 16, line);
+        emit("}", 12, line);
+    }
+    emit(`
+                default: throw Error("invalid program counter");
+            }
+        }
+    };`, 0, p.lastlinedefined);
+};
+
+/*
+** Compile prototype 'p' of a function being run by 'L'. 'p.jit' gets
+** the compiled function, or false if 'p' cannot be compiled (e.g., when
+** a Content Security Policy forbids creating functions from strings).
+*/
+const luaJ_compile = function(L, p) {
+    p.jit = false;
+    if (p.code.length > JIT_MAXCODE)
+        return;
+    let out = [];
+    let f;
+    genfunction(p, L.l_G.int64, out, [], false);
+    try {
+        f = new Function(...PARAMS, out.join("\n"));
+    } catch (e) {
+        return;
+    }
+    p.jit = f(p.k, p.p, ldo, lfunc, lobject, lvm);
+};
+
+/* all prototypes of a chunk, in the order of 'functions' of its module */
+const allprotos = function(p, list) {
+    list.push(p);
+    for (let i = 0; i < p.p.length; i++)
+        allprotos(p.p[i], list);
+    return list;
+};
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/* Base64 VLQ encoding of an integer (as in source maps) */
+const vlq = function(n) {
+    let v = n < 0 ? ((-n) << 1) | 1 : n << 1;
+    let s = "";
+    do {
+        let digit = v & 31;
+        v >>>= 5;
+        if (v > 0) digit |= 32;  /* continuation bit */
+        s += BASE64[digit];
+    } while (v > 0);
+    return s;
+};
+
+/*
+** Compile all the functions of the chunk with main prototype 'p' into the
+** text of a CommonJS module (see 'lua_dumpjs'), which exports:
+**   int64: whether the code is for a state with 64-bit integers;
+**   bytecode: the chunk 'bytecode', as written by 'lua_dump' (a string
+** with one character per byte);
+**   functions: one function with parameters PARAMS for each prototype
+** of the chunk (see 'allprotos').
+** Returns the module and its source map (version 3), which relates each
+** line of generated code to the line of the Lua source it comes from.
+** 'file' is the name of the module file (its source map is expected in
+** 'file' + ".map") and 'source' the contents of the Lua source, if any.
+*/
+const luaJ_dumpmodule = function(L, p, bytecode, file, source) {
+    let src = p.source ? p.source.getstr() : to_luastring("=?", true);
+    let name = to_jsstring(src);
+    if (name[0] === "@" || name[0] === "=")
+        name = name.slice(1);
+    else {  /* source is the chunk itself */
+        if (source === undefined) source = name;
+        name = to_jsstring(lobject.luaO_chunkid(src, LUA_IDSIZE));
+    }
+    let out = [
+        '"use strict";',
+        "",
+        `/* Lua chunk ${commentsafe(JSON.stringify(name))} compiled by fengari (see 'lua_loadjs') */`,
+        "module.exports = {",
+        `    int64: ${L.l_G.int64},`,
+        `    bytecode: ${JSON.stringify(bytecode)},`,
+        "    functions: ["
+    ];
+    let lines = out.map(() => 0);
+    let protos = allprotos(p, []);
+    for (let i = 0; i < protos.length; i++) {
+        let fout = [];
+        let flines = [];
+        genfunction(protos[i], L.l_G.int64, fout, flines, true);
+        out.push(`        function(${PARAMS.join(", ")}) {`);
+        lines.push(protos[i].linedefined);
+        for (let j = 0; j < fout.length; j++) {
+            out.push("            " + fout[j]);
+            lines.push(flines[j]);
+        }
+        out.push("        }" + (i < protos.length - 1 ? "," : ""));
+        lines.push(protos[i].lastlinedefined);
+    }
+    out.push("    ]", "};");
+    if (file !== undefined)
+        out.push(`//# sourceMappingURL=${file}.map`);
+    let mappings = [];
+    let last = 0;  /* source lines are relative to the previous one */
+    for (let i = 0; i < out.length; i++) {
+        if (lines[i] > 0) {
+            mappings.push("AA" + vlq(lines[i] - 1 - last) + "A");
+            last = lines[i] - 1;
+        } else
+            mappings.push("");
+    }
+    let map = {
+        version: 3,
+        sources: [name],
+        names: [],
+        mappings: mappings.join(";")
+    };
+    if (file !== undefined) map.file = file;
+    if (source !== undefined) map.sourcesContent = [source];
+    return {
+        code: out.join("\n") + "\n",
+        map: JSON.stringify(map)
+    };
+};
+
+/*
+** Attach to the chunk with main prototype 'p' the compiled functions of
+** 'module' (see 'luaJ_dumpmodule'). Returns false if the module does not
+** fit the chunk or the state.
+*/
+const luaJ_loadmodule = function(L, p, module) {
+    let protos = allprotos(p, []);
+    if (module.int64 !== L.l_G.int64 || !Array.isArray(module.functions) ||
+        module.functions.length !== protos.length)
+        return false;
+    for (let i = 0; i < protos.length; i++)
+        protos[i].jit = module.functions[i](protos[i].k, protos[i].p, ldo, lfunc, lobject, lvm);
+    return true;
+};
+
+module.exports.JIT_CALL         = JIT_CALL;
+module.exports.JIT_INTERP       = JIT_INTERP;
+module.exports.JIT_RETFIX       = JIT_RETFIX;
+module.exports.JIT_RETURN       = JIT_RETURN;
+module.exports.JIT_THRESHOLD    = JIT_THRESHOLD;
+module.exports.luaJ_compile     = luaJ_compile;
+module.exports.luaJ_dumpmodule  = luaJ_dumpmodule;
+module.exports.luaJ_loadmodule  = luaJ_loadmodule;
@@ -1,7 +1,7 @@
 "use strict";
 
 const {
-    constant_types: { LUA_TBOOLEAN, LUA_TLNGSTR },
+    constant_types: { LUA_TBOOLEAN },
     thread_status: { LUA_ERRSYNTAX },
     to_luastring
 } = require('./defs.js');
@@ -212,7 +212,7 @@ const luaX_newstring = function(ls, str) {
     /* HACK: Workaround lack of ltable 'keyfromval' */
     let tpair = ls.h.strong.get(luaS_hashlongstr(ts));
     if (!tpair) { /* not in use yet? */
-        let key = new lobject.TValue(LUA_TLNGSTR, ts);
+        let key = new lobject.TValue(ts.tt, ts);
         ltable.luaH_setfrom(L, ls.h, key, TVtrue);
     } else { /* string already present */
         ts = tpair.key.tsvalue(); /* re-use value previously stored */
@@ -297,7 +297,7 @@ const read_numeral = function(ls, seminfo) {
     // save(ls, 0);
 
     let obj = new lobject.TValue();
-    if (lobject.luaO_str2num(luaZ_buffer(ls.buff), obj) === 0)  /* format error? */
+    if (lobject.luaO_str2num(luaZ_buffer(ls.buff), obj, ls.L.l_G.int64) === 0)  /* format error? */
         lexerror(ls, to_luastring("malformed number", true), TK_FLT);
     if (obj.ttisinteger()) {
         seminfo.i = obj.value;
@@ -13,6 +13,15 @@ module.exports.api_check = api_check;
 const LUAI_MAXCCALLS = 200;
 module.exports.LUAI_MAXCCALLS = LUAI_MAXCCALLS;
 
+/*
+** Maximum length for short strings, that is, strings that are
+** internalized. (Cannot be smaller than reserved words or tags for
+** metamethods, as these strings must be internalized;
+** #("function") = 8, #("__newindex") = 10.)
+*/
+const LUAI_MAXSHORTLEN = 40;
+module.exports.LUAI_MAXSHORTLEN = LUAI_MAXSHORTLEN;
+
 /* minimum size for string buffer */
 const LUA_MINBUFFER = 32;
 module.exports.LUA_MINBUFFER = LUA_MINBUFFER;
@@ -1,12 +1,18 @@
 "use strict";
 
+/* global BigInt */
+
 const {
     LUA_OPLT,
     LUA_TNUMBER,
     lua_compare,
     lua_gettop,
+    lua_hasint64,
     lua_isinteger,
+    lua_isnone,
     lua_isnoneornil,
+    lua_newuserdata,
+    lua_pop,
     lua_pushboolean,
     lua_pushinteger,
     lua_pushliteral,
@@ -17,7 +23,9 @@ const {
     lua_settop,
     lua_tointeger,
     lua_tointegerx,
-    lua_type
+    lua_touserdata,
+    lua_type,
+    lua_upvalueindex
 } = require('./lua.js');
 const {
     luaL_argcheck,
@@ -27,41 +35,177 @@ const {
     luaL_checknumber,
     luaL_error,
     luaL_newlib,
-    luaL_optnumber
+    luaL_optinteger,
+    luaL_optnumber,
+    luaL_setfuncs
 } = require('./lauxlib.js');
 const {
     LUA_MAXINTEGER,
+    LUA_MAXINTEGER64,
     LUA_MININTEGER,
-    lua_numbertointeger
+    LUA_MININTEGER64,
+    lua_numbertointeger,
+    lua_numbertointeger64
 } = require('./luaconf.js');
 const { to_luastring } = require("./fengaricore.js");
 
-let rand_state;
-/* use same parameters as glibc LCG */
-const l_rand = function() {
-    rand_state = (1103515245 * rand_state + 12345) & 0x7fffffff;
-    return rand_state;
+/*
+** {==================================================================
+** Pseudo-Random Number Generator based on 'xoshiro256**'.
+** ===================================================================
+*/
+
+/*
+** Each 64-bit word of the state is emulated with two 32-bit halves
+** (kept as unsigned integers), so that a seed gives the same sequence
+** in every JS engine and does not depend on BigInt.
+*/
+class Rand64 {
+    constructor(h, l) {
+        this.h = h;  /* higher half */
+        this.l = l;  /* lower half */
+    }
+}
+
+/* build a new Rand64 value */
+const packI = function(h, l) {
+    return new Rand64(h >>> 0, l >>> 0);
+};
+
+/* return i << n */
+const Ishl64 = function(i, n) {
+    return packI((i.h << n) | (i.l >>> (32 - n)), i.l << n);
+};
+
+/* i1 ^= i2 */
+const Ixor = function(i1, i2) {
+    i1.h = (i1.h ^ i2.h) >>> 0;
+    i1.l = (i1.l ^ i2.l) >>> 0;
+};
+
+/* return i1 + i2 */
+const Iadd = function(i1, i2) {
+    let l = (i1.l + i2.l) >>> 0;
+    let carry = l < i1.l ? 1 : 0;  /* carry from the lower half */
+    return packI(i1.h + i2.h + carry, l);
+};
+
+/* return i * 5 */
+const times5 = function(i) {
+    return Iadd(Ishl64(i, 2), i);  /* i * 5 == (i << 2) + i */
+};
+
+/* return i * 9 */
+const times9 = function(i) {
+    return Iadd(Ishl64(i, 3), i);  /* i * 9 == (i << 3) + i */
+};
+
+/* return 'i' rotated left 'n' bits (0 < n < 32) */
+const rotl = function(i, n) {
+    let h = (i.h << n) | (i.l >>> (32 - n));
+    let l = (i.l << n) | (i.h >>> (32 - n));
+    return packI(h, l);
+};
+
+/* for offsets larger than 32, rotate right by 64 - offset */
+const rotl1 = function(i, n) {
+    return rotl(packI(i.l, i.h), n - 32);  /* swap halves, then rotate */
+};
+
+const nextrand = function(state) {
+    let res = times9(rotl(times5(state[1]), 7));
+    let t = Ishl64(state[1], 17);
+    Ixor(state[2], state[0]);
+    Ixor(state[3], state[1]);
+    Ixor(state[1], state[2]);
+    Ixor(state[0], state[3]);
+    Ixor(state[2], t);
+    state[3] = rotl1(state[3], 45);
+    return res;
+};
+
+/*
+** Convert bits from a random integer into a float in the
+** interval [0,1), using the higher 53 bits of 'x'
+*/
+const I2d = function(x) {
+    return (x.h * 0x200000 + (x.l >>> 11)) / 0x20000000000000;  /* 2^21, 2^53 */
+};
+
+/* convert a random integer to a Lua integer (with all its bits) */
+const I2Int = function(L, x) {
+    if (lua_hasint64(L))
+        return (BigInt(x.h) << BigInt(32)) | BigInt(x.l);  /* wrapped by 'lua_pushinteger' */
+    return x.l | 0;
+};
+
+/* convert a Lua integer (as an unsigned integer) to a Rand64 value */
+const Int2I = function(L, n) {
+    if (!lua_hasint64(L) || (typeof n === "number" && n >= 0 && n <= 0xffffffff))
+        return packI(0, n);
+    n = BigInt.asUintN(64, BigInt(n));
+    return packI(Number(n >> BigInt(32)), Number(n & BigInt(0xffffffff)));
+};
+
+/*
+** Project the random integer 'ran' into the interval [0, n].
+** Because 'ran' has 2^B possible values, the projection can only be
+** uniform when the size of the interval is a power of 2 (exact
+** division). Otherwise, to get a uniform projection into [0, n], we
+** first compute 'lim', the smallest Mersenne number not smaller than
+** 'n'. We then project 'ran' into the interval [0, lim].  If the result
+** is inside [0, n], we are done. Otherwise, we try with another 'ran',
+** until we have a result inside the interval.
+*/
+const project = function(ran, n, state) {
+    if ((n & (n + 1)) === 0)  /* is 'n + 1' a power of 2? */
+        return (ran & n) >>> 0;  /* no bias */
+    let lim = n;
+    /* compute the smallest (2^b - 1) not smaller than n */
+    lim |= (lim >>> 1);
+    lim |= (lim >>> 2);
+    lim |= (lim >>> 4);
+    lim |= (lim >>> 8);
+    lim |= (lim >>> 16);
+    while ((ran = (ran & lim) >>> 0) > n)  /* project 'ran' into [0, lim] */
+        ran = nextrand(state).l;  /* not inside [0, n]? Try again */
+    return ran;
 };
-const l_srand = function(x) {
-    rand_state = x|0;
-    if (rand_state === 0)
-        rand_state = 1;
+
+/*
+** 'project' for states with 64-bit integers, whose random integers
+** use all the bits of 'ran' (kept as unsigned BigInts)
+*/
+const project64 = function(ran, n, state) {
+    let lim = n;
+    for (let i = 1; i <= 32; i *= 2)  /* smallest (2^b - 1) not smaller than n */
+        lim |= (lim >> BigInt(i));
+    while ((ran &= lim) > n) {  /* project 'ran' into [0, lim] */
+        let r = nextrand(state);  /* not inside [0, n]? Try again */
+        ran = (BigInt(r.h) << BigInt(32)) | BigInt(r.l);
+    }
+    return ran;
 };
 
 const math_random = function(L) {
     let low, up;
-    /* use Math.random until randomseed is called */
-    let r = (rand_state === void 0)?Math.random():(l_rand() / 0x80000000);
+    let g = lua_touserdata(L, lua_upvalueindex(1));
+    let rv = nextrand(g.s);  /* next pseudo-random value */
     switch (lua_gettop(L)) {  /* check number of arguments */
-        case 0:
-            lua_pushnumber(L, r);  /* Number between 0 and 1 */
+        case 0: {  /* no arguments */
+            lua_pushnumber(L, I2d(rv));  /* Number between 0 and 1 */
             return 1;
-        case 1: {
+        }
+        case 1: {  /* only upper limit */
             low = 1;
             up = luaL_checkinteger(L, 1);
+            if (up === 0) {  /* single 0 as argument? */
+                lua_pushinteger(L, I2Int(L, rv));  /* full random integer */
+                return 1;
+            }
             break;
         }
-        case 2: {
+        case 2: {  /* lower and upper limits */
             low = luaL_checkinteger(L, 1);
             up = luaL_checkinteger(L, 2);
             break;
@@ -71,24 +215,72 @@ const math_random = function(L) {
 
     /* random integer in the interval [low, up] */
     luaL_argcheck(L, low <= up, 1, "interval is empty");
-    luaL_argcheck(L, low >= 0 || up <= LUA_MAXINTEGER + low, 1,
-        "interval too large");
-
-    r *= (up - low) + 1;
-    lua_pushinteger(L, Math.floor(r) + low);
+    /* project random integer into the interval [0, up - low] */
+    if (lua_hasint64(L)) {
+        let p = project64(I2Int(L, rv), BigInt.asUintN(64, BigInt(up) - BigInt(low)), g.s);
+        lua_pushinteger(L, p + BigInt(low));
+    } else {
+        let p = project(rv.l, (up - low) >>> 0, g.s);
+        lua_pushinteger(L, (p + low) | 0);
+    }
     return 1;
 };
 
+const setseed = function(L, state, n1, n2) {
+    state[0] = Int2I(L, n1);  /* avoid a zero state */
+    state[1] = Int2I(L, 0xff);
+    state[2] = Int2I(L, n2);
+    state[3] = Int2I(L, 0);
+    for (let i = 0; i < 16; i++)
+        nextrand(state);  /* discard initial values to "spread" seed */
+    lua_pushinteger(L, n1);
+    lua_pushinteger(L, n2);
+};
+
+/*
+** Set a "random" seed. To get some randomness, use the current time
+** and a value from the random source of the JS engine.
+*/
+const randseed = function(L, g) {
+    let seed1 = Date.now() | 0;
+    let seed2 = (Math.random() * 0x100000000) | 0;
+    setseed(L, g.s, seed1, seed2);
+};
+
 const math_randomseed = function(L) {
-    l_srand(luaL_checknumber(L, 1));
-    l_rand(); /* discard first value to avoid undesirable correlations */
-    return 0;
+    let g = lua_touserdata(L, lua_upvalueindex(1));
+    if (lua_isnone(L, 1)) {
+        randseed(L, g);
+    } else {
+        let n1 = luaL_checkinteger(L, 1);
+        let n2 = luaL_optinteger(L, 2, 0);
+        setseed(L, g.s, n1, n2);
+    }
+    return 2;
+};
+
+const randfuncs = {
+    "random":     math_random,
+    "randomseed": math_randomseed
+};
+
+/*
+** Register the random functions and initialize their state.
+*/
+const setrandfunc = function(L) {
+    let state = lua_newuserdata(L, 32);  /* four 64-bit words */
+    state.s = new Array(4);
+    randseed(L, state);  /* initialize with a "random" seed */
+    lua_pop(L, 2);  /* remove pushed seeds */
+    luaL_setfuncs(L, randfuncs, 1);
 };
 
+/* }================================================================== */
+
 const math_abs = function(L) {
     if (lua_isinteger(L, 1)) {
         let n = lua_tointeger(L, 1);
-        if (n < 0) n = (-n)|0;
+        if (n < 0) n = lua_hasint64(L) ? -n : (-n)|0;
         lua_pushinteger(L, n);
     }
     else
@@ -140,7 +332,7 @@ const math_toint = function(L) {
 };
 
 const pushnumint = function(L, d) {
-    let n = lua_numbertointeger(d);
+    let n = lua_hasint64(L) ? lua_numbertointeger64(d) : lua_numbertointeger(d);
     if (n !== false)  /* does 'd' fit in an integer? */
         lua_pushinteger(L, n);  /* result is integer */
     else
@@ -253,8 +445,13 @@ const math_fmod = function(L) {
         /* no special case needed for -1 in javascript */
         if (d === 0) {
             luaL_argerror(L, 2, "zero");
-        } else
-            lua_pushinteger(L, (lua_tointeger(L, 1) % d)|0);
+        } else {
+            let m = lua_tointeger(L, 1);
+            if (typeof m === "number" && typeof d === "number")
+                lua_pushinteger(L, (m % d) + 0);  /* '+ 0' avoids -0 */
+            else  /* 64-bit integers (see 'lua_int64') */
+                lua_pushinteger(L, BigInt(m) % BigInt(d));
+        }
     } else {
         let a = luaL_checknumber(L, 1);
         let b = luaL_checknumber(L, 2);
@@ -292,8 +489,6 @@ const mathlib = {
     "min":        math_min,
     "modf":       math_modf,
     "rad":        math_rad,
-    "random":     math_random,
-    "randomseed": math_randomseed,
     "sin":        math_sin,
     "sqrt":       math_sqrt,
     "tan":        math_tan,
@@ -304,13 +499,14 @@ const mathlib = {
 
 const luaopen_math = function(L) {
     luaL_newlib(L, mathlib);
+    setrandfunc(L);
     lua_pushnumber(L, Math.PI);
     lua_setfield(L, -2, to_luastring("pi", true));
     lua_pushnumber(L, Infinity);
     lua_setfield(L, -2, to_luastring("huge", true));
-    lua_pushinteger(L, LUA_MAXINTEGER);
+    lua_pushinteger(L, lua_hasint64(L) ? LUA_MAXINTEGER64 : LUA_MAXINTEGER);
     lua_setfield(L, -2, to_luastring("maxinteger", true));
-    lua_pushinteger(L, LUA_MININTEGER);
+    lua_pushinteger(L, lua_hasint64(L) ? LUA_MININTEGER64 : LUA_MININTEGER);
     lua_setfield(L, -2, to_luastring("mininteger", true));
     return 1;
 };
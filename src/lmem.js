@@ -0,0 +1,65 @@
+"use strict";
+
+const { thread_status: { LUA_ERRMEM } } = require('./defs.js');
+const ldo = require('./ldo.js');
+const lgc = require('./lgc.js');
+
+/*
+** Memory accounting.
+** Memory is managed by the JS engine; a state only keeps an estimate of
+** the memory it uses, to report it and to pace its collection cycles (see
+** lgc.js). Allocations are counted with the sizes their objects would
+** have in a 64-bit build of the reference implementation. A state may
+** limit its memory use: going over the limit raises a memory error.
+*/
+
+const sizelstring  = (l) => 24 + l + 1;    /* TString with 'l' bytes (plus '\0') */
+const sizeudata    = (l) => 40 + (l|0);    /* Udata with 'l' bytes (which may be omitted) */
+const sizeLclosure = (n) => 32 + 8 * n;    /* Lua closure with 'n' upvalues */
+const sizeCclosure = (n) => 32 + 16 * n;   /* C closure with 'n' upvalues */
+const sizetable    = 56;
+const sizenode     = 32;  /* each entry of a table */
+const sizeTValue   = 16;  /* each slot of a stack */
+const sizeproto    = 128;  /* without its arrays */
+const sizethread   = 208;  /* without its stack */
+
+/*
+** raise a memory error if allocating 'size' more bytes would go over the
+** memory limit of the state (see 'lua_setlimits'), after trying to free
+** some memory with an emergency collection
+*/
+const luaM_checkmem = function(L, size) {
+    let g = L.l_G;
+    let limits = g.limits;
+    if (limits !== null && g.totalbytes + g.GCdebt + size > limits.memory) {
+        lgc.luaC_fullgc(L, true);  /* try to free some memory... */
+        if (g.totalbytes + g.GCdebt + size > limits.memory)  /* still too much? */
+            ldo.luaD_throw(L, LUA_ERRMEM);
+    }
+};
+
+/*
+** count a change in the size of a block of memory from 'osize' to 'nsize'
+*/
+const luaM_realloc_ = function(L, osize, nsize) {
+    if (nsize > osize)
+        luaM_checkmem(L, nsize - osize);
+    L.l_G.GCdebt += nsize - osize;
+};
+
+const luaM_newobject = function(L, size) {
+    luaM_realloc_(L, 0, size);
+};
+
+module.exports.luaM_checkmem  = luaM_checkmem;
+module.exports.luaM_newobject = luaM_newobject;
+module.exports.luaM_realloc_  = luaM_realloc_;
+module.exports.sizeCclosure   = sizeCclosure;
+module.exports.sizeLclosure   = sizeLclosure;
+module.exports.sizeTValue     = sizeTValue;
+module.exports.sizelstring    = sizelstring;
+module.exports.sizenode       = sizenode;
+module.exports.sizeproto      = sizeproto;
+module.exports.sizetable      = sizetable;
+module.exports.sizethread     = sizethread;
+module.exports.sizeudata      = sizeudata;
@@ -55,6 +55,7 @@ const {
     luaL_checkstring,
     luaL_error,
     luaL_getsubtable,
+    luaL_getvfs,
     luaL_gsub,
     luaL_len,
     luaL_loadfile,
@@ -70,7 +71,12 @@ const {
     to_luastring,
     to_uristring
 } = require("./fengaricore.js");
+const {
+    NodeVFS,
+    vfs_readfile
+} = require("./lvfs.js");
 const fengari  = require('./fengari.js');
+const pathlib  = typeof process !== "undefined" ? require('path') : null;
 
 const global_env = (function() {
     if (typeof process !== "undefined") {
@@ -119,43 +125,9 @@ const AUXMARK = to_luastring("\x01");
 ** Returns the library; in case of error, returns NULL plus an
 ** error string in the stack.
 */
-let lsys_load;
-if (typeof process === "undefined") {
-    lsys_load = function(L, path, seeglb) {
-        path = to_uristring(path);
-        let xhr = new XMLHttpRequest();
-        xhr.open("GET", path, false);
-        xhr.send();
-
-        if (xhr.status < 200 || xhr.status >= 300) {
-            lua_pushstring(L, to_luastring(`${xhr.status}: ${xhr.statusText}`));
-            return null;
-        }
-
-        let code = xhr.response;
-        /* Add sourceURL comment to get path in debugger+tracebacks */
-        if (!/\/\/[#@] sourceURL=/.test(code))
-            code += " //# sourceURL=" + path;
-        let func;
-        try {
-            func = Function("fengari", code);
-        } catch (e) {
-            lua_pushstring(L, to_luastring(`${e.name}: ${e.message}`));
-            return null;
-        }
-        let res = func(fengari);
-        if (typeof res === "function" || (typeof res === "object" && res !== null)) {
-            return res;
-        } else if (res === void 0) { /* assume library added symbols to global environment */
-            return global_env;
-        } else {
-            lua_pushstring(L, to_luastring(`library returned unexpected type (${typeof res})`));
-            return null;
-        }
-    };
-} else {
-    const pathlib = require('path');
-    lsys_load = function(L, path, seeglb) {
+const lsys_load = function(L, path, seeglb) {
+    let vfs = luaL_getvfs(L);
+    if (NodeVFS !== void 0 && vfs instanceof NodeVFS) {
         path = to_jsstring(path);
         /* relative paths should be relative to cwd, not this js file */
         path = pathlib.resolve(process.cwd(), path);
@@ -165,8 +137,35 @@ if (typeof process === "undefined") {
             lua_pushstring(L, to_luastring(e.message));
             return null;
         }
-    };
-}
+    }
+
+    let code;
+    try {
+        code = to_jsstring(vfs_readfile(vfs, path));
+    } catch (e) {
+        lua_pushstring(L, to_luastring(e.message));
+        return null;
+    }
+    /* Add sourceURL comment to get path in debugger+tracebacks */
+    if (!/\/\/[#@] sourceURL=/.test(code))
+        code += " //# sourceURL=" + to_uristring(path);
+    let func;
+    try {
+        func = Function("fengari", code);
+    } catch (e) {
+        lua_pushstring(L, to_luastring(`${e.name}: ${e.message}`));
+        return null;
+    }
+    let res = func(fengari);
+    if (typeof res === "function" || (typeof res === "object" && res !== null)) {
+        return res;
+    } else if (res === void 0) { /* assume library added symbols to global environment */
+        return global_env;
+    } else {
+        lua_pushstring(L, to_luastring(`library returned unexpected type (${typeof res})`));
+        return null;
+    }
+};
 
 /*
 ** Try to find a function named 'sym' in library 'lib'.
@@ -194,30 +193,16 @@ const noenv = function(L) {
     return b;
 };
 
-let readable;
-if (typeof process !== "undefined") { // Only with Node
-    const fs = require('fs');
-
-    readable = function(filename) {
-        try {
-            let fd = fs.openSync(filename, 'r');
-            fs.closeSync(fd);
-        } catch (e) {
-            return false;
-        }
-        return true;
-    };
-} else {
-    readable = function(path) {
-        path = to_uristring(path);
-        let xhr = new XMLHttpRequest();
-        /* Following GET request done by searcher_Web will be cached */
-        xhr.open("GET", path, false);
-        xhr.send();
-
-        return xhr.status >= 200 && xhr.status <= 299;
-    };
-}
+const readable = function(L, filename) {
+    let f;
+    try {
+        f = luaL_getvfs(L).open(filename, "r");
+    } catch (e) {
+        return false;
+    }
+    try { f.close(); } catch (e) {}
+    return true;
+};
 
 
 /* error codes for 'lookforfunc' */
@@ -345,7 +330,7 @@ const searchpath = function(L, name, path, sep, dirsep) {
     while ((path = pushnexttemplate(L, path)) !== null) {
         let filename = luaL_gsub(L, lua_tostring(L, -1), to_luastring(LUA_PATH_MARK, true), name);
         lua_remove(L, -2);  /* remove path template */
-        if (readable(filename))  /* does file exist and is readable? */
+        if (readable(L, filename))  /* does file exist and is readable? */
             return filename;  /* return that file name */
         lua_pushfstring(L, to_luastring("\n\tno file '%s'"), filename);
         lua_remove(L, -2);  /* remove file name */
@@ -1,5 +1,7 @@
 "use strict";
 
+/* global BigInt */
+
 const {
     LUA_OPADD,
     LUA_OPBAND,
@@ -48,6 +50,7 @@ const {
 } = require('./ljstype.js');
 const ldebug  = require('./ldebug.js');
 const ldo     = require('./ldo.js');
+const lmem    = require('./lmem.js');
 const lstate  = require('./lstate.js');
 const {
     luaS_bless,
@@ -56,7 +59,9 @@ const {
 const ltable  = require('./ltable.js');
 const {
     LUA_COMPAT_FLOATSTRING,
+    LUA_MAXINTEGER64,
     ldexp,
+    lua_int64,
     lua_integer2str,
     lua_number2str
 } = require('./luaconf.js');
@@ -213,7 +218,7 @@ class TValue {
     }
 
     setsvalue(x) {
-        this.type = LUA_TLNGSTR; /* LUA_TSHRSTR? */
+        this.type = x.tt;
         this.value = x;
     }
 
@@ -271,10 +276,10 @@ class TValue {
 }
 
 const pushobj2s = function(L, tv) {
-    L.stack[L.top++] = new TValue(tv.type, tv.value);
+    L.stack[L.top++].setfrom(tv);
 };
 const pushsvalue2s = function(L, ts) {
-    L.stack[L.top++] = new TValue(LUA_TLNGSTR, ts);
+    L.stack[L.top++].setsvalue(ts);
 };
 /* from stack to (same) stack */
 const setobjs2s = function(L, newidx, oldidx) {
@@ -296,6 +301,7 @@ class LClosure {
 
     constructor(L, n) {
         this.id = L.l_G.id_counter++;
+        lmem.luaM_newobject(L, lmem.sizeLclosure(n));
 
         this.p = null;
         this.nupvalues = n;
@@ -308,6 +314,7 @@ class CClosure {
 
     constructor(L, f, n) {
         this.id = L.l_G.id_counter++;
+        lmem.luaM_newobject(L, lmem.sizeCclosure(n));
 
         this.f = f;
         this.nupvalues = n;
@@ -323,6 +330,7 @@ class Udata {
 
     constructor(L, size) {
         this.id = L.l_G.id_counter++;
+        lmem.luaM_newobject(L, lmem.sizeudata(size));
 
         this.metatable = null;
         this.uservalue = new TValue(LUA_TNIL, null);
@@ -568,8 +576,50 @@ const l_str2int = function(s) {
     }
 };
 
-const luaO_str2num = function(s, o) {
-    let s2i = l_str2int(s);
+/*
+** 'l_str2int' for states with 64-bit integers: accumulates in a BigInt
+*/
+const l_str2int64 = function(s) {
+    let i = 0;
+    let a = BigInt(0);
+    let empty = true;
+    let neg;
+
+    while (lisspace(s[i])) i++;  /* skip initial spaces */
+    if ((neg = (s[i] === 45 /* ('-').charCodeAt(0) */))) i++;
+    else if (s[i] === 43 /* ('+').charCodeAt(0) */) i++;
+    if (s[i] === 48 /* ('0').charCodeAt(0) */ && (s[i+1] === 120 /* ('x').charCodeAt(0) */ || s[i+1] === 88 /* ('X').charCodeAt(0) */)) {  /* hex? */
+        i += 2;  /* skip '0x' */
+        let sixteen = BigInt(16);
+        for (; i < s.length && lisxdigit(s[i]); i++) {
+            a = BigInt.asUintN(64, a * sixteen + BigInt(luaO_hexavalue(s[i])));
+            empty = false;
+        }
+    } else {  /* decimal */
+        let ten = BigInt(10);
+        let max = neg ? LUA_MAXINTEGER64 + BigInt(1) : LUA_MAXINTEGER64;
+        for (; i < s.length && lisdigit(s[i]); i++) {
+            a = a * ten + BigInt(s[i] - 48 /* ('0').charCodeAt(0) */);
+            if (a > max)  /* overflow? */
+                return null;  /* do not accept it (as integer) */
+            empty = false;
+        }
+    }
+    while (i < s.length && lisspace(s[i])) i++;  /* skip trailing spaces */
+    if (empty || (i !== s.length && s[i] !== 0)) return null;  /* something wrong in the numeral */
+    else {
+        return {
+            n: lua_int64(neg ? -a : a),
+            i: i
+        };
+    }
+};
+
+/*
+** 'int64' tells whether integers have 64 bits (see 'lua_newstate')
+*/
+const luaO_str2num = function(s, o, int64) {
+    let s2i = int64 ? l_str2int64(s) : l_str2int(s);
     if (s2i !== null) {   /* try as an integer */
         o.setivalue(s2i.n);
         return s2i.i+1;
@@ -733,7 +783,27 @@ const luaO_int2fb = function(x) {
     return ((e+1) << 3) | (x - 8);
 };
 
+/* converts back (without the 32-bit overflow of '<<' for large exponents) */
+const luaO_fb2int = function(x) {
+    return (x < 8) ? x : ((x & 7) + 8) * Math.pow(2, (x >> 3) - 1);
+};
+
+/*
+** Computes ceil(log2(x))
+*/
+const luaO_ceillog2 = function(x) {
+    let l = 0;
+    x--;
+    while (x > 0) {
+        l++;
+        x >>>= 1;
+    }
+    return l;
+};
+
 const intarith = function(L, op, v1, v2) {
+    if (L.l_G.int64)
+        return intarith64(L, op, v1, v2);
     switch (op) {
         case LUA_OPADD:  return (v1 + v2)|0;
         case LUA_OPSUB:  return (v1 - v2)|0;
@@ -751,6 +821,24 @@ const intarith = function(L, op, v1, v2) {
     }
 };
 
+const intarith64 = function(L, op, v1, v2) {
+    switch (op) {
+        case LUA_OPADD:  return lvm.luaV_add64(v1, v2);
+        case LUA_OPSUB:  return lvm.luaV_sub64(v1, v2);
+        case LUA_OPMUL:  return lvm.luaV_mul64(v1, v2);
+        case LUA_OPMOD:  return lvm.luaV_mod64(L, v1, v2);
+        case LUA_OPIDIV: return lvm.luaV_div64(L, v1, v2);
+        case LUA_OPBAND: return lvm.luaV_band64(v1, v2);
+        case LUA_OPBOR:  return lvm.luaV_bor64(v1, v2);
+        case LUA_OPBXOR: return lvm.luaV_bxor64(v1, v2);
+        case LUA_OPSHL:  return lvm.luaV_shiftl64(v1, v2);
+        case LUA_OPSHR:  return lvm.luaV_shiftl64(v1, -v2);
+        case LUA_OPUNM:  return lvm.luaV_sub64(0, v1);
+        case LUA_OPBNOT: return lvm.luaV_bxor64(-1, v1);
+        default: lua_assert(0);
+    }
+};
+
 
 const numarith = function(L, op, v1, v2) {
     switch (op) {
@@ -774,7 +862,7 @@ const luaO_arith = function(L, op, p1, p2, p3) {
         case LUA_OPSHL: case LUA_OPSHR:
         case LUA_OPBNOT: {  /* operate only on integers */
             let i1, i2;
-            if ((i1 = lvm.tointeger(p1)) !== false && (i2 = lvm.tointeger(p2)) !== false) {
+            if ((i1 = lvm.tointeger(p1, L.l_G.int64)) !== false && (i2 = lvm.tointeger(p2, L.l_G.int64)) !== false) {
                 res.setivalue(intarith(L, op, i1, i2));
                 return;
             }
@@ -816,7 +904,9 @@ module.exports.TValue            = TValue;
 module.exports.Udata             = Udata;
 module.exports.UTF8BUFFSZ        = UTF8BUFFSZ;
 module.exports.luaO_arith        = luaO_arith;
+module.exports.luaO_ceillog2     = luaO_ceillog2;
 module.exports.luaO_chunkid      = luaO_chunkid;
+module.exports.luaO_fb2int       = luaO_fb2int;
 module.exports.luaO_hexavalue    = luaO_hexavalue;
 module.exports.luaO_int2fb       = luaO_int2fb;
 module.exports.luaO_pushfstring  = luaO_pushfstring;
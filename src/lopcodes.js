@@ -47,7 +47,8 @@ const OpCodes = [
     "SETLIST",
     "CLOSURE",
     "VARARG",
-    "EXTRAARG"
+    "EXTRAARG",
+    "TBC"
 ];
 
 const OpCodesI = {
@@ -97,7 +98,8 @@ const OpCodesI = {
     OP_SETLIST:  43,
     OP_CLOSURE:  44,
     OP_VARARG:   45,
-    OP_EXTRAARG: 46
+    OP_EXTRAARG: 46,
+    OP_TBC:      47
 };
 
 /*
@@ -166,7 +168,8 @@ const luaP_opmodes = [
     0 << 7 | 0 << 6 | OpArgU << 4 | OpArgU << 2 | iABC,   /* OP_SETLIST */
     0 << 7 | 1 << 6 | OpArgU << 4 | OpArgN << 2 | iABx,   /* OP_CLOSURE */
     0 << 7 | 1 << 6 | OpArgU << 4 | OpArgN << 2 | iABC,   /* OP_VARARG */
-    0 << 7 | 0 << 6 | OpArgU << 4 | OpArgU << 2 | iAx     /* OP_EXTRAARG */
+    0 << 7 | 0 << 6 | OpArgU << 4 | OpArgU << 2 | iAx,    /* OP_EXTRAARG */
+    0 << 7 | 0 << 6 | OpArgN << 4 | OpArgN << 2 | iABC    /* OP_TBC */
 ];
 
 const getOpMode = function(m) {
@@ -207,6 +210,7 @@ const MAXARG_Ax  = ((1<<SIZE_Ax)-1);
 const MAXARG_A   = ((1 << SIZE_A) - 1);
 const MAXARG_B   = ((1 << SIZE_B) - 1);
 const MAXARG_C   = ((1 << SIZE_C) - 1);
+const MAXARG_OP  = ((1 << SIZE_OP) - 1);  /* mask of the opcode field */
 
 /* this bit 1 means constant (0 means register) */
 const BITRK      = (1 << (SIZE_B - 1));
@@ -244,22 +248,26 @@ const MASK0 = function(n, p) {
     return (~MASK1(n, p));
 };
 
+/*
+** Instructions are 32-bit integers (stored in an Int32Array, see
+** 'Proto'); the following macros get and set their fields. The 'SET'
+** ones return the new instruction.
+*/
+
 const GET_OPCODE = function(i) {
-    return i.opcode;
+    return (i >> POS_OP) & MAXARG_OP;
 };
 
 const SET_OPCODE = function(i, o) {
-    i.code = (i.code & MASK0(SIZE_OP, POS_OP)) | ((o << POS_OP) & MASK1(SIZE_OP, POS_OP));
-    return fullins(i);
+    return (i & MASK0(SIZE_OP, POS_OP)) | ((o << POS_OP) & MASK1(SIZE_OP, POS_OP));
 };
 
 const setarg = function(i, v, pos, size) {
-    i.code = (i.code & MASK0(size, pos)) | ((v << pos) & MASK1(size, pos));
-    return fullins(i);
+    return (i & MASK0(size, pos)) | ((v << pos) & MASK1(size, pos));
 };
 
 const GETARG_A = function(i) {
-    return i.A;
+    return (i >> POS_A) & MAXARG_A;
 };
 
 const SETARG_A = function(i,v) {
@@ -267,7 +275,7 @@ const SETARG_A = function(i,v) {
 };
 
 const GETARG_B = function(i) {
-    return i.B;
+    return (i >> POS_B) & MAXARG_B;
 };
 
 const SETARG_B = function(i,v) {
@@ -275,7 +283,7 @@ const SETARG_B = function(i,v) {
 };
 
 const GETARG_C = function(i) {
-    return i.C;
+    return (i >> POS_C) & MAXARG_C;
 };
 
 const SETARG_C = function(i,v) {
@@ -283,7 +291,7 @@ const SETARG_C = function(i,v) {
 };
 
 const GETARG_Bx = function(i) {
-    return i.Bx;
+    return (i >> POS_Bx) & MAXARG_Bx;
 };
 
 const SETARG_Bx = function(i,v) {
@@ -291,7 +299,7 @@ const SETARG_Bx = function(i,v) {
 };
 
 const GETARG_Ax = function(i) {
-    return i.Ax;
+    return (i >> POS_Ax) & MAXARG_Ax;
 };
 
 const SETARG_Ax = function(i,v) {
@@ -299,51 +307,23 @@ const SETARG_Ax = function(i,v) {
 };
 
 const GETARG_sBx = function(i) {
-    return i.sBx;
+    return ((i >> POS_Bx) & MAXARG_Bx) - MAXARG_sBx;
 };
 
 const SETARG_sBx = function(i, b) {
     return SETARG_Bx(i, b + MAXARG_sBx);
 };
 
-/*
-** Pre-calculate all possible part of the instruction
-*/
-const fullins = function(ins) {
-    if (typeof ins === "number") {
-        return {
-            code:   ins,
-            opcode: (ins >> POS_OP) & MASK1(SIZE_OP, 0),
-            A:      (ins >> POS_A)  & MASK1(SIZE_A,  0),
-            B:      (ins >> POS_B)  & MASK1(SIZE_B,  0),
-            C:      (ins >> POS_C)  & MASK1(SIZE_C,  0),
-            Bx:     (ins >> POS_Bx) & MASK1(SIZE_Bx, 0),
-            Ax:     (ins >> POS_Ax) & MASK1(SIZE_Ax, 0),
-            sBx:    ((ins >> POS_Bx) & MASK1(SIZE_Bx, 0)) - MAXARG_sBx
-        };
-    } else {
-        let i = ins.code;
-        ins.opcode = (i >> POS_OP) & MASK1(SIZE_OP, 0);
-        ins.A      = (i >> POS_A)  & MASK1(SIZE_A,  0);
-        ins.B      = (i >> POS_B)  & MASK1(SIZE_B,  0);
-        ins.C      = (i >> POS_C)  & MASK1(SIZE_C,  0);
-        ins.Bx     = (i >> POS_Bx) & MASK1(SIZE_Bx, 0);
-        ins.Ax     = (i >> POS_Ax) & MASK1(SIZE_Ax, 0);
-        ins.sBx    = ((i >> POS_Bx) & MASK1(SIZE_Bx, 0)) - MAXARG_sBx;
-        return ins;
-    }
-};
-
 const CREATE_ABC = function(o, a, b, c) {
-    return fullins(o << POS_OP | a << POS_A | b << POS_B | c << POS_C);
+    return o << POS_OP | a << POS_A | b << POS_B | c << POS_C;
 };
 
 const CREATE_ABx = function(o, a, bc) {
-    return fullins(o << POS_OP | a << POS_A | bc << POS_Bx);
+    return o << POS_OP | a << POS_A | bc << POS_Bx;
 };
 
 const CREATE_Ax = function(o, a) {
-    return fullins(o << POS_OP | a << POS_Ax);
+    return o << POS_OP | a << POS_Ax;
 };
 
 /* number of list items to accumulate before a SETLIST instruction */
@@ -397,7 +377,6 @@ module.exports.SIZE_B              = SIZE_B;
 module.exports.SIZE_Bx             = SIZE_Bx;
 module.exports.SIZE_C              = SIZE_C;
 module.exports.SIZE_OP             = SIZE_OP;
-module.exports.fullins             = fullins;
 module.exports.getBMode            = getBMode;
 module.exports.getCMode            = getCMode;
 module.exports.getOpMode           = getOpMode;
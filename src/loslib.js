@@ -35,6 +35,7 @@ const {
     luaL_error,
     luaL_execresult,
     luaL_fileresult,
+    luaL_getvfs,
     luaL_newlib,
     luaL_optinteger,
     luaL_optlstring,
@@ -440,7 +441,7 @@ const os_time = function(L) {
 };
 
 const l_checktime = function(L, arg) {
-    let t = luaL_checkinteger(L, arg);
+    let t = Number(luaL_checkinteger(L, arg));  /* a 64-bit integer may be a BigInt */
     // luaL_argcheck(L, t, arg, "time out-of-bounds");
     return t;
 };
@@ -470,9 +471,32 @@ const os_setlocale = function(L) {
     return 1;
 };
 
+const os_remove = function(L) {
+    let filename = luaL_checkstring(L, 1);
+    try {
+        luaL_getvfs(L).remove(filename);
+    } catch (e) {
+        return luaL_fileresult(L, false, filename, e);
+    }
+    return luaL_fileresult(L, true);
+};
+
+const os_rename = function(L) {
+    let fromname = luaL_checkstring(L, 1);
+    let toname = luaL_checkstring(L, 2);
+    try {
+        luaL_getvfs(L).rename(fromname, toname);
+    } catch (e) {
+        return luaL_fileresult(L, false, null, e);
+    }
+    return luaL_fileresult(L, true);
+};
+
 const syslib = {
     "date": os_date,
     "difftime": os_difftime,
+    "remove": os_remove,
+    "rename": os_rename,
     "setlocale": os_setlocale,
     "time": os_time
 };
@@ -484,7 +508,6 @@ if (typeof process === "undefined") {
     };
 } else {
     /* Only with Node */
-    const fs = require('fs');
     const tmp = require('tmp');
     const child_process = require('child_process');
 
@@ -520,35 +543,6 @@ if (typeof process === "undefined") {
         return tmp.tmpNameSync();
     };
 
-    syslib.remove = function(L) {
-        let filename = luaL_checkstring(L, 1);
-        try {
-            fs.unlinkSync(filename);
-        } catch (e) {
-            if (e.code === 'EISDIR') {
-                try {
-                    fs.rmdirSync(filename);
-                } catch (e) {
-                    return luaL_fileresult(L, false, filename, e);
-                }
-            } else {
-                return luaL_fileresult(L, false, filename, e);
-            }
-        }
-        return luaL_fileresult(L, true);
-    };
-
-    syslib.rename = function(L) {
-        let fromname = luaL_checkstring(L, 1);
-        let toname = luaL_checkstring(L, 2);
-        try {
-            fs.renameSync(fromname, toname);
-        } catch (e) {
-            return luaL_fileresult(L, false, false, e);
-        }
-        return luaL_fileresult(L, true);
-    };
-
     syslib.tmpname = function(L) {
         let name = lua_tmpname();
         if (!name)
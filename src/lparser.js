@@ -48,6 +48,7 @@ const {
     luaK_exp2RK,
     luaK_exp2anyreg,
     luaK_exp2anyregup,
+    luaK_exp2const,
     luaK_exp2nextreg,
     luaK_exp2val,
     luaK_fixline,
@@ -73,7 +74,8 @@ const {
     luaK_setoneret,
     luaK_setreturns,
     luaK_storevar,
-    luaK_stringK
+    luaK_stringK,
+    setinstruction
 } = require('./lcode.js');
 const ldo      = require('./ldo.js');
 const lfunc    = require('./lfunc.js');
@@ -95,10 +97,12 @@ const {
         OP_NEWTABLE,
         OP_SETTABLE,
         OP_TAILCALL,
+        OP_TBC,
         OP_TFORCALL,
         OP_TFORLOOP,
         OP_VARARG
     },
+    GETARG_A,
     LFIELDS_PER_FLUSH,
     SETARG_B,
     SETARG_C,
@@ -131,7 +135,9 @@ class BlockCnt {
         this.firstgoto = NaN;  /* index of first pending goto in this block */
         this.nactvar = NaN;    /* # active locals outside the block */
         this.upval = NaN;      /* true if some variable in the block is an upvalue */
+        this.firstctc = NaN;   /* index of first compile-time constant in this block */
         this.isloop = NaN;     /* true if 'block' is a loop */
+        this.insidetbc = NaN;  /* true if inside the scope of a to-be-closed var. */
     }
 }
 
@@ -157,11 +163,13 @@ const expkind = {
     VRELOCABLE: 12,  /* expression can put result in any register;
                         info = instruction pc */
     VCALL: 13,       /* expression is a function call; info = instruction pc */
-    VVARARG: 14      /* vararg expression; info = instruction pc */
+    VVARARG: 14,     /* vararg expression; info = instruction pc */
+    VCONST: 15       /* compile-time constant (Lua 5.4);
+                        info = absolute index in 'dyd.ctc' */
 };
 
 const vkisvar = function(k) {
-    return expkind.VLOCAL <= k && k <= expkind.VINDEXED;
+    return (expkind.VLOCAL <= k && k <= expkind.VINDEXED) || k === expkind.VCONST;
 };
 
 const vkisinreg = function(k) {
@@ -205,6 +213,7 @@ class FuncState {
         this.nk = NaN;         /* number of elements in 'k' */
         this.np = NaN;         /* number of elements in 'p' */
         this.firstlocal = NaN; /* index of first local var (in Dyndata array) */
+        this.firstctc = NaN;   /* index of first compile-time constant (in Dyndata) */
         this.nlocvars = NaN;   /* number of elements in 'f->locvars' */
         this.nactvar = NaN;    /* number of active local variables */
         this.nups = NaN;       /* number of upvalues */
@@ -212,10 +221,23 @@ class FuncState {
     }
 }
 
-/* description of active local variable */
+/* kinds of variables */
+const VDKREG     = 0;  /* regular */
+const RDKCONST   = 1;  /* constant (Lua 5.4) */
+const RDKTOCLOSE = 2;  /* to-be-closed (Lua 5.4) */
+const RDKCTC     = 3;  /* compile-time constant (Lua 5.4) */
+
+/*
+** description of active local variable; a compile-time constant has
+** no register and is described by its name and value instead
+*/
 class Vardesc {
     constructor() {
         this.idx = NaN;  /* variable index in stack */
+        this.kind = VDKREG;  /* kind of variable */
+        this.name = null;  /* name of a compile-time constant */
+        this.k = null;  /* value of a compile-time constant */
+        this.nactvar = NaN;  /* # active locals where a compile-time constant appears */
     }
 }
 
@@ -248,6 +270,10 @@ class Dyndata {
             n: NaN,
             size: NaN
         };
+        this.ctc = {  /* list of active compile-time constants */
+            arr: [],
+            n: NaN
+        };
         this.gt = new Labellist();
         this.label = new Labellist();
     }
@@ -355,6 +381,10 @@ const new_localvarliteral = function(ls, name) {
     new_localvar(ls, llex.luaX_newstring(ls, to_luastring(name, true)));
 };
 
+const getlocalvardesc = function(fs, i) {
+    return fs.ls.dyd.actvar.arr[fs.firstlocal + i];
+};
+
 const getlocvar = function(fs, i) {
     let idx = fs.ls.dyd.actvar.arr[fs.firstlocal + i].idx;
     lua_assert(idx < fs.nlocvars);
@@ -386,14 +416,48 @@ const searchupvalue = function(fs, name) {
 const newupvalue = function(fs, name, v) {
     let f = fs.f;
     checklimit(fs, fs.nups + 1, lfunc.MAXUPVAL, to_luastring("upvalues", true));
+    let prev = fs.prev;
+    let kind = VDKREG;  /* main function '_ENV' has no enclosing function */
+    if (prev !== null)
+        kind = v.k === expkind.VLOCAL ? getlocalvardesc(prev, v.u.info).kind : prev.f.upvalues[v.u.info].kind;
     f.upvalues[fs.nups] = {
         instack: v.k === expkind.VLOCAL,
         idx: v.u.info,
-        name: name
+        name: name,
+        kind: kind
     };
     return fs.nups++;
 };
 
+/*
+** turn the last local variable declared (which is not active yet) into
+** a compile-time constant with value 'k': it gets neither a register
+** nor debug information
+*/
+const newconstvar = function(ls, k) {
+    let fs = ls.fs;
+    let dyd = ls.dyd;
+    let idx = dyd.actvar.arr[--dyd.actvar.n].idx;
+    lua_assert(idx === fs.nlocvars - 1);
+    let vd = new Vardesc();
+    vd.kind = RDKCTC;
+    vd.name = fs.f.locvars[idx].varname;
+    vd.k = k;
+    vd.nactvar = fs.nactvar;
+    fs.f.locvars.length = --fs.nlocvars;
+    dyd.ctc.arr[dyd.ctc.n++] = vd;
+};
+
+/* find the compile-time constant with name 'n' in the current function */
+const searchconst = function(fs, n) {
+    let ctc = fs.ls.dyd.ctc;
+    for (let i = ctc.n - 1; i >= fs.firstctc; i--) {
+        if (eqstr(n, ctc.arr[i].name))
+            return i;
+    }
+    return -1;  /* not found */
+};
+
 const searchvar = function(fs, n) {
     for (let i = fs.nactvar - 1; i >= 0; i--) {
         if (eqstr(n, getlocvar(fs, i).varname))
@@ -423,7 +487,10 @@ const singlevaraux = function(fs, n, vr, base) {
         init_exp(vr, expkind.VVOID, 0);  /* default is global */
     else {
         let v = searchvar(fs, n);  /* look up locals at current level */
-        if (v >= 0) {  /* found? */
+        let c = searchconst(fs, n);
+        if (c >= 0 && v < fs.ls.dyd.ctc.arr[c].nactvar)  /* constant declared after local? */
+            init_exp(vr, expkind.VCONST, c);  /* constants need no upvalues */
+        else if (v >= 0) {  /* found? */
             init_exp(vr, expkind.VLOCAL, v);  /* variable is local */
             if (!base)
                 markupval(fs, v);  /* local will be used as an upval */
@@ -431,8 +498,8 @@ const singlevaraux = function(fs, n, vr, base) {
             let idx = searchupvalue(fs, n);  /* try existing upvalues */
             if (idx < 0) {  /* not found? */
                 singlevaraux(fs.prev, n, vr, 0);  /* try upper levels */
-                if (vr.k === expkind.VVOID)  /* not found? */
-                    return;  /* it is a global */
+                if (vr.k === expkind.VVOID || vr.k === expkind.VCONST)  /* not found? */
+                    return;  /* it is a global or a compile-time constant */
                 /* else was LOCAL or UPVAL */
                 idx = newupvalue(fs, n, vr);  /* will be a new upvalue */
             }
@@ -449,6 +516,7 @@ const singlevar = function(ls, vr) {
         let key = new expdesc();
         singlevaraux(fs, ls.envn, vr, 1);  /* get environment variable */
         lua_assert(vr.k !== expkind.VVOID);  /* this one must exist */
+        luaK_exp2anyregup(fs, vr);  /* but could be a constant */
         codestring(ls, key, varname);  /* key is variable name */
         luaK_indexed(fs, vr, key);  /* env[varname] */
     }
@@ -577,7 +645,9 @@ const enterblock = function(fs, bl, isloop) {
     bl.nactvar = fs.nactvar;
     bl.firstlabel = fs.ls.dyd.label.n;
     bl.firstgoto = fs.ls.dyd.gt.n;
+    bl.firstctc = fs.ls.dyd.ctc.n;
     bl.upval = 0;
+    bl.insidetbc = fs.bl !== null && fs.bl.insidetbc;
     bl.previous = fs.bl;
     fs.bl = bl;
     lua_assert(fs.freereg === fs.nactvar);
@@ -639,6 +709,7 @@ const open_func = function(ls, fs, bl) {
     fs.nlocvars = 0;
     fs.nactvar = 0;
     fs.firstlocal = ls.dyd.actvar.n;
+    fs.firstctc = ls.dyd.ctc.n;
     fs.bl = null;
     let f = fs.f;
     f.source = ls.source;
@@ -664,6 +735,7 @@ const leaveblock = function(fs) {
     lua_assert(bl.nactvar === fs.nactvar);
     fs.freereg = fs.nactvar;  /* free registers */
     ls.dyd.label.n = bl.firstlabel;  /* remove local labels */
+    ls.dyd.ctc.n = bl.firstctc;  /* remove local compile-time constants */
     if (bl.previous)  /* inner block? */
         movegotosout(fs, bl);  /* update pending gotos to outer block */
     else if (bl.firstgoto < ls.dyd.gt.n)  /* pending gotos in outer block? */
@@ -672,8 +744,10 @@ const leaveblock = function(fs) {
 
 const close_func = function(ls) {
     let fs = ls.fs;
+    let f = fs.f;
     luaK_ret(fs, 0, 0);  /* final return */
     leaveblock(fs);
+    f.code = f.code.slice(0, fs.pc);  /* shrink code array (see 'luaK_code') */
     lua_assert(fs.bl === null);
     ls.fs = fs.prev;
 };
@@ -830,8 +904,8 @@ const constructor = function(ls, t) {
     } while (testnext(ls, 44 /* (',').charCodeAt(0) */) || testnext(ls, 59 /* (';').charCodeAt(0) */));
     check_match(ls, 125 /* ('}').charCodeAt(0) */, 123 /* ('{').charCodeAt(0) */, line);
     lastlistfield(fs, cc);
-    SETARG_B(fs.f.code[pc], lobject.luaO_int2fb(cc.na));  /* set initial array size */
-    SETARG_C(fs.f.code[pc], lobject.luaO_int2fb(cc.nh));  /* set initial table size */
+    fs.f.code[pc] = SETARG_B(fs.f.code[pc], lobject.luaO_int2fb(cc.na));  /* set initial array size */
+    fs.f.code[pc] = SETARG_C(fs.f.code[pc], lobject.luaO_int2fb(cc.nh));  /* set initial table size */
 };
 
 /* }====================================================================== */
@@ -1206,9 +1280,42 @@ const check_conflict = function(ls, lh, v) {
     }
 };
 
+/*
+** raise an error if variable described by 'e' is read only
+*/
+const check_readonly = function(ls, e) {
+    let fs = ls.fs;
+    let varname = null;  /* to be set if variable is read only */
+    switch (e.k) {
+        case expkind.VLOCAL: {
+            if (getlocalvardesc(fs, e.u.info).kind !== VDKREG)
+                varname = getlocvar(fs, e.u.info).varname;
+            break;
+        }
+        case expkind.VUPVAL: {
+            let up = fs.f.upvalues[e.u.info];
+            if (up.kind !== VDKREG)
+                varname = up.name;
+            break;
+        }
+        case expkind.VCONST: {
+            varname = fs.ls.dyd.ctc.arr[e.u.info].name;
+            break;
+        }
+        default:
+            return;  /* other cases cannot be read only */
+    }
+    if (varname !== null) {
+        let msg = lobject.luaO_pushfstring(ls.L,
+            to_luastring("attempt to assign to const variable '%s'", true), varname.getstr());
+        semerror(ls, msg);  /* error */
+    }
+};
+
 const assignment = function(ls, lh, nvars) {
     let e = new expdesc();
     check_condition(ls, vkisvar(lh.v.k), to_luastring("syntax error", true));
+    check_readonly(ls, lh.v);
     if (testnext(ls, 44 /* (',').charCodeAt(0) */)) {  /* assignment -> ',' suffixedexp assignment */
         let nv = new LHS_assign();
         nv.prev = lh;
@@ -1477,13 +1584,51 @@ const localfunc = function(ls) {
     getlocvar(fs, b.u.info).startpc = fs.pc;
 };
 
+/*
+** read the attribute of a local variable: '<const>' or '<close>' (Lua
+** 5.4). Without the 'lua54' option of the state, no attribute is accepted
+*/
+const getlocalattribute = function(ls) {
+    /* ATTRIB -> ['<' Name '>'] */
+    if (ls.L.l_G.lua54 && testnext(ls, 60 /* ('<').charCodeAt(0) */)) {
+        let attr = str_checkname(ls);
+        checknext(ls, 62 /* ('>').charCodeAt(0) */);
+        if (eqstr(attr, luaS_newliteral(ls.L, "const")))
+            return RDKCONST;  /* read-only variable */
+        else if (eqstr(attr, luaS_newliteral(ls.L, "close")))
+            return RDKTOCLOSE;  /* to-be-closed variable */
+        else
+            semerror(ls, lobject.luaO_pushfstring(ls.L,
+                to_luastring("unknown attribute '%s'", true), attr.getstr()));
+    }
+    return VDKREG;  /* regular variable */
+};
+
+const checktoclose = function(ls, level) {
+    if (level !== -1) {  /* is there a to-be-closed variable? */
+        let fs = ls.fs;
+        fs.bl.upval = 1;  /* its block must close it on exit */
+        fs.bl.insidetbc = 1;  /* in the scope of a to-be-closed variable */
+        luaK_codeABC(fs, OP_TBC, level, 0, 0);
+    }
+};
+
 const localstat = function(ls) {
-    /* stat -> LOCAL NAME {',' NAME} ['=' explist] */
+    /* stat -> LOCAL NAME ATTRIB {',' NAME ATTRIB} ['=' explist] */
+    let fs = ls.fs;
+    let toclose = -1;  /* index of to-be-closed variable (if any) */
     let nvars = 0;
     let nexps;
     let e = new expdesc();
     do {
         new_localvar(ls, str_checkname(ls));
+        let kind = getlocalattribute(ls);
+        getlocalvardesc(fs, fs.nactvar + nvars).kind = kind;
+        if (kind === RDKTOCLOSE) {  /* to-be-closed? */
+            if (toclose !== -1)  /* one already present? */
+                semerror(ls, to_luastring("multiple to-be-closed variables in local list", true));
+            toclose = fs.nactvar + nvars;
+        }
         nvars++;
     } while (testnext(ls, 44 /* (',').charCodeAt(0) */));
     if (testnext(ls, 61 /* ('=').charCodeAt(0) */))
@@ -1492,8 +1637,17 @@ const localstat = function(ls) {
         e.k = expkind.VVOID;
         nexps = 0;
     }
-    adjust_assign(ls, nvars, nexps, e);
-    adjustlocalvars(ls, nvars);
+    let k;
+    if (nvars === nexps &&  /* no adjustments? */
+            getlocalvardesc(fs, fs.nactvar + nvars - 1).kind === RDKCONST &&  /* last variable is const? */
+            (k = luaK_exp2const(fs, e)) !== false) {  /* with a constant value? */
+        adjustlocalvars(ls, nvars - 1);  /* exclude last variable */
+        newconstvar(ls, k);  /* which is a compile-time constant */
+    } else {
+        adjust_assign(ls, nvars, nexps, e);
+        adjustlocalvars(ls, nvars);
+    }
+    checktoclose(ls, toclose);
 };
 
 const funcname = function(ls, v) {
@@ -1515,6 +1669,7 @@ const funcstat = function(ls, line) {
     let b = new expdesc();
     llex.luaX_next(ls);  /* skip FUNCTION */
     let ismethod = funcname(ls, v);
+    check_readonly(ls, v);
     body(ls, b, ismethod, line);
     luaK_storevar(ls.fs, v, b);
     luaK_fixline(ls.fs, line);  /* definition "happens" in the first line */
@@ -1531,7 +1686,7 @@ const exprstat= function(ls) {
     }
     else {  /* stat -> func */
         check_condition(ls, v.v.k === expkind.VCALL, to_luastring("syntax error", true));
-        SETARG_C(getinstruction(fs, v.v), 1);  /* call statement uses no results */
+        setinstruction(fs, v.v, SETARG_C(getinstruction(fs, v.v), 1));  /* call statement uses no results */
     }
 };
 
@@ -1546,9 +1701,9 @@ const retstat = function(ls) {
         nret = explist(ls, e);  /* optional return values */
         if (hasmultret(e.k)) {
             luaK_setmultret(fs, e);
-            if (e.k === expkind.VCALL && nret === 1) {  /* tail call? */
-                SET_OPCODE(getinstruction(fs, e), OP_TAILCALL);
-                lua_assert(getinstruction(fs, e).A === fs.nactvar);
+            if (e.k === expkind.VCALL && nret === 1 && !fs.bl.insidetbc) {  /* tail call? */
+                setinstruction(fs, e, SET_OPCODE(getinstruction(fs, e), OP_TAILCALL));
+                lua_assert(GETARG_A(getinstruction(fs, e)) === fs.nactvar);
             }
             first = fs.nactvar;
             nret = LUA_MULTRET;  /* return all values */
@@ -1663,13 +1818,13 @@ const luaY_parser = function(L, z, buff, dyd, name, firstchar) {
     funcstate.f.source = luaS_new(L, name);
     lexstate.buff = buff;
     lexstate.dyd = dyd;
-    dyd.actvar.n = dyd.gt.n = dyd.label.n = 0;
+    dyd.actvar.n = dyd.ctc.n = dyd.gt.n = dyd.label.n = 0;
     llex.luaX_setinput(L, lexstate, z, funcstate.f.source, firstchar);
     mainfunc(lexstate, funcstate);
     lua_assert(!funcstate.prev && funcstate.nups === 1 && !lexstate.fs);
     /* all scopes should be correctly finished */
-    lua_assert(dyd.actvar.n === 0 && dyd.gt.n === 0 && dyd.label.n === 0);
-    delete L.stack[--L.top];  /* remove scanner's table */
+    lua_assert(dyd.actvar.n === 0 && dyd.ctc.n === 0 && dyd.gt.n === 0 && dyd.label.n === 0);
+    L.stack[--L.top].setnilvalue();  /* remove scanner's table */
     return cl;  /* closure is on the stack, too */
 };
 
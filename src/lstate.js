@@ -11,17 +11,29 @@ const {
         LUA_TTHREAD
     },
     thread_status: {
-        LUA_OK
-    }
+        LUA_OK,
+        LUA_YIELD
+    },
+    to_luastring
 } = require('./defs.js');
 const lobject              = require('./lobject.js');
 const ldo                  = require('./ldo.js');
 const lapi                 = require('./lapi.js');
+const lgc                  = require('./lgc.js');
+const lmem                 = require('./lmem.js');
+const lstring              = require('./lstring.js');
 const ltable               = require('./ltable.js');
 const ltm                  = require('./ltm.js');
 
 const EXTRA_STACK = 5;
 
+/* default GC parameters, as in the reference implementation */
+const LUAI_GCPAUSE     = 200;  /* 200% */
+const LUAI_GCMUL       = 200;
+const LUAI_GCSTEPSIZE  = 13;  /* 8 KB */
+const LUAI_GENMINORMUL = 20;
+const LUAI_GENMAJORMUL = 100;
+
 const BASIC_STACK_SIZE = 2 * LUA_MINSTACK;
 
 class CallInfo {
@@ -44,6 +56,7 @@ class CallInfo {
 
         this.nresults = NaN;
         this.callstatus = NaN;
+        this.depth = 0;  /* number of calls below this one */
     }
 
 }
@@ -61,6 +74,8 @@ class lua_State {
         /* preinit_thread */
         this.l_G = g;
         this.stack = null;
+        this.openupval = []; /* levels of the stack slots captured as upvalues, in increasing order */
+        this.tbclist = []; /* levels of the to-be-closed variables, in increasing order */
         this.ci = null;
         this.errorJmp = null;
         this.nCcalls = 0;
@@ -85,19 +100,56 @@ class global_State {
         this.mainthread = null;
         this.l_registry = new lobject.TValue(LUA_TNIL, null);
         this.panic = null;
+        this.warnf = null; /* warning function (see 'lua_setwarnf') */
+        this.ud_warn = null; /* auxiliary data to 'warnf' */
         this.atnativeerror = null;
         this.version = null;
+        this.strt = new Map(); /* interned short strings (see lstring.js) */
+        this.memerrmsg = null; /* message for memory-allocation errors */
         this.tmname = new Array(ltm.TMS.TM_N);
         this.mt = new Array(LUA_NUMTAGS);
+
+        this.totalbytes = lmem.sizethread; /* number of bytes currently allocated - GCdebt */
+        this.GCdebt = 0; /* bytes allocated not yet compensated by the collector */
+        this.GCestimate = 0; /* an estimate of the non-garbage memory in use */
+        this.gckind = lgc.KGC_INC; /* kind of GC running */
+        this.gcrunning = false; /* true if GC is running */
+        this.gcpause = LUAI_GCPAUSE; /* size of pause between successive GCs */
+        this.gcstepmul = LUAI_GCMUL; /* GC 'granularity' */
+        this.gcstepsize = LUAI_GCSTEPSIZE; /* (log2 of) GC granularity */
+        this.genminormul = LUAI_GENMINORMUL; /* control for minor generational collections */
+        this.genmajormul = LUAI_GENMAJORMUL; /* control for major generational collections */
+        this.finreg = null; /* FinalizationRegistry for objects with finalizers (see lgc.js) */
+        this.finobj = new Set(); /* records of objects marked for finalization */
+        this.finrecords = new WeakMap(); /* record of each object marked for finalization */
+        this.tobefnz = []; /* records of collected objects to be finalized */
+        this.cachedprotos = []; /* prototypes with inline caches, held weakly if possible (see lvm.js) */
+        this.limits = null; /* limits on execution (see 'lua_setlimits') */
+        this.limitcount = Infinity; /* instructions to run before checking 'limits' */
+        this.int64 = false; /* whether integers have 64 bits (see 'lua_newstate') */
+        this.verifycode = false; /* whether to verify loaded bytecode (see 'lua_newstate') */
+        this.jit = false; /* whether to compile hot functions (see 'lua_newstate') */
+        this.lua54 = false; /* whether to accept the syntax of Lua 5.4 (see 'lua_newstate') */
     }
 
 }
 
+/*
+** set GCdebt to a new value keeping the value (totalbytes + GCdebt)
+** invariant
+*/
+const luaE_setdebt = function(g, debt) {
+    let tb = g.totalbytes + g.GCdebt;
+    g.totalbytes = tb - debt;
+    g.GCdebt = debt;
+};
+
 const luaE_extendCI = function(L) {
     let ci = new CallInfo();
     L.ci.next = ci;
     ci.previous = L.ci;
     ci.next = null;
+    ci.depth = L.ci.depth + 1;
     L.ci = ci;
     return ci;
 };
@@ -108,7 +160,10 @@ const luaE_freeCI = function(L) {
 };
 
 const stack_init = function(L1, L) {
+    lmem.luaM_newobject(L, BASIC_STACK_SIZE * lmem.sizeTValue);
     L1.stack = new Array(BASIC_STACK_SIZE);
+    for (let i = 0; i < BASIC_STACK_SIZE; i++)  /* erase new stack */
+        L1.stack[i] = new lobject.TValue(LUA_TNIL, null);
     L1.top = 0;
     L1.stack_last = BASIC_STACK_SIZE - EXTRA_STACK;
     /* initialize first ci */
@@ -116,8 +171,7 @@ const stack_init = function(L1, L) {
     ci.next = ci.previous = null;
     ci.callstatus = 0;
     ci.funcOff = L1.top;
-    ci.func = L1.stack[L1.top];
-    L1.stack[L1.top++] = new lobject.TValue(LUA_TNIL, null);
+    ci.func = L1.stack[L1.top++];  /* 'function' entry for this 'ci' */
     ci.top = L1.top + LUA_MINSTACK;
     L1.ci = ci;
 };
@@ -134,8 +188,8 @@ const freestack = function(L) {
 const init_registry = function(L, g) {
     let registry = ltable.luaH_new(L);
     g.l_registry.sethvalue(registry);
-    ltable.luaH_setint(registry, LUA_RIDX_MAINTHREAD, new lobject.TValue(LUA_TTHREAD, L));
-    ltable.luaH_setint(registry, LUA_RIDX_GLOBALS, new lobject.TValue(LUA_TTABLE, ltable.luaH_new(L)));
+    ltable.luaH_setint(L, registry, LUA_RIDX_MAINTHREAD, new lobject.TValue(LUA_TTHREAD, L));
+    ltable.luaH_setint(L, registry, LUA_RIDX_GLOBALS, new lobject.TValue(LUA_TTABLE, ltable.luaH_new(L)));
 };
 
 /*
@@ -146,14 +200,18 @@ const f_luaopen = function(L) {
     let g = L.l_G;
     stack_init(L, L);
     init_registry(L, g);
+    g.memerrmsg = lstring.luaS_newliteral(L, "not enough memory");
     ltm.luaT_init(L);
+    g.gcrunning = true;  /* allow gc */
     g.version = lapi.lua_version(null);
 };
 
 const lua_newthread = function(L) {
     let g = L.l_G;
+    lgc.luaC_checkGC(L);
+    lmem.luaM_newobject(L, lmem.sizethread);
     let L1 = new lua_State(g);
-    L.stack[L.top] = new lobject.TValue(LUA_TTHREAD, L1);
+    L.stack[L.top].setthvalue(L1);
     lapi.api_incr_top(L);
     L1.hookmask = L.hookmask;
     L1.basehookcount = L.basehookcount;
@@ -167,8 +225,81 @@ const luaE_freethread = function(L, L1) {
     freestack(L1);
 };
 
-const lua_newstate = function() {
+/*
+** Unwind the CallInfo list of thread 'L', which must be suspended or
+** dead, closing its pending upvalues and to-be-closed variables with
+** the error of 'status' (if any), and release its stack. Returns the
+** final status; if it is an error, the error object is on the stack.
+*/
+const luaE_resetthread = function(L, status) {
+    let ci = L.ci = L.base_ci;  /* unwind CallInfo list */
+    L.stack[0].setnilvalue();  /* 'function' entry for basic 'ci' */
+    ci.func = L.stack[0];
+    ci.callstatus = 0;
+    luaE_freeCI(L);
+    if (status === LUA_YIELD)
+        status = LUA_OK;
+    L.status = LUA_OK;  /* so it can run __close metamethods */
+    L.errfunc = 0;
+    status = ldo.luaD_closeprotected(L, 1, status);
+    if (status !== LUA_OK)  /* errors? */
+        ldo.luaD_seterrorobj(L, status, 1);
+    else
+        L.top = 1;
+    for (let i = L.top; i < L.stack.length; i++)  /* release the values above the top */
+        L.stack[i].setnilvalue();
+    ci.top = L.top + LUA_MINSTACK;
+    if (ci.top + EXTRA_STACK < L.stack.length)
+        ldo.luaD_reallocstack(L, ci.top + EXTRA_STACK);
+    return status;
+};
+
+const lua_resetthread = function(L) {
+    return luaE_resetthread(L, L.status);
+};
+
+const luaE_warning = function(L, msg, tocont) {
+    let wf = L.l_G.warnf;
+    if (wf !== null)
+        wf(L.l_G.ud_warn, msg, tocont);
+};
+
+/*
+** Generate a warning from an error message
+*/
+const luaE_warnerror = function(L, where) {
+    let errobj = L.stack[L.top - 1];  /* error object */
+    let msg = errobj.ttisstring()
+        ? errobj.svalue()
+        : to_luastring("error object is not a string", true);
+    /* produce warning "error in %s (%s)" (where, msg) */
+    luaE_warning(L, to_luastring("error in ", true), 1);
+    luaE_warning(L, where, 1);
+    luaE_warning(L, to_luastring(" (", true), 1);
+    luaE_warning(L, msg, 1);
+    luaE_warning(L, to_luastring(")", true), 0);
+};
+
+/*
+** 'options' may ask for 64-bit integers ('int64'), which need BigInt,
+** for the verification of loaded bytecode ('verifycode', see
+** 'luaU_undump'), for the compilation of hot functions to JavaScript
+** ('jit', see ljit.js) and for the syntax of Lua 5.4 ('lua54', see
+** lparser.js)
+*/
+const lua_newstate = function(options) {
     let g = new global_State();
+    if (options && options.int64) {
+        if (typeof BigInt !== "function")
+            throw RangeError("64-bit integers need BigInt support");
+        g.int64 = true;
+    }
+    if (options && options.verifycode)
+        g.verifycode = true;
+    if (options && options.jit)
+        g.jit = true;
+    if (options && options.lua54)
+        g.lua54 = true;
     let L = new lua_State(g);
     g.mainthread = L;
 
@@ -180,6 +311,7 @@ const lua_newstate = function() {
 };
 
 const close_state = function(L) {
+    lgc.luaC_freeallobjects(L);  /* collect all objects */
     freestack(L);
 };
 
@@ -188,21 +320,26 @@ const lua_close = function(L) {
     close_state(L);
 };
 
-module.exports.lua_State       = lua_State;
-module.exports.CallInfo        = CallInfo;
-module.exports.CIST_OAH        = (1<<0);  /* original value of 'allowhook' */
-module.exports.CIST_LUA        = (1<<1);  /* call is running a Lua function */
-module.exports.CIST_HOOKED     = (1<<2);  /* call is running a debug hook */
-module.exports.CIST_FRESH      = (1<<3);  /* call is running on a fresh invocation of luaV_execute */
-module.exports.CIST_YPCALL     = (1<<4);  /* call is a yieldable protected call */
-module.exports.CIST_TAIL       = (1<<5);  /* call was tail called */
-module.exports.CIST_HOOKYIELD  = (1<<6);  /* last hook called yielded */
-module.exports.CIST_LEQ        = (1<<7);  /* using __lt for __le */
-module.exports.CIST_FIN        = (1<<8);   /* call is running a finalizer */
-module.exports.EXTRA_STACK     = EXTRA_STACK;
-module.exports.lua_close       = lua_close;
-module.exports.lua_newstate    = lua_newstate;
-module.exports.lua_newthread   = lua_newthread;
-module.exports.luaE_extendCI   = luaE_extendCI;
-module.exports.luaE_freeCI     = luaE_freeCI;
-module.exports.luaE_freethread = luaE_freethread;
+module.exports.lua_State        = lua_State;
+module.exports.CallInfo         = CallInfo;
+module.exports.CIST_OAH         = (1<<0);  /* original value of 'allowhook' */
+module.exports.CIST_LUA         = (1<<1);  /* call is running a Lua function */
+module.exports.CIST_HOOKED      = (1<<2);  /* call is running a debug hook */
+module.exports.CIST_FRESH       = (1<<3);  /* call is running on a fresh invocation of luaV_execute */
+module.exports.CIST_YPCALL      = (1<<4);  /* call is a yieldable protected call */
+module.exports.CIST_TAIL        = (1<<5);  /* call was tail called */
+module.exports.CIST_HOOKYIELD   = (1<<6);  /* last hook called yielded */
+module.exports.CIST_LEQ         = (1<<7);  /* using __lt for __le */
+module.exports.CIST_FIN         = (1<<8);   /* call is running a finalizer */
+module.exports.EXTRA_STACK      = EXTRA_STACK;
+module.exports.lua_close        = lua_close;
+module.exports.lua_newstate     = lua_newstate;
+module.exports.lua_newthread    = lua_newthread;
+module.exports.lua_resetthread  = lua_resetthread;
+module.exports.luaE_extendCI    = luaE_extendCI;
+module.exports.luaE_freeCI      = luaE_freeCI;
+module.exports.luaE_freethread  = luaE_freethread;
+module.exports.luaE_resetthread = luaE_resetthread;
+module.exports.luaE_setdebt     = luaE_setdebt;
+module.exports.luaE_warnerror   = luaE_warnerror;
+module.exports.luaE_warning     = luaE_warning;
@@ -1,44 +1,109 @@
 "use strict";
 
 const {
+    constant_types: {
+        LUA_TLNGSTR,
+        LUA_TSHRSTR
+    },
     is_luastring,
     luastring_eq,
     luastring_from,
     to_luastring
 } = require('./defs.js');
-const { lua_assert } = require("./llimits.js");
+const {
+    LUAI_MAXSHORTLEN,
+    lua_assert
+} = require("./llimits.js");
+const lmem = require("./lmem.js");
+
+/*
+** Strings of up to LUAI_MAXSHORTLEN bytes are short strings: they are
+** internalized in the string table 'g.strt' of their state, so that
+** equal short strings are usually the same TString, which has its key
+** ('luaS_hash') computed once.
+** Each collection cycle removes from the string table the strings it did
+** not reach ('luaS_sweep'). A string only referenced from JS code may
+** still be in use, and an equal string created later would be another
+** object: so short strings that are not the same object are compared by
+** their keys, which are also their keys in tables.
+**
+** A long string made by a concatenation starts as a rope: a list of the
+** strings it concatenates ('luaS_newrope'). Its bytes are only built the
+** first time they are needed ('getstr'), so that a string grown by
+** repeated concatenations is copied once instead of at each step.
+*/
 
 class TString {
 
-    constructor(L, str) {
-        this.hash = null;
-        this.realstring = str;
+    constructor(L, str, tt, hash) {
+        this.tt = tt;  /* LUA_TSHRSTR or LUA_TLNGSTR */
+        this.hash = hash;  /* see 'luaS_hash'; null if not computed yet */
+        this.realstring = str;  /* null while a rope */
+        this.rope = null;  /* strings of a rope, in order */
+        this.ropelen = 0;  /* length of a rope */
     }
 
     getstr() {
+        if (this.realstring === null)
+            flatten(this);
         return this.realstring;
     }
 
     tsslen() {
-        return this.realstring.length;
+        let str = this.realstring;
+        return str !== null ? str.length : this.ropelen;
     }
 
 }
 
+/*
+** build the bytes of a rope; the strings of a rope may be ropes
+** themselves, so they are walked with an explicit stack (a string grown
+** by repeated concatenations is a very deep rope)
+*/
+const flatten = function(ts) {
+    let buff = new Uint8Array(ts.ropelen);
+    let tl = buff.length;  /* the buffer is filled from its end */
+    let stack = [ts];
+    do {
+        let s = stack.pop();
+        let str = s.realstring;
+        if (str !== null) {
+            tl -= str.length;
+            buff.set(str, tl);
+        } else {
+            let rope = s.rope;
+            for (let i = 0; i < rope.length; i++)
+                stack.push(rope[i]);
+        }
+    } while (stack.length > 0);
+    lua_assert(tl === 0);
+    ts.realstring = buff;
+    ts.rope = null;  /* its strings may be collected now */
+};
+
+const luaS_eqshrstr = function(a, b) {
+    lua_assert(a.tt === LUA_TSHRSTR && b.tt === LUA_TSHRSTR);
+    return a === b || a.hash === b.hash;
+};
+
 const luaS_eqlngstr = function(a, b) {
     lua_assert(a instanceof TString);
     lua_assert(b instanceof TString);
-    return a == b || luastring_eq(a.realstring, b.realstring);
+    return a == b ||
+        (a.tsslen() === b.tsslen() && luastring_eq(a.getstr(), b.getstr()));
 };
 
-/* converts strings (arrays) to a consistent map key
+/* converts strings (arrays) to a consistent map key (one character per byte)
    make sure this doesn't conflict with any of the anti-collision strategies in ltable */
 const luaS_hash = function(str) {
     lua_assert(is_luastring(str));
     let len = str.length;
+    if (len <= LUAI_MAXSHORTLEN)
+        return "|" + String.fromCharCode.apply(null, str);
     let s = "|";
-    for (let i=0; i<len; i++)
-        s += str[i].toString(16);
+    for (let i = 0; i < len; i += 4096)  /* avoid too many arguments */
+        s += String.fromCharCode.apply(null, str.subarray(i, i + 4096));
     return s;
 };
 
@@ -50,26 +115,73 @@ const luaS_hashlongstr = function(ts) {
     return ts.hash;
 };
 
+/* keep in the string table only the strings reached by a collection cycle */
+const luaS_sweep = function(g, marked) {
+    let strt = new Map();  /* cheaper than removing most entries */
+    g.strt.forEach(function(ts, h) {
+        if (marked.has(ts))
+            strt.set(h, ts);
+    });
+    g.strt = strt;
+};
+
+/*
+** checks whether short string exists and reuses it or creates a new one
+** ('str' is copied if 'copy')
+*/
+const internshrstr = function(L, str, copy) {
+    let strt = L.l_G.strt;
+    let h = luaS_hash(str);
+    let ts = strt.get(h);
+    if (ts !== void 0)  /* found? */
+        return ts;
+    lmem.luaM_newobject(L, lmem.sizelstring(str.length));
+    ts = new TString(L, copy ? luastring_from(str) : str, LUA_TSHRSTR, h);
+    strt.set(h, ts);
+    return ts;
+};
+
 /* variant that takes ownership of array */
 const luaS_bless = function(L, str) {
     lua_assert(str instanceof Uint8Array);
-    return new TString(L, str);
+    if (str.length <= LUAI_MAXSHORTLEN)
+        return internshrstr(L, str, false);
+    lmem.luaM_newobject(L, lmem.sizelstring(str.length));
+    return new TString(L, str, LUA_TLNGSTR, null);
 };
 
 /* makes a copy */
 const luaS_new = function(L, str) {
+    if (str.length <= LUAI_MAXSHORTLEN)
+        return internshrstr(L, str, true);
     return luaS_bless(L, luastring_from(str));
 };
 
+/*
+** creates the (long) string concatenating the strings in array 'rope',
+** of total length 'l', without copying them
+*/
+const luaS_newrope = function(L, rope, l) {
+    lua_assert(l > LUAI_MAXSHORTLEN);
+    lmem.luaM_newobject(L, lmem.sizelstring(l));
+    let ts = new TString(L, null, LUA_TLNGSTR, null);
+    ts.rope = rope;
+    ts.ropelen = l;
+    return ts;
+};
+
 /* takes a js string */
 const luaS_newliteral = function(L, str) {
     return luaS_bless(L, to_luastring(str));
 };
 
 module.exports.luaS_eqlngstr    = luaS_eqlngstr;
+module.exports.luaS_eqshrstr    = luaS_eqshrstr;
 module.exports.luaS_hash        = luaS_hash;
 module.exports.luaS_hashlongstr = luaS_hashlongstr;
 module.exports.luaS_bless       = luaS_bless;
 module.exports.luaS_new         = luaS_new;
 module.exports.luaS_newliteral  = luaS_newliteral;
+module.exports.luaS_newrope     = luaS_newrope;
+module.exports.luaS_sweep       = luaS_sweep;
 module.exports.TString          = TString;
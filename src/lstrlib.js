@@ -1,11 +1,14 @@
 "use strict";
 
+/* global BigInt */
+
 const { sprintf } = require('sprintf-js');
 
 const {
     LUA_INTEGER_FMT,
     LUA_INTEGER_FRMLEN,
     LUA_MININTEGER,
+    LUA_MININTEGER64,
     LUA_NUMBER_FMT,
     LUA_NUMBER_FRMLEN,
     frexp,
@@ -23,6 +26,7 @@ const {
     lua_dump,
     lua_gettable,
     lua_gettop,
+    lua_hasint64,
     lua_isinteger,
     lua_isstring,
     lua_pop,
@@ -102,6 +106,7 @@ const strlen = function(s) {
 
 /* translate a relative string position: negative means back from end */
 const posrelat = function(pos, len) {
+    pos = Number(pos);  /* a 64-bit integer may be a BigInt */
     if (pos >= 0) return pos;
     else if (0 - pos > len) return 0;
     else return len + pos + 1;
@@ -279,10 +284,16 @@ const addliteral = function(L, b, arg) {
                 checkdp(buff);  /* ensure it uses a dot */
             } else {  /* integers */
                 let n = lua_tointeger(L, arg);
-                let format = (n === LUA_MININTEGER)  /* corner case? */
-                    ? "0x%" + LUA_INTEGER_FRMLEN + "x"  /* use hexa */
-                    : LUA_INTEGER_FMT;  /* else use default format */
-                buff = to_luastring(sprintf(format, n));
+                if (lua_hasint64(L))
+                    buff = to_luastring(n === LUA_MININTEGER64  /* corner case? */
+                        ? "0x" + format64("%" + LUA_INTEGER_FRMLEN + "x", n)  /* use hexa */
+                        : format64(LUA_INTEGER_FMT, n));  /* else use default format */
+                else {
+                    let format = (n === LUA_MININTEGER)  /* corner case? */
+                        ? "0x%" + LUA_INTEGER_FRMLEN + "x"  /* use hexa */
+                        : LUA_INTEGER_FMT;  /* else use default format */
+                    buff = to_luastring(sprintf(format, n));
+                }
             }
             luaL_addstring(b, buff);
             break;
@@ -298,6 +309,51 @@ const addliteral = function(L, b, arg) {
     }
 };
 
+/*
+** Format integer 'n' of a state with 64-bit integers with a conversion
+** 'form' for integers, as 'sprintf' only handles 32 bits.
+*/
+const format64 = function(form, n) {
+    let m = /^%([-+ #0]*)(\d*)(?:\.(\d*))?([diouxX])$/.exec(form);
+    let flags = m[1];
+    let width = m[2] === "" ? 0 : Number(m[2]);
+    let precision = m[3] === void 0 ? -1 : Number(m[3] || "0");
+    let conv = m[4];
+    let b = BigInt(n);
+    let sign = "";
+    let digits;
+    switch (conv) {
+        case 'd': case 'i':
+            if (b < 0) {
+                sign = "-";
+                b = -b;
+            } else if (flags.indexOf('+') >= 0) sign = "+";
+            else if (flags.indexOf(' ') >= 0) sign = " ";
+            digits = b.toString(10);
+            break;
+        case 'u': digits = BigInt.asUintN(64, b).toString(10); break;
+        case 'o': digits = BigInt.asUintN(64, b).toString(8); break;
+        case 'x': digits = BigInt.asUintN(64, b).toString(16); break;
+        case 'X': digits = BigInt.asUintN(64, b).toString(16).toUpperCase(); break;
+    }
+    if (precision >= 0) {
+        digits = precision === 0 && digits === "0" ? "" : digits.padStart(precision, "0");
+    }
+    if (flags.indexOf('#') >= 0) {
+        if (conv === 'o' && digits[0] !== "0") digits = "0" + digits;
+        else if ((conv === 'x' || conv === 'X') && b !== BigInt(0)) sign = "0" + conv;
+    }
+    let pad = width - sign.length - digits.length;
+    if (pad <= 0)
+        return sign + digits;
+    else if (flags.indexOf('-') >= 0)  /* left justified? */
+        return sign + digits + " ".repeat(pad);
+    else if (flags.indexOf('0') >= 0 && precision < 0)  /* pad with zeros? */
+        return sign + "0".repeat(pad) + digits;
+    else
+        return " ".repeat(pad) + sign + digits;
+};
+
 const scanformat = function(L, strfrmt, i, form) {
     let p = i;
     while (strfrmt[p] !== 0 && luastring_indexOf(FLAGS, strfrmt[p]) >= 0) p++;  /* skip flags */
@@ -351,14 +407,18 @@ const str_format = function(L) {
             switch (String.fromCharCode(strfrmt[i++])) {
                 case 'c': {
                     // sprintf(String.fromCharCode(...form), luaL_checkinteger(L, arg));
-                    luaL_addchar(b, luaL_checkinteger(L, arg));
+                    let c = luaL_checkinteger(L, arg);
+                    luaL_addchar(b, typeof c === "number" ? c : Number(c % BigInt(256)));
                     break;
                 }
                 case 'd': case 'i':
                 case 'o': case 'u': case 'x': case 'X': {
                     let n = luaL_checkinteger(L, arg);
                     addlenmod(form, to_luastring(LUA_INTEGER_FRMLEN, true));
-                    luaL_addstring(b, to_luastring(sprintf(String.fromCharCode(...form), n)));
+                    if (lua_hasint64(L))
+                        luaL_addstring(b, to_luastring(format64(String.fromCharCode(...form), n)));
+                    else
+                        luaL_addstring(b, to_luastring(sprintf(String.fromCharCode(...form), n)));
                     break;
                 }
                 case 'a': case 'A': {
@@ -411,6 +471,7 @@ const LUAL_PACKPADBYTE = 0x00;
 const MAXINTSIZE = 16;
 
 const SZINT = 4; // Size of lua_Integer
+const SZINT64 = 8; // Size of lua_Integer in states with 64-bit integers
 
 /* number of bits in a character */
 const NB = 8;
@@ -428,6 +489,7 @@ class Header {
         this.L = L;
         this.islittle = true;
         this.maxalign = 1;
+        this.int64 = lua_hasint64(L);  /* see 'packint64' */
     }
 }
 
@@ -484,8 +546,8 @@ const getoption = function(h, fmt) {
         case 72  /*'H'*/: r.size = 2; r.opt = Kuint;  return r;
         case 108 /*'l'*/: r.size = 4; r.opt = Kint;   return r; // sizeof(long): 4
         case 76  /*'L'*/: r.size = 4; r.opt = Kuint;  return r;
-        case 106 /*'j'*/: r.size = 4; r.opt = Kint;   return r; // sizeof(lua_Integer): 4
-        case 74  /*'J'*/: r.size = 4; r.opt = Kuint;  return r;
+        case 106 /*'j'*/: r.size = h.int64 ? SZINT64 : SZINT; r.opt = Kint;   return r; // sizeof(lua_Integer)
+        case 74  /*'J'*/: r.size = h.int64 ? SZINT64 : SZINT; r.opt = Kuint;  return r;
         case 84  /*'T'*/: r.size = 4; r.opt = Kuint;  return r; // sizeof(size_t): 4
         case 102 /*'f'*/: r.size = 4; r.opt = Kfloat; return r; // sizeof(float): 4
         case 100 /*'d'*/: r.size = 8; r.opt = Kfloat; return r; // sizeof(double): 8
@@ -577,6 +639,21 @@ const packint = function(b, n, islittle, size, neg) {
     luaL_addsize(b, size);  /* add result to buffer */
 };
 
+/*
+** 'packint' for states with 64-bit integers. Shifting a BigInt extends
+** its sign, so a negative number gets its extra bytes right.
+*/
+const packint64 = function(b, n, islittle, size) {
+    let buff = luaL_prepbuffsize(b, size);
+    let mc = BigInt(MC);
+    let nb = BigInt(NB);
+    for (let i = 0; i < size; i++) {
+        buff[islittle ? i : size - 1 - i] = Number(n & mc);
+        n >>= nb;
+    }
+    luaL_addsize(b, size);  /* add result to buffer */
+};
+
 const str_pack = function(L) {
     let b = new luaL_Buffer();
     let h = new Header(L);
@@ -600,6 +677,14 @@ const str_pack = function(L) {
         switch (opt) {
             case Kint: {  /* signed integers */
                 let n = luaL_checkinteger(L, arg);
+                if (h.int64) {
+                    if (size < SZINT64) {  /* need overflow check? */
+                        let lim = BigInt(1) << BigInt(size * NB - 1);
+                        luaL_argcheck(L, -lim <= n && n < lim, arg, "integer overflow");
+                    }
+                    packint64(b, BigInt(n), h.islittle, size);
+                    break;
+                }
                 if (size < SZINT) {  /* need overflow check? */
                     let lim = 1 << (size * 8) - 1;
                     luaL_argcheck(L, -lim <= n && n < lim, arg, "integer overflow");
@@ -609,6 +694,13 @@ const str_pack = function(L) {
             }
             case Kuint: {  /* unsigned integers */
                 let n = luaL_checkinteger(L, arg);
+                if (h.int64) {
+                    let u = BigInt.asUintN(64, BigInt(n));
+                    if (size < SZINT64)
+                        luaL_argcheck(L, u < (BigInt(1) << BigInt(size * NB)), arg, "unsigned overflow");
+                    packint64(b, u, h.islittle, size);
+                    break;
+                }
                 if (size < SZINT)
                     luaL_argcheck(L, (n>>>0) < (1 << (size * NB)), arg, "unsigned overflow");
                 packint(b, n>>>0, h.islittle, size, false);
@@ -703,7 +795,7 @@ const str_upper = function(L) {
 const str_rep = function(L) {
     let s = luaL_checkstring(L, 1);
     let l = s.length;
-    let n = luaL_checkinteger(L, 2);
+    let n = Number(luaL_checkinteger(L, 2));  /* a 64-bit integer may be a BigInt */
     let sep = luaL_optstring(L, 3, "");
     let lsep = sep.length;
     if (n <= 0) lua_pushliteral(L, "");
@@ -804,6 +896,27 @@ const unpackint = function(L, str, islittle, size, issigned) {
     return res;
 };
 
+/*
+** 'unpackint' for states with 64-bit integers: returns a BigInt
+*/
+const unpackint64 = function(L, str, islittle, size, issigned) {
+    let res = BigInt(0);
+    let limit = size <= SZINT64 ? size : SZINT64;
+    for (let i = limit - 1; i >= 0; i--)
+        res = (res << BigInt(NB)) | BigInt(str[islittle ? i : size - 1 - i]);
+    if (size < SZINT64) {  /* real size smaller than lua_Integer? */
+        if (issigned)  /* needs sign extension? */
+            res = BigInt.asIntN(size * NB, res);
+    } else if (size > SZINT64) {  /* must check unread bytes */
+        let mask = !issigned || BigInt.asIntN(64, res) >= 0 ? 0 : MC;
+        for (let i = limit; i < size; i++) {
+            if (str[islittle ? i : size - 1 - i] !== mask)
+                luaL_error(L, to_luastring("%d-byte integer does not fit into Lua Integer"), size);
+        }
+    }
+    return res;
+};
+
 const unpacknum = function(L, b, islittle, size) {
     lualib.lua_assert(b.length >= size);
 
@@ -840,7 +953,9 @@ const str_unpack = function(L) {
         switch (opt) {
             case Kint:
             case Kuint: {
-                let res = unpackint(L, data.subarray(pos), h.islittle, size, opt === Kint);
+                let res = h.int64
+                    ? unpackint64(L, data.subarray(pos), h.islittle, size, opt === Kint)
+                    : unpackint(L, data.subarray(pos), h.islittle, size, opt === Kint);
                 lua_pushinteger(L, res);
                 break;
             }
@@ -1,5 +1,7 @@
 "use strict";
 
+/* global WeakRef, FinalizationRegistry */
+
 const {
     constant_types: {
         LUA_TBOOLEAN,
@@ -19,10 +21,12 @@ const {
     to_luastring
 } = require('./defs.js');
 const {
-    LUA_MAXINTEGER
+    LUA_MAXINTEGER,
+    lua_numbertointeger64
 } = require('./luaconf.js');
 const { lua_assert } = require('./llimits.js');
 const ldebug  = require('./ldebug.js');
+const lmem    = require('./lmem.js');
 const lobject = require('./lobject.js');
 const {
     luaS_hashlongstr,
@@ -43,6 +47,15 @@ const get_lightuserdata_hash = function(v) {
     return hash;
 };
 
+/*
+** returns the integer with the same value as float 'n', or false
+*/
+const flttointeger = function(L, n) {
+    if (L.l_G.int64)
+        return Number.isInteger(n) ? lua_numbertointeger64(n) : false;
+    return (n|0) === n ? n : false;
+};
+
 const table_hash = function(L, key) {
     switch(key.type) {
         case LUA_TNIL:
@@ -50,6 +63,11 @@ const table_hash = function(L, key) {
         case LUA_TNUMFLT:
             if (isNaN(key.value))
                 return ldebug.luaG_runerror(L, to_luastring("table index is NaN", true));
+            if (!Number.isSafeInteger(key.value) && L.l_G.int64) {
+                /* same key as the integer, which may be a BigInt */
+                let k = flttointeger(L, key.value);
+                if (k !== false) return k;
+            }
             /* fall through */
         case LUA_TNUMINT: /* takes advantage of floats and integers being same in JS */
         case LUA_TBOOLEAN:
@@ -74,6 +92,9 @@ const table_hash = function(L, key) {
                     /* possible conflict with LUA_TNUMBER.
                        turn into string and prefix with "#" to avoid clash with other strings */
                     return "#" + v;
+                case "bigint":
+                    /* possible conflict with 64-bit integers. prefix and suffix it */
+                    return "#" + v + "n";
                 case "boolean":
                     /* possible conflict with LUA_TBOOLEAN. use strings ?true and ?false instead */
                     return v?"?true":"?false";
@@ -101,19 +122,119 @@ const table_hash = function(L, key) {
     }
 };
 
+/*
+** Tables have an array part, holding the values of integer keys 1..n
+** (with a nil TValue in each slot without a value), and a hash part: a list of entries in
+** insertion order, found through a Map by the hash of their key. As in
+** the reference implementation, the size of the array part is only
+** recomputed when a new key is inserted into a full hash part ('rehash').
+*/
 class Table {
     constructor(L) {
         this.id = L.l_G.id_counter++;
+        this.array = []; /* array part */
+        this.hsize = 0; /* number of entries the hash part holds before a rehash */
+        this.hused = 0; /* entries added to the hash part since last rehash */
         this.strong = new Map();
         this.dead_strong = new Map();
         this.dead_weak = void 0; /* initialised when needed */
-        this.f = void 0; /* first entry */
-        this.l = void 0; /* last entry */
+        this.list = { /* ends of the list of entries (shared with a finalization record) */
+            f: void 0, /* first entry */
+            l: void 0 /* last entry */
+        };
         this.metatable = null;
         this.flags = ~0;
+        this.mode = 0; /* weakness (see 'luaH_setmode') */
+        this.weak_entries = void 0; /* entries with weak keys, by key (only for weak keys) */
+        this.ephemerons = void 0; /* values of entries with weak keys, by key */
     }
 }
 
+/*
+** Weak tables.
+** Collectable keys of a table with weak keys are held through a WeakRef
+** in the entry (so that iteration order is kept), and the entry and its
+** value are found through WeakMaps keyed by the key object: the value is
+** only reachable while the key is (an ephemeron).
+** Collectable values of a table with weak values are held through a
+** WeakRef. Entries are removed from the table once the JS garbage
+** collector reclaims their key or value; until then they are skipped.
+*/
+const WEAKKEY   = 1;
+const WEAKVALUE = 2;
+
+const has_weakref = typeof WeakRef === "function" && typeof FinalizationRegistry === "function";
+
+/* objects that can be removed from weak tables (strings are values here) */
+const iscollectable = function(type) {
+    switch (type) {
+        case LUA_TTABLE:
+        case LUA_TLCL:
+        case LUA_TCCL:
+        case LUA_TUSERDATA:
+        case LUA_TTHREAD:
+            return true;
+        default:
+            return false;
+    }
+};
+
+/* strong copy of a TValue holding a WeakRef; null if the object is gone */
+const deref = function(v) {
+    let o = v.value.deref();
+    return o === void 0 ? null : new lobject.TValue(v.type, o);
+};
+
+/* called when an object referenced weakly by an entry was collected */
+const weak_registry = has_weakref ? new FinalizationRegistry(function(h) {
+    let t = h.t.deref();
+    let e = h.e;
+    if (t === void 0 || e.key.ttisdeadkey())
+        return;  /* table gone or entry already removed */
+    if (e.wk) {
+        if (e.key.value !== h.ref && e.wv !== h.ref)
+            return;  /* entry now refers to other objects */
+        let k = e.key.value.deref();
+        if (k === void 0) {  /* key is gone: nobody can find this entry anymore */
+            e.key.setdeadvalue();
+            unlink(t, e);
+        }
+        else
+            mark_dead(t, k);
+    } else if (e.wv === h.ref)
+        mark_dead(t, h.hash);
+}) : null;
+
+const weaken = function(t, e, v, hash) {
+    let ref = new WeakRef(v.value);
+    weak_registry.register(v.value, { t: new WeakRef(t), e: e, ref: ref, hash: hash });
+    return ref;
+};
+
+/* store value 'value' in entry 'e' of weak table 't' */
+const setweakvalue = function(t, e, hash, value) {
+    let v;
+    if ((t.mode & WEAKVALUE) && iscollectable(value.type)) {
+        e.wv = weaken(t, e, value, e.wk ? void 0 : hash);
+        v = new lobject.TValue(value.type, e.wv);
+    } else {
+        e.wv = void 0;
+        v = new lobject.TValue(value.type, value.value);
+    }
+    if (e.wk)
+        t.ephemerons.set(hash, v);  /* 'hash' is the key object */
+    else
+        e.value = v;
+};
+
+/* value of live entry 'e' (whose key is 'hash') of weak table 't' */
+const getweakvalue = function(t, e, hash) {
+    let v = e.wk ? t.ephemerons.get(hash) : e.value;
+    if (e.wv !== void 0 && (v = deref(v)) === null)
+        return lobject.luaO_nilobject;  /* value was collected */
+    return v;
+};
+
 const invalidateTMcache = function(t) {
     t.flags = 0;
 };
@@ -125,13 +246,44 @@ const add = function(t, hash, key, value) {
     let entry = {
         key: key,
         value: value,
-        p: prev = t.l,
-        n: void 0
+        p: prev = t.list.l,
+        n: void 0,
+        wk: false, /* is key weak? */
+        wv: void 0 /* WeakRef to the value, if weak */
     };
-    if (!t.f) t.f = entry;
+    if (!t.list.f) t.list.f = entry;
     if (prev) prev.n = entry;
-    t.strong.set(hash, entry);
-    t.l = entry;
+    t.list.l = entry;
+    if (t.mode !== 0) {
+        if ((t.mode & WEAKKEY) && iscollectable(key.type)) {
+            entry.wk = true;
+            entry.key = new lobject.TValue(key.type, weaken(t, entry, key));
+            entry.value = void 0;  /* kept in 'ephemerons' */
+            t.weak_entries.set(hash, entry);
+        } else
+            t.strong.set(hash, entry);
+        setweakvalue(t, entry, hash, value);
+    } else
+        t.strong.set(hash, entry);
+};
+
+/* entry for 'hash' in the main part of 't' */
+const getentry = function(t, hash) {
+    let e = t.strong.get(hash);
+    if (e === void 0 && t.weak_entries !== void 0 && is_valid_weakmap_key(hash))
+        e = t.weak_entries.get(hash);
+    return e;
+};
+
+/* remove entry 'e' from the list of entries of 't' */
+const unlink = function(t, e) {
+    let next = e.n;
+    let prev = e.p;
+    e.p = void 0; /* no need to know previous item any more */
+    if(prev) prev.n = next;
+    if(next) next.p = prev;
+    if(t.list.f === e) t.list.f = next;
+    if(t.list.l === e) t.list.l = prev;
 };
 
 const is_valid_weakmap_key = function(k) {
@@ -140,18 +292,17 @@ const is_valid_weakmap_key = function(k) {
 
 /* Move out of 'strong' part and into 'dead' part. */
 const mark_dead = function(t, hash) {
-    let e = t.strong.get(hash);
+    let e = getentry(t, hash);
     if (e) {
         e.key.setdeadvalue();
         e.value = void 0;
-        let next = e.n;
-        let prev = e.p;
-        e.p = void 0; /* no need to know previous item any more */
-        if(prev) prev.n = next;
-        if(next) next.p = prev;
-        if(t.f === e) t.f = next;
-        if(t.l === e) t.l = prev;
-        t.strong.delete(hash);
+        e.wv = void 0;
+        unlink(t, e);
+        if (e.wk) {
+            t.weak_entries.delete(hash);
+            t.ephemerons.delete(hash);
+        } else
+            t.strong.delete(hash);
         if (is_valid_weakmap_key(hash)) {
             if (!t.dead_weak) t.dead_weak = new WeakMap();
             t.dead_weak.set(hash, e);
@@ -163,16 +314,216 @@ const mark_dead = function(t, hash) {
 };
 
 const luaH_new = function(L) {
+    lmem.luaM_newobject(L, lmem.sizetable);
     return new Table(L);
 };
 
+/*
+** MAXABITS is the largest integer such that MAXASIZE fits in an
+** unsigned int.
+*/
+const MAXABITS = 31;
+const MAXASIZE = Math.pow(2, MAXABITS);
+
+/*
+** returns the index for 'key' if 'key' is an appropriate key to live in
+** the array part of a table, 0 otherwise.
+*/
+const arrayindex = function(key) {
+    if (key.ttisnumber()) {
+        let k = key.value;
+        if (k > 0 && k <= MAXASIZE && Math.floor(k) === k)
+            return k;
+    }
+    return 0;  /* 'key' did not match some condition */
+};
+
+/* value of index 'k' of the array part of 't' */
+const getarray = function(t, k) {
+    return t.array[k - 1];
+};
+
+/* set index 'k' of the array part of 't' */
+const setarray = function(t, k, value) {
+    t.array[k - 1].setfrom(value);
+};
+
+/*
+** Compute the optimal size for the array part of table 't'. 'nums' is a
+** "count array" where 'nums[i]' is the number of integers in the table
+** between 2^(i - 1) + 1 and 2^i. 'na' enters with the total number of
+** integer keys in the table and leaves with the number of keys that
+** will go to the array part.
+*/
+const computesizes = function(nums, na) {
+    let a = 0;  /* number of elements smaller than 2^i */
+    let nna = 0;  /* number of elements to go to array part */
+    let optimal = 0;  /* optimal size for array part */
+    /* loop while keys can fill more than half of total size */
+    for (let i = 0, twotoi = 1; i <= MAXABITS && na > twotoi / 2; i++, twotoi *= 2) {
+        if (nums[i] > 0) {
+            a += nums[i];
+            if (a > twotoi/2) {  /* more than half elements present? */
+                optimal = twotoi;  /* optimal size (till now) */
+                nna = a;  /* all elements up to 'optimal' will go to array part */
+            }
+        }
+    }
+    lua_assert((optimal === 0 || optimal / 2 < nna) && nna <= optimal);
+    return {
+        optimal: optimal,
+        na: nna
+    };
+};
+
+const countint = function(key, nums) {
+    let k = arrayindex(key);
+    if (k !== 0) {  /* is 'key' an appropriate array index? */
+        nums[lobject.luaO_ceillog2(k)]++;  /* count as such */
+        return 1;
+    }
+    else
+        return 0;
+};
+
+/*
+** Count keys in array part of table 't': Fill 'nums[i]' with
+** number of keys that will go into corresponding slice and return
+** total number of non-nil keys.
+*/
+const numusearray = function(t, nums) {
+    let asize = t.array.length;
+    let ause = 0;  /* summation of 'nums' */
+    let i = 1;  /* count to traverse all array keys */
+    /* traverse each slice */
+    for (let lg = 0, ttlg = 1; lg <= MAXABITS; lg++, ttlg *= 2) {
+        let lc = 0;  /* counter */
+        let lim = ttlg;
+        if (lim > asize) {
+            lim = asize;  /* adjust upper limit */
+            if (i > lim)
+                break;  /* no more elements to count */
+        }
+        /* count elements in range (2^(lg - 1), 2^lg] */
+        for (; i <= lim; i++) {
+            if (!t.array[i-1].ttisnil())
+                lc++;
+        }
+        nums[lg] += lc;
+        ause += lc;
+    }
+    return ause;
+};
+
+/*
+** Size hints larger than MAXPRESIZE (of table constructors and of
+** 'lua_createtable') are not preallocated: the parts of the table then
+** grow as keys are inserted. A bogus hint (e.g., in a binary chunk)
+** cannot exhaust the memory of the JS engine this way.
+*/
+const MAXPRESIZE = 1 << 16;
+
+const luaH_resize = function(L, t, nasize, nhsize) {
+    if (nasize > MAXASIZE || nhsize > MAXASIZE)
+        ldebug.luaG_runerror(L, to_luastring("table overflow", true));
+    if (t.mode !== 0)
+        nasize = 0;  /* weak tables only have a hash part */
+    let oldasize = t.array.length;
+    let hsize = nhsize === 0 ? 0 : Math.pow(2, lobject.luaO_ceillog2(nhsize));
+    lmem.luaM_realloc_(L,
+        oldasize * lmem.sizeTValue + t.hsize * lmem.sizenode,
+        nasize * lmem.sizeTValue + hsize * lmem.sizenode);
+    t.hsize = hsize;
+    if (nasize > oldasize) {  /* array part will grow? */
+        t.array.length = nasize;
+        for (let k = oldasize; k < nasize; k++)  /* erase new slots */
+            t.array[k] = new lobject.TValue(LUA_TNIL, null);
+        /* move integer keys from the hash part to the new slots */
+        for (let e = t.list.f, n; e; e = n) {
+            n = e.n;
+            let k = e.key.value;
+            if (e.key.ttisinteger() && k > oldasize && k <= nasize) {
+                unlink(t, e);
+                t.strong.delete(k);
+                t.array[k - 1] = e.value;
+            }
+        }
+    } else if (nasize < oldasize) {  /* array part will shrink? */
+        /* re-insert vanishing slice */
+        for (let k = nasize + 1; k <= oldasize; k++) {
+            let v = t.array[k - 1];
+            if (!v.ttisnil())
+                add(t, k, new lobject.TValue(LUA_TNUMINT, k), v);
+        }
+        t.array.length = nasize;
+    }
+    let n = 0;
+    for (let e = t.list.f; e; e = e.n) n++;
+    t.hused = n;
+};
+
+const luaH_resizearray = function(L, t, nasize) {
+    luaH_resize(L, t, nasize, t.hsize);
+};
+
+/* resize new table 't' for size hints 'nasize' and 'nhsize' */
+const luaH_presize = function(L, t, nasize, nhsize) {
+    if (nasize > MAXASIZE || nhsize > MAXASIZE)
+        ldebug.luaG_runerror(L, to_luastring("table overflow", true));
+    luaH_resize(L, t, Math.min(nasize, MAXPRESIZE), Math.min(nhsize, MAXPRESIZE));
+};
+
+/*
+** nums[i] = number of keys 'k' where 2^(i - 1) < k <= 2^i
+*/
+const rehash = function(L, t, ek) {
+    let nums = new Array(MAXABITS + 1).fill(0);
+    let na = numusearray(t, nums);  /* count keys in array part */
+    let totaluse = na;  /* all those keys are integer keys */
+    for (let e = t.list.f; e; e = e.n) {  /* count keys in hash part */
+        na += countint(e.key, nums);
+        totaluse++;
+    }
+    /* count extra key */
+    na += countint(ek, nums);
+    totaluse++;
+    /* compute new size for array part */
+    let sizes = computesizes(nums, na);
+    /* resize the table to new computed sizes */
+    luaH_resize(L, t, sizes.optimal, totaluse - sizes.na);
+};
+
+/*
+** inserts a new key into the hash part of table 't'. If the hash part
+** is full, rehashes the table first, which may move the place of the new
+** key to the array part.
+*/
+const newkey = function(L, t, hash, key, value) {
+    if (t.hused >= t.hsize) {  /* hash part is full? */
+        rehash(L, t, key);  /* grow table */
+        let k = arrayindex(key);
+        if (k !== 0 && k <= t.array.length) {  /* goes to the array part now? */
+            setarray(t, k, value);
+            return;
+        }
+    }
+    t.hused++;
+    add(t, hash, key, new lobject.TValue(value.type, value.value));
+};
+
 const getgeneric = function(t, hash) {
+    if (t.mode !== 0) {
+        let e = getentry(t, hash);
+        return e ? getweakvalue(t, e, hash) : lobject.luaO_nilobject;
+    }
     let v = t.strong.get(hash);
     return v ? v.value : lobject.luaO_nilobject;
 };
 
 const luaH_getint = function(t, key) {
-    lua_assert(typeof key == "number" && (key|0) === key);
+    lua_assert(typeof key != "number" || Number.isSafeInteger(key));  /* may be a 64-bit integer */
+    if (key > 0 && key <= t.array.length)
+        return getarray(t, key);
     return getgeneric(t, key);
 };
 
@@ -181,15 +532,32 @@ const luaH_getstr = function(t, key) {
     return getgeneric(t, luaS_hashlongstr(key));
 };
 
+/*
+** entry of string 'key' in table 't', or undefined (also for weak
+** tables). The entry holds the value of the key until the key is removed
+** from the table: 'e.value' is then undefined.
+*/
+const luaH_getstrentry = function(t, key) {
+    lua_assert(key instanceof TString);
+    return t.mode === 0 ? t.strong.get(luaS_hashlongstr(key)) : void 0;
+};
+
 const luaH_get = function(L, t, key) {
     lua_assert(key instanceof lobject.TValue);
     if (key.ttisnil() || (key.ttisfloat() && isNaN(key.value)))
         return lobject.luaO_nilobject;
+    let k = arrayindex(key);
+    if (k !== 0 && k <= t.array.length)
+        return getarray(t, k);
     return getgeneric(t, table_hash(L, key));
 };
 
-const luaH_setint = function(t, key, value) {
-    lua_assert(typeof key == "number" && (key|0) === key && value instanceof lobject.TValue);
+const luaH_setint = function(L, t, key, value) {
+    lua_assert((typeof key != "number" || Number.isSafeInteger(key)) && value instanceof lobject.TValue);
+    if (key > 0 && key <= t.array.length) {
+        setarray(t, key, value);
+        return;
+    }
     let hash = key; /* table_hash known result */
     if (value.ttisnil()) {
         mark_dead(t, hash);
@@ -197,37 +565,45 @@ const luaH_setint = function(t, key, value) {
     }
     let e = t.strong.get(hash);
     if (e) {
-        let tv = e.value;
-        tv.setfrom(value);
+        if (t.mode !== 0)
+            setweakvalue(t, e, hash, value);
+        else
+            e.value.setfrom(value);
     } else {
-        let k = new lobject.TValue(LUA_TNUMINT, key);
-        let v = new lobject.TValue(value.type, value.value);
-        add(t, hash, k, v);
+        newkey(L, t, hash, new lobject.TValue(LUA_TNUMINT, key), value);
     }
 };
 
 const luaH_setfrom = function(L, t, key, value) {
     lua_assert(key instanceof lobject.TValue);
+    let ai = arrayindex(key);
+    if (ai !== 0 && ai <= t.array.length) {
+        setarray(t, ai, value);
+        return;
+    }
     let hash = table_hash(L, key);
     if (value.ttisnil()) { /* delete */
         mark_dead(t, hash);
         return;
     }
 
-    let e = t.strong.get(hash);
+    let e = t.mode !== 0 ? getentry(t, hash) : t.strong.get(hash);
     if (e) {
-        e.value.setfrom(value);
+        if (t.mode !== 0)
+            setweakvalue(t, e, hash, value);
+        else
+            e.value.setfrom(value);
     } else {
         let k;
         let kv = key.value;
-        if ((key.ttisfloat() && (kv|0) === kv)) { /* does index fit in an integer? */
+        let ki;
+        if (key.ttisfloat() && (ki = flttointeger(L, kv)) !== false) { /* does index fit in an integer? */
             /* insert it as an integer */
-            k = new lobject.TValue(LUA_TNUMINT, kv);
+            k = new lobject.TValue(LUA_TNUMINT, ki);
         } else {
             k = new lobject.TValue(key.type, kv);
         }
-        let v = new lobject.TValue(value.type, value.value);
-        add(t, hash, k, v);
+        newkey(L, t, hash, k, value);
     }
 };
 
@@ -235,9 +611,9 @@ const luaH_setfrom = function(L, t, key, value) {
 ** Try to find a boundary in table 't'. A 'boundary' is an integer index
 ** such that t[i] is non-nil and t[i+1] is nil (and 0 if t[1] is nil).
 */
-const luaH_getn = function(t) {
-    let i = 0;
-    let j = t.strong.size + 1; /* use known size of Map to kick start search */
+const unbound_search = function(t, j) {
+    let i = j;  /* i is zero or a present index */
+    j++;
     /* find 'i' and 'j' such that i is present and j is not */
     while (!(luaH_getint(t, j).ttisnil())) {
         i = j;
@@ -258,23 +634,44 @@ const luaH_getn = function(t) {
     return i;
 };
 
+const luaH_getn = function(t) {
+    let j = t.array.length;
+    if (j > 0 && t.array[j - 1].ttisnil()) {
+        /* there is a boundary in the array part: (binary) search for it */
+        let i = 0;
+        while (j - i > 1) {
+            let m = Math.floor((i+j)/2);
+            if (t.array[m - 1].ttisnil()) j = m;
+            else i = m;
+        }
+        return i;
+    }
+    /* else must find a boundary in hash part */
+    else if (t.list.f === void 0)  /* hash part is empty? */
+        return j;  /* that is easy... */
+    else return unbound_search(t, j);
+};
+
 const luaH_next = function(L, table, keyI) {
     let keyO = L.stack[keyI];
+    let asize = table.array.length;
+    let i = 0;  /* next index of the array part to traverse */
+    let k;
 
     let entry;
     if (keyO.type === LUA_TNIL) {
-        entry = table.f;
-        if (!entry)
-            return false;
+        entry = table.list.f;
+    } else if ((k = arrayindex(keyO)) !== 0 && k <= asize) {  /* is 'key' inside array part? */
+        i = k;
+        entry = table.list.f;
     } else {
+        i = asize;  /* array part is done */
         /* First find current key */
         let hash = table_hash(L, keyO);
         /* Look in main part of table */
-        entry = table.strong.get(hash);
+        entry = getentry(table, hash);
         if (entry) {
             entry = entry.n;
-            if (!entry)
-                return false;
         } else {
             /* Try dead keys */
             entry = (table.dead_weak && table.dead_weak.get(hash)) || table.dead_strong.get(hash);
@@ -284,14 +681,76 @@ const luaH_next = function(L, table, keyI) {
             /* Iterate until either out of keys, or until finding a non-dead key */
             do {
                 entry = entry.n;
-                if (!entry)
-                    return false;
-            } while (entry.key.ttisdeadkey());
+            } while (entry && entry.key.ttisdeadkey());
+        }
+    }
+    for (; i < asize; i++) {  /* try first array part */
+        let v = table.array[i];
+        if (!v.ttisnil()) {  /* a non-nil value? */
+            L.stack[keyI].setivalue(i + 1);
+            lobject.setobj2s(L, keyI+1, v);
+            return true;
+        }
+    }
+    for (; entry; entry = entry.n) {  /* hash part */
+        let key = entry.key;
+        let value = entry.value;
+        if (entry.wk || entry.wv !== void 0) {  /* skip entries whose objects were collected */
+            if (entry.wk && (key = deref(key)) === null)
+                continue;
+            value = getweakvalue(table, entry, key.value);
+            if (value.ttisnil())
+                continue;
         }
+        lobject.setobj2s(L, keyI, key);
+        lobject.setobj2s(L, keyI+1, value);
+        return true;
+    }
+    return false;
+};
+
+/*
+** Sets the weakness of table 't' from the '__mode' field of its
+** metatable ('mode' is its value, or null).
+** Existing entries are re-inserted, keeping their order.
+*/
+const luaH_setmode = function(L, t, mode) {
+    let m = 0;
+    if (has_weakref && mode !== null && mode.ttisstring()) {
+        let s = mode.svalue();
+        if (s.indexOf(107 /* 'k'.charCodeAt(0) */) >= 0) m |= WEAKKEY;
+        if (s.indexOf(118 /* 'v'.charCodeAt(0) */) >= 0) m |= WEAKVALUE;
+    }
+    if (m === t.mode)
+        return;
+    let entries = [];
+    for (let i = 0; i < t.array.length; i++) {  /* weak tables have no array part */
+        if (!t.array[i].ttisnil())
+            entries.push(new lobject.TValue(LUA_TNUMINT, i + 1), t.array[i]);
+    }
+    t.array.length = 0;
+    for (let e = t.list.f; e; e = e.n) {
+        let key = e.key;
+        if (e.wk && (key = deref(key)) === null)
+            continue;
+        let value = t.mode !== 0 ? getweakvalue(t, e, key.value) : e.value;
+        e.value = void 0;  /* entry is discarded (see 'luaH_getstrentry') */
+        if (!value.ttisnil())
+            entries.push(key, value);
+    }
+    t.strong = new Map();
+    t.dead_strong = new Map();
+    t.dead_weak = void 0;
+    t.list.f = t.list.l = void 0;
+    t.mode = m;
+    t.weak_entries = (m & WEAKKEY) ? new WeakMap() : void 0;
+    t.ephemerons = (m & WEAKKEY) ? new WeakMap() : void 0;
+    for (let i = 0; i < entries.length; i += 2) {
+        let key = entries[i];
+        let value = entries[i+1];
+        add(t, table_hash(L, key), key, new lobject.TValue(value.type, value.value));
     }
-    lobject.setobj2s(L, keyI, entry.key);
-    lobject.setobj2s(L, keyI+1, entry.value);
-    return true;
+    t.hsize = t.hused = entries.length / 2;
 };
 
 module.exports.invalidateTMcache = invalidateTMcache;
@@ -299,8 +758,13 @@ module.exports.luaH_get     = luaH_get;
 module.exports.luaH_getint  = luaH_getint;
 module.exports.luaH_getn    = luaH_getn;
 module.exports.luaH_getstr  = luaH_getstr;
+module.exports.luaH_getstrentry = luaH_getstrentry;
 module.exports.luaH_setfrom = luaH_setfrom;
 module.exports.luaH_setint  = luaH_setint;
+module.exports.luaH_setmode = luaH_setmode;
 module.exports.luaH_new     = luaH_new;
 module.exports.luaH_next    = luaH_next;
+module.exports.luaH_presize = luaH_presize;
+module.exports.luaH_resize  = luaH_resize;
+module.exports.luaH_resizearray = luaH_resizearray;
 module.exports.Table        = Table;
@@ -1,6 +1,11 @@
 "use strict";
 
-const { LUA_MAXINTEGER } = require('./luaconf.js');
+/* global BigInt */
+
+const {
+    LUA_MAXINTEGER,
+    LUA_MAXINTEGER64
+} = require('./luaconf.js');
 const {
     LUA_OPEQ,
     LUA_OPLT,
@@ -14,6 +19,7 @@ const {
     lua_geti,
     lua_getmetatable,
     lua_gettop,
+    lua_hasint64,
     lua_insert,
     lua_isnil,
     lua_isnoneornil,
@@ -147,20 +153,27 @@ const tmove = function(L) {
     let e = luaL_checkinteger(L, 3);
     let t = luaL_checkinteger(L, 4);
     let tt = !lua_isnoneornil(L, 5) ? 5 : 1;  /* destination table */
+    let maxinteger = LUA_MAXINTEGER;
+    let zero = 0, one = 1;
     checktab(L, 1, TAB_R);
     checktab(L, tt, TAB_W);
+    if (lua_hasint64(L)) {  /* do the arithmetic with BigInts */
+        f = BigInt(f); e = BigInt(e); t = BigInt(t);
+        maxinteger = LUA_MAXINTEGER64;
+        zero = BigInt(0); one = BigInt(1);
+    }
     if (e >= f) {  /* otherwise, nothing to move */
-        luaL_argcheck(L, f > 0 || e < LUA_MAXINTEGER + f, 3, "too many elements to move");
-        let n = e - f + 1;  /* number of elements to move */
-        luaL_argcheck(L, t <= LUA_MAXINTEGER - n + 1, 4, "destination wrap around");
+        luaL_argcheck(L, f > 0 || e < maxinteger + f, 3, "too many elements to move");
+        let n = e - f + one;  /* number of elements to move */
+        luaL_argcheck(L, t <= maxinteger - n + one, 4, "destination wrap around");
 
         if (t > e || t <= f || (tt !== 1 && lua_compare(L, 1, tt, LUA_OPEQ) !== 1)) {
-            for (let i = 0; i < n; i++) {
+            for (let i = zero; i < n; i += one) {
                 lua_geti(L, 1, f + i);
                 lua_seti(L, tt, t + i);
             }
         } else {
-            for (let i = n - 1; i >= 0; i--) {
+            for (let i = n - one; i >= zero; i -= one) {
                 lua_geti(L, 1, f + i);
                 lua_seti(L, tt, t + i);
             }
@@ -209,7 +222,9 @@ const unpack = function(L) {
     let i = luaL_optinteger(L, 2, 1);
     let e = luaL_opt(L, luaL_checkinteger, 3, luaL_len(L, 1));
     if (i > e) return 0;  /* empty range */
-    let n = e - i;  /* number of elements minus 1 (avoid overflows) */
+    let n = typeof i === "number" && typeof e === "number"
+        ? e - i  /* number of elements minus 1 (avoid overflows) */
+        : Number(BigInt(e) - BigInt(i));  /* 64-bit integers may be BigInts */
     if (n >= Number.MAX_SAFE_INTEGER || !lua_checkstack(L, ++n))
         return luaL_error(L, to_luastring("too many results to unpack"));
     for (; i < e; i++)  /* push arg[i..e - 1] (to avoid overflows) */
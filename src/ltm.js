@@ -67,7 +67,8 @@ const TMS = {
     TM_LE:      21,
     TM_CONCAT:  22,
     TM_CALL:    23,
-    TM_N:       24  /* number of elements in the enum */
+    TM_CLOSE:   24,
+    TM_N:       25  /* number of elements in the enum */
 };
 
 const luaT_init = function(L) {
@@ -95,6 +96,7 @@ const luaT_init = function(L) {
     L.l_G.tmname[TMS.TM_LE]       = new luaS_new(L, to_luastring("__le", true));
     L.l_G.tmname[TMS.TM_CONCAT]   = new luaS_new(L, to_luastring("__concat", true));
     L.l_G.tmname[TMS.TM_CALL]     = new luaS_new(L, to_luastring("__call", true));
+    L.l_G.tmname[TMS.TM_CLOSE]    = new luaS_new(L, to_luastring("__close", true));
 };
 
 /*
@@ -129,9 +131,8 @@ const luaT_callTM = function(L, f, p1, p2, p3, hasres) {
         ldo.luaD_callnoyield(L, func, hasres);
 
     if (hasres) {  /* if has result, move it to its place */
-        let tv = L.stack[L.top-1];
-        delete L.stack[--L.top];
-        p3.setfrom(tv);
+        p3.setfrom(L.stack[L.top-1]);
+        L.stack[--L.top].setnilvalue();
     }
 };
 
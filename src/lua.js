@@ -10,9 +10,21 @@ module.exports.LUA_AUTHORS             = defs.LUA_AUTHORS;
 module.exports.LUA_COPYRIGHT           = defs.LUA_COPYRIGHT;
 module.exports.LUA_ERRERR              = defs.thread_status.LUA_ERRERR;
 module.exports.LUA_ERRGCMM             = defs.thread_status.LUA_ERRGCMM;
+module.exports.LUA_ERRLIMIT            = defs.thread_status.LUA_ERRLIMIT;
 module.exports.LUA_ERRMEM              = defs.thread_status.LUA_ERRMEM;
 module.exports.LUA_ERRRUN              = defs.thread_status.LUA_ERRRUN;
 module.exports.LUA_ERRSYNTAX           = defs.thread_status.LUA_ERRSYNTAX;
+module.exports.LUA_GCCOLLECT           = defs.LUA_GCCOLLECT;
+module.exports.LUA_GCCOUNT             = defs.LUA_GCCOUNT;
+module.exports.LUA_GCCOUNTB            = defs.LUA_GCCOUNTB;
+module.exports.LUA_GCGEN               = defs.LUA_GCGEN;
+module.exports.LUA_GCINC               = defs.LUA_GCINC;
+module.exports.LUA_GCISRUNNING         = defs.LUA_GCISRUNNING;
+module.exports.LUA_GCRESTART           = defs.LUA_GCRESTART;
+module.exports.LUA_GCSETPAUSE          = defs.LUA_GCSETPAUSE;
+module.exports.LUA_GCSETSTEPMUL        = defs.LUA_GCSETSTEPMUL;
+module.exports.LUA_GCSTEP              = defs.LUA_GCSTEP;
+module.exports.LUA_GCSTOP              = defs.LUA_GCSTOP;
 module.exports.LUA_HOOKCALL            = defs.LUA_HOOKCALL;
 module.exports.LUA_HOOKCOUNT           = defs.LUA_HOOKCOUNT;
 module.exports.LUA_HOOKLINE            = defs.LUA_HOOKLINE;
@@ -80,6 +92,7 @@ module.exports.lua_concat              = lapi.lua_concat;
 module.exports.lua_copy                = lapi.lua_copy;
 module.exports.lua_createtable         = lapi.lua_createtable;
 module.exports.lua_dump                = lapi.lua_dump;
+module.exports.lua_dumpjs              = lapi.lua_dumpjs;
 module.exports.lua_error               = lapi.lua_error;
 module.exports.lua_gc                  = lapi.lua_gc;
 module.exports.lua_getallocf           = lapi.lua_getallocf;
@@ -91,6 +104,7 @@ module.exports.lua_gethookcount        = ldebug.lua_gethookcount;
 module.exports.lua_gethookmask         = ldebug.lua_gethookmask;
 module.exports.lua_geti                = lapi.lua_geti;
 module.exports.lua_getinfo             = ldebug.lua_getinfo;
+module.exports.lua_getlimits           = ldo.lua_getlimits;
 module.exports.lua_getlocal            = ldebug.lua_getlocal;
 module.exports.lua_getmetatable        = lapi.lua_getmetatable;
 module.exports.lua_getstack            = ldebug.lua_getstack;
@@ -98,6 +112,7 @@ module.exports.lua_gettable            = lapi.lua_gettable;
 module.exports.lua_gettop              = lapi.lua_gettop;
 module.exports.lua_getupvalue          = lapi.lua_getupvalue;
 module.exports.lua_getuservalue        = lapi.lua_getuservalue;
+module.exports.lua_hasint64            = lapi.lua_hasint64;
 module.exports.lua_insert              = lapi.lua_insert;
 module.exports.lua_isboolean           = lapi.lua_isboolean;
 module.exports.lua_iscfunction         = lapi.lua_iscfunction;
@@ -116,6 +131,7 @@ module.exports.lua_isuserdata          = lapi.lua_isuserdata;
 module.exports.lua_isyieldable         = ldo.lua_isyieldable;
 module.exports.lua_len                 = lapi.lua_len;
 module.exports.lua_load                = lapi.lua_load;
+module.exports.lua_loadjs              = lapi.lua_loadjs;
 module.exports.lua_newstate            = lstate.lua_newstate;
 module.exports.lua_newtable            = lapi.lua_newtable;
 module.exports.lua_newthread           = lstate.lua_newthread;
@@ -152,19 +168,23 @@ module.exports.lua_rawsetp             = lapi.lua_rawsetp;
 module.exports.lua_register            = lapi.lua_register;
 module.exports.lua_remove              = lapi.lua_remove;
 module.exports.lua_replace             = lapi.lua_replace;
+module.exports.lua_resetthread         = lstate.lua_resetthread;
 module.exports.lua_resume              = ldo.lua_resume;
+module.exports.lua_resumeerror         = ldo.lua_resumeerror;
 module.exports.lua_rotate              = lapi.lua_rotate;
 module.exports.lua_setallocf           = lapi.lua_setallocf;
 module.exports.lua_setfield            = lapi.lua_setfield;
 module.exports.lua_setglobal           = lapi.lua_setglobal;
 module.exports.lua_sethook             = ldebug.lua_sethook;
 module.exports.lua_seti                = lapi.lua_seti;
+module.exports.lua_setlimits           = ldo.lua_setlimits;
 module.exports.lua_setlocal            = ldebug.lua_setlocal;
 module.exports.lua_setmetatable        = lapi.lua_setmetatable;
 module.exports.lua_settable            = lapi.lua_settable;
 module.exports.lua_settop              = lapi.lua_settop;
 module.exports.lua_setupvalue          = lapi.lua_setupvalue;
 module.exports.lua_setuservalue        = lapi.lua_setuservalue;
+module.exports.lua_setwarnf            = lapi.lua_setwarnf;
 module.exports.lua_status              = lapi.lua_status;
 module.exports.lua_stringtonumber      = lapi.lua_stringtonumber;
 module.exports.lua_toboolean           = lapi.lua_toboolean;
@@ -185,6 +205,7 @@ module.exports.lua_typename            = lapi.lua_typename;
 module.exports.lua_upvalueid           = lapi.lua_upvalueid;
 module.exports.lua_upvaluejoin         = lapi.lua_upvaluejoin;
 module.exports.lua_version             = lapi.lua_version;
+module.exports.lua_warning             = lapi.lua_warning;
 module.exports.lua_xmove               = lapi.lua_xmove;
 module.exports.lua_yield               = ldo.lua_yield;
 module.exports.lua_yieldk              = ldo.lua_yieldk;
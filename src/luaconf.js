@@ -1,5 +1,7 @@
 "use strict";
 
+/* global BigInt */
+
 const conf = (process.env.FENGARICONF ? JSON.parse(process.env.FENGARICONF) : {});
 
 const {
@@ -131,6 +133,15 @@ const LUA_COMPAT_FLOATSTRING = conf.LUA_COMPAT_FLOATSTRING || false;
 const LUA_MAXINTEGER = 2147483647;
 const LUA_MININTEGER = -2147483648;
 
+/*
+** A state may be created with 64-bit integers (see 'lua_newstate'). Such
+** integers are represented by numbers while they are safe integers, and
+** by BigInts otherwise, so that each integer has a single representation.
+** BigInt is only needed by states that use 64-bit integers.
+*/
+const LUA_MAXINTEGER64 = typeof BigInt === "function" ? BigInt("9223372036854775807") : null;
+const LUA_MININTEGER64 = typeof BigInt === "function" ? BigInt("-9223372036854775808") : null;
+
 /*
 @@ LUAI_MAXSTACK limits the size of the Lua stack.
 ** CHANGE it if you need a different limit. This limit is arbitrary;
@@ -158,6 +169,21 @@ const lua_numbertointeger = function(n) {
     return n >= LUA_MININTEGER && n < -LUA_MININTEGER ? n : false;
 };
 
+/* converts a BigInt to a 64-bit integer (wrapping around) */
+const lua_int64 = function(b) {
+    b = BigInt.asIntN(64, b);
+    let n = Number(b);
+    return Number.isSafeInteger(n) ? n : b;
+};
+
+const TWO63 = 9223372036854775808;  /* 2^63 */
+
+const lua_numbertointeger64 = function(n) {
+    if (n >= -TWO63 && n < TWO63)
+        return Number.isSafeInteger(n) ? n : BigInt(n);
+    return false;
+};
+
 const LUA_INTEGER_FRMLEN = "";
 const LUA_NUMBER_FRMLEN = "";
 
@@ -206,13 +232,17 @@ module.exports.LUA_IDSIZE             = LUA_IDSIZE;
 module.exports.LUA_INTEGER_FMT        = LUA_INTEGER_FMT;
 module.exports.LUA_INTEGER_FRMLEN     = LUA_INTEGER_FRMLEN;
 module.exports.LUA_MAXINTEGER         = LUA_MAXINTEGER;
+module.exports.LUA_MAXINTEGER64       = LUA_MAXINTEGER64;
 module.exports.LUA_MININTEGER         = LUA_MININTEGER;
+module.exports.LUA_MININTEGER64       = LUA_MININTEGER64;
 module.exports.LUA_NUMBER_FMT         = LUA_NUMBER_FMT;
 module.exports.LUA_NUMBER_FRMLEN      = LUA_NUMBER_FRMLEN;
 module.exports.LUAL_BUFFERSIZE        = LUAL_BUFFERSIZE;
 module.exports.frexp                  = frexp;
 module.exports.ldexp                  = ldexp;
 module.exports.lua_getlocaledecpoint  = lua_getlocaledecpoint;
+module.exports.lua_int64              = lua_int64;
 module.exports.lua_integer2str        = lua_integer2str;
 module.exports.lua_number2str         = lua_number2str;
 module.exports.lua_numbertointeger    = lua_numbertointeger;
+module.exports.lua_numbertointeger64  = lua_numbertointeger64;
@@ -19,21 +19,57 @@ const ldo      = require('./ldo.js');
 const lfunc    = require('./lfunc.js');
 const lobject  = require('./lobject.js');
 const {
-    MAXARG_sBx,
-    POS_A,
-    POS_Ax,
-    POS_B,
-    POS_Bx,
-    POS_C,
-    POS_OP,
-    SIZE_A,
-    SIZE_Ax,
-    SIZE_B,
-    SIZE_Bx,
-    SIZE_C,
-    SIZE_OP
+    GETARG_A,
+    GETARG_Ax,
+    GETARG_B,
+    GETARG_Bx,
+    GETARG_C,
+    GETARG_sBx,
+    GET_OPCODE,
+    INDEXK,
+    ISK,
+    OpArgK,
+    OpArgN,
+    OpArgR,
+    OpArgU,
+    OpCodes,
+    OpCodesI: {
+        OP_CALL,
+        OP_CLOSURE,
+        OP_CONCAT,
+        OP_EQ,
+        OP_EXTRAARG,
+        OP_FORLOOP,
+        OP_FORPREP,
+        OP_GETTABUP,
+        OP_GETUPVAL,
+        OP_JMP,
+        OP_LE,
+        OP_LOADBOOL,
+        OP_LOADKX,
+        OP_LOADNIL,
+        OP_LT,
+        OP_RETURN,
+        OP_SELF,
+        OP_SETLIST,
+        OP_SETTABUP,
+        OP_SETUPVAL,
+        OP_TAILCALL,
+        OP_TFORCALL,
+        OP_TFORLOOP,
+        OP_VARARG
+    },
+    getBMode,
+    getCMode,
+    getOpMode,
+    iABC,
+    iABx,
+    iAsBx,
+    iAx,
+    testTMode
 } = require('./lopcodes.js');
 const { lua_assert } = require("./llimits.js");
+const { lua_int64 } = require('./luaconf.js');
 const { luaS_bless } = require('./lstring.js');
 const {
     luaZ_read,
@@ -45,11 +81,13 @@ let LUAC_DATA = [0x19, 0x93, 13, 10, 0x1a, 10];
 class BytecodeParser {
 
     constructor(L, Z, name) {
+        /* sizes and byte order are read from the header (see 'checkHeader') */
         this.intSize = 4;
         this.size_tSize = 4;
         this.instructionSize = 4;
         this.integerSize = 4;
         this.numberSize = 8;
+        this.little = true;
 
         lua_assert(Z instanceof ZIO, "BytecodeParser only operates on a ZIO");
         lua_assert(is_luastring(name));
@@ -65,17 +103,28 @@ class BytecodeParser {
         this.Z = Z;
 
         // Used to do buffer to number conversions
-        this.arraybuffer = new ArrayBuffer(
-            Math.max(this.intSize, this.size_tSize, this.instructionSize, this.integerSize, this.numberSize)
-        );
+        this.arraybuffer = new ArrayBuffer(8);
         this.dv = new DataView(this.arraybuffer);
         this.u8 = new Uint8Array(this.arraybuffer);
     }
 
+    /*
+    ** read 'size' bytes; as 'size' comes from the chunk, the buffer grows
+    ** with the bytes actually read instead of being allocated up front
+    */
     read(size) {
-        let u8 = new Uint8Array(size);
-        if(luaZ_read(this.Z, u8, 0, size) !== 0)
-            this.error("truncated");
+        let u8 = new Uint8Array(Math.min(size, 1024));
+        let n = 0;
+        while (n < size) {
+            if (n === u8.length) {  /* buffer is full? */
+                let b = new Uint8Array(Math.min(size, 2 * n));
+                b.set(u8);
+                u8 = b;
+            }
+            if (luaZ_read(this.Z, u8, n, u8.length - n) !== 0)
+                this.error("truncated");
+            n = u8.length;
+        }
         return u8;
     }
 
@@ -85,26 +134,60 @@ class BytecodeParser {
         return this.u8[0];
     }
 
-    LoadInt() {
-        if (luaZ_read(this.Z, this.u8, 0, this.intSize) !== 0)
+    /*
+    ** read a signed integer of 'size' (4 or 8) bytes; returns null if
+    ** it does not fit in 32 bits
+    */
+    LoadSigned(size) {
+        if (luaZ_read(this.Z, this.u8, 0, size) !== 0)
             this.error("truncated");
-        return this.dv.getInt32(0, true);
+        if (size === 4)
+            return this.dv.getInt32(0, this.little);
+        let lo = this.dv.getUint32(this.little ? 0 : 4, this.little);
+        let hi = this.dv.getInt32(this.little ? 4 : 0, this.little);
+        if (hi === (lo|0) >> 31)  /* high half is the sign extension of low half? */
+            return lo|0;
+        return null;
+    }
+
+    LoadInt() {
+        let x = this.LoadSigned(this.intSize);
+        if (x === null)
+            this.error("int overflow in");
+        return x;
+    }
+
+    /* read the number of elements of an array of a function */
+    LoadCount() {
+        let n = this.LoadInt();
+        if (n < 0)
+            this.error("negative count in");
+        return n;
     }
 
     LoadNumber() {
         if (luaZ_read(this.Z, this.u8, 0, this.numberSize) !== 0)
             this.error("truncated");
-        return this.dv.getFloat64(0, true);
+        return this.dv.getFloat64(0, this.little);
     }
 
     LoadInteger() {
-        if (luaZ_read(this.Z, this.u8, 0, this.integerSize) !== 0)
-            this.error("truncated");
-        return this.dv.getInt32(0, true);
+        if (this.integerSize === 8 && this.L.l_G.int64) {  /* see 'lua_newstate' */
+            if (luaZ_read(this.Z, this.u8, 0, 8) !== 0)
+                this.error("truncated");
+            return lua_int64(this.dv.getBigInt64(0, this.little));
+        }
+        let x = this.LoadSigned(this.integerSize);
+        if (x === null)  /* 64-bit constant in a state with 32-bit integers */
+            this.error("integer constant does not fit in");
+        return x;
     }
 
     LoadSize_t() {
-        return this.LoadInteger();
+        let x = this.LoadSigned(this.size_tSize);
+        if (x === null || x < 0)
+            this.error("size_t overflow in");
+        return x;
     }
 
     LoadString() {
@@ -116,34 +199,17 @@ class BytecodeParser {
         return luaS_bless(this.L, this.read(size-1));
     }
 
-    /* creates a mask with 'n' 1 bits at position 'p' */
-    static MASK1(n, p) {
-        return ((~((~0)<<(n)))<<(p));
-    }
-
     LoadCode(f) {
-        let n = this.LoadInt();
-        let p = BytecodeParser;
-
-        for (let i = 0; i < n; i++) {
-            if (luaZ_read(this.Z, this.u8, 0, this.instructionSize) !== 0)
-                this.error("truncated");
-            let ins = this.dv.getUint32(0, true);
-            f.code[i] = {
-                code:   ins,
-                opcode: (ins >> POS_OP) & p.MASK1(SIZE_OP, 0),
-                A:      (ins >> POS_A)  & p.MASK1(SIZE_A,  0),
-                B:      (ins >> POS_B)  & p.MASK1(SIZE_B,  0),
-                C:      (ins >> POS_C)  & p.MASK1(SIZE_C,  0),
-                Bx:     (ins >> POS_Bx) & p.MASK1(SIZE_Bx, 0),
-                Ax:     (ins >> POS_Ax) & p.MASK1(SIZE_Ax, 0),
-                sBx:    ((ins >> POS_Bx) & p.MASK1(SIZE_Bx, 0)) - MAXARG_sBx
-            };
-        }
+        let n = this.LoadCount();
+        let b = this.read(n * this.instructionSize);  /* before allocating the code */
+        let dv = new DataView(b.buffer);
+        f.code = new Int32Array(n);
+        for (let i = 0; i < n; i++)
+            f.code[i] = dv.getInt32(i * this.instructionSize, this.little);
     }
 
     LoadConstants(f) {
-        let n = this.LoadInt();
+        let n = this.LoadCount();
 
         for (let i = 0; i < n; i++) {
             let t = this.LoadByte();
@@ -162,9 +228,13 @@ class BytecodeParser {
                     f.k.push(new lobject.TValue(LUA_TNUMINT, this.LoadInteger()));
                     break;
                 case LUA_TSHRSTR:
-                case LUA_TLNGSTR:
-                    f.k.push(new lobject.TValue(LUA_TLNGSTR, this.LoadString()));
+                case LUA_TLNGSTR: {
+                    let ts = this.LoadString();
+                    if (ts === null)
+                        this.error("bad string constant in");
+                    f.k.push(new lobject.TValue(ts.tt, ts));
                     break;
+                }
                 default:
                     this.error(`unrecognized constant '${t}'`);
             }
@@ -172,7 +242,7 @@ class BytecodeParser {
     }
 
     LoadProtos(f) {
-        let n = this.LoadInt();
+        let n = this.LoadCount();
 
         for (let i = 0; i < n; i++) {
             f.p[i] = new lfunc.Proto(this.L);
@@ -181,7 +251,7 @@ class BytecodeParser {
     }
 
     LoadUpvalues(f) {
-        let n = this.LoadInt();
+        let n = this.LoadCount();
 
         for (let i = 0; i < n; i++) {
             f.upvalues[i] = {
@@ -193,11 +263,11 @@ class BytecodeParser {
     }
 
     LoadDebug(f) {
-        let n = this.LoadInt();
+        let n = this.LoadCount();
         for (let i = 0; i < n; i++)
             f.lineinfo[i] = this.LoadInt();
 
-        n = this.LoadInt();
+        n = this.LoadCount();
         for (let i = 0; i < n; i++) {
             f.locvars[i] = {
                 varname: this.LoadString(),
@@ -206,7 +276,9 @@ class BytecodeParser {
             };
         }
 
-        n = this.LoadInt();
+        n = this.LoadCount();
+        if (n > f.upvalues.length)
+            this.error("bad upvalue names in");
         for (let i = 0; i < n; i++) {
             f.upvalues[i].name = this.LoadString();
         }
@@ -245,19 +317,20 @@ class BytecodeParser {
 
         this.checkliteral(LUAC_DATA, "corrupted");
 
-        this.intSize         = this.LoadByte();
-        this.size_tSize      = this.LoadByte();
-        this.instructionSize = this.LoadByte();
-        this.integerSize     = this.LoadByte();
-        this.numberSize      = this.LoadByte();
-
-        this.checksize(this.intSize, 4, "int");
-        this.checksize(this.size_tSize, 4, "size_t");
-        this.checksize(this.instructionSize, 4, "instruction");
-        this.checksize(this.integerSize, 4, "integer");
-        this.checksize(this.numberSize, 8, "number");
-
-        if (this.LoadInteger() !== 0x5678)
+        this.intSize = this.loadsize("int");
+        this.size_tSize = this.loadsize("size_t");
+        this.checksize(this.LoadByte(), this.instructionSize, "instruction");
+        this.integerSize = this.loadsize("integer");
+        this.checksize(this.LoadByte(), this.numberSize, "number");
+
+        /* LUAC_INT (0x5678) tells the byte order of the chunk */
+        let n = this.integerSize;
+        let b = this.read(n);
+        if (b[0] === 0x78 && b[1] === 0x56 && b.subarray(2).every((c) => c === 0))
+            this.little = true;
+        else if (b[n-1] === 0x78 && b[n-2] === 0x56 && b.subarray(0, n-2).every((c) => c === 0))
+            this.little = false;
+        else
             this.error("endianness mismatch in");
 
         if (this.LoadNumber() !== 370.5)
@@ -274,6 +347,185 @@ class BytecodeParser {
         if (byte !== size)
             this.error(`${tname} size mismatch in`);
     }
+
+    /* read the size of a type that may have 4 or 8 bytes */
+    loadsize(tname) {
+        let byte = this.LoadByte();
+        if (byte !== 4 && byte !== 8)
+            this.error(`${tname} size mismatch in`);
+        return byte;
+    }
+
+    /*
+    ** Check that the code of 'f' (and of its nested functions) cannot
+    ** access registers, constants, upvalues or prototypes out of range,
+    ** jump outside the function or run an invalid instruction (see
+    ** 'lua_newstate'). Based on 'luaG_checkcode' from Lua 5.1.
+    */
+    CheckFunction(f) {
+        let code = f.code;
+        let n = code.length;
+        let nups = f.upvalues.length;
+        let isarg = new Uint8Array(n);  /* instructions that are arguments of the previous one */
+        let targets = [];  /* destinations of jumps and skips */
+        let pc;
+        const check = (c, why) => {
+            if (!c)
+                this.error(`bad code (${why} at instruction ${pc + 1}) in`);
+        };
+        const checkreg = (r) => check(r < f.maxstacksize, "invalid register");
+        const checkargmode = (r, mode) => {
+            switch (mode) {
+                case OpArgN: check(r === 0, "invalid argument"); break;
+                case OpArgU: break;
+                case OpArgR: checkreg(r); break;
+                case OpArgK:
+                    if (ISK(r))
+                        check(INDEXK(r) < f.k.length, "invalid constant");
+                    else
+                        checkreg(r);
+                    break;
+            }
+        };
+        /* an instruction with multiple results must be used by the next one */
+        const checkopenop = () => {
+            check(pc + 1 < n, "missing instruction");
+            let i = code[pc + 1];
+            let op = GET_OPCODE(i);
+            let usesall = op === OP_CALL || op === OP_TAILCALL || op === OP_RETURN || op === OP_SETLIST;
+            check(usesall && GETARG_B(i) === 0, "unused results");
+        };
+
+        if (f.numparams > f.maxstacksize ||
+            (f.lineinfo.length !== 0 && f.lineinfo.length !== n))
+            this.error("bad function in");
+        pc = n - 1;
+        check(n > 0 && GET_OPCODE(code[n - 1]) === OP_RETURN, "missing return");
+
+        for (pc = 0; pc < n; pc++) {
+            let i = code[pc];
+            let op = GET_OPCODE(i);
+            let a = GETARG_A(i);
+            let b = GETARG_B(i);
+            let c = GETARG_C(i);
+            check(op < OpCodes.length, "invalid opcode");
+            if (op !== OP_EQ && op !== OP_LT && op !== OP_LE && op !== OP_SETTABUP && op !== OP_JMP)
+                checkreg(a);
+            switch (getOpMode(op)) {
+                case iABC:
+                    checkargmode(b, getBMode(op));
+                    checkargmode(c, getCMode(op));
+                    break;
+                case iABx:
+                    if (getBMode(op) === OpArgK)
+                        check(GETARG_Bx(i) < f.k.length, "invalid constant");
+                    break;
+                case iAsBx:
+                    if (getBMode(op) === OpArgR) {
+                        let dest = pc + 1 + GETARG_sBx(i);
+                        check(0 <= dest && dest < n, "invalid jump");
+                        targets.push(pc, dest);
+                    }
+                    break;
+                case iAx:  /* only valid as an argument (skipped below) */
+                    check(false, "invalid opcode");
+                    break;
+            }
+            if (testTMode(op)) {
+                check(pc + 2 < n && GET_OPCODE(code[pc + 1]) === OP_JMP, "missing jump");
+                targets.push(pc, pc + 2);
+            }
+            switch (op) {
+                case OP_LOADKX:
+                    check(pc + 1 < n && GET_OPCODE(code[pc + 1]) === OP_EXTRAARG, "missing argument");
+                    check(GETARG_Ax(code[pc + 1]) < f.k.length, "invalid constant");
+                    isarg[++pc] = 1;
+                    break;
+                case OP_LOADBOOL:
+                    if (c !== 0) {  /* skips next instruction? */
+                        check(pc + 2 < n, "invalid jump");
+                        targets.push(pc, pc + 2);
+                    }
+                    break;
+                case OP_LOADNIL:
+                    checkreg(a + b);
+                    break;
+                case OP_GETUPVAL:
+                case OP_SETUPVAL:
+                case OP_GETTABUP:
+                    check(b < nups, "invalid upvalue");
+                    break;
+                case OP_SETTABUP:
+                    check(a < nups, "invalid upvalue");
+                    break;
+                case OP_SELF:
+                    checkreg(a + 1);
+                    break;
+                case OP_CONCAT:
+                    check(b < c, "invalid argument");
+                    break;
+                case OP_JMP:
+                    check(a <= f.maxstacksize, "invalid register");  /* closes upvalues from 'a - 1' */
+                    break;
+                case OP_CALL:
+                case OP_TAILCALL:
+                    if (b !== 0)
+                        checkreg(a + b - 1);
+                    if (c === 0)
+                        checkopenop();
+                    else if (c >= 2)
+                        checkreg(a + c - 2);
+                    break;
+                case OP_RETURN:
+                    if (b >= 2)
+                        checkreg(a + b - 2);
+                    break;
+                case OP_FORLOOP:
+                case OP_FORPREP:
+                    checkreg(a + 3);
+                    break;
+                case OP_TFORCALL:
+                    check(c >= 1, "invalid argument");
+                    checkreg(a + 2 + c);
+                    check(pc + 1 < n && GET_OPCODE(code[pc + 1]) === OP_TFORLOOP, "missing loop");
+                    break;
+                case OP_TFORLOOP:
+                    checkreg(a + 1);
+                    break;
+                case OP_SETLIST:
+                    if (b > 0)
+                        checkreg(a + b);
+                    if (c === 0) {
+                        check(pc + 1 < n && GET_OPCODE(code[pc + 1]) === OP_EXTRAARG, "missing argument");
+                        isarg[++pc] = 1;
+                    }
+                    break;
+                case OP_CLOSURE: {
+                    check(GETARG_Bx(i) < f.p.length, "invalid prototype");
+                    let upvalues = f.p[GETARG_Bx(i)].upvalues;
+                    for (let j = 0; j < upvalues.length; j++) {
+                        let uv = upvalues[j];
+                        check(uv.instack ? uv.idx < f.maxstacksize : uv.idx < nups, "invalid upvalue");
+                    }
+                    break;
+                }
+                case OP_VARARG:
+                    if (b === 0)
+                        checkopenop();
+                    else if (b >= 2)
+                        checkreg(a + b - 2);
+                    break;
+            }
+        }
+
+        for (let j = 0; j < targets.length; j += 2) {
+            pc = targets[j];
+            check(!isarg[targets[j + 1]], "invalid jump");
+        }
+
+        for (let j = 0; j < f.p.length; j++)
+            this.CheckFunction(f.p[j]);
+    }
 }
 
 const luaU_undump = function(L, Z, name) {
@@ -284,8 +536,12 @@ const luaU_undump = function(L, Z, name) {
     L.stack[L.top-1].setclLvalue(cl);
     cl.p = new lfunc.Proto(L);
     S.LoadFunction(cl.p, null);
+    if (L.l_G.verifycode) {  /* see 'lua_newstate' */
+        if (cl.nupvalues !== cl.p.upvalues.length)
+            S.error("bad function in");
+        S.CheckFunction(cl.p);
+    }
     lua_assert(cl.nupvalues === cl.p.upvalues.length);
-    /* luai_verifycode */
     return cl;
 };
 
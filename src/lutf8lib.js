@@ -38,6 +38,7 @@ const iscont = function(p) {
 
 /* translate a relative string position: negative means back from end */
 const u_posrelat = function(pos, len) {
+    pos = Number(pos);  /* a 64-bit integer may be a BigInt */
     if (pos >= 0) return pos;
     else if (0 - pos > len) return 0;
     else return len + pos + 1;
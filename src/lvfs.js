@@ -0,0 +1,379 @@
+"use strict";
+
+/*
+** Virtual file systems.
+**
+** Every lua_State has a VFS (see 'luaL_setvfs' and 'luaL_getvfs') that is
+** used by 'luaL_loadfilex', 'require', the io library and os.remove and
+** os.rename. A VFS is an object with the following methods, where paths are
+** lua strings and failures are reported by throwing an error object shaped
+** like node's system errors (fields 'message', 'code' and 'errno'):
+**
+**   open(path, mode)  returns a file; 'mode' is one of "r", "w", "a",
+**                     "r+", "w+" or "a+" (as in C's 'fopen')
+**   stat(path)        returns an object with fields 'size' and 'isdir'
+**   remove(path)      removes a file or an empty directory
+**   rename(from, to)
+**   list(path)        returns an array with the names of the entries of
+**                     directory 'path'
+**
+** A file has the methods:
+**
+**   read(buff, offset, length, position)   returns the number of bytes
+**                     read into 'buff' (0 at end of file); if 'position'
+**                     is null, reads from the current stream position
+**   write(buff, offset, length, position)  returns the number of bytes
+**                     written; if 'position' is null, appends to the file
+**                     (or writes to the stream)
+**   size()            returns the current size of the file
+**   close()
+*/
+
+const {
+    to_jsstring,
+    to_luastring,
+    to_uristring
+} = require("./fengaricore.js");
+
+/* an error object in the shape of node's system errors */
+const vfs_error = function(code, errno, message, syscall, path) {
+    let e = new Error(`${code}: ${message}, ${syscall} '${to_jsstring(path, void 0, void 0, true)}'`);
+    e.code = code;
+    e.errno = -errno;
+    e.syscall = syscall;
+    return e;
+};
+
+const EBADF = (syscall, path) => vfs_error('EBADF', 9, "bad file descriptor", syscall, path);
+const EEXIST = (syscall, path) => vfs_error('EEXIST', 17, "file already exists", syscall, path);
+const EINVAL = (syscall, path) => vfs_error('EINVAL', 22, "invalid argument", syscall, path);
+const EISDIR = (syscall, path) => vfs_error('EISDIR', 21, "illegal operation on a directory", syscall, path);
+const ENOENT = (syscall, path) => vfs_error('ENOENT', 2, "no such file or directory", syscall, path);
+const ENOSYS = (syscall, path) => vfs_error('ENOSYS', 38, "function not implemented", syscall, path);
+const ENOTDIR = (syscall, path) => vfs_error('ENOTDIR', 20, "not a directory", syscall, path);
+const ENOTEMPTY = (syscall, path) => vfs_error('ENOTEMPTY', 39, "directory not empty", syscall, path);
+const EROFS = (syscall, path) => vfs_error('EROFS', 30, "read-only file system", syscall, path);
+
+/*
+** File over a block of memory. 'data' is shared with its owner (a
+** 'MemoryVFS' entry or the response of an XHR request); 'writable' and
+** 'append' come from the mode used to open it.
+*/
+class MemoryFile {
+    constructor(node, path, readable, writable, append) {
+        this.node = node;
+        this.path = path;
+        this.readable = readable;
+        this.writable = writable;
+        this.append = append;
+        this.pos = 0;  /* stream position, used when no position is given */
+    }
+
+    read(buff, offset, length, position) {
+        if (!this.readable) throw EBADF("read", this.path);
+        let node = this.node;
+        if (node.entries) throw EISDIR("read", this.path);
+        let pos = position === null ? this.pos : position;
+        let n = Math.max(0, Math.min(length, node.size - pos));
+        buff.set(node.data.subarray(pos, pos + n), offset);
+        if (position === null) this.pos += n;
+        return n;
+    }
+
+    write(buff, offset, length, position) {
+        if (!this.writable) throw EBADF("write", this.path);
+        let node = this.node;
+        let pos = (position === null || this.append) ? node.size : position;
+        let end = pos + length;
+        if (end > node.data.length) {  /* grow buffer */
+            let data = new Uint8Array(Math.max(end, node.data.length * 2));
+            data.set(node.data.subarray(0, node.size));
+            node.data = data;
+        }
+        if (pos > node.size)  /* writing past the end leaves a hole of zeros */
+            node.data.fill(0, node.size, pos);
+        node.data.set(buff.subarray(offset, offset + length), pos);
+        node.size = Math.max(node.size, end);
+        return length;
+    }
+
+    size() {
+        return this.node.size;
+    }
+
+    close() {
+        this.node = null;
+    }
+}
+
+/* split 'path' into its components, resolving '.' and '..' */
+const splitpath = function(path) {
+    let names = to_jsstring(path, void 0, void 0, true).split("/");
+    let res = [];
+    for (let i = 0; i < names.length; i++) {
+        let name = names[i];
+        if (name === "" || name === ".") continue;
+        if (name === "..") res.pop();
+        else res.push(name);
+    }
+    return res;
+};
+
+/*
+** In-memory file system. Files live in a tree of plain objects; the
+** root is both '/' and the current directory. 'files' optionally maps
+** paths to initial contents (strings or Uint8Arrays).
+*/
+class MemoryVFS {
+    constructor(files) {
+        this.root = { entries: new Map() };
+        if (files) {
+            for (let name in files) {
+                let contents = files[name];
+                if (typeof contents === "string")
+                    contents = to_luastring(contents);
+                name = to_luastring(name);
+                this.lookup(name, "open", true);  /* create missing directories */
+                let f = this.open(name, "w");
+                f.write(contents, 0, contents.length, null);
+                f.close();
+            }
+        }
+    }
+
+    /* find node for 'path'; with 'mkdirs', create missing directories */
+    lookup(path, syscall, mkdirs) {
+        let names = splitpath(path);
+        let node = this.root;
+        let parent = null;
+        for (let i = 0; i < names.length; i++) {
+            if (!node.entries) throw ENOTDIR(syscall, path);
+            parent = node;
+            node = node.entries.get(names[i]);
+            if (node === void 0) {
+                if (i < names.length - 1 && mkdirs) {
+                    node = { entries: new Map() };
+                    parent.entries.set(names[i], node);
+                } else
+                    return { parent: parent, name: names[i], node: null, last: i === names.length - 1 };
+            }
+        }
+        return { parent: parent, name: names[names.length - 1], node: node, last: true };
+    }
+
+    open(path, mode) {
+        let l = this.lookup(path, "open", false);
+        let node = l.node;
+        let plus = mode[1] === "+";
+        if (node === null) {
+            if (mode[0] === "r" || !l.last) throw ENOENT("open", path);
+            node = { data: new Uint8Array(0), size: 0 };
+            l.parent.entries.set(l.name, node);
+        } else if (node.entries) {
+            if (mode[0] !== "r" || plus) throw EISDIR("open", path);
+        } else if (mode[0] === "w")
+            node.size = 0;  /* truncate */
+        return new MemoryFile(node, path, mode[0] === "r" || plus, mode[0] !== "r" || plus, mode[0] === "a");
+    }
+
+    stat(path) {
+        let node = this.lookup(path, "stat", false).node;
+        if (node === null) throw ENOENT("stat", path);
+        return node.entries ?
+            { size: 0, isdir: true } :
+            { size: node.size, isdir: false };
+    }
+
+    remove(path) {
+        let l = this.lookup(path, "unlink", false);
+        if (l.node === null || l.parent === null) throw ENOENT("unlink", path);
+        if (l.node.entries && l.node.entries.size > 0) throw ENOTEMPTY("rmdir", path);
+        l.parent.entries.delete(l.name);
+    }
+
+    rename(from, to) {
+        let f = this.lookup(from, "rename", false);
+        if (f.node === null || f.parent === null) throw ENOENT("rename", from);
+        let t = this.lookup(to, "rename", false);
+        if (t.parent === null || !t.last) throw ENOENT("rename", to);
+        if (t.node === f.node) return;  /* same file: nothing to do */
+        if (f.node.entries) {  /* a directory cannot be moved inside itself */
+            let fnames = splitpath(from);
+            let tnames = splitpath(to);
+            if (fnames.every((name, i) => name === tnames[i]))
+                throw EINVAL("rename", from);
+        }
+        if (t.node !== null && t.node.entries) {
+            if (!f.node.entries) throw EISDIR("rename", to);
+            if (t.node.entries.size > 0) throw ENOTEMPTY("rename", to);
+        } else if (t.node !== null && f.node.entries)
+            throw ENOTDIR("rename", to);
+        f.parent.entries.delete(f.name);
+        t.parent.entries.set(t.name, f.node);
+    }
+
+    list(path) {
+        let node = this.lookup(path, "scandir", false).node;
+        if (node === null) throw ENOENT("scandir", path);
+        if (!node.entries) throw ENOTDIR("scandir", path);
+        return Array.from(node.entries.keys(), (name) => to_luastring(name));
+    }
+
+    mkdir(path) {
+        let l = this.lookup(path, "mkdir", false);
+        if (l.node !== null) throw EEXIST("mkdir", path);
+        if (!l.last) throw ENOENT("mkdir", path);
+        l.parent.entries.set(l.name, { entries: new Map() });
+    }
+}
+
+/*
+** Read-only file system that fetches files with synchronous
+** XMLHttpRequests. Each successful 'open' downloads the whole file.
+*/
+class XHRVFS {
+    fetch(path, method) {
+        let xhr = new XMLHttpRequest();
+        xhr.open(method, to_uristring(path), false);
+        /*
+        Synchronous xhr in main thread always returns a js string.
+        Some browsers make console noise if you even attempt to set responseType
+        */
+        if (typeof window === "undefined") {
+            xhr.responseType = "arraybuffer";
+        }
+        xhr.send();
+        if (xhr.status < 200 || xhr.status > 299) {
+            let e = xhr.status === 404 ? ENOENT("open", path) : vfs_error('EIO', 5, "i/o error", "open", path);
+            e.message = `${xhr.status}: ${xhr.statusText}`;
+            throw e;
+        }
+        return xhr;
+    }
+
+    open(path, mode) {
+        if (mode !== "r") throw EROFS("open", path);
+        let xhr = this.fetch(path, "GET");
+        let data = typeof xhr.response === "string" ?
+            to_luastring(xhr.response) :
+            new Uint8Array(xhr.response);
+        return new MemoryFile({ data: data, size: data.length }, path, true, false, false);
+    }
+
+    stat(path) {
+        let xhr = this.fetch(path, "HEAD");
+        let size = xhr.getResponseHeader("Content-Length");
+        return { size: size === null ? 0 : Number(size), isdir: false };
+    }
+
+    remove(path) {
+        throw EROFS("unlink", path);
+    }
+
+    rename(from) {
+        throw EROFS("rename", from);
+    }
+
+    list(path) {
+        throw ENOSYS("scandir", path);
+    }
+}
+
+let NodeFile, NodeVFS, default_vfs;
+
+if (typeof process !== "undefined") {
+    const fs = require('fs');
+
+    /* node <= 6 doesn't support passing a Uint8Array to fs.readSync/fs.writeSync */
+    const prepare_buffer = process.versions.node > 6 ?
+        (s) => s : // identity function
+        (s) => Buffer.from(s.buffer, s.byteOffset, s.byteLength);
+
+    /* file over a node file descriptor */
+    NodeFile = class NodeFile {
+        constructor(fd) {
+            this.fd = fd;
+        }
+
+        read(buff, offset, length, position) {
+            return fs.readSync(this.fd, prepare_buffer(buff), offset, length, position);
+        }
+
+        write(buff, offset, length, position) {
+            return fs.writeSync(this.fd, prepare_buffer(buff), offset, length, position);
+        }
+
+        size() {
+            return fs.fstatSync(this.fd).size;
+        }
+
+        close() {
+            fs.closeSync(this.fd);
+        }
+    };
+
+    /* file system of the host, through node's 'fs' module */
+    NodeVFS = class NodeVFS {
+        open(path, mode) {
+            return new NodeFile(fs.openSync(path, mode));
+        }
+
+        stat(path) {
+            let st = fs.statSync(path);
+            return { size: st.size, isdir: st.isDirectory() };
+        }
+
+        remove(path) {
+            try {
+                fs.unlinkSync(path);
+            } catch (e) {
+                if (e.code === 'EISDIR' || e.code === 'EPERM')
+                    fs.rmdirSync(path);
+                else
+                    throw e;
+            }
+        }
+
+        rename(from, to) {
+            fs.renameSync(from, to);
+        }
+
+        list(path) {
+            return fs.readdirSync(path, { encoding: "buffer" }).map((name) => new Uint8Array(name));
+        }
+    };
+
+    default_vfs = new NodeVFS();
+} else {
+    default_vfs = new XHRVFS();
+}
+
+/* read the whole contents of file 'path' */
+const vfs_readfile = function(vfs, path) {
+    let f = vfs.open(path, "r");
+    try {
+        let chunks = [];
+        let total = 0;
+        for (;;) {
+            let chunk = new Uint8Array(4096);
+            let n = f.read(chunk, 0, chunk.length, total);
+            if (n === 0) break;
+            chunks.push(chunk.subarray(0, n));
+            total += n;
+        }
+        let res = new Uint8Array(total);
+        for (let i = 0, pos = 0; i < chunks.length; pos += chunks[i].length, i++)
+            res.set(chunks[i], pos);
+        return res;
+    } finally {
+        f.close();
+    }
+};
+
+module.exports.MemoryFile   = MemoryFile;
+module.exports.MemoryVFS    = MemoryVFS;
+module.exports.NodeFile     = NodeFile;
+module.exports.NodeVFS      = NodeVFS;
+module.exports.XHRVFS       = XHRVFS;
+module.exports.default_vfs  = default_vfs;
+module.exports.vfs_readfile = vfs_readfile;
@@ -1,5 +1,7 @@
 "use strict";
 
+/* global BigInt, WeakRef */
+
 const {
     LUA_MASKLINE,
     LUA_MASKCOUNT,
@@ -17,9 +19,17 @@ const {
         LUA_TTABLE,
         LUA_TUSERDATA
     },
+    thread_status: { LUA_OK },
     to_luastring
 } = require('./defs.js');
 const {
+    GETARG_A,
+    GETARG_Ax,
+    GETARG_B,
+    GETARG_Bx,
+    GETARG_C,
+    GETARG_sBx,
+    GET_OPCODE,
     INDEXK,
     ISK,
     LFIELDS_PER_FLUSH,
@@ -65,6 +75,7 @@ const {
         OP_SHR,
         OP_SUB,
         OP_TAILCALL,
+        OP_TBC,
         OP_TEST,
         OP_TESTSET,
         OP_TFORCALL,
@@ -75,10 +86,15 @@ const {
 } = require('./lopcodes.js');
 const {
     LUA_MAXINTEGER,
+    LUA_MAXINTEGER64,
     LUA_MININTEGER,
-    lua_numbertointeger
+    LUA_MININTEGER64,
+    lua_int64,
+    lua_numbertointeger,
+    lua_numbertointeger64
 } = require('./luaconf.js');
 const {
+    LUAI_MAXSHORTLEN,
     lua_assert,
     luai_nummod
 } = require('./llimits.js');
@@ -88,12 +104,17 @@ const lstate  = require('./lstate.js');
 const {
     luaS_bless,
     luaS_eqlngstr,
-    luaS_hashlongstr
+    luaS_eqshrstr,
+    luaS_hashlongstr,
+    luaS_newrope
 } = require('./lstring.js');
 const ldo     = require('./ldo.js');
 const ltm     = require('./ltm.js');
 const ltable  = require('./ltable.js');
 const ldebug  = require('./ldebug.js');
+const lgc     = require('./lgc.js');
+const lmem    = require('./lmem.js');
+const ljit    = require('./ljit.js');
 
 /*
 ** finish execution of an opcode interrupted by an yield
@@ -102,7 +123,7 @@ const luaV_finishOp = function(L) {
     let ci = L.ci;
     let base = ci.l_base;
     let inst = ci.l_code[ci.l_savedpc - 1];  /* interrupted instruction */
-    let op = inst.opcode;
+    let op = GET_OPCODE(inst);
 
     switch (op) {  /* finish its execution */
         case OP_ADD: case OP_SUB: case OP_MUL: case OP_DIV: case OP_IDIV:
@@ -110,26 +131,26 @@ const luaV_finishOp = function(L) {
         case OP_MOD: case OP_POW:
         case OP_UNM: case OP_BNOT: case OP_LEN:
         case OP_GETTABUP: case OP_GETTABLE: case OP_SELF: {
-            lobject.setobjs2s(L, base + inst.A, L.top-1);
-            delete L.stack[--L.top];
+            lobject.setobjs2s(L, base + GETARG_A(inst), L.top-1);
+            L.stack[--L.top].setnilvalue();
             break;
         }
         case OP_LE: case OP_LT: case OP_EQ: {
             let res = !L.stack[L.top - 1].l_isfalse();
-            delete L.stack[--L.top];
+            L.stack[--L.top].setnilvalue();
             if (ci.callstatus & lstate.CIST_LEQ) {  /* "<=" using "<" instead? */
                 lua_assert(op === OP_LE);
                 ci.callstatus ^= lstate.CIST_LEQ;  /* clear mark */
                 res = !res;  /* negate result */
             }
-            lua_assert(ci.l_code[ci.l_savedpc].opcode === OP_JMP);
-            if (res !== (inst.A ? true : false))  /* condition failed? */
+            lua_assert(GET_OPCODE(ci.l_code[ci.l_savedpc]) === OP_JMP);
+            if (res !== (GETARG_A(inst) ? true : false))  /* condition failed? */
                 ci.l_savedpc++;  /* skip jump instruction */
             break;
         }
         case OP_CONCAT: {
             let top = L.top - 1;  /* top when 'luaT_trybinTM' was called */
-            let b = inst.B;  /* first element to concatenate */
+            let b = GETARG_B(inst);  /* first element to concatenate */
             let total = top - 1 - (base + b);  /* yet to concatenate */
             lobject.setobjs2s(L, top - 2, top);  /* put TM result in proper position */
             if (total > 1) {  /* are there elements to concat? */
@@ -137,17 +158,17 @@ const luaV_finishOp = function(L) {
                 luaV_concat(L, total);  /* concat them (may yield again) */
             }
             /* move final result to final position */
-            lobject.setobjs2s(L, ci.l_base + inst.A, L.top - 1);
+            lobject.setobjs2s(L, ci.l_base + GETARG_A(inst), L.top - 1);
             ldo.adjust_top(L, ci.top);  /* restore top */
             break;
         }
         case OP_TFORCALL: {
-            lua_assert(ci.l_code[ci.l_savedpc].opcode === OP_TFORLOOP);
+            lua_assert(GET_OPCODE(ci.l_code[ci.l_savedpc]) === OP_TFORLOOP);
             ldo.adjust_top(L, ci.top);  /* correct top */
             break;
         }
         case OP_CALL: {
-            if (inst.C - 1 >= 0)  /* nresults >= 0? */
+            if (GETARG_C(inst) - 1 >= 0)  /* nresults >= 0? */
                 ldo.adjust_top(L, ci.top);  /* adjust results */
             break;
         }
@@ -155,26 +176,29 @@ const luaV_finishOp = function(L) {
 };
 
 const RA = function(L, base, i) {
-    return base + i.A;
+    return base + GETARG_A(i);
 };
 
 const RB = function(L, base, i) {
-    return base + i.B;
+    return base + GETARG_B(i);
 };
 
 // const RC = function(L, base, i) {
-//     return base + i.C;
+//     return base + GETARG_C(i);
 // };
 
 const RKB = function(L, base, k, i) {
-    return ISK(i.B) ? k[INDEXK(i.B)] : L.stack[base + i.B];
+    let b = GETARG_B(i);
+    return ISK(b) ? k[INDEXK(b)] : L.stack[base + b];
 };
 
 const RKC = function(L, base, k, i) {
-    return ISK(i.C) ? k[INDEXK(i.C)] : L.stack[base + i.C];
+    let c = GETARG_C(i);
+    return ISK(c) ? k[INDEXK(c)] : L.stack[base + c];
 };
 
 const luaV_execute = function(L) {
+    let g = L.l_G;
     let ci = L.ci;
 
     ci.callstatus |= lstate.CIST_FRESH;
@@ -185,14 +209,37 @@ const luaV_execute = function(L) {
         let k = cl.p.k;
         let base = ci.l_base;
 
+        if (L.hookmask === 0) {  /* run compiled code? */
+            let p = cl.p;
+            if (p.jit === null && g.jit && ++p.hotness >= ljit.JIT_THRESHOLD)
+                ljit.luaJ_compile(L, p);
+            if (p.jit) {  /* compiled by 'luaJ_compile' or loaded by 'lua_loadjs' */
+                let res = p.jit(L, ci);
+                if (res === ljit.JIT_CALL) {
+                    ci = L.ci;
+                    continue newframe;
+                } else if (res !== ljit.JIT_INTERP) {  /* function returned */
+                    if (ci.callstatus & lstate.CIST_FRESH)
+                        return; /* external invocation: return */
+                    ci = L.ci;
+                    if (res === ljit.JIT_RETFIX) ldo.adjust_top(L, ci.top);
+                    continue newframe;
+                }
+                /* else a hook was set: interpret from 'ci.l_savedpc' */
+            }
+        }
+
         let i = ci.l_code[ci.l_savedpc++];
 
         if (L.hookmask & (LUA_MASKLINE | LUA_MASKCOUNT)) {
             ldebug.luaG_traceexec(L);
         }
 
+        if (--g.limitcount <= 0)  /* time to check limits on execution? */
+            ldo.luaD_checklimits(L);
+
         let ra = RA(L, base, i);
-        let opcode = i.opcode;
+        let opcode = GET_OPCODE(i);
 
         switch (opcode) {
             case OP_MOVE: {
@@ -200,55 +247,61 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_LOADK: {
-                let konst = k[i.Bx];
+                let konst = k[GETARG_Bx(i)];
                 lobject.setobj2s(L, ra, konst);
                 break;
             }
             case OP_LOADKX: {
-                lua_assert(ci.l_code[ci.l_savedpc].opcode === OP_EXTRAARG);
-                let konst = k[ci.l_code[ci.l_savedpc++].Ax];
+                lua_assert(GET_OPCODE(ci.l_code[ci.l_savedpc]) === OP_EXTRAARG);
+                let konst = k[GETARG_Ax(ci.l_code[ci.l_savedpc++])];
                 lobject.setobj2s(L, ra, konst);
                 break;
             }
             case OP_LOADBOOL: {
-                L.stack[ra].setbvalue(i.B !== 0);
+                L.stack[ra].setbvalue(GETARG_B(i) !== 0);
 
-                if (i.C !== 0)
+                if (GETARG_C(i) !== 0)
                     ci.l_savedpc++; /* skip next instruction (if C) */
 
                 break;
             }
             case OP_LOADNIL: {
-                for (let j = 0; j <= i.B; j++)
+                for (let j = 0; j <= GETARG_B(i); j++)
                     L.stack[ra + j].setnilvalue();
                 break;
             }
             case OP_GETUPVAL: {
-                let b = i.B;
+                let b = GETARG_B(i);
                 lobject.setobj2s(L, ra, cl.upvals[b]);
                 break;
             }
             case OP_GETTABUP: {
-                let upval = cl.upvals[i.B];
+                let upval = cl.upvals[GETARG_B(i)];
                 let rc = RKC(L, base, k, i);
-                luaV_gettable(L, upval, rc, ra);
+                if (ISK(GETARG_C(i)) && rc.ttisstring())
+                    getfield(L, cl.p, ci.l_savedpc - 1, upval, rc, ra);
+                else
+                    luaV_gettable(L, upval, rc, ra);
                 break;
             }
             case OP_GETTABLE: {
                 let rb = L.stack[RB(L, base, i)];
                 let rc = RKC(L, base, k, i);
-                luaV_gettable(L, rb, rc, ra);
+                if (ISK(GETARG_C(i)) && rc.ttisstring())
+                    getfield(L, cl.p, ci.l_savedpc - 1, rb, rc, ra);
+                else
+                    luaV_gettable(L, rb, rc, ra);
                 break;
             }
             case OP_SETTABUP: {
-                let upval = cl.upvals[i.A];
+                let upval = cl.upvals[GETARG_A(i)];
                 let rb = RKB(L, base, k, i);
                 let rc = RKC(L, base, k, i);
                 settable(L, upval, rb, rc);
                 break;
             }
             case OP_SETUPVAL: {
-                let uv = cl.upvals[i.B];
+                let uv = cl.upvals[GETARG_B(i)];
                 uv.setfrom(L.stack[ra]);
                 break;
             }
@@ -261,14 +314,17 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_NEWTABLE: {
-                L.stack[ra].sethvalue(ltable.luaH_new(L));
+                newtable(L, ra, GETARG_B(i), GETARG_C(i));
                 break;
             }
             case OP_SELF: {
                 let rb = RB(L, base, i);
                 let rc = RKC(L, base, k, i);
                 lobject.setobjs2s(L, ra + 1, rb);
-                luaV_gettable(L, L.stack[rb], rc, ra);
+                if (ISK(GETARG_C(i)) && rc.ttisstring())
+                    getfield(L, cl.p, ci.l_savedpc - 1, L.stack[rb], rc, ra);
+                else
+                    luaV_gettable(L, L.stack[rb], rc, ra);
                 break;
             }
             case OP_ADD: {
@@ -277,7 +333,7 @@ const luaV_execute = function(L) {
                 let numberop1, numberop2;
 
                 if (op1.ttisinteger() && op2.ttisinteger()) {
-                    L.stack[ra].setivalue((op1.value + op2.value)|0);
+                    L.stack[ra].setivalue(g.int64 ? luaV_add64(op1.value, op2.value) : (op1.value + op2.value)|0);
                 } else if ((numberop1 = tonumber(op1)) !== false && (numberop2 = tonumber(op2)) !== false) {
                     L.stack[ra].setfltvalue(numberop1 + numberop2);
                 } else {
@@ -291,7 +347,7 @@ const luaV_execute = function(L) {
                 let numberop1, numberop2;
 
                 if (op1.ttisinteger() && op2.ttisinteger()) {
-                    L.stack[ra].setivalue((op1.value - op2.value)|0);
+                    L.stack[ra].setivalue(g.int64 ? luaV_sub64(op1.value, op2.value) : (op1.value - op2.value)|0);
                 } else if ((numberop1 = tonumber(op1)) !== false && (numberop2 = tonumber(op2)) !== false) {
                     L.stack[ra].setfltvalue(numberop1 - numberop2);
                 } else {
@@ -305,7 +361,7 @@ const luaV_execute = function(L) {
                 let numberop1, numberop2;
 
                 if (op1.ttisinteger() && op2.ttisinteger()) {
-                    L.stack[ra].setivalue(luaV_imul(op1.value, op2.value));
+                    L.stack[ra].setivalue(g.int64 ? luaV_mul64(op1.value, op2.value) : luaV_imul(op1.value, op2.value));
                 } else if ((numberop1 = tonumber(op1)) !== false && (numberop2 = tonumber(op2)) !== false) {
                     L.stack[ra].setfltvalue(numberop1 * numberop2);
                 } else {
@@ -319,7 +375,7 @@ const luaV_execute = function(L) {
                 let numberop1, numberop2;
 
                 if (op1.ttisinteger() && op2.ttisinteger()) {
-                    L.stack[ra].setivalue(luaV_mod(L, op1.value, op2.value));
+                    L.stack[ra].setivalue(g.int64 ? luaV_mod64(L, op1.value, op2.value) : luaV_mod(L, op1.value, op2.value));
                 } else if ((numberop1 = tonumber(op1)) !== false && (numberop2 = tonumber(op2)) !== false) {
                     L.stack[ra].setfltvalue(luai_nummod(L, numberop1, numberop2));
                 } else {
@@ -357,7 +413,7 @@ const luaV_execute = function(L) {
                 let numberop1, numberop2;
 
                 if (op1.ttisinteger() && op2.ttisinteger()) {
-                    L.stack[ra].setivalue(luaV_div(L, op1.value, op2.value));
+                    L.stack[ra].setivalue(g.int64 ? luaV_div64(L, op1.value, op2.value) : luaV_div(L, op1.value, op2.value));
                 } else if ((numberop1 = tonumber(op1)) !== false && (numberop2 = tonumber(op2)) !== false) {
                     L.stack[ra].setfltvalue(Math.floor(numberop1 / numberop2));
                 } else {
@@ -370,8 +426,8 @@ const luaV_execute = function(L) {
                 let op2 = RKC(L, base, k, i);
                 let numberop1, numberop2;
 
-                if ((numberop1 = tointeger(op1)) !== false && (numberop2 = tointeger(op2)) !== false) {
-                    L.stack[ra].setivalue(numberop1 & numberop2);
+                if ((numberop1 = tointeger(op1, g.int64)) !== false && (numberop2 = tointeger(op2, g.int64)) !== false) {
+                    L.stack[ra].setivalue(g.int64 ? luaV_band64(numberop1, numberop2) : numberop1 & numberop2);
                 } else {
                     ltm.luaT_trybinTM(L, op1, op2, L.stack[ra], ltm.TMS.TM_BAND);
                 }
@@ -382,8 +438,8 @@ const luaV_execute = function(L) {
                 let op2 = RKC(L, base, k, i);
                 let numberop1, numberop2;
 
-                if ((numberop1 = tointeger(op1)) !== false && (numberop2 = tointeger(op2)) !== false) {
-                    L.stack[ra].setivalue(numberop1 | numberop2);
+                if ((numberop1 = tointeger(op1, g.int64)) !== false && (numberop2 = tointeger(op2, g.int64)) !== false) {
+                    L.stack[ra].setivalue(g.int64 ? luaV_bor64(numberop1, numberop2) : numberop1 | numberop2);
                 } else {
                     ltm.luaT_trybinTM(L, op1, op2, L.stack[ra], ltm.TMS.TM_BOR);
                 }
@@ -394,8 +450,8 @@ const luaV_execute = function(L) {
                 let op2 = RKC(L, base, k, i);
                 let numberop1, numberop2;
 
-                if ((numberop1 = tointeger(op1)) !== false && (numberop2 = tointeger(op2)) !== false) {
-                    L.stack[ra].setivalue(numberop1 ^ numberop2);
+                if ((numberop1 = tointeger(op1, g.int64)) !== false && (numberop2 = tointeger(op2, g.int64)) !== false) {
+                    L.stack[ra].setivalue(g.int64 ? luaV_bxor64(numberop1, numberop2) : numberop1 ^ numberop2);
                 } else {
                     ltm.luaT_trybinTM(L, op1, op2, L.stack[ra], ltm.TMS.TM_BXOR);
                 }
@@ -406,8 +462,8 @@ const luaV_execute = function(L) {
                 let op2 = RKC(L, base, k, i);
                 let numberop1, numberop2;
 
-                if ((numberop1 = tointeger(op1)) !== false && (numberop2 = tointeger(op2)) !== false) {
-                    L.stack[ra].setivalue(luaV_shiftl(numberop1, numberop2));
+                if ((numberop1 = tointeger(op1, g.int64)) !== false && (numberop2 = tointeger(op2, g.int64)) !== false) {
+                    L.stack[ra].setivalue(g.int64 ? luaV_shiftl64(numberop1, numberop2) : luaV_shiftl(numberop1, numberop2));
                 } else {
                     ltm.luaT_trybinTM(L, op1, op2, L.stack[ra], ltm.TMS.TM_SHL);
                 }
@@ -418,8 +474,8 @@ const luaV_execute = function(L) {
                 let op2 = RKC(L, base, k, i);
                 let numberop1, numberop2;
 
-                if ((numberop1 = tointeger(op1)) !== false && (numberop2 = tointeger(op2)) !== false) {
-                    L.stack[ra].setivalue(luaV_shiftl(numberop1, -numberop2));
+                if ((numberop1 = tointeger(op1, g.int64)) !== false && (numberop2 = tointeger(op2, g.int64)) !== false) {
+                    L.stack[ra].setivalue(g.int64 ? luaV_shiftl64(numberop1, -numberop2) : luaV_shiftl(numberop1, -numberop2));
                 } else {
                     ltm.luaT_trybinTM(L, op1, op2, L.stack[ra], ltm.TMS.TM_SHR);
                 }
@@ -430,7 +486,7 @@ const luaV_execute = function(L) {
                 let numberop;
 
                 if (op.ttisinteger()) {
-                    L.stack[ra].setivalue((-op.value)|0);
+                    L.stack[ra].setivalue(g.int64 ? luaV_sub64(0, op.value) : (-op.value)|0);
                 } else if ((numberop = tonumber(op)) !== false) {
                     L.stack[ra].setfltvalue(-numberop);
                 } else {
@@ -442,7 +498,7 @@ const luaV_execute = function(L) {
                 let op = L.stack[RB(L, base, i)];
 
                 if (op.ttisinteger()) {
-                    L.stack[ra].setivalue(~op.value);
+                    L.stack[ra].setivalue(g.int64 ? luaV_bxor64(-1, op.value) : ~op.value);
                 } else {
                     ltm.luaT_trybinTM(L, op, op, L.stack[ra], ltm.TMS.TM_BNOT);
                 }
@@ -458,13 +514,7 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_CONCAT: {
-                let b = i.B;
-                let c = i.C;
-                L.top = base + c + 1; /* mark the end of concat operands */
-                luaV_concat(L, c - b + 1);
-                let rb = base + b;
-                lobject.setobjs2s(L, ra, rb);
-                ldo.adjust_top(L, ci.top); /* restore top */
+                concat(L, ci, ra, GETARG_B(i), GETARG_C(i));
                 break;
             }
             case OP_JMP: {
@@ -472,28 +522,28 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_EQ: {
-                if (luaV_equalobj(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== i.A)
+                if (luaV_equalobj(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== GETARG_A(i))
                     ci.l_savedpc++;
                 else
                     donextjump(L, ci);
                 break;
             }
             case OP_LT: {
-                if (luaV_lessthan(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== i.A)
+                if (luaV_lessthan(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== GETARG_A(i))
                     ci.l_savedpc++;
                 else
                     donextjump(L, ci);
                 break;
             }
             case OP_LE: {
-                if (luaV_lessequal(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== i.A)
+                if (luaV_lessequal(L, RKB(L, base, k, i), RKC(L, base, k, i)) !== GETARG_A(i))
                     ci.l_savedpc++;
                 else
                     donextjump(L, ci);
                 break;
             }
             case OP_TEST: {
-                if (i.C ? L.stack[ra].l_isfalse() : !L.stack[ra].l_isfalse())
+                if (GETARG_C(i) ? L.stack[ra].l_isfalse() : !L.stack[ra].l_isfalse())
                     ci.l_savedpc++;
                 else
                     donextjump(L, ci);
@@ -502,7 +552,7 @@ const luaV_execute = function(L) {
             case OP_TESTSET: {
                 let rbIdx = RB(L, base, i);
                 let rb = L.stack[rbIdx];
-                if (i.C ? rb.l_isfalse() : !rb.l_isfalse())
+                if (GETARG_C(i) ? rb.l_isfalse() : !rb.l_isfalse())
                     ci.l_savedpc++;
                 else {
                     lobject.setobjs2s(L, ra, rbIdx);
@@ -511,8 +561,8 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_CALL: {
-                let b = i.B;
-                let nresults = i.C - 1;
+                let b = GETARG_B(i);
+                let nresults = GETARG_C(i) - 1;
                 if (b !== 0) ldo.adjust_top(L, ra+b);  /* else previous instruction set top */
                 if (ldo.luaD_precall(L, ra, nresults)) {
                     if (nresults >= 0)
@@ -525,38 +575,15 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_TAILCALL: {
-                let b = i.B;
-                if (b !== 0) ldo.adjust_top(L, ra+b);  /* else previous instruction set top */
-                if (ldo.luaD_precall(L, ra, LUA_MULTRET)) { // JS function
-                } else {
-                    /* tail call: put called frame (n) in place of caller one (o) */
-                    let nci = L.ci;
-                    let oci = nci.previous;
-                    let nfunc = nci.func;
-                    let nfuncOff = nci.funcOff;
-                    let ofuncOff = oci.funcOff;
-                    let lim = nci.l_base + nfunc.value.p.numparams;
-                    if (cl.p.p.length > 0) lfunc.luaF_close(L, oci.l_base);
-                    for (let aux = 0; nfuncOff + aux < lim; aux++)
-                        lobject.setobjs2s(L, ofuncOff + aux, nfuncOff + aux);
-                    oci.l_base = ofuncOff + (nci.l_base - nfuncOff);
-                    oci.top = ofuncOff + (L.top - nfuncOff);
-                    ldo.adjust_top(L, oci.top);  /* correct top */
-                    oci.l_code = nci.l_code;
-                    oci.l_savedpc = nci.l_savedpc;
-                    oci.callstatus |= lstate.CIST_TAIL;
-                    oci.next = null;
-                    ci = L.ci = oci;
-
-                    lua_assert(L.top === oci.l_base + L.stack[ofuncOff].value.p.maxstacksize);
-
+                if (!tailcall(L, ci, ra, GETARG_B(i))) {  /* Lua function? */
+                    ci = L.ci;
                     continue newframe;
                 }
                 break;
             }
             case OP_RETURN: {
-                if (cl.p.p.length > 0) lfunc.luaF_close(L, base);
-                let b = ldo.luaD_poscall(L, ci, ra, (i.B !== 0 ? i.B - 1 : L.top - ra));
+                if (cl.p.p.length > 0 || L.tbclist.length > 0) lfunc.luaF_close(L, base, LUA_OK);
+                let b = ldo.luaD_poscall(L, ci, ra, (GETARG_B(i) !== 0 ? GETARG_B(i) - 1 : L.top - ra));
 
                 if (ci.callstatus & lstate.CIST_FRESH)
                     return; /* external invocation: return */
@@ -564,17 +591,17 @@ const luaV_execute = function(L) {
                 ci = L.ci;
                 if (b) ldo.adjust_top(L, ci.top);
                 lua_assert(ci.callstatus & lstate.CIST_LUA);
-                lua_assert(ci.l_code[ci.l_savedpc - 1].opcode === OP_CALL);
+                lua_assert(GET_OPCODE(ci.l_code[ci.l_savedpc - 1]) === OP_CALL);
                 continue newframe;
             }
             case OP_FORLOOP: {
                 if (L.stack[ra].ttisinteger()) { /* integer loop? */
                     let step = L.stack[ra + 2].value;
-                    let idx = (L.stack[ra].value + step)|0;
+                    let idx = g.int64 ? luaV_add64(L.stack[ra].value, step) : (L.stack[ra].value + step)|0;
                     let limit = L.stack[ra + 1].value;
 
                     if (0 < step ? idx <= limit : limit <= idx) {
-                        ci.l_savedpc += i.sBx;
+                        ci.l_savedpc += GETARG_sBx(i);
                         L.stack[ra].chgivalue(idx);  /* update internal index... */
                         L.stack[ra + 3].setivalue(idx);
                     }
@@ -584,7 +611,7 @@ const luaV_execute = function(L) {
                     let limit = L.stack[ra + 1].value;
 
                     if (0 < step ? idx <= limit : limit <= idx) {
-                        ci.l_savedpc += i.sBx;
+                        ci.l_savedpc += GETARG_sBx(i);
                         L.stack[ra].chgfltvalue(idx);  /* update internal index... */
                         L.stack[ra + 3].setfltvalue(idx);
                     }
@@ -592,30 +619,8 @@ const luaV_execute = function(L) {
                 break;
             }
             case OP_FORPREP: {
-                let init = L.stack[ra];
-                let plimit = L.stack[ra + 1];
-                let pstep = L.stack[ra + 2];
-                let forlim;
-
-                if (init.ttisinteger() && pstep.ttisinteger() && (forlim = forlimit(plimit, pstep.value))) {
-                    /* all values are integer */
-                    let initv = forlim.stopnow ? 0 : init.value;
-                    plimit.value = forlim.ilimit;
-                    init.value = (initv - pstep.value)|0;
-                } else { /* try making all values floats */
-                    let nlimit, nstep, ninit;
-                    if ((nlimit = tonumber(plimit)) === false)
-                        ldebug.luaG_runerror(L, to_luastring("'for' limit must be a number", true));
-                    L.stack[ra + 1].setfltvalue(nlimit);
-                    if ((nstep = tonumber(pstep)) === false)
-                        ldebug.luaG_runerror(L, to_luastring("'for' step must be a number", true));
-                    L.stack[ra + 2].setfltvalue(nstep);
-                    if ((ninit = tonumber(init)) === false)
-                        ldebug.luaG_runerror(L, to_luastring("'for' initial value must be a number", true));
-                    L.stack[ra].setfltvalue(ninit - nstep);
-                }
-
-                ci.l_savedpc += i.sBx;
+                forprep(L, ra);
+                ci.l_savedpc += GETARG_sBx(i);
                 break;
             }
             case OP_TFORCALL: {
@@ -624,69 +629,40 @@ const luaV_execute = function(L) {
                 lobject.setobjs2s(L, cb+1, ra+1);
                 lobject.setobjs2s(L, cb, ra);
                 ldo.adjust_top(L, cb+3);  /* func. + 2 args (state and index) */
-                ldo.luaD_call(L, cb, i.C);
+                ldo.luaD_call(L, cb, GETARG_C(i));
                 ldo.adjust_top(L, ci.top);
                 /* go straight to OP_TFORLOOP */
                 i = ci.l_code[ci.l_savedpc++];
                 ra = RA(L, base, i);
-                lua_assert(i.opcode === OP_TFORLOOP);
+                lua_assert(GET_OPCODE(i) === OP_TFORLOOP);
             }
             /* fall through */
             case OP_TFORLOOP: {
                 if (!L.stack[ra + 1].ttisnil()) { /* continue loop? */
                     lobject.setobjs2s(L, ra, ra + 1); /* save control variable */
-                    ci.l_savedpc += i.sBx; /* jump back */
+                    ci.l_savedpc += GETARG_sBx(i); /* jump back */
                 }
                 break;
             }
             case OP_SETLIST: {
-                let n = i.B;
-                let c = i.C;
-
-                if (n === 0) n = L.top - ra - 1;
-
+                let c = GETARG_C(i);
                 if (c === 0) {
-                    lua_assert(ci.l_code[ci.l_savedpc].opcode === OP_EXTRAARG);
-                    c = ci.l_code[ci.l_savedpc++].Ax;
-                }
-
-                let h = L.stack[ra].value;
-                let last = ((c - 1) * LFIELDS_PER_FLUSH) + n;
-
-                for (; n > 0; n--) {
-                    ltable.luaH_setint(h, last--, L.stack[ra + n]);
+                    lua_assert(GET_OPCODE(ci.l_code[ci.l_savedpc]) === OP_EXTRAARG);
+                    c = GETARG_Ax(ci.l_code[ci.l_savedpc++]);
                 }
-                ldo.adjust_top(L, ci.top);  /* correct top (in case of previous open call) */
+                setlist(L, ci, ra, GETARG_B(i), c);
                 break;
             }
             case OP_CLOSURE: {
-                let p = cl.p.p[i.Bx];
-                let ncl = getcached(p, cl.upvals, L.stack, base);  /* cached closure */
-                if (ncl === null)  /* no match? */
-                    pushclosure(L, p, cl.upvals, base, ra);  /* create a new one */
-                else
-                    L.stack[ra].setclLvalue(ncl);
+                closure(L, ci, ra, cl.p.p[GETARG_Bx(i)]);
                 break;
             }
             case OP_VARARG: {
-                let b = i.B - 1;
-                let n = base - ci.funcOff - cl.p.numparams - 1;
-                let j;
-
-                if (n < 0) /* less arguments than parameters? */
-                    n = 0; /* no vararg arguments */
-
-                if (b < 0) {
-                    b = n;  /* get all var. arguments */
-                    ldo.luaD_checkstack(L, n);
-                    ldo.adjust_top(L, ra + n);
-                }
-
-                for (j = 0; j < b && j < n; j++)
-                    lobject.setobjs2s(L, ra + j, base - n + j);
-
-                for (; j < b; j++) /* complete required results with nil */
-                    L.stack[ra + j].setnilvalue();
+                vararg(L, ci, ra, GETARG_B(i) - 1);
+                break;
+            }
+            case OP_TBC: {
+                lfunc.luaF_newtbcupval(L, ra);
                 break;
             }
             case OP_EXTRAARG: {
@@ -696,10 +672,144 @@ const luaV_execute = function(L) {
     }
 };
 
+/*
+** Some instructions are implemented by the following functions, which
+** are also used by compiled functions (see ljit.js). 'ra' is the index
+** of register A.
+*/
+
+const newtable = function(L, ra, b, c) {
+    let t = ltable.luaH_new(L);
+    L.stack[ra].sethvalue(t);
+    if (b !== 0 || c !== 0)
+        ltable.luaH_presize(L, t, lobject.luaO_fb2int(b), lobject.luaO_fb2int(c));
+    lgc.luaC_checkGC(L);
+};
+
+const concat = function(L, ci, ra, b, c) {
+    let base = ci.l_base;
+    L.top = base + c + 1; /* mark the end of concat operands */
+    luaV_concat(L, c - b + 1);
+    let rb = base + b;
+    lobject.setobjs2s(L, ra, rb);
+    ldo.adjust_top(L, ci.top); /* restore top */
+    lgc.luaC_checkGC(L);
+};
+
+/*
+** returns true if the called function was a JS function (which already
+** ran); otherwise the frame of the called Lua function replaced the
+** frame 'ci' of the caller
+*/
+const tailcall = function(L, ci, ra, b) {
+    let cl = ci.func.value;
+    if (b !== 0) ldo.adjust_top(L, ra+b);  /* else previous instruction set top */
+    if (ldo.luaD_precall(L, ra, LUA_MULTRET))  /* JS function? */
+        return true;
+    /* tail call: put called frame (n) in place of caller one (o) */
+    let nci = L.ci;
+    let oci = nci.previous;
+    let nfunc = nci.func;
+    let nfuncOff = nci.funcOff;
+    let ofuncOff = oci.funcOff;
+    let lim = nci.l_base + nfunc.value.p.numparams;
+    if (cl.p.p.length > 0) lfunc.luaF_close(L, oci.l_base, LUA_OK);
+    for (let aux = 0; nfuncOff + aux < lim; aux++)
+        lobject.setobjs2s(L, ofuncOff + aux, nfuncOff + aux);
+    oci.l_base = ofuncOff + (nci.l_base - nfuncOff);
+    oci.top = ofuncOff + (L.top - nfuncOff);
+    ldo.adjust_top(L, oci.top);  /* correct top */
+    oci.l_code = nci.l_code;
+    oci.l_savedpc = nci.l_savedpc;
+    oci.callstatus |= lstate.CIST_TAIL;
+    oci.next = null;
+    L.ci = oci;
+
+    lua_assert(L.top === oci.l_base + L.stack[ofuncOff].value.p.maxstacksize);
+    return false;
+};
+
+/* prepare a numeric for loop (before jumping to its OP_FORLOOP) */
+const forprep = function(L, ra) {
+    let int64 = L.l_G.int64;
+    let init = L.stack[ra];
+    let plimit = L.stack[ra + 1];
+    let pstep = L.stack[ra + 2];
+    let forlim;
+
+    if (init.ttisinteger() && pstep.ttisinteger() && (forlim = forlimit(plimit, pstep.value, int64))) {
+        /* all values are integer */
+        let initv = forlim.stopnow ? 0 : init.value;
+        plimit.value = forlim.ilimit;
+        init.value = int64 ? luaV_sub64(initv, pstep.value) : (initv - pstep.value)|0;
+    } else { /* try making all values floats */
+        let nlimit, nstep, ninit;
+        if ((nlimit = tonumber(plimit)) === false)
+            ldebug.luaG_runerror(L, to_luastring("'for' limit must be a number", true));
+        L.stack[ra + 1].setfltvalue(nlimit);
+        if ((nstep = tonumber(pstep)) === false)
+            ldebug.luaG_runerror(L, to_luastring("'for' step must be a number", true));
+        L.stack[ra + 2].setfltvalue(nstep);
+        if ((ninit = tonumber(init)) === false)
+            ldebug.luaG_runerror(L, to_luastring("'for' initial value must be a number", true));
+        L.stack[ra].setfltvalue(ninit - nstep);
+    }
+};
+
+const setlist = function(L, ci, ra, n, c) {
+    if (n === 0) n = L.top - ra - 1;
+
+    if (!L.stack[ra].ttistable())  /* possible only in hand-made bytecode */
+        ldebug.luaG_typeerror(L, L.stack[ra], to_luastring("index", true));
+    let h = L.stack[ra].value;
+    let last = ((c - 1) * LFIELDS_PER_FLUSH) + n;
+    /* needs more space, right after the array part? */
+    if (last > h.array.length && last - n <= h.array.length)
+        ltable.luaH_resizearray(L, h, last);  /* preallocate it at once */
+
+    for (; n > 0; n--) {
+        ltable.luaH_setint(L, h, last--, L.stack[ra + n]);
+    }
+    ldo.adjust_top(L, ci.top);  /* correct top (in case of previous open call) */
+};
+
+const closure = function(L, ci, ra, p) {
+    let cl = ci.func.value;
+    let base = ci.l_base;
+    let ncl = getcached(p, cl.upvals, L.stack, base);  /* cached closure */
+    if (ncl === null)  /* no match? */
+        pushclosure(L, p, cl.upvals, base, ra);  /* create a new one */
+    else
+        L.stack[ra].setclLvalue(ncl);
+    lgc.luaC_checkGC(L);
+};
+
+/* 'b' is the number of wanted values, or -1 for all of them */
+const vararg = function(L, ci, ra, b) {
+    let base = ci.l_base;
+    let n = base - ci.funcOff - ci.func.value.p.numparams - 1;
+    let j;
+
+    if (n < 0) /* less arguments than parameters? */
+        n = 0; /* no vararg arguments */
+
+    if (b < 0) {
+        b = n;  /* get all var. arguments */
+        ldo.luaD_checkstack(L, n);
+        ldo.adjust_top(L, ra + n);
+    }
+
+    for (j = 0; j < b && j < n; j++)
+        lobject.setobjs2s(L, ra + j, base - n + j);
+
+    for (; j < b; j++) /* complete required results with nil */
+        L.stack[ra + j].setnilvalue();
+};
+
 const dojump = function(L, ci, i, e) {
-    let a = i.A;
-    if (a !== 0) lfunc.luaF_close(L, ci.l_base + a - 1);
-    ci.l_savedpc += i.sBx + e;
+    let a = GETARG_A(i);
+    if (a !== 0) lfunc.luaF_close(L, ci.l_base + a - 1, LUA_OK);
+    ci.l_savedpc += GETARG_sBx(i) + e;
 };
 
 const donextjump = function(L, ci) {
@@ -746,8 +856,9 @@ const luaV_equalobj = function(L, t1, t2) {
         if (t1.ttnov() !== t2.ttnov() || t1.ttnov() !== LUA_TNUMBER)
             return 0; /* only numbers can be equal with different variants */
         else { /* two numbers with different variants */
-            /* OPTIMIZATION: instead of calling luaV_tointeger we can just let JS do the comparison */
-            return (t1.value === t2.value) ? 1 : 0;
+            /* OPTIMIZATION: instead of calling luaV_tointeger we can just let JS do the comparison
+               (loose equality also compares BigInts with numbers exactly) */
+            return (t1.value == t2.value) ? 1 : 0;
         }
     }
 
@@ -765,6 +876,7 @@ const luaV_equalobj = function(L, t1, t2) {
         case LUA_TLCF:
             return t1.value === t2.value ? 1 : 0;
         case LUA_TSHRSTR:
+            return luaS_eqshrstr(t1.tsvalue(), t2.tsvalue()) ? 1 : 0;
         case LUA_TLNGSTR: {
             return luaS_eqlngstr(t1.tsvalue(), t2.tsvalue()) ? 1 : 0;
         }
@@ -793,19 +905,19 @@ const luaV_rawequalobj = function(t1, t2) {
     return luaV_equalobj(null, t1, t2);
 };
 
-const forlimit = function(obj, step) {
+const forlimit = function(obj, step, int64) {
     let stopnow = false;
-    let ilimit = luaV_tointeger(obj, step < 0 ? 2 : 1);
+    let ilimit = luaV_tointeger(obj, step < 0 ? 2 : 1, int64);
     if (ilimit === false) {
         let n = tonumber(obj);
         if (n === false)
             return false;
 
         if (0 < n) {
-            ilimit = LUA_MAXINTEGER;
+            ilimit = int64 ? LUA_MAXINTEGER64 : LUA_MAXINTEGER;
             if (step < 0) stopnow = true;
         } else {
-            ilimit = LUA_MININTEGER;
+            ilimit = int64 ? LUA_MININTEGER64 : LUA_MININTEGER;
             if (step >= 0) stopnow = true;
         }
     }
@@ -821,8 +933,9 @@ const forlimit = function(obj, step) {
 ** mode === 0: accepts only integral values
 ** mode === 1: takes the floor of the number
 ** mode === 2: takes the ceil of the number
+** 'int64' tells whether integers have 64 bits (see 'lua_newstate')
 */
-const luaV_tointeger = function(obj, mode) {
+const luaV_tointeger = function(obj, mode, int64) {
     if (obj.ttisfloat()) {
         let n = obj.value;
         let f = Math.floor(n);
@@ -834,25 +947,27 @@ const luaV_tointeger = function(obj, mode) {
                 f += 1;  /* convert floor to ceil (remember: n !== f) */
         }
 
-        return lua_numbertointeger(f);
+        return int64 ? lua_numbertointeger64(f) : lua_numbertointeger(f);
     } else if (obj.ttisinteger()) {
         return obj.value;
     } else if (cvt2num(obj)) {
         let v = new lobject.TValue();
-        if (lobject.luaO_str2num(obj.svalue(), v) === (obj.vslen() + 1))
-            return luaV_tointeger(v, mode);
+        if (lobject.luaO_str2num(obj.svalue(), v, int64) === (obj.vslen() + 1))
+            return luaV_tointeger(v, mode, int64);
     }
 
     return false;
 };
 
-const tointeger = function(o) {
-    return o.ttisinteger() ? o.value : luaV_tointeger(o, 0);
+const tointeger = function(o, int64) {
+    return o.ttisinteger() ? o.value : luaV_tointeger(o, 0, int64);
 };
 
 const tonumber = function(o) {
-    if (o.ttnov() === LUA_TNUMBER)
+    if (o.ttisfloat())
         return o.value;
+    else if (o.ttisinteger())
+        return Number(o.value);  /* 64-bit integers may be BigInts */
 
     if (cvt2num(o)) {  /* string convertible to number? */
         let v = new lobject.TValue();
@@ -962,6 +1077,91 @@ const luaV_shiftl = function(x, y) {
     }
 };
 
+/*
+** Integer operations of states with 64-bit integers (see 'lua_int64').
+** Operations on numbers that give safe integers are done without BigInts.
+*/
+const isint32 = function(v) {
+    return typeof v === "number" && (v|0) === v;
+};
+
+const luaV_add64 = function(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        let r = a + b;
+        if (Number.isSafeInteger(r)) return r;
+    }
+    return lua_int64(BigInt(a) + BigInt(b));
+};
+
+const luaV_sub64 = function(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        let r = a - b;
+        if (Number.isSafeInteger(r)) return r + 0;  /* avoid -0 */
+    }
+    return lua_int64(BigInt(a) - BigInt(b));
+};
+
+const luaV_mul64 = function(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        let r = a * b;
+        if (Number.isSafeInteger(r)) return r + 0;  /* avoid -0 */
+    }
+    return lua_int64(BigInt(a) * BigInt(b));
+};
+
+const luaV_div64 = function(L, m, n) {
+    if (n === 0)
+        ldebug.luaG_runerror(L, to_luastring("attempt to divide by zero"));
+    if (isint32(m) && isint32(n))
+        return Math.floor(m / n) + 0;
+    m = BigInt(m); n = BigInt(n);
+    let q = m / n;  /* truncates */
+    if (m % n && (m < 0) !== (n < 0))  /* inexact and negative? */
+        q -= BigInt(1);  /* correct result for floor division */
+    return lua_int64(q);
+};
+
+const luaV_mod64 = function(L, m, n) {
+    if (n === 0)
+        ldebug.luaG_runerror(L, to_luastring("attempt to perform 'n%%0'"));
+    if (isint32(m) && isint32(n))
+        return luaV_mod(L, m, n);
+    m = BigInt(m); n = BigInt(n);
+    let r = m % n;
+    if (r && (r < 0) !== (n < 0))  /* 'm/n' would be negative non-integer? */
+        r += n;  /* correct result for different rounding */
+    return lua_int64(r);
+};
+
+const luaV_band64 = function(a, b) {
+    if (isint32(a) && isint32(b))
+        return a & b;
+    return lua_int64(BigInt(a) & BigInt(b));
+};
+
+const luaV_bor64 = function(a, b) {
+    if (isint32(a) && isint32(b))
+        return a | b;
+    return lua_int64(BigInt(a) | BigInt(b));
+};
+
+const luaV_bxor64 = function(a, b) {
+    if (isint32(a) && isint32(b))
+        return a ^ b;
+    return lua_int64(BigInt(a) ^ BigInt(b));
+};
+
+const NBITS64 = 64;
+
+const luaV_shiftl64 = function(x, y) {
+    if (y <= -NBITS64 || y >= NBITS64) return 0;
+    y = Number(y);
+    if (y < 0)  /* shift right? */
+        return lua_int64(BigInt.asUintN(64, BigInt(x)) >> BigInt(-y));
+    else  /* shift left */
+        return lua_int64(BigInt(x) << BigInt(y));
+};
+
 /*
 ** check whether cached closure in prototype 'p' may be reused, that is,
 ** whether there is a cached closure with the same upvalues needed by
@@ -1061,15 +1261,24 @@ const luaV_concat = function(L, total) {
                 let l = L.stack[top - n - 1].vslen();
                 tl += l;
             }
-            let buff = new Uint8Array(tl);
-            copy2buff(L, top, n, buff);
-            let ts = luaS_bless(L, buff);
+            lmem.luaM_checkmem(L, lmem.sizelstring(tl));  /* before allocating it */
+            let ts;
+            if (tl <= LUAI_MAXSHORTLEN) {  /* is result a short string? */
+                let buff = new Uint8Array(tl);
+                copy2buff(L, top, n, buff);
+                ts = luaS_bless(L, buff);
+            } else {  /* long string; do not copy the strings yet */
+                let rope = new Array(n);
+                for (let i = 0; i < n; i++)
+                    rope[i] = L.stack[top - n + i].tsvalue();
+                ts = luaS_newrope(L, rope, tl);
+            }
             lobject.setsvalue2s(L, top - n, ts);
         }
         total -= n - 1; /* got 'n' strings to create 1 new */
         /* popped 'n' strings and pushed one */
         for (; L.top > top-(n-1);)
-            delete L.stack[--L.top];
+            L.stack[--L.top].setnilvalue();
     } while (total > 1); /* repeat until only 1 result left */
 };
 
@@ -1108,6 +1317,82 @@ const luaV_gettable = function(L, t, key, ra) {
     ldebug.luaG_runerror(L, to_luastring("'__index' chain too long; possible loop", true));
 };
 
+/*
+** Inline caches.
+** An access with a constant string key ('getfield', for OP_GETTABUP,
+** OP_GETTABLE and OP_SELF) keeps in 'p.icache[pc]' the table entry where
+** it found its value: an entry of the table accessed or, for a table
+** without that key, an entry of the table in the '__index' field of its
+** metatable (as for the methods of an object). Later accesses use that
+** entry, without looking up the key and the metamethod again, while it
+** is still in its table and the tables involved are the same. Entries of
+** weak tables are not cached. The caches are dropped by full collections
+** (see 'clearcaches' in lgc.js).
+*/
+class ICache {
+    constructor() {
+        this.t = null;  /* table holding entry 'e' (null if found through 'mt') */
+        this.e = null;  /* cached entry */
+        this.mt = null;  /* metatable of the tables accessed */
+        this.ie = null;  /* entry of '__index' in 'mt' */
+        this.index = null;  /* table in '__index' holding entry 'e' */
+    }
+}
+
+const has_weakref = typeof WeakRef === "function";
+
+/* 'luaV_gettable' for the constant string key 'key' of instruction 'pc' of 'p' */
+const getfield = function(L, p, pc, t, key, ra) {
+    lua_assert(key.ttisstring());
+    if (!t.ttistable()) {
+        luaV_gettable(L, t, key, ra);
+        return;
+    }
+    let h = t.value;
+    let ts = key.tsvalue();
+    let ic = p.icache !== null ? p.icache[pc] : void 0;
+    if (ic !== void 0 && ic.e.value !== void 0) {  /* cached entry still in its table? */
+        if (ic.t === h ||
+            (ic.t === null && h.metatable === ic.mt &&
+             ic.ie.value !== void 0 && ic.ie.value.value === ic.index &&  /* same '__index'? */
+             ltable.luaH_getstr(h, ts).ttisnil())) {  /* and 'h' does not have 'key'? */
+            lobject.setobj2s(L, ra, ic.e.value);
+            return;
+        }
+    }
+    let e = ltable.luaH_getstrentry(h, ts);
+    let ie, index = null;
+    if (e === void 0 && h.mode === 0 && h.metatable !== null) {  /* 'h' does not have 'key'? */
+        ie = ltable.luaH_getstrentry(h.metatable, L.l_G.tmname[ltm.TMS.TM_INDEX]);
+        if (ie !== void 0 && ie.value.ttistable()) {
+            index = ie.value.value;
+            e = ltable.luaH_getstrentry(index, ts);
+        }
+    }
+    if (e === void 0) {  /* nothing to cache? */
+        luaV_gettable(L, t, key, ra);
+        return;
+    }
+    if (ic === void 0) {
+        if (p.icache === null) {
+            p.icache = new Array(p.code.length);
+            L.l_G.cachedprotos.push(has_weakref ? new WeakRef(p) : p);
+        }
+        ic = p.icache[pc] = new ICache();
+    }
+    ic.e = e;
+    if (index === null) {  /* found in 'h' */
+        ic.t = h;
+        ic.mt = ic.ie = null;
+    } else {  /* found through the metatable of 'h' */
+        ic.t = null;
+        ic.mt = h.metatable;
+        ic.ie = ie;
+    }
+    ic.index = index;
+    lobject.setobj2s(L, ra, e.value);
+};
+
 const settable = function(L, t, key, val) {
     for (let loop = 0; loop < MAXTAGLOOP; loop++) {
         let tm;
@@ -1136,11 +1421,20 @@ const settable = function(L, t, key, val) {
 };
 
 
+module.exports.closure          = closure;
+module.exports.concat           = concat;
 module.exports.cvt2str          = cvt2str;
 module.exports.cvt2num          = cvt2num;
+module.exports.forprep          = forprep;
+module.exports.getfield         = getfield;
 module.exports.luaV_gettable    = luaV_gettable;
 module.exports.luaV_concat      = luaV_concat;
+module.exports.luaV_add64       = luaV_add64;
+module.exports.luaV_band64      = luaV_band64;
+module.exports.luaV_bor64       = luaV_bor64;
+module.exports.luaV_bxor64      = luaV_bxor64;
 module.exports.luaV_div         = luaV_div;
+module.exports.luaV_div64       = luaV_div64;
 module.exports.luaV_equalobj    = luaV_equalobj;
 module.exports.luaV_execute     = luaV_execute;
 module.exports.luaV_finishOp    = luaV_finishOp;
@@ -1148,10 +1442,18 @@ module.exports.luaV_imul        = luaV_imul;
 module.exports.luaV_lessequal   = luaV_lessequal;
 module.exports.luaV_lessthan    = luaV_lessthan;
 module.exports.luaV_mod         = luaV_mod;
+module.exports.luaV_mod64       = luaV_mod64;
+module.exports.luaV_mul64       = luaV_mul64;
 module.exports.luaV_objlen      = luaV_objlen;
 module.exports.luaV_rawequalobj = luaV_rawequalobj;
 module.exports.luaV_shiftl      = luaV_shiftl;
+module.exports.luaV_shiftl64    = luaV_shiftl64;
+module.exports.luaV_sub64       = luaV_sub64;
 module.exports.luaV_tointeger   = luaV_tointeger;
+module.exports.newtable         = newtable;
+module.exports.setlist          = setlist;
 module.exports.settable         = settable;
+module.exports.tailcall         = tailcall;
 module.exports.tointeger        = tointeger;
 module.exports.tonumber         = tonumber;
+module.exports.vararg           = vararg;
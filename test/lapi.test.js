@@ -417,10 +417,10 @@ describe('lua_len', () => {
             lua.lua_len(L, -1);
         }
 
-        /* is allowed to be a power of 2 larger than 2
-           however if the result ever changes from 2 then the pathological
-           code path has probably moved */
+        /* is allowed to be any power of 2 present in the table
+           however if the result ever changes from 4 (the size of the
+           array part) then the pathological code path has probably moved */
         let len = lua.lua_tointeger(L, -1);
-        expect(len).toBe(2);
+        expect(len).toBe(4);
     });
 });
@@ -2,7 +2,11 @@
 
 const lua = require('../src/lua.js');
 const lauxlib = require("../src/lauxlib.js");
-const {to_luastring} = require("../src/fengaricore.js");
+const lualib = require("../src/lualib.js");
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
 
 
 test('luaL_ref, lua_rawgeti, luaL_unref, LUA_REGISTRYINDEX', () => {
@@ -20,3 +24,142 @@ test('luaL_ref, lua_rawgeti, luaL_unref, LUA_REGISTRYINDEX', () => {
     expect(lua.lua_tojsstring(L, -1))
         .toBe("hello references!");
 });
+
+
+test('luaL_setoutput', () => {
+    const newstate = function(out) {
+        let L = lauxlib.luaL_newstate();
+        if (!L) throw Error("failed to create lua state");
+        lualib.luaL_openlibs(L);
+        lauxlib.luaL_setoutput(L,
+            (s) => out.stdout += to_jsstring(s),
+            (s) => out.stderr += to_jsstring(s)
+        );
+        return L;
+    };
+    let out1 = { stdout: "", stderr: "" };
+    let out2 = { stdout: "", stderr: "" };
+    let L1 = newstate(out1);
+    let L2 = newstate(out2);
+
+    expect(lauxlib.luaL_dostring(L1, to_luastring(`
+        print("hello", 1)
+        io.write("a", 2, "\\n")
+        io.stdout:write("b")
+        io.stderr:write("error!")
+        assert(not io.stdout:seek())
+    `))).toBe(lua.LUA_OK);
+    expect(lauxlib.luaL_dostring(L2, to_luastring(`
+        print("other state")
+    `))).toBe(lua.LUA_OK);
+
+    expect(out1).toEqual({ stdout: "hello\t1\na2\nb", stderr: "error!" });
+    expect(out2).toEqual({ stdout: "other state\n", stderr: "" });
+
+    let o = lauxlib.luaL_getoutput(L1);
+    lauxlib.luaL_setoutput(L1, null, null);
+    expect(lauxlib.luaL_getoutput(L1)).toBe(o);
+    expect(o.stdout).not.toBe(o.stderr);
+
+    /* sinks with a 'flush' method are flushed when the state is closed */
+    let flushed = 0;
+    let sink = (s) => out2.stdout += to_jsstring(s);
+    sink.flush = () => flushed++;
+    lauxlib.luaL_setoutput(L2, sink, null);
+    expect(lauxlib.luaL_dostring(L2, to_luastring(`
+        io.write("no end of line")
+    `))).toBe(lua.LUA_OK);
+    expect(flushed).toBe(0);
+    lua.lua_close(L2);
+    expect(flushed).toBe(1);
+});
+
+
+test('luaL_pcallasync', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    /* returns a promise of its argument, resolved in a later task */
+    lua.lua_pushcfunction(L, function(L) {
+        let v = lua.lua_tojsstring(L, 1);
+        lua.lua_pushlightuserdata(L, new Promise((resolve) => setTimeout(() => resolve(v), 1)));
+        return 1;
+    });
+    lua.lua_setglobal(L, to_luastring("later"));
+
+    /* waits for a promise rejected with its argument */
+    lua.lua_pushcfunction(L, function(L) {
+        lua.lua_pushlightuserdata(L, Promise.reject(lua.lua_tojsstring(L, 1)));
+        return lua.lua_yield(L, 1);
+    });
+    lua.lua_setglobal(L, to_luastring("fail"));
+
+    expect(lauxlib.luaL_loadstring(L, to_luastring(`
+        local a = ...
+        local b = coroutine.yield(later("b"))
+        coroutine.yield()  -- lets other tasks run
+        local ok, msg = pcall(fail, "boom")
+        assert(not ok and msg == "boom")
+        local t = {n = 0}
+        coroutine.wrap(function() t.n = t.n + 1; coroutine.yield(); t.n = t.n + 1 end)()
+        assert(t.n == 1)  -- nested coroutines are not affected
+        return a .. b, coroutine.yield(later(42)), 3
+    `))).toBe(lua.LUA_OK);
+    lua.lua_pushliteral(L, "a");
+    let p1 = lauxlib.luaL_pcallasync(L, 1, 2).then((status) => {
+        expect(status).toBe(lua.LUA_OK);
+        expect(lua.lua_gettop(L)).toBe(2);
+        expect(lua.lua_tojsstring(L, 1)).toBe("ab");
+        expect(lua.lua_tojsstring(L, 2)).toBe("42");
+        lua.lua_settop(L, 0);
+    });
+    expect(lua.lua_gettop(L)).toBe(0);
+
+    return p1.then(() => {
+        expect(lauxlib.luaL_loadstring(L, to_luastring(`
+            fail("not caught")
+        `))).toBe(lua.LUA_OK);
+        return lauxlib.luaL_pcallasync(L, 0, lua.LUA_MULTRET);
+    }).then((status) => {
+        expect(status).toBe(lua.LUA_ERRRUN);
+        expect(lua.lua_tojsstring(L, -1)).toBe("not caught");
+        lua.lua_settop(L, 0);
+    });
+});
+
+test('luaL_pcallasync with JS exceptions', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    lua.lua_pushcfunction(L, function(L) {
+        lua.lua_pushlightuserdata(L, Promise.resolve());
+        return 1;
+    });
+    lua.lua_setglobal(L, to_luastring("later"));
+
+    lua.lua_pushcfunction(L, function(L) {
+        throw Error("not a Lua error");
+    });
+    lua.lua_setglobal(L, to_luastring("jsthrow"));
+
+    expect(lauxlib.luaL_loadstring(L, to_luastring(`
+        jsthrow()
+    `))).toBe(lua.LUA_OK);
+    return lauxlib.luaL_pcallasync(L, 0, 0).then((status) => {
+        expect(status).toBe(lua.LUA_ERRRUN);
+        expect(lua.lua_gettop(L)).toBe(1);
+        expect(lua.lua_isnil(L, -1)).toBe(true);
+        lua.lua_settop(L, 0);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(`
+            coroutine.yield(later())
+            jsthrow()
+        `))).toBe(lua.LUA_OK);
+        return lauxlib.luaL_pcallasync(L, 0, 0);
+    }).then((status) => {
+        expect(status).toBe(lua.LUA_ERRRUN);
+        expect(lua.lua_gettop(L)).toBe(1);
+        expect(lua.lua_isnil(L, -1)).toBe(true);
+    });
+});
@@ -3,7 +3,10 @@
 const lua = require('../src/lua.js');
 const lauxlib = require('../src/lauxlib.js');
 const lualib = require('../src/lualib.js');
-const {to_luastring} = require("../src/fengaricore.js");
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
 
 
 test('print', () => {
@@ -268,13 +271,13 @@ test('select', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect([...lua.lua_topointer(L, -3).strong.entries()].map(e => e[1].value.value))
+    expect(lua.lua_topointer(L, -3).array.map(e => e.value))
         .toEqual([3]);
 
-    expect([...lua.lua_topointer(L, -2).strong.entries()].map(e => e[1].value.value).sort())
+    expect(lua.lua_topointer(L, -2).array.map(e => e.value).sort())
         .toEqual([2, 3]);
 
-    expect([...lua.lua_topointer(L, -1).strong.entries()].map(e => e[1].value.value).sort())
+    expect(lua.lua_topointer(L, -1).array.map(e => e.value).sort())
         .toEqual([2, 3]);
 });
 
@@ -433,3 +436,37 @@ test('pairs with __pairs', () => {
 
     expect(lua.lua_tonumber(L, -1)).toBe(26);
 });
+
+
+test('warn', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+    let stderr = "";
+    lauxlib.luaL_setoutput(L, null, (s) => stderr += to_jsstring(s));
+
+    let luaCode = `
+        warn("off by default")
+        warn("@on")
+        warn("one ", "message")
+        warn("@unknown")
+        warn("@off")
+        warn("not written")
+        warn("@on")
+        warn("@on", "is not a control message")
+        return pcall(warn, "a", 1, {})
+    `;
+    {
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, -1);
+    }
+
+    expect(stderr).toBe("Lua warning: one message\nLua warning: @onis not a control message\n");
+    expect(lua.lua_tojsstring(L, -1)).toBe("bad argument #3 to 'warn' (string expected, got table)");
+
+    let pieces = [];
+    lua.lua_setwarnf(L, (ud, msg, tocont) => pieces.push([ud, to_jsstring(msg), tocont]), "ud");
+    lua.lua_warning(L, to_luastring("from JS"), 0);
+    expect(lauxlib.luaL_dostring(L, to_luastring(`warn("x", "y")`))).toBe(lua.LUA_OK);
+    expect(pieces).toEqual([["ud", "from JS", 0], ["ud", "x", 1], ["ud", "y", 0]]);
+});
@@ -141,3 +141,56 @@ test('coroutine.wrap', () => {
     expect(lua.lua_tonumber(L, -1))
         .toBe(625);
 });
+
+
+test('coroutine.close', () => {
+    let L = lauxlib.luaL_newstate({lua54: true});
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local log = {}
+        local function closing(name)
+            return setmetatable({}, {__close = function(o, e) log[#log + 1] = name .. "(" .. tostring(e) .. ")" end})
+        end
+
+        local co = coroutine.create(function() local a <close> = closing("a"); coroutine.yield() end)
+        coroutine.resume(co)
+        assert(coroutine.close(co) == true and coroutine.status(co) == "dead")
+        assert(not coroutine.resume(co))
+
+        co = coroutine.create(function() local b <close> = closing("b"); error("oops", 0) end)
+        coroutine.resume(co)
+        local ok, msg = coroutine.close(co)
+        assert(not ok and msg == "oops")
+        assert(coroutine.close(co) == true)
+
+        co = coroutine.create(function()
+            local c <close> = setmetatable({}, {__close = function() error("in close", 0) end})
+            coroutine.yield()
+        end)
+        coroutine.resume(co)
+        ok, msg = coroutine.close(co)
+        assert(not ok and msg == "in close")
+
+        assert(coroutine.close(coroutine.create(print)) == true)
+        ok, msg = pcall(coroutine.close, coroutine.running())
+        assert(not ok and msg:find("cannot close a running coroutine"))
+        return table.concat(log, ",")
+    `;
+    {
+        lualib.luaL_openlibs(L);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, -1);
+    }
+
+    expect(lua.lua_tojsstring(L, -1)).toBe("a(nil),b(oops)");
+
+    /* the stack of a reset thread is released */
+    let L1 = lua.lua_newthread(L);
+    lua.lua_checkstack(L1, 1000);
+    for (let i = 0; i < 1000; i++)
+        lua.lua_newtable(L1);
+    expect(lua.lua_resetthread(L1)).toBe(lua.LUA_OK);
+    expect(lua.lua_gettop(L1)).toBe(0);
+    expect(L1.stack.length).toBeLessThan(100);
+});
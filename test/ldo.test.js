@@ -0,0 +1,152 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
+
+const newstate = function() {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+    return L;
+};
+
+const pdostring = function(L, code) {
+    expect(lauxlib.luaL_loadstring(L, to_luastring(code))).toBe(lua.LUA_OK);
+    return lua.lua_pcall(L, 0, 0, 0);
+};
+
+
+test('instruction limit', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {instructions: 1000});
+    expect(pdostring(L, `for i = 1, 10 do end`)).toBe(lua.LUA_OK);
+    let remaining = lua.lua_getlimits(L).instructions;
+    expect(remaining).toBeGreaterThan(900);
+    expect(remaining).toBeLessThan(1000);
+
+    expect(pdostring(L, `while true do end`)).toBe(lua.LUA_ERRLIMIT);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/^\[string ".*"\]:1: instruction limit exceeded$/);
+    expect(lua.lua_getlimits(L).instructions).toBe(0);
+
+    lua.lua_setlimits(L, null);
+    expect(lua.lua_getlimits(L)).toBe(null);
+    expect(pdostring(L, `for i = 1, 10000 do end`)).toBe(lua.LUA_OK);
+});
+
+
+test('time limit', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {deadline: Date.now() + 50});
+    expect(pdostring(L, `while true do end`)).toBe(lua.LUA_ERRLIMIT);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/time limit exceeded$/);
+});
+
+
+test('call depth and stack size limits', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {calldepth: 50});
+    expect(pdostring(L, `
+        local function f(n) if n > 0 then return 1 + f(n - 1) else return 0 end end
+        assert(f(40) == 40)
+        f(100)
+    `)).toBe(lua.LUA_ERRLIMIT);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/call depth limit exceeded$/);
+    expect(pdostring(L, `
+        local function f(n) if n > 0 then return f(n - 1) end end
+        f(100)  -- tail calls do not nest
+    `)).toBe(lua.LUA_OK);
+
+    lua.lua_setlimits(L, {stacksize: 1000});
+    expect(pdostring(L, `
+        local function f(n) local a, b, c, d, e; return 1 + f(n) end
+        f()
+    `)).toBe(lua.LUA_ERRLIMIT);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/stack size limit exceeded$/);
+});
+
+
+test('limit errors are not caught by default', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {instructions: 10000});
+    expect(pdostring(L, `
+        pcall(function() while true do end end)
+        caught = true
+    `)).toBe(lua.LUA_ERRLIMIT);
+    lua.lua_getglobal(L, to_luastring("caught"));
+    expect(lua.lua_isnil(L, -1)).toBe(true);
+
+    for (let code of [
+        `coroutine.resume(coroutine.create(function() while true do end end))`,
+        `pcall(coroutine.wrap(function() pcall(error) while true do end end))`,
+        `xpcall(function() while true do end end, function(m) return m end)`
+    ]) {
+        lua.lua_setlimits(L, {instructions: 10000});
+        expect(pdostring(L, code + "\ncaught = true")).toBe(lua.LUA_ERRLIMIT);
+        expect(lua.lua_tojsstring(L, -1)).toMatch(/instruction limit exceeded$/);
+        lua.lua_getglobal(L, to_luastring("caught"));
+        expect(lua.lua_isnil(L, -1)).toBe(true);
+    }
+});
+
+
+test('catchable limit errors', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {calldepth: 50, catchable: true});
+    expect(pdostring(L, `
+        local function f() return 1 + f() end
+        local ok, msg = pcall(f)
+        assert(not ok and msg:find("call depth limit exceeded"))
+        local co = coroutine.create(f)
+        ok, msg = coroutine.resume(co)
+        assert(not ok and msg:find("call depth limit exceeded"))
+        assert(coroutine.status(co) == "dead")
+        result = "caught"
+    `)).toBe(lua.LUA_OK);
+    lua.lua_getglobal(L, to_luastring("result"));
+    expect(to_jsstring(lua.lua_tostring(L, -1))).toBe("caught");
+});
+
+
+test('memory limit', () => {
+    let L = newstate();
+
+    let used = lua.lua_gc(L, lua.LUA_GCCOUNT, 0) * 1024;
+    lua.lua_setlimits(L, {memory: used + 1000000});
+    expect(pdostring(L, `
+        local function check(f, ...)
+            local ok, msg = pcall(f, ...)
+            assert(not ok and msg == "not enough memory", msg)
+        end
+        check(string.rep, "x", 1e9)
+        check(string.rep, "abc", 1e6, ",")
+        check(function() local s = string.rep("x", 400000); return s .. s .. s end)
+        check(function() local t = {} for i = 1, 1e6 do t[i] = i end end)
+        check(function() local t = {} for i = 1, 1e6 do t["k" .. i] = true end end)
+        check(function() local t = {} for i = 1, 1e6 do t[i] = {} end end)
+        check(table.concat, setmetatable({}, {__index = function() return "xxxx" end}), "", 1, 1e6)
+
+        -- garbage is collected before giving up
+        for i = 1, 100 do local s = string.rep("x", 100000) end
+        result = "done"
+    `)).toBe(lua.LUA_OK);
+    lua.lua_getglobal(L, to_luastring("result"));
+    expect(to_jsstring(lua.lua_tostring(L, -1))).toBe("done");
+    expect(lua.lua_getlimits(L).memory).toBe(used + 1000000);
+
+    lua.lua_pushcfunction(L, function(L) {
+        lua.lua_newuserdata(L, 1e9);
+        return 1;
+    });
+    expect(lua.lua_pcall(L, 0, 1, 0)).toBe(lua.LUA_ERRMEM);
+    expect(lua.lua_tojsstring(L, -1)).toBe("not enough memory");
+});
@@ -488,7 +488,7 @@ test('SETTABLE, GETTABLE', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect(lua.lua_topointer(L, -1).strong.get(1).value.jsstring())
+    expect(lua.lua_topointer(L, -1).array[0].jsstring())
         .toBe("hello");
     expect(lua.lua_topointer(L, -1).strong.get(lstring.luaS_hash(to_luastring("two"))).value.jsstring())
         .toBe("world");
@@ -550,7 +550,7 @@ test('SETTABUP, GETTABUP', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect(lua.lua_topointer(L, -1).strong.get(1).value.jsstring())
+    expect(lua.lua_topointer(L, -1).array[0].jsstring())
         .toBe("hello");
     expect(lua.lua_topointer(L, -1).strong.get(lstring.luaS_hash(to_luastring("two"))).value.jsstring())
         .toBe("world");
@@ -608,7 +608,7 @@ test('SETLIST', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect([...lua.lua_topointer(L, -1).strong.entries()].map(e => e[1].value.value).sort())
+    expect(lua.lua_topointer(L, -1).array.map(e => e.value).sort())
         .toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
 });
 
@@ -638,7 +638,7 @@ test('Variable SETLIST', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect([...lua.lua_topointer(L, -1).strong.entries()].map(e => e[1].value.value).sort())
+    expect(lua.lua_topointer(L, -1).array.map(e => e.value).sort())
         .toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
 });
 
@@ -663,7 +663,7 @@ test('Long SETLIST', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect([...lua.lua_topointer(L, -1).strong.entries()].map(e => e[1].value.value).reverse())
+    expect(lua.lua_topointer(L, -1).array.filter(e => !e.ttisnil()).map(e => e.value))
         .toEqual([1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5, 1, 2, 3, 4, 5]);
 });
 
@@ -0,0 +1,212 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
+
+const v8 = require('v8');
+const vm = require('vm');
+
+v8.setFlagsFromString('--expose_gc');
+const gc = vm.runInNewContext('gc');
+
+/* let the current job end, so that the collected objects get queued, and collect */
+const collect = function() {
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    return tick().then(() => {
+        gc();
+        return tick();
+    });
+};
+
+const dostring = function(L, code) {
+    expect(lauxlib.luaL_loadstring(L, to_luastring(code))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+};
+
+test('__gc of tables', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        finalized = {}
+        local mt = {__gc = function(o)
+            finalized[#finalized + 1] = o.name
+            assert(getmetatable(o).__gc and o[1] == 1 and o[3] == 3)
+        end}
+        kept = setmetatable({name = "kept"}, mt)
+        setmetatable({name = "a", 1, 2, 3}, mt)
+        setmetatable({name = "nofin", 1, 2, 3}, {})  -- no finalizer
+        local t = setmetatable({}, {})
+        getmetatable(t).__gc = print  -- set after setmetatable: not marked
+    `);
+    return collect().then(() => dostring(L, `
+        local _ = {}  -- a safe point
+        assert(#finalized == 1 and finalized[1] == "a")
+    `));
+});
+
+
+test('__gc of a table with weak keys', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        k1, k2 = {}, {}
+        setmetatable({[k1] = "v", [k2] = "w"}, {__mode = "k", __gc = function(o)
+            n = 0
+            for k, v in pairs(o) do n = n + 1 end
+            v1 = o[k1]
+        end})
+    `);
+    return collect().then(() => dostring(L, `
+        local _ = {}  -- a safe point
+        assert(n == 2 and v1 == "v")
+    `));
+});
+
+
+test('__gc of userdata', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `finalized = 0`);
+    let u = lua.lua_newuserdata(L, 0);
+    u.payload = "data";
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, function(L) {
+        expect(lua.lua_touserdata(L, 1).payload).toBe("data");
+        lua.lua_pushinteger(L, 1);
+        lua.lua_setglobal(L, "finalized");
+        return 0;
+    });
+    lua.lua_setfield(L, -2, to_luastring("__gc"));
+    lua.lua_setmetatable(L, -2);
+    lua.lua_pop(L, 1);
+    u = null;
+
+    return collect().then(() => dostring(L, `
+        local _ = {}  -- a safe point
+        assert(finalized == 1)
+    `));
+});
+
+
+test('lua_close runs pending finalizers in reverse order', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    let order = [];
+    lua.lua_pushjsfunction(L, function(L) {
+        lua.lua_getfield(L, 1, to_luastring("n"));
+        order.push(lua.lua_tointeger(L, -1));
+        return 0;
+    });
+    lua.lua_setglobal(L, "record");
+    dostring(L, `
+        for i = 1, 3 do
+            objs = objs or {}
+            objs[i] = setmetatable({n = i}, {__gc = record})
+        end
+        setmetatable({}, {__gc = function() error("ignored") end})
+    `);
+    lua.lua_close(L);
+    expect(order).toEqual([3, 2, 1]);
+});
+
+
+test('errors in __gc', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    /* errors in finalizers become warnings */
+    let warnings = [];
+    lua.lua_setwarnf(L, (ud, msg, tocont) => {
+        if (warnings.length === 0 || warnings[warnings.length - 1].done)
+            warnings.push({msg: "", done: false});
+        warnings[warnings.length - 1].msg += to_jsstring(msg);
+        warnings[warnings.length - 1].done = !tocont;
+    }, null);
+    dostring(L, `
+        setmetatable({}, {__gc = function() error("boom", 0) end})
+    `);
+    return collect().then(() => {
+        expect(lauxlib.luaL_dostring(L, to_luastring(`collectgarbage() return "not interrupted"`))).toBe(lua.LUA_OK);
+        expect(lua.lua_tojsstring(L, -1)).toBe("not interrupted");
+        expect(warnings.map((w) => w.msg)).toEqual(["error in __gc metamethod (boom)"]);
+
+        dostring(L, `
+            x = setmetatable({}, {__gc = function() error("closing", 0) end})
+        `);
+        lua.lua_close(L);
+        expect(warnings.map((w) => w.msg)).toEqual([
+            "error in __gc metamethod (boom)",
+            "error in __gc metamethod (closing)"
+        ]);
+    });
+});
+
+
+test('collectgarbage', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        local before = collectgarbage("count")
+        assert(math.type(before) == "float" and before > 0)
+        local t = {}
+        for i = 1, 1000 do t[i] = {tostring(i)} end
+        assert(collectgarbage("count") > before + 50)
+        t = nil
+        assert(collectgarbage() == 0)
+        assert(collectgarbage("count") < before + 50)
+
+        assert(collectgarbage("isrunning") == true)
+        collectgarbage("stop")
+        assert(collectgarbage("isrunning") == false)
+        assert(collectgarbage("step") == true)
+        assert(collectgarbage("isrunning") == false)
+        collectgarbage("restart")
+        assert(collectgarbage("isrunning") == true)
+
+        assert(collectgarbage("setpause", 100) == 200)
+        assert(collectgarbage("setpause", 200) == 100)
+        assert(collectgarbage("setstepmul", 300) == 200)
+
+        assert(collectgarbage("generational") == "incremental")
+        assert(collectgarbage("incremental", 150) == "generational")
+        assert(collectgarbage("incremental") == "incremental")
+        assert(collectgarbage("setpause", 200) == 150)
+    `);
+
+    expect(lua.lua_gc(L, lua.LUA_GCCOUNT, 0)).toBeGreaterThan(0);
+    expect(lua.lua_gc(L, lua.LUA_GCISRUNNING, 0)).toBe(1);
+    expect(lua.lua_gc(L, -42, 0)).toBe(-1);
+});
+
+
+test('collectgarbage runs pending finalizers', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        finalized = false
+        setmetatable({}, {__gc = function() finalized = true end})
+    `);
+    return collect().then(() => dostring(L, `
+        assert(not finalized)
+        collectgarbage()
+        assert(finalized)
+    `));
+});
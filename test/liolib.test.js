@@ -0,0 +1,155 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const {to_luastring} = require("../src/fengaricore.js");
+
+test('io.open, file:write and file:read', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local name = os.tmpname()
+        local f = assert(io.open(name, "w"))
+        assert(io.type(f) == "file")
+        assert(f:write("first line\\n", 42, " 0x10 -2.5e1\\nend") == f)
+        assert(f:close())
+        assert(io.type(f) == "closed file")
+        assert(tostring(f) == "file (closed)")
+
+        f = assert(io.open(name))
+        assert(f:read() == "first line")
+        local a, b, c = f:read("n", "n", "n")
+        assert(a == 42 and math.type(a) == "integer")
+        assert(b == 16 and c == -25.0)
+        assert(f:read("L") == "\\n")
+        assert(f:read(2) == "en")
+        assert(f:read("a") == "d")
+        assert(f:read("a") == "")
+        assert(f:read(0) == nil)
+        assert(f:read("l") == nil)
+        local ok, msg = pcall(f.read, f, -1)
+        assert(not ok and string.find(msg, "invalid format"))
+        f:close()
+        assert(os.remove(name))
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+});
+
+
+test('io.open errors', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local f, msg, errno = io.open("/this/file/does/not/exist")
+        assert(f == nil and type(msg) == "string" and type(errno) == "number")
+        assert(not pcall(io.open, "x", "rw"))
+        assert(not pcall(io.lines, "/this/file/does/not/exist"))
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+});
+
+
+test('io.lines and file:lines', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local name = os.tmpname()
+        local f = assert(io.open(name, "w"))
+        f:write("a\\nbb\\n\\nccc")
+        f:close()
+
+        local t = {}
+        for l in io.lines(name) do t[#t+1] = l end
+        assert(#t == 4 and t[1] == "a" and t[2] == "bb" and t[3] == "" and t[4] == "ccc")
+
+        t = {}
+        for a, b in io.lines(name, 1, "L") do t[#t+1] = a .. b end
+        assert(table.concat(t, "|") == "a\\n|bb\\n|\\nccc")
+
+        f = assert(io.open(name))
+        local n = 0
+        for l in f:lines("L") do n = n + 1 end
+        assert(n == 4)
+        assert(io.type(f) == "file")  -- not closed by file:lines
+        f:close()
+        assert(not pcall(function() for l in f:lines() do end end))
+
+        os.remove(name)
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+});
+
+
+test('file:seek and append mode', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local name = os.tmpname()
+        local f = assert(io.open(name, "w+"))
+        f:write("0123456789")
+        assert(f:seek() == 10)
+        assert(f:seek("set", 2) == 2)
+        assert(f:read(3) == "234")
+        assert(f:seek("cur", -1) == 4)
+        assert(f:read(1) == "4")
+        assert(f:seek("end", -2) == 8)
+        assert(f:read("a") == "89")
+        assert(f:seek("set", 0) == 0)
+        f:write("ab")
+        assert(f:read(2) == "23")
+        assert(f:seek("set", -1) == nil)
+        assert(f:setvbuf("no"))
+        assert(not pcall(f.setvbuf, f, "invalid"))
+        f:close()
+
+        f = assert(io.open(name, "a+"))
+        f:write("!")
+        f:seek("set")
+        assert(f:read("a") == "ab23456789!")
+        f:close()
+        os.remove(name)
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+});
+
+
+test('io.input, io.output and io.read', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local name = os.tmpname()
+        local stdout = io.output()
+        io.output(name)
+        assert(io.output() ~= stdout)
+        io.write("10 20\\nrest")
+        io.close()
+        io.output(stdout)
+
+        io.input(name)
+        assert(io.read("n") == 10)
+        assert(io.read("n") == 20)
+        assert(io.read() == "")
+        assert(io.read() == "rest")
+        assert(io.read() == nil)
+        io.close(io.input())
+        io.input(io.stdin)
+        os.remove(name)
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+});
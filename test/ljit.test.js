@@ -0,0 +1,249 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
+
+const newstate = function(options) {
+    let L = lauxlib.luaL_newstate(Object.assign({jit: true}, options));
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+    return L;
+};
+
+const pdostring = function(L, code) {
+    expect(lauxlib.luaL_loadstring(L, to_luastring(code))).toBe(lua.LUA_OK);
+    return lua.lua_pcall(L, 0, 0, 0);
+};
+
+const getresult = function(L) {
+    lua.lua_getglobal(L, to_luastring("result"));
+    return to_jsstring(lua.lua_tolstring(L, -1));
+};
+
+
+test('hot functions are compiled', () => {
+    let L = newstate();
+
+    expect(lauxlib.luaL_loadstring(L, to_luastring(`
+        local function fib(n) if n < 2 then return n end return fib(n - 1) + fib(n - 2) end
+        local s, f = 0, 0.5
+        for i = 1, 1000 do s = s + i % 7 * 2 // 3; f = f + i / 4 end
+        local t = {}
+        for i = 1, 100 do t[#t + 1] = i .. "" end
+        local n = 0
+        for k, v in ipairs(t) do if tonumber(v) == k then n = n + 1 end end
+        local mt = {__add = function(a, b) return "add" end, __lt = function() return true end}
+        local o = setmetatable({}, mt)
+        for i = 1, 100 do assert(o + i == "add" and o < i) end
+        result = table.concat({fib(15), s, f, n, 2^10, 5 >> 1, ~0, #t, select("#", ...)}, ",")
+    `))).toBe(lua.LUA_OK);
+    let p = lua.lua_topointer(L, -1).p;
+    expect(lua.lua_pcall(L, 0, 0, 0)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("610,1716,125125.5,100,1024.0,2,-1,100,0");
+    expect(typeof p.jit).toBe("function");
+    expect(typeof p.p[0].jit).toBe("function");
+});
+
+
+test('errors in compiled code', () => {
+    let L = newstate();
+
+    expect(pdostring(L, `
+        local t = {}
+        for i = 1, 2000 do t[i] = i end
+        local x
+        return t[#t] + x
+    `)).toBe(lua.LUA_ERRRUN);
+    expect(lua.lua_tojsstring(L, -1)).toBe(`[string "..."]:5: attempt to perform arithmetic on a nil value (local 'x')`);
+
+    expect(pdostring(L, `
+        local function f(t, i) return t[i].x end
+        local t = {}
+        for i = 1, 1000 do t[i] = {x = i} end
+        for i = 1, 2000 do f(t, i) end
+    `)).toBe(lua.LUA_ERRRUN);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/:2: attempt to index a nil value \(field '\?'\)$/);
+});
+
+
+test('yields across compiled code', () => {
+    let L = newstate();
+
+    expect(pdostring(L, `
+        local mt = {__index = function(t, k) return coroutine.yield(k) end}
+        local co = coroutine.wrap(function()
+            local s = 0
+            for i = 1, 1000 do s = s + setmetatable({}, mt)[i] end
+            return "done " .. s
+        end)
+        local v = co()
+        while type(v) == "number" do v = co(v * 2) end
+        result = v
+    `)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("done 1001000");
+});
+
+
+test('hooks set from compiled code', () => {
+    let L = newstate();
+
+    expect(pdostring(L, `
+        local lines = 0
+        for i = 1, 1000 do
+            if i == 900 then debug.sethook(function() lines = lines + 1 end, "l") end
+        end
+        debug.sethook()
+        result = lines
+    `)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("202");
+});
+
+
+test('limits on compiled code', () => {
+    let L = newstate();
+
+    lua.lua_setlimits(L, {instructions: 100000});
+    expect(pdostring(L, `while true do end`)).toBe(lua.LUA_ERRLIMIT);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/:1: instruction limit exceeded$/);
+});
+
+
+test('compiled code with 64-bit integers', () => {
+    let L = newstate({int64: true});
+
+    expect(pdostring(L, `
+        local s = math.maxinteger - 1000
+        for i = 1, 1001 do s = s + 1 end
+        local n = 0
+        for i = math.maxinteger - 1500, math.maxinteger - 1, 2 do n = n + (i & 3) end
+        result = string.format("%d %d", s, n)
+    `)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("-9223372036854775808 1500");
+});
+
+
+test('inline caches in compiled code', () => {
+    let L = newstate();
+
+    expect(pdostring(L, `
+        local C = {}
+        C.__index = C
+        function C:get() return 1 end
+        local o = setmetatable({}, C)
+        local s = 0
+        for i = 1, 3000 do
+            if i == 1500 then function C:get() return 2 end end
+            if i == 2000 then o.get = function() return 3 end end
+            if i == 2500 then g = 1 end
+            s = s + o:get() + (g or 0)
+        end
+        result = s
+    `)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("6003");
+});
+
+test('to-be-closed variables in compiled code', () => {
+    let L = newstate({lua54: true});
+
+    expect(pdostring(L, `
+        local n = 0
+        local mt = {__close = function(o, e) n = n + (e and 100 or 1) end}
+        for i = 1, 1000 do
+            local x <close> = setmetatable({}, mt)
+            if i % 2 == 0 then goto continue end
+            pcall(function() local y <close> = setmetatable({}, mt); error("x") end)
+            ::continue::
+        end
+        result = n
+    `)).toBe(lua.LUA_OK);
+    expect(getresult(L)).toBe("51000");
+});
+
+
+/* Lua line of each line of generated code, from the mappings of a source map */
+const decodelines = function(mappings) {
+    const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    let line = 0;
+    return mappings.split(";").map((segment) => {
+        if (segment === "") return null;
+        let fields = [];
+        let v = 0, shift = 0;
+        for (let c of segment) {
+            let digit = BASE64.indexOf(c);
+            v += (digit & 31) << shift;
+            shift += 5;
+            if (!(digit & 32)) {
+                fields.push(v & 1 ? -(v >> 1) : v >> 1);
+                v = shift = 0;
+            }
+        }
+        line += fields[2];
+        return line + 1;
+    });
+};
+
+test('compiled modules with source maps', () => {
+    let L = newstate({jit: false});
+
+    let source = `local function add(a, b)
+        return a + b
+    end
+    local s = 0
+    for i = 1, 10 do s = add(s, i) end
+    return s`;
+    expect(lauxlib.luaL_loadbuffer(L, to_luastring(source), null, to_luastring("@add.lua"))).toBe(lua.LUA_OK);
+    let m = lua.lua_dumpjs(L, "add.lua.js", source);
+
+    let map = JSON.parse(m.map);
+    expect(map.version).toBe(3);
+    expect(map.file).toBe("add.lua.js");
+    expect(map.sources).toEqual(["add.lua"]);
+    expect(map.sourcesContent).toEqual([source]);
+    let code = m.code.split("\n");
+    let lines = decodelines(map.mappings);
+    expect(code[code.length - 2]).toBe("//# sourceMappingURL=add.lua.js.map");
+    expect(lines[code.findIndex((l) => l.includes("/* ADD */"))]).toBe(2);
+    expect(lines[code.findIndex((l) => l.includes("/* FORPREP */"))]).toBe(5);
+
+    let module = {};
+    new Function("module", m.code)(module);
+    let L1 = newstate({jit: false});
+    expect(lua.lua_loadjs(L1, module.exports, "=add")).toBe(lua.LUA_OK);
+    let p = lua.lua_topointer(L1, -1).p;
+    expect(typeof p.jit).toBe("function");
+    expect(typeof p.p[0].jit).toBe("function");
+    lua.lua_call(L1, 0, 1);
+    expect(lua.lua_tointeger(L1, -1)).toBe(55);
+
+    let L2 = newstate({int64: true});
+    expect(lua.lua_loadjs(L2, module.exports, "=add")).toBe(lua.LUA_ERRSYNTAX);
+    expect(lua.lua_tojsstring(L2, -1)).toBe("compiled module does not match the state");
+});
+
+test('names in compiled modules cannot inject code', () => {
+    let L = newstate({jit: false});
+
+    expect(pdostring(L, `
+        local hostile = "*/ module.pwned = true; /*"
+        local name = string.rep("z", #hostile)
+        local f = load("local " .. name .. " = 42 return " .. name, "=x " .. hostile)
+        result = load((string.gsub(string.dump(f), name, hostile)), nil, "b")
+    `)).toBe(lua.LUA_OK);
+    lua.lua_getglobal(L, to_luastring("result"));
+    let m = lua.lua_dumpjs(L);
+    expect(m.code).toContain("x *\\/ module.pwned = true; /*");
+    expect(m.code).toContain("/* locals: *\\/ module.pwned = true; /* = stack[base + 0] */");
+
+    let module = {};
+    new Function("module", m.code)(module);
+    let L1 = newstate({jit: false});
+    expect(lua.lua_loadjs(L1, module.exports, "=x")).toBe(lua.LUA_OK);
+    lua.lua_call(L1, 0, 1);
+    expect(lua.lua_tointeger(L1, -1)).toBe(42);
+    expect(module.pwned).toBeUndefined();
+});
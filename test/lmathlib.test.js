@@ -146,6 +146,34 @@ test('math.random', () => {
 });
 
 
+test('math.randomseed', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local x, y = math.randomseed()
+        assert(math.type(x) == "integer" and math.type(y) == "integer")
+        local res = math.random(0)
+        math.randomseed(x, y)  -- should repeat the state
+        assert(math.random(0) == res)
+
+        math.randomseed(42)
+        return math.random(0), math.random(), math.random(6), math.random(-10, 10)
+    `;
+    {
+        lualib.luaL_openlibs(L);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, -1);
+    }
+
+    /* same sequence in every engine */
+    expect(lua.lua_tointeger(L, -4)).toBe(1711437541);
+    expect(lua.lua_tonumber(L, -3)).toBe(0.4517838993592431);
+    expect(lua.lua_tointeger(L, -2)).toBe(4);
+    expect(lua.lua_tointeger(L, -1)).toBe(-4);
+});
+
+
 test('math.sqrt', () => {
     let L = lauxlib.luaL_newstate();
     if (!L) throw Error("failed to create lua state");
@@ -249,3 +277,36 @@ test('math.modf', () => {
     expect(lua.lua_tonumber(L, -2)).toBe(3);
     expect(lua.lua_tonumber(L, -1)).toBe(0.3999999999999999);
 });
+
+
+test('math with 64-bit integers', () => {
+    let L = lauxlib.luaL_newstate({int64: true});
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        assert(math.tointeger(2^62) == 1 << 62 and math.tointeger(2^63) == nil)
+        assert(math.floor(2^62) == 1 << 62 and math.type(math.floor(2^62)) == "integer")
+        assert(math.abs(math.mininteger) == math.mininteger and math.abs(-(1 << 60)) == 1 << 60)
+        assert(math.fmod(math.mininteger, -1) == 0 and math.fmod((1 << 62) + 1, 1 << 61) == 1)
+        assert(math.ult(1, -1) and not math.ult(-1, 1))
+        for i = 1, 100 do
+            local r = math.random(math.mininteger, -1)
+            assert(r < 0)
+            r = math.random(1 << 62)
+            assert(1 <= r and r <= 1 << 62)
+        end
+        local x, y = math.randomseed(42)
+        assert(x == 42 and y == 0)
+        assert(math.random(0) == -1276290044721465627)
+        assert(math.random(math.mininteger, 0) <= 0)
+        return math.maxinteger, math.mininteger
+    `;
+    {
+        lualib.luaL_openlibs(L);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, -1);
+    }
+
+    expect(lua.lua_tojsstring(L, -2)).toBe("9223372036854775807");
+    expect(lua.lua_tojsstring(L, -1)).toBe("-9223372036854775808");
+});
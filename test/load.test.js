@@ -131,3 +131,205 @@ test('dofile', () => {
     expect(lua.lua_tojsstring(L, -1))
         .toBe("hello world");
 });
+
+
+test('dump and undump with 64-bit integers', () => {
+    let L = lauxlib.luaL_newstate({int64: true});
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        local f = load(string.dump(function() return 1 << 60, 2^53 + 1 end))
+        local a, b = f()
+        assert(a == 1 << 60 and b == 2^53 + 1)
+        return string.dump(f)
+    `;
+    {
+        lualib.luaL_openlibs(L);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, 1);
+    }
+    let bc = lua.lua_tostring(L, -1);
+    expect(bc[15]).toBe(8);  /* size of lua_Integer */
+
+    /* a state with 32-bit integers rejects its constants */
+    let L32 = lauxlib.luaL_newstate();
+    expect(lauxlib.luaL_loadbuffer(L32, bc, null, to_luastring("bc"))).toBe(lua.LUA_ERRSYNTAX);
+    expect(lua.lua_tojsstring(L32, -1)).toBe("bc: integer constant does not fit in precompiled chunk");
+});
+
+
+test('undump with the layout of 64-bit platforms', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    /* dump with 8-byte size_t and lua_Integer */
+    expect(lauxlib.luaL_loadstring(L, to_luastring(`
+        local s = string.rep("x", 300)  -- size_t is used for long strings
+        return -7, 2^31 - 1, #s, 0.5
+    `))).toBe(lua.LUA_OK);
+    let b = [];
+    expect(lua.lua_dump(L, function(L, b, size, B) {
+        B.push(...b.slice(0, size));
+        return 0;
+    }, b, false, true)).toBe(0);
+    lua.lua_settop(L, 0);
+    let bc = Uint8Array.from(b);
+    expect(Array.from(bc.subarray(12, 17))).toEqual([4, 8, 4, 8, 8]);
+    expect(lauxlib.luaL_loadbuffer(L, bc, null, to_luastring("bc"))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 4);
+    expect([1, 2, 3, 4].map((i) => lua.lua_tonumber(L, i))).toEqual([-7, 2147483647, 300, 0.5]);
+    lua.lua_settop(L, 0);
+
+    /* big-endian chunk for 'return k' as written by luac */
+    const bigendian = function(k) {
+        let dv = new DataView(new ArrayBuffer(128));
+        let i = 0;
+        const byte = (x) => dv.setUint8(i++, x);
+        const int = (x) => { dv.setInt32(i, x); i += 4; };
+        const int64 = (hi, lo) => { int(hi); int(lo); };
+        [0x1b, 0x4c, 0x75, 0x61, 0x53, 0, 0x19, 0x93, 13, 10, 0x1a, 10].forEach(byte);
+        [4, 8, 4, 8, 8].forEach(byte);  /* sizes */
+        int64(0, 0x5678);  /* LUAC_INT */
+        dv.setFloat64(i, 370.5); i += 8;  /* LUAC_NUM */
+        byte(1);  /* upvalues */
+        byte(0);  /* source */
+        int(0); int(0);  /* line defined */
+        byte(0); byte(1); byte(2);  /* params, vararg, stack size */
+        int(2); int(0x00000001); int(0x01000026);  /* LOADK 0 0; RETURN 0 2 */
+        int(1); byte(0x13); int64(k[0], k[1]);  /* integer constant */
+        int(1); byte(1); byte(0);  /* upvalue _ENV */
+        int(0);  /* protos */
+        int(0); int(0); int(0);  /* debug info */
+        return new Uint8Array(dv.buffer, 0, i);
+    };
+    expect(lauxlib.luaL_loadbuffer(L, bigendian([-1, -42]), null, to_luastring("be"))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 1);
+    expect(lua.lua_tointeger(L, -1)).toBe(-42);
+
+    expect(lauxlib.luaL_loadbuffer(L, bigendian([1, 0]), null, to_luastring("be"))).toBe(lua.LUA_ERRSYNTAX);
+    expect(lua.lua_tojsstring(L, -1)).toBe("be: integer constant does not fit in precompiled chunk");
+
+    let L64 = lauxlib.luaL_newstate({int64: true});
+    expect(lauxlib.luaL_loadbuffer(L64, bigendian([1, 0]), null, to_luastring("be"))).toBe(lua.LUA_OK);
+    lua.lua_call(L64, 0, 1);
+    expect(lua.lua_tointeger(L64, -1)).toBe(4294967296);
+});
+
+
+test('bytecode verification', () => {
+    const {
+        CREATE_ABC,
+        CREATE_ABx,
+        OpCodesI: {
+            OP_GETUPVAL,
+            OP_JMP,
+            OP_LOADK,
+            OP_MOVE,
+            OP_SETLIST
+        },
+        MAXARG_sBx
+    } = require('../src/lopcodes.js');
+
+    /* dump 'local a = 1; return a' with its first instruction replaced */
+    const tampered = function(ins) {
+        let L = lauxlib.luaL_newstate();
+        expect(lauxlib.luaL_loadstring(L, to_luastring("local a = 1; return a"))).toBe(lua.LUA_OK);
+        if (ins) lua.lua_topointer(L, -1).p.code[0] = ins;
+        let b = [];
+        expect(lua.lua_dump(L, function(L, b, size, B) {
+            B.push(...b.slice(0, size));
+            return 0;
+        }, b, false)).toBe(0);
+        return Uint8Array.from(b);
+    };
+
+    let L = lauxlib.luaL_newstate({verifycode: true});
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    expect(lauxlib.luaL_loadbuffer(L, tampered(null), null, to_luastring("bc"))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 1);
+    expect(lua.lua_tointeger(L, -1)).toBe(1);
+
+    for (let [ins, why] of [
+        [CREATE_ABx(OP_LOADK, 0, 5), "invalid constant"],
+        [CREATE_ABx(OP_LOADK, 200, 0), "invalid register"],
+        [CREATE_ABC(OP_MOVE, 0, 100, 0), "invalid register"],
+        [CREATE_ABC(OP_GETUPVAL, 0, 3, 0), "invalid upvalue"],
+        [CREATE_ABx(OP_JMP, 0, MAXARG_sBx + 10), "invalid jump"],
+        [CREATE_ABC(60, 0, 0, 0), "invalid opcode"]
+    ]) {
+        expect(lauxlib.luaL_loadbuffer(L, tampered(ins), null, to_luastring("bc"))).toBe(lua.LUA_ERRSYNTAX);
+        expect(lua.lua_tojsstring(L, -1)).toBe(`bc: bad code (${why} at instruction 1) in precompiled chunk`);
+        lua.lua_pop(L, 1);
+    }
+
+    /* registers of verified code may still hold values of any type */
+    expect(lauxlib.luaL_loadbuffer(L, tampered(CREATE_ABC(OP_SETLIST, 0, 1, 1)), null, to_luastring("bc"))).toBe(lua.LUA_OK);
+    expect(lua.lua_pcall(L, 0, 0, 0)).toBe(lua.LUA_ERRRUN);
+    expect(lua.lua_tojsstring(L, -1)).toMatch(/attempt to index a nil value/);
+    lua.lua_pop(L, 1);
+
+    /* chunk for 'return' with 'ncode' instructions and 'nnames' upvalue names */
+    const chunk = function(ncode, nnames) {
+        let dv = new DataView(new ArrayBuffer(128));
+        let i = 0;
+        const byte = (x) => dv.setUint8(i++, x);
+        const int = (x) => { dv.setInt32(i, x, true); i += 4; };
+        [0x1b, 0x4c, 0x75, 0x61, 0x53, 0, 0x19, 0x93, 13, 10, 0x1a, 10].forEach(byte);
+        [4, 4, 4, 4, 8].forEach(byte);  /* sizes */
+        int(0x5678);  /* LUAC_INT */
+        dv.setFloat64(i, 370.5, true); i += 8;  /* LUAC_NUM */
+        byte(1);  /* upvalues */
+        byte(0);  /* source */
+        int(0); int(0);  /* line defined */
+        byte(0); byte(1); byte(2);  /* params, vararg, stack size */
+        int(ncode); int(0x00800026);  /* RETURN 0 1 */
+        int(0);  /* constants */
+        int(1); byte(1); byte(0);  /* upvalue _ENV */
+        int(0);  /* protos */
+        int(0); int(0); int(nnames);  /* debug info */
+        return new Uint8Array(dv.buffer, 0, i);
+    };
+    expect(lauxlib.luaL_loadbuffer(L, chunk(1, 0), null, to_luastring("bc"))).toBe(lua.LUA_OK);
+    lua.lua_pop(L, 1);
+    for (let [ncode, nnames, why] of [
+        [-1, 0, "negative count in"],
+        [0x7fffffff, 0, "truncated"],
+        [1, -5, "negative count in"],
+        [1, 2, "bad upvalue names in"]
+    ]) {
+        expect(lauxlib.luaL_loadbuffer(L, chunk(ncode, nnames), null, to_luastring("bc"))).toBe(lua.LUA_ERRSYNTAX);
+        expect(lua.lua_tojsstring(L, -1)).toBe(`bc: ${why} precompiled chunk`);
+        lua.lua_pop(L, 1);
+    }
+
+    /* chunks compiled from source are accepted */
+    expect(lauxlib.luaL_dostring(L, to_luastring(`
+        local f = load(string.dump(function(...)
+            local t = {...}
+            for i, v in ipairs(t) do t[i] = v * 2 end
+            return table.unpack(t)
+        end), nil, "b")
+        assert(select("#", f(1, 2, 3)) == 3)
+    `))).toBe(lua.LUA_OK);
+});
+
+
+test('instructions are stored in an Int32Array', () => {
+    const { GET_OPCODE, OpCodesI: { OP_RETURN } } = require('../src/lopcodes.js');
+
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    expect(lauxlib.luaL_loadstring(L, to_luastring("local a = ... return a"))).toBe(lua.LUA_OK);
+    let p = lua.lua_topointer(L, -1).p;
+    expect(p.code).toBeInstanceOf(Int32Array);
+    expect(p.code.length).toBe(p.lineinfo.length);
+    expect(GET_OPCODE(p.code[p.code.length - 1])).toBe(OP_RETURN);
+
+    let bc = toByteCode("local a = ... return a");
+    expect(lauxlib.luaL_loadbuffer(L, bc, null, to_luastring("bc"))).toBe(lua.LUA_OK);
+    expect(lua.lua_topointer(L, -1).p.code).toEqual(p.code);
+});
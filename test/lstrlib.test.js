@@ -450,3 +450,37 @@ test('string.gsub (table)', () => {
     expect(lua.lua_tojsstring(L, -2)).toBe("lua-5.3.tar.gz");
     expect(lua.lua_tointeger(L, -1)).toBe(2);
 });
+
+
+test('string.format, string.pack and tonumber with 64-bit integers', () => {
+    let L = lauxlib.luaL_newstate({int64: true});
+    if (!L) throw Error("failed to create lua state");
+
+    let luaCode = `
+        assert(string.format("%d|%5d|%-5d|%+d|%05d|%.3d", 1 << 62, 3, 4, 5, -42, 7) ==
+            "4611686018427387904|    3|4    |+5|-0042|007")
+        assert(string.format("%x %X %#x %o", -1, 255, 255, 8) == "ffffffffffffffff FF 0xff 10")
+        assert(string.format("%q", math.mininteger) == "0x8000000000000000")
+        assert(load("return " .. string.format("%q", math.mininteger))() == math.mininteger)
+
+        assert(#string.pack("j", 0) == 8 and string.pack("<i8", -2) == "\\xfe" .. string.rep("\\xff", 7))
+        assert(string.unpack("j", string.pack("j", math.mininteger)) == math.mininteger)
+        assert(string.unpack("J", string.pack("J", -1)) == -1)
+        assert(string.unpack(">i16", string.pack(">i16", -2)) == -2)
+        assert(string.unpack("i7", string.pack("i7", -(1 << 55))) == -(1 << 55))
+        assert(not pcall(string.pack, "i7", 1 << 55))
+        assert(not pcall(string.unpack, "i9", string.rep("\\1", 9)))
+
+        assert(tonumber("7fffffffffffffff", 16) == math.maxinteger)
+        assert(tonumber("ffffffffffffffff", 16) == -1)
+        assert(("abc"):sub(math.mininteger, math.maxinteger) == "abc")
+        return string.format("%d", math.maxinteger)
+    `;
+    {
+        lualib.luaL_openlibs(L);
+        expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+        lua.lua_call(L, 0, -1);
+    }
+
+    expect(lua.lua_tojsstring(L, -1)).toBe("9223372036854775807");
+});
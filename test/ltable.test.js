@@ -0,0 +1,214 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const lstring = require('../src/lstring.js');
+const {to_luastring} = require("../src/fengaricore.js");
+
+const v8 = require('v8');
+const vm = require('vm');
+
+v8.setFlagsFromString('--expose_gc');
+const gc = vm.runInNewContext('gc');
+
+/* let the current job end, so that WeakRefs may be cleared, and collect */
+const collect = function() {
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+    return tick().then(() => {
+        gc();
+        return tick();
+    });
+};
+
+const dostring = function(L, code) {
+    expect(lauxlib.luaL_loadstring(L, to_luastring(code))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+};
+
+test('weak values', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        kept = {}
+        t = setmetatable({}, {__mode = "v"})
+        t[1] = {}
+        t[2] = kept
+        t.x = function() end
+        t.s = "strings are not collected"
+        t[3] = 3
+        for i = 4, 100 do t[i] = {} end
+    `);
+    return collect().then(() => dostring(L, `
+        assert(t[1] == nil and t.x == nil)
+        assert(t[2] == kept and t[3] == 3 and t.s)
+        local n = 0
+        for k, v in pairs(t) do n = n + 1 end
+        assert(n == 3)
+    `));
+});
+
+
+test('weak keys are ephemerons', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        kept = {}
+        t = setmetatable({}, {__mode = "k"})
+        t[kept] = 1
+        t[{}] = 2
+        local k = {}
+        t[k] = k  -- value refers to its own key
+        t[coroutine.create(print)] = {}
+        t.name = {}
+        t[1] = "one"
+    `);
+    return collect().then(() => dostring(L, `
+        local n = 0
+        for k, v in pairs(t) do n = n + 1 end
+        assert(n == 3)
+        assert(t[kept] == 1 and type(t.name) == "table" and t[1] == "one")
+    `));
+});
+
+
+test('__mode is only consulted by setmetatable', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        mt = {}
+        t = setmetatable({}, mt)
+        mt.__mode = "k"  -- ignored: 't' keeps strong keys
+        t[{}] = 1
+    `);
+    return collect().then(() => dostring(L, `
+        assert(next(t) ~= nil)
+        setmetatable(t, mt)  -- now its keys are weak
+    `)).then(collect).then(() => dostring(L, `
+        assert(next(t) == nil)
+    `));
+});
+
+
+test('next over a weak table', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        local keys = {}
+        for i = 1, 10 do keys[i] = {} end
+        local t = {}
+        for i = 1, 10 do t[keys[i]] = i end
+        setmetatable(t, {__mode = "kv"})  -- entries keep their order
+        local i = 0
+        for k, v in pairs(t) do
+            i = i + 1
+            assert(k == keys[i] and v == i)
+            t[k] = nil  -- removing entries while traversing is allowed
+        end
+        assert(i == 10 and next(t) == nil)
+
+        setmetatable(t, nil)
+        t[keys[1]] = 1
+        assert(next(t) == keys[1])
+    `);
+});
+
+
+test('array part', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    dostring(L, `
+        local t = {}
+        for i = 1, 100 do t[#t + 1] = i * 2 end
+        assert(#t == 100 and t[50] == 100 and t[50.0] == 100)
+        t[100] = nil
+        assert(#t == 99)
+        table.remove(t, 1)
+        assert(#t == 98 and t[1] == 4)
+
+        local u = {n = 1, 10, 20, 30, [5] = 50}
+        u[4] = 40  -- fills the gap
+        assert(#u == 5 and u[5] == 50)
+
+        -- keys migrate from the hash part to the array part
+        local h = {}
+        for i = 10, 1, -1 do h[i] = i end
+        for i = 1, 10 do assert(h[i] == i) end
+        assert(#h == 10)
+    `);
+
+    dostring(L, `
+        local t = {"a", "b", "c", x = 1}
+        t[4] = "d"
+        t.y = 2
+        local keys = {}
+        for k, v in pairs(t) do
+            keys[#keys + 1] = k
+            t[k] = nil  -- clearing fields during traversal is allowed
+        end
+        assert(table.concat(keys, ",") == "1,2,3,4,x,y")
+        assert(next(t) == nil)
+    `);
+
+    lua.lua_createtable(L, 4, 0);
+    expect(lua.lua_topointer(L, -1).array.length).toBe(4);
+
+    /* large size hints are not preallocated */
+    lua.lua_createtable(L, 1e9, 1e9);
+    expect(lua.lua_topointer(L, -1).array.length).toBeLessThan(1e9);
+    lua.lua_pushcfunction(L, function(L) {
+        lua.lua_createtable(L, 1e12, 0);
+        return 1;
+    });
+    expect(lua.lua_pcall(L, 0, 1, 0)).toBe(lua.LUA_ERRRUN);
+    expect(lua.lua_tojsstring(L, -1)).toBe("table overflow");
+
+    dostring(L, `
+        -- NEWTABLE with B = 220 (805306368 slots) and B = 255 (too many)
+        local code = string.dump(load("return {}"))
+        local i = assert(string.find(code, "\\11\\0\\0\\0", 1, true))
+        local f = load(code:sub(1, i - 1) .. "\\11\\0\\0\\110" .. code:sub(i + 4), nil, "b")
+        assert(#f() == 0)
+        f = load(code:sub(1, i - 1) .. "\\11\\0\\128\\127" .. code:sub(i + 4), nil, "b")
+        local ok, msg = pcall(f)
+        assert(not ok and string.find(msg, "table overflow"))
+    `);
+});
+
+
+test('string keys', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+    lualib.luaL_openlibs(L);
+
+    let a = lstring.luaS_new(L, to_luastring("short"));
+    expect(lstring.luaS_new(L, to_luastring("short"))).toBe(a);
+    let long = to_luastring("x".repeat(100));
+    expect(lstring.luaS_new(L, long)).not.toBe(lstring.luaS_new(L, long));
+
+    dostring(L, `
+        local t = {}
+        t["\\1\\35"] = 1
+        t["\\18\\3"] = 2  -- used to collide with the key above
+        collectgarbage()
+        assert(t["\\1\\35"] == 1 and t["\\18\\3"] == 2)
+
+        local long = string.rep("x", 100)
+        t[long] = 3
+        assert(t[string.rep("x", 50) .. string.rep("x", 50)] == 3)
+        local s = "sh" .. "ort"
+        t[s] = 4
+        assert(t.short == 4 and s == "short" and rawequal(s, "short"))
+        assert(long == long .. "" and long .. "y" ~= long)
+    `);
+});
@@ -6,12 +6,12 @@ const lualib = require('../src/lualib.js');
 const {to_luastring} = require("../src/fengaricore.js");
 
 const inttable2array = function(t) {
-    let a = [];
+    let a = t.array.slice();
     t.strong.forEach(function (v, k) {
         if (v.key.ttisnumber())
             a[k - 1] = v.value;
     });
-    return a.map(e => e.value);
+    return a.filter(e => e !== void 0 && !e.ttisnil()).map(e => e.value);
 };
 
 test('table.concat', () => {
@@ -44,9 +44,7 @@ test('table.pack', () => {
         lua.lua_call(L, 0, -1);
     }
 
-    expect([...lua.lua_topointer(L, -1).strong.entries()]
-        .filter(e => e[1].key.ttisnumber()) // Filter out the 'n' field
-        .map(e => e[1].value.value).reverse()
+    expect(inttable2array(lua.lua_topointer(L, -1))
     ).toEqual([1, 2, 3]);
 });
 
@@ -87,9 +85,7 @@ test('table.insert', () => {
     }
 
     expect(
-        [...lua.lua_topointer(L, -1).strong.entries()]
-            .filter(e => e[1].key.ttisnumber())
-            .map(e => e[1].value.value).sort()
+        inttable2array(lua.lua_topointer(L, -1)).sort()
     ).toEqual([1, 2, 3, 4, 5]);
 });
 
@@ -111,9 +107,7 @@ test('table.remove', () => {
     }
 
     expect(
-        [...lua.lua_topointer(L, -1).strong.entries()]
-            .filter(e => e[1].key.ttisnumber())
-            .map(e => e[1].value.value).sort()
+        inttable2array(lua.lua_topointer(L, -1)).sort()
     ).toEqual([1, 2, 3, 4]);
 });
 
@@ -134,9 +128,7 @@ test('table.move', () => {
     }
 
     expect(
-        [...lua.lua_topointer(L, -1).strong.entries()]
-            .filter(e => e[1].key.ttisnumber())
-            .map(e => e[1].value.value).sort()
+        inttable2array(lua.lua_topointer(L, -1)).sort()
     ).toEqual([1, 2, 3, 4, 5, 6]);
 });
 
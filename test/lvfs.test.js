@@ -0,0 +1,134 @@
+"use strict";
+
+const lua     = require('../src/lua.js');
+const lauxlib = require('../src/lauxlib.js');
+const lualib  = require('../src/lualib.js');
+const lvfs    = require('../src/lvfs.js');
+const {
+    to_jsstring,
+    to_luastring
+} = require("../src/fengaricore.js");
+
+test('default vfs', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    expect(lauxlib.luaL_getvfs(L)).toBe(lvfs.default_vfs);
+    expect(lvfs.default_vfs).toBeInstanceOf(lvfs.NodeVFS);
+
+    let vfs = new lvfs.MemoryVFS();
+    lauxlib.luaL_setvfs(L, vfs);
+    expect(lauxlib.luaL_getvfs(L)).toBe(vfs);
+    lauxlib.luaL_setvfs(L, null);
+    expect(lauxlib.luaL_getvfs(L)).toBe(lvfs.default_vfs);
+});
+
+
+test('MemoryVFS', () => {
+    let vfs = new lvfs.MemoryVFS({
+        "a.txt": "hello",
+        "dir/sub/b.txt": new Uint8Array([1, 2, 3])
+    });
+
+    expect(vfs.stat(to_luastring("a.txt"))).toEqual({ size: 5, isdir: false });
+    expect(vfs.stat(to_luastring("./dir/../dir/sub"))).toEqual({ size: 0, isdir: true });
+    expect(vfs.list(to_luastring("/")).map((n) => to_jsstring(n)).sort()).toEqual(["a.txt", "dir"]);
+
+    let f = vfs.open(to_luastring("/dir/sub/b.txt"), "r+");
+    expect(f.size()).toBe(3);
+    f.write(to_luastring("xy"), 0, 2, 5);
+    let b = new Uint8Array(10);
+    expect(f.read(b, 0, 10, 0)).toBe(7);
+    expect(Array.from(b.subarray(0, 7))).toEqual([1, 2, 3, 0, 0, 120, 121]);
+    f.close();
+
+    expect(() => vfs.open(to_luastring("missing"), "r")).toThrow(/ENOENT/);
+    expect(() => vfs.open(to_luastring("missing/c.txt"), "w")).toThrow(/ENOENT/);
+    expect(() => vfs.open(to_luastring("a.txt"), "r").write(b, 0, 1, 0)).toThrow(/EBADF/);
+    expect(() => vfs.remove(to_luastring("dir"))).toThrow(/ENOTEMPTY/);
+
+    expect(() => vfs.rename(to_luastring("dir"), to_luastring("dir/sub/dir"))).toThrow(/EINVAL/);
+    expect(() => vfs.rename(to_luastring("dir"), to_luastring("dir/new"))).toThrow(/EINVAL/);
+    vfs.rename(to_luastring("dir"), to_luastring("./dir"));
+    expect(vfs.stat(to_luastring("dir/sub/b.txt")).size).toBe(7);
+    expect(() => vfs.mkdir(to_luastring("x/y/z"))).toThrow(/ENOENT/);
+    expect(() => vfs.stat(to_luastring("x"))).toThrow(/ENOENT/);
+    vfs.mkdir(to_luastring("x"));
+    vfs.remove(to_luastring("x"));
+
+    vfs.rename(to_luastring("a.txt"), to_luastring("dir/a.txt"));
+    expect(() => vfs.stat(to_luastring("a.txt"))).toThrow(/ENOENT/);
+    vfs.remove(to_luastring("dir/a.txt"));
+    vfs.remove(to_luastring("dir/sub/b.txt"));
+    vfs.remove(to_luastring("dir/sub"));
+    expect(vfs.list(to_luastring("dir"))).toEqual([]);
+});
+
+
+test('io, os, loadfile and require use the vfs', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    let vfs = new lvfs.MemoryVFS({
+        "lib/mod.lua": "return { answer = ... }",
+        "script.lua": "#!/usr/bin/env lua\nreturn 1 + 1, debug.getinfo(1, 'l').currentline"
+    });
+    lauxlib.luaL_setvfs(L, vfs);
+
+    let luaCode = `
+        package.path = "./lib/?.lua"
+        assert(require("mod").answer == "mod")
+
+        local a, line = dofile("script.lua")
+        assert(a == 2 and line == 2)
+        assert(not loadfile("nothere.lua"))
+
+        local f = assert(io.open("out.txt", "w"))
+        f:write("line 1\\n", 2)
+        f:close()
+        assert(os.rename("out.txt", "lib/out.txt"))
+        assert(not io.open("out.txt"))
+        local t = {}
+        for l in io.lines("lib/out.txt") do t[#t+1] = l end
+        assert(t[1] == "line 1" and t[2] == "2")
+
+        assert(os.remove("lib/out.txt"))
+        local ok, msg, errno = os.remove("lib/out.txt")
+        assert(not ok and msg:find("no such file") and errno == 2)
+
+        ok, msg, errno = os.rename("lib", "lib/sub")
+        assert(not ok and msg:find("invalid argument") and errno == 22)
+        assert(io.open("lib/mod.lua")):close()
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 0);
+
+    expect(() => vfs.stat(to_luastring("lib/out.txt"))).toThrow(/ENOENT/);
+});
+
+
+test('package.loadlib through a vfs', () => {
+    let L = lauxlib.luaL_newstate();
+    if (!L) throw Error("failed to create lua state");
+
+    lauxlib.luaL_setvfs(L, new lvfs.MemoryVFS({
+        "lib.js": `
+            const lua = fengari.lua;
+            return {
+                hello: function(L) {
+                    lua.lua_pushliteral(L, "hello from memory");
+                    return 1;
+                }
+            };
+        `
+    }));
+
+    let luaCode = `
+        return package.loadlib('lib.js', 'hello')()
+    `;
+    lualib.luaL_openlibs(L);
+    expect(lauxlib.luaL_loadstring(L, to_luastring(luaCode))).toBe(lua.LUA_OK);
+    lua.lua_call(L, 0, 1);
+    expect(lua.lua_tojsstring(L, -1)).toBe("hello from memory");
+});
@@ -1168,14 +1168,19 @@ test("[test-suite] math: test random for empty interval", () => {
 });
 
 
-test("[test-suite] math: interval too large", () => {
+test("[test-suite] math: test random for full-range intervals", () => {
     let L = lauxlib.luaL_newstate();
     if (!L) throw Error("failed to create lua state");
 
     let luaCode = `
-        assert(not pcall(math.random, minint, 0))
-        assert(not pcall(math.random, -1, maxint))
-        assert(not pcall(math.random, minint // 2, maxint // 2 + 1))
+        for i = 1, 100 do
+          assert(math.random(minint, 0) <= 0)
+          assert(math.random(-1, maxint) >= -1)
+          local t = math.random(minint // 2, maxint // 2 + 1)
+          assert(minint // 2 <= t and t <= maxint // 2 + 1)
+          t = math.random(minint, maxint)
+          assert(math.type(t) == "integer")
+        end
     `;
     lualib.luaL_openlibs(L);
     if (lauxlib.luaL_loadstring(L, to_luastring(prefix + luaCode)) === lua.LUA_ERRSYNTAX)